@@ -3,6 +3,10 @@
  */
 
 const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const TelegramBot = require('node-telegram-bot-api');
@@ -11,37 +15,120 @@ const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const schedule = require('node-schedule');
 const ical = require('node-ical');
+const { Resvg } = require('@resvg/resvg-js');
 
 // =====================================================
 // CONFIG
 // =====================================================
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Used for chats that haven't picked a zone with /timezone (defaults to the host zone)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+// Calendar feed server is off unless FEED_PORT is set; FEED_BASE_URL is the public address in front of it
+const FEED_PORT = Number(process.env.FEED_PORT) || null;
+const FEED_HOST = process.env.FEED_HOST || '127.0.0.1';
+const FEED_BASE_URL = process.env.FEED_BASE_URL || null;
+// SQLite file holding everything the bot stores (the tests point it at a scratch file)
+const DATABASE_FILE = process.env.DATABASE_FILE || './schedule.db';
+// NUSMods module data for share-link imports: fetched once per module, then read from this directory
+const NUSMODS_API_BASE = process.env.NUSMODS_API_BASE || 'https://api.nusmods.com/v2';
+const NUSMODS_CACHE_DIR = process.env.NUSMODS_CACHE_DIR || path.join(__dirname, 'nusmods_cache');
+// Model behind the AI parsers (see LLM PROVIDER). LLM_BASE_URL points at any OpenAI-compatible server.
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+const LLM_BASE_URL = process.env.LLM_BASE_URL || null;
+const LLM_API_KEY = process.env.LLM_API_KEY || OPENAI_API_KEY;
+const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 30 * 1000;
+const LLM_MAX_RETRIES = process.env.LLM_MAX_RETRIES ? Math.max(0, parseInt(process.env.LLM_MAX_RETRIES, 10) || 0) : 2;
+const LLM_JSON_MODE = process.env.LLM_JSON_MODE !== '0';
+const LLM_FIXTURES_FILE = process.env.LLM_FIXTURES_FILE || path.join(__dirname, 'llm_fixtures.json');
+const LLM_RECORD_FIXTURES = process.env.LLM_RECORD_FIXTURES === '1';
+// The pre-SQLite bot's data file, imported once at startup if present (see LEGACY DATA)
+const LEGACY_DATA_FILE = process.env.LEGACY_DATA_FILE || path.join(__dirname, 'schedule_data.json');
+// Chats (user ids, for private chats) allowed to run bot-wide admin commands such as /migratelegacy
+const ADMIN_CHAT_IDS = new Set(String(process.env.ADMIN_CHAT_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
 
 console.log('Telegram token loaded:', !!TELEGRAM_TOKEN);
-console.log('OpenAI key loaded:', !!OPENAI_API_KEY);
+console.log('OpenAI key loaded:', !!LLM_API_KEY);
 
 if (!TELEGRAM_TOKEN) throw new Error('Missing TELEGRAM_TOKEN');
-if (!OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
+if (!['openai', 'fixtures', 'none'].includes(LLM_PROVIDER)) throw new Error(`Unknown LLM_PROVIDER: ${LLM_PROVIDER}`);
+// A self-hosted server usually needs no key; api.openai.com does
+if (LLM_PROVIDER === 'openai' && !LLM_BASE_URL && !LLM_API_KEY) throw new Error('Missing OPENAI_API_KEY');
 
 console.log('Telegram token length:', TELEGRAM_TOKEN.length);
 
 // =====================================================
 // INIT
 // =====================================================
-const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+// Required by the tests rather than run: no polling, and STARTUP is skipped
+const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: require.main === module });
+const llm = createLlmProvider();
+console.log(`LLM: ${llm.name}${LLM_PROVIDER === 'openai' ? `, model ${LLM_MODEL}` : ''}`);
 
 let db;
 
 // =====================================================
 // DATABASE SETUP
 // =====================================================
+// Shared by the CREATE below and the migration that rebuilt the table with an INTEGER chat_id
+const CATEGORIES_TABLE_COLUMNS = `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      icon TEXT NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'event',
+      keywords_json TEXT,
+      created_at TEXT NOT NULL,
+      UNIQUE(chat_id, key)`;
+
+// One-off data fixes, run in order after the schema is up to date. PRAGMA user_version counts how many
+// a database has had, so each runs exactly once. Append new ones; never reorder or remove.
+// `ranWith` is the column whose addition used to trigger the fix, before user_version was kept.
+const DATA_MIGRATIONS = [
+  {
+    // The timezone column used to be written only by its DEFAULT 'UTC' and never read: reset to "not chosen"
+    sql: `UPDATE settings SET timezone = NULL WHERE timezone = 'UTC'`,
+    ranWith: ['settings', 'last_summary_date']
+  },
+  {
+    // A legacy /reminder value (anything other than the column default) becomes a one-offset profile
+    sql: `UPDATE settings SET reminder_offsets_json = '[' || default_reminder_minutes || ']'
+          WHERE reminder_offsets_json IS NULL AND default_reminder_minutes IS NOT NULL AND default_reminder_minutes != 30`,
+    ranWith: ['settings', 'reminder_offsets_json']
+  }
+];
+
+// How many DATA_MIGRATIONS this database has had; call before any column is added
+async function countAppliedDataMigrations() {
+  const { user_version: version } = await db.get('PRAGMA user_version');
+  if (version > 0) return version;
+
+  let applied = 0;
+  for (const { ranWith } of DATA_MIGRATIONS) {
+    if (!ranWith) break;
+    const [table, column] = ranWith;
+    if (!(await db.all(`PRAGMA table_info(${table})`)).some(c => c.name === column)) break;
+    applied++;
+  }
+  return applied;
+}
+
+async function runDataMigrations(applied) {
+  // Databases from before user_version: keep the count their column additions stand for
+  await db.exec(`PRAGMA user_version = ${applied}`);
+  for (let i = applied; i < DATA_MIGRATIONS.length; i++) {
+    await db.exec(`BEGIN; ${DATA_MIGRATIONS[i].sql}; PRAGMA user_version = ${i + 1}; COMMIT;`);
+  }
+}
+
 async function initDatabase() {
   db = await open({
-    filename: './schedule.db',
+    filename: DATABASE_FILE,
     driver: sqlite3.Database
   });
+  const appliedDataMigrations = await countAppliedDataMigrations();
 
   await db.exec(`
     CREATE TABLE IF NOT EXISTS events (
@@ -87,73 +174,326 @@ async function initDatabase() {
       created_at TEXT NOT NULL
     );
 
+    CREATE TABLE IF NOT EXISTS reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id TEXT NOT NULL,
+      event_key TEXT NOT NULL,
+      event_id INTEGER,
+      recurrence_id INTEGER,
+      offset_minutes INTEGER NOT NULL,
+      fire_at TEXT NOT NULL,
+      event_start_at TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      last_error TEXT,
+      sent_at TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS holidays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE(chat_id, date)
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id INTEGER NOT NULL,
+      op_id TEXT NOT NULL,
+      label TEXT,
+      table_name TEXT NOT NULL,
+      row_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      before_json TEXT,
+      after_json TEXT,
+      created_at TEXT NOT NULL,
+      undone_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS rsvps (
+      chat_id INTEGER NOT NULL,
+      item_kind TEXT NOT NULL,
+      item_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      user_name TEXT,
+      status TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (chat_id, item_kind, item_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS bot_users (
+      user_id INTEGER PRIMARY KEY,
+      username TEXT,
+      display_name TEXT,
+      share_availability INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS group_members (
+      chat_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      PRIMARY KEY (chat_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS legacy_imports (
+      chat_id INTEGER NOT NULL,
+      legacy_id TEXT NOT NULL,
+      event_id INTEGER,
+      imported_at TEXT NOT NULL,
+      PRIMARY KEY (chat_id, legacy_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS categories (${CATEGORIES_TABLE_COLUMNS}
+    );
+
     CREATE INDEX IF NOT EXISTS idx_events_chat_date ON events(chat_id, date);
+    CREATE INDEX IF NOT EXISTS idx_bot_users_username ON bot_users(username);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_chat_op ON audit_log(chat_id, op_id);
     CREATE INDEX IF NOT EXISTS idx_events_datetime ON events(date, start_time);
     CREATE INDEX IF NOT EXISTS idx_school_timetable_chat_day ON school_timetable(chat_id, day_of_week);
+    CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(status, fire_at);
+    CREATE INDEX IF NOT EXISTS idx_reminders_event ON reminders(event_key);
   `);
 
   // Add new columns for week restrictions (migration)
   await addColumnIfNotExists('school_timetable', 'weeks_json TEXT');
   await addColumnIfNotExists('settings', 'semester_start_date TEXT');
 
+  // Week layout of the semester (NULL = regular NUS semester). weeks_json used to count calendar weeks
+  // from the semester start, recess included; it now counts teaching weeks, so renumber once (migration)
+  if (await addColumnIfNotExists('settings', 'semester_layout_json TEXT')) {
+    const rows = await db.all('SELECT id, weeks_json FROM school_timetable WHERE weeks_json IS NOT NULL');
+    for (const row of rows) {
+      const weeks = JSON.parse(row.weeks_json)
+        .map(w => (w <= 6 ? w : w === 7 ? null : w - 1))
+        .filter(w => w != null && w <= 13);
+      await db.run('UPDATE school_timetable SET weeks_json = ? WHERE id = ?', weeks.length ? JSON.stringify(weeks) : null, row.id);
+    }
+  }
+
+  // Per-chat timezone and the day the last daily summary went out (migration; see DATA_MIGRATIONS)
+  await addColumnIfNotExists('settings', 'last_summary_date TEXT');
+
+  // Reminder profiles: per-chat default offsets and per-event/series overrides (migration; see DATA_MIGRATIONS)
+  await addColumnIfNotExists('settings', 'reminder_offsets_json TEXT');
+  await addColumnIfNotExists('events', 'reminder_offsets_json TEXT');
+
+  // Reminder actions: snoozed copies point at the reminder they came from (migration)
+  await addColumnIfNotExists('reminders', 'snoozed_from INTEGER');
+
+  // UID of the VEVENT a row was imported from, so re-importing a file updates instead of duplicating (migration)
+  await addColumnIfNotExists('events', 'ics_uid TEXT');
+  await addColumnIfNotExists('recurrences', 'ics_uid TEXT');
+  await db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_events_ics_uid ON events(chat_id, ics_uid);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_recurrences_ics_uid ON recurrences(chat_id, ics_uid);
+  `);
+
+  // Secret per-chat token for the subscribable calendar feed (migration)
+  await addColumnIfNotExists('settings', 'feed_token TEXT');
+  await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_settings_feed_token ON settings(feed_token);');
+
+  // Completion status for tasks/assignments/deadlines: 'open' or 'done' (migration)
+  await addColumnIfNotExists('events', "status TEXT NOT NULL DEFAULT 'open'");
+  // completed_at only ever duplicated status; fold it in and drop it (migration)
+  if ((await db.all('PRAGMA table_info(events)')).some(c => c.name === 'completed_at')) {
+    await db.run(`UPDATE events SET status = 'done' WHERE completed_at IS NOT NULL`);
+    await db.exec('ALTER TABLE events DROP COLUMN completed_at');
+  }
+
+  // Recurring events: first occurrence date + skipped occurrence dates (migration)
+  await addColumnIfNotExists('recurrences', 'start_date TEXT');
+  await addColumnIfNotExists('recurrences', 'exdates_json TEXT');
+  await addColumnIfNotExists('recurrences', 'reminder_offsets_json TEXT');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_recurrences_chat ON recurrences(chat_id);');
+
+  // Group chats: who created each row (for edit/delete rights) and where group reminders go (migration)
+  await addColumnIfNotExists('events', 'created_by INTEGER');
+  await addColumnIfNotExists('recurrences', 'created_by INTEGER');
+  await addColumnIfNotExists('school_timetable', 'created_by INTEGER');
+  await addColumnIfNotExists('settings', 'group_reminders TEXT');
+
+  // Waking hours "HH:MM-HH:MM" that /free searches within (migration)
+  await addColumnIfNotExists('settings', 'waking_hours TEXT');
+
+  // Study planner: effort estimate on assignments, blocks pointing at their assignment, quiet window (migration)
+  await addColumnIfNotExists('events', 'effort_minutes INTEGER');
+  await addColumnIfNotExists('events', 'plan_parent_id INTEGER');
+  await addColumnIfNotExists('settings', 'quiet_hours TEXT');
+
+  // Multi-day events: the day they end, when it isn't the day they start (migration)
+  await addColumnIfNotExists('events', 'end_date TEXT');
+
+  // All-day (date-only) items have their own reminder policy (migration)
+  await addColumnIfNotExists('settings', 'allday_reminders_json TEXT');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_events_plan_parent ON events(plan_parent_id);');
+
+  // Full-text index for /find over event and class titles and locations, kept in sync by triggers (migration).
+  // Inserts clear the rowid first: INSERT OR REPLACE (used by /undo) doesn't fire the delete trigger.
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(task, location, tokenize = 'unicode61 remove_diacritics 2');
+    CREATE VIRTUAL TABLE IF NOT EXISTS school_timetable_fts USING fts5(subject, location, tokenize = 'unicode61 remove_diacritics 2');
+
+    CREATE TRIGGER IF NOT EXISTS events_fts_insert AFTER INSERT ON events BEGIN
+      DELETE FROM events_fts WHERE rowid = new.id;
+      INSERT INTO events_fts (rowid, task, location) VALUES (new.id, new.task, new.location);
+    END;
+    CREATE TRIGGER IF NOT EXISTS events_fts_update AFTER UPDATE OF task, location ON events BEGIN
+      DELETE FROM events_fts WHERE rowid = old.id;
+      INSERT INTO events_fts (rowid, task, location) VALUES (new.id, new.task, new.location);
+    END;
+    CREATE TRIGGER IF NOT EXISTS events_fts_delete AFTER DELETE ON events BEGIN
+      DELETE FROM events_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS school_timetable_fts_insert AFTER INSERT ON school_timetable BEGIN
+      DELETE FROM school_timetable_fts WHERE rowid = new.id;
+      INSERT INTO school_timetable_fts (rowid, subject, location) VALUES (new.id, new.subject, new.location);
+    END;
+    CREATE TRIGGER IF NOT EXISTS school_timetable_fts_update AFTER UPDATE OF subject, location ON school_timetable BEGIN
+      DELETE FROM school_timetable_fts WHERE rowid = old.id;
+      INSERT INTO school_timetable_fts (rowid, subject, location) VALUES (new.id, new.subject, new.location);
+    END;
+    CREATE TRIGGER IF NOT EXISTS school_timetable_fts_delete AFTER DELETE ON school_timetable BEGIN
+      DELETE FROM school_timetable_fts WHERE rowid = old.id;
+    END;
+  `);
+  // Rows written before the index existed get indexed once
+  for (const [table, columns] of [['events', 'task, location'], ['school_timetable', 'subject, location']]) {
+    const { stale } = await db.get(`SELECT (SELECT COUNT(*) FROM ${table}) != (SELECT COUNT(*) FROM ${table}_fts) AS stale`);
+    if (!stale) continue;
+    await db.run(`DELETE FROM ${table}_fts`);
+    await db.run(`INSERT INTO ${table}_fts (rowid, ${columns}) SELECT id, ${columns} FROM ${table}`);
+  }
+
+  // categories.chat_id started out TEXT; rebuilt as INTEGER like audit_log, rsvps and group_members (migration)
+  if ((await db.all('PRAGMA table_info(categories)')).some(c => c.name === 'chat_id' && c.type === 'TEXT')) {
+    await db.exec(`
+      BEGIN;
+      CREATE TABLE categories_new (${CATEGORIES_TABLE_COLUMNS}
+      );
+      INSERT INTO categories_new (id, chat_id, key, name, icon, kind, keywords_json, created_at)
+        SELECT id, CAST(chat_id AS INTEGER), key, name, icon, kind, keywords_json, created_at FROM categories;
+      DROP TABLE categories;
+      ALTER TABLE categories_new RENAME TO categories;
+      COMMIT;
+    `);
+  }
+
+  await runDataMigrations(appliedDataMigrations);
   console.log('✅ Database initialized');
 }
 
+// Returns true when the column was added by this call
 async function addColumnIfNotExists(table, columnDef) {
   try {
     await db.exec(`ALTER TABLE ${table} ADD COLUMN ${columnDef};`);
+    return true;
   } catch (e) {
     // ignore "duplicate column name"
     if (!String(e.message || '').toLowerCase().includes('duplicate column name')) throw e;
+    return false;
   }
 }
 
+// Writes one settings column, creating the row if needed. timezone stays NULL ("not chosen")
+// instead of picking up the column's legacy DEFAULT 'UTC'.
+async function upsertSetting(chatId, column, value) {
+  const insertCols = column === 'timezone' ? 'chat_id, timezone' : `chat_id, timezone, ${column}`;
+  const insertVals = column === 'timezone' ? '?, ?' : '?, NULL, ?';
+  await db.run(
+    `INSERT INTO settings (${insertCols})
+     VALUES (${insertVals})
+     ON CONFLICT(chat_id) DO UPDATE SET ${column} = excluded.${column}`,
+    chatId,
+    value
+  );
+}
+
+async function getChatTimezone(chatId) {
+  const row = await db.get('SELECT timezone FROM settings WHERE chat_id = ?', chatId);
+  return row?.timezone || DEFAULT_TIMEZONE;
+}
+
 // =====================================================
 // DRAFT SESSION STATE (in-memory)
 // =====================================================
 const DRAFT_TTL_MS = 90 * 1000; // 90 seconds
 const CONFIRM_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
-// chatId -> { drafts: [...], updatedAt, editingEventId, editingField, addingClass, importingTimetable, pendingTimetableImport }
+// chatId -> { drafts: [...], updatedAt, editingEventId, editingSeriesId, editingOccurrence, editingField, addingClass, importingTimetable,
+//            pendingIcsUpload, pendingTimetableImport, pendingEventsImport, pendingBulk, editingBulkIndex,
+//            pendingMeet, awaitingRestore, pendingRestore, pendingFind }
 const sessions = new Map();
 
-// Scheduled reminder jobs
-const reminderJobs = new Map();
-
 function nowMs() {
   return Date.now();
 }
 
-function getSession(chatId) {
-  if (!sessions.has(chatId)) {
-    sessions.set(chatId, {
+// In a group each member has their own session, so two people's messages never merge into one draft
+function getSession(chatId, userId) {
+  const key = sessionKey(chatId, userId);
+  if (!sessions.has(key)) {
+    sessions.set(key, {
       drafts: [],
       updatedAt: nowMs(),
       editingEventId: null,
+      editingSeriesId: null,
+      // { recId, date } of a series occurrence being edited; it becomes an event when the first change is saved
+      editingOccurrence: null,
       editingField: null,
       addingClass: false,
       importingTimetable: false,
-      pendingTimetableImport: null
+      pendingIcsUpload: null,
+      pendingTimetableImport: null,
+      pendingEventsImport: null,
+      pendingBulk: null,
+      editingBulkIndex: null,
+      pendingMeet: null,
+      awaitingRestore: false,
+      pendingRestore: null,
+      pendingFind: null
     });
   }
-  return sessions.get(chatId);
+  return sessions.get(key);
 }
 
 function pruneExpiredDrafts() {
   const t = nowMs();
-  for (const [chatId, session] of sessions.entries()) {
+  for (const [key, session] of sessions.entries()) {
     session.drafts = session.drafts.filter(d => {
       const ttl = d.state === 'awaiting_confirm' ? CONFIRM_TTL_MS : DRAFT_TTL_MS;
       return (t - d.updatedAt) <= ttl;
     });
-    if (session.drafts.length === 0 && (t - session.updatedAt) > DRAFT_TTL_MS) {
+    // A bulk review lives as long as a draft awaiting confirmation, counted from the last tap
+    if (session.pendingBulk && (t - session.pendingBulk.updatedAt) > CONFIRM_TTL_MS) {
+      session.pendingBulk = null;
+      session.editingBulkIndex = null;
+    }
+    if (session.pendingMeet && (t - session.pendingMeet.updatedAt) > CONFIRM_TTL_MS) {
+      session.pendingMeet = null;
+    }
+    if (session.pendingRestore && (t - session.pendingRestore.createdAt) > CONFIRM_TTL_MS) {
+      session.pendingRestore = null;
+    }
+    // Search results can be paged for as long as a confirmation, counted from the last page turn
+    if (session.pendingFind && (t - session.pendingFind.updatedAt) > CONFIRM_TTL_MS) {
+      session.pendingFind = null;
+    }
+    if (session.drafts.length === 0 && !session.pendingBulk && !session.pendingMeet && !session.pendingRestore && !session.pendingFind &&
+        (t - session.updatedAt) > DRAFT_TTL_MS) {
       // keep editing fields too (but generally safe to delete)
-      sessions.delete(chatId);
+      sessions.delete(key);
     }
   }
 }
 
-setInterval(pruneExpiredDrafts, 30 * 1000);
+setInterval(pruneExpiredDrafts, 30 * 1000).unref();
 
 // =====================================================
 // HELPERS
@@ -162,16 +502,98 @@ function isoDate(d) {
   return d.toISOString().split('T')[0];
 }
 
-function formatDate(dateStr) {
-  const date = new Date(dateStr);
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
+// Pure calendar-date arithmetic on "YYYY-MM-DD" strings (UTC-based so DST never shifts the day)
+function addDaysIso(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function dayOfWeekIso(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay(); // 0 Sun..6 Sat
+}
+
+function daysBetweenIso(fromStr, toStr) {
+  return Math.round((new Date(`${toStr}T00:00:00Z`) - new Date(`${fromStr}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+}
+
+function mondayOfWeekIso(dateStr) {
+  return addDaysIso(dateStr, -((dayOfWeekIso(dateStr) + 6) % 7));
+}
+
+// =====================================================
+// TIMEZONES (IANA names via Intl, no extra dependency)
+// =====================================================
+function canonicalTimezone(tz) {
+  const name = String(tz || '').trim();
+  try {
+    const resolved = new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    // ICU may resolve to a legacy alias (Asia/Kolkata -> Asia/Calcutta); keep the user's name unless only case differs
+    return resolved.toLowerCase() === name.toLowerCase() ? resolved : name;
+  } catch {
+    return null;
+  }
+}
+
+const zonedFormatters = new Map();
+
+// Wall-clock parts of an instant in the given zone
+function zonedParts(date, tz) {
+  if (!zonedFormatters.has(tz)) {
+    zonedFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  for (const p of zonedFormatters.get(tz).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+function isoDateInTz(date, tz) {
+  return zonedParts(date, tz).date;
+}
+
+function todayIso(tz) {
+  return isoDateInTz(new Date(), tz);
+}
+
+function tzOffsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.parse(`${p.date}T${p.time}:${pad2(p.second)}Z`);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "YYYY-MM-DD" + "HH:MM" wall-clock time in tz -> Date instant
+function zonedDateTimeToUtc(dateStr, timeStr, tz) {
+  const guess = Date.parse(`${dateStr}T${timeStr || '00:00'}:00Z`);
+  let ts = guess - tzOffsetMs(new Date(guess), tz);
+  // Second pass settles DST transitions between the guess and the result
+  ts = guess - tzOffsetMs(new Date(ts), tz);
+  return new Date(ts);
+}
+
+function formatDate(dateStr, tz = DEFAULT_TIMEZONE) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  const today = todayIso(tz);
 
-  if (dateStr === isoDate(today)) return 'Today';
-  if (dateStr === isoDate(tomorrow)) return 'Tomorrow';
+  if (dateStr === today) return 'Today';
+  if (dateStr === addDaysIso(today, 1)) return 'Tomorrow';
 
-  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
 }
 
 function normalizeTime(t) {
@@ -214,19 +636,248 @@ function escapeMarkdown(text) {
   return String(text).replace(/([_*[\]`])/g, '\\$1');
 }
 
-function getEventIcon(type) {
-  const icons = {
-    assignment: '📝',
-    deadline: '⏰',
-    task: '✅',
-    sports: '⚽',
-    meeting: '💼',
-    class: '📚',
-    social: '🎉',
-    admin: '📋',
-    other: '📌'
+// =====================================================
+// CATEGORIES (event types)
+// =====================================================
+// events.type and recurrences.type hold a category key. The built-in categories exist in every chat;
+// /categories adds a chat's own, or overrides a built-in's name, icon and keywords (same key).
+// kind says how items behave: 'deadline' (due; listed with assignments), 'task' (a to-do) or 'event' (attended).
+// Deadlines and tasks can be ticked off and go overdue.
+const CATEGORY_KINDS = ['deadline', 'task', 'event'];
+const BUILTIN_CATEGORIES = [
+  {
+    key: 'assignment', name: 'Assignment', icon: '📝', kind: 'deadline', color: '#e8590c',
+    pattern: /(quiz|assignment|homework|\bhw\b|lab|submission|submit|project|milestone|report|presentation|worksheet|problem set|write[- ]?up|exam|midterm|test)/
+  },
+  { key: 'deadline', name: 'Deadline', icon: '⏰', kind: 'deadline', color: '#e03131', pattern: /(due|deadline|by\s+\d|by\s+\d{1,2}\s*(am|pm)|eod|23:59|2359)/ },
+  { key: 'task', name: 'Task', icon: '✅', kind: 'task', color: '#2f9e44', pattern: null },
+  {
+    key: 'sports', name: 'Sports', icon: '⚽', kind: 'event', color: '#1098ad',
+    pattern: /(match|game|vs\b|versus|semi final|semi-finals?|semis?|finals?|tournament|league|cup|floorball|football|soccer|basketball|badminton|tennis|run|race|marathon|ihg)/
+  },
+  { key: 'meeting', name: 'Meeting', icon: '💼', kind: 'event', color: '#7048e8', pattern: null },
+  { key: 'class', name: 'Class', icon: '📚', kind: 'event', color: '#1c7ed6', pattern: null },
+  { key: 'social', name: 'Social', icon: '🎉', kind: 'event', color: '#d6336c', pattern: null },
+  { key: 'admin', name: 'Admin', icon: '📋', kind: 'event', color: '#5c7cfa', pattern: null },
+  { key: 'other', name: 'Other', icon: '📌', kind: 'event', color: '#868e96', pattern: null }
+];
+// Tried after sports, so "practice match" stays sports
+const TASK_KEYWORD_PATTERN = /(todo|to-do|task|remember to|remind me|revision|study for|practice)/;
+const MAX_CUSTOM_CATEGORIES = 20;
+// Block colours on /weekimg for a chat's own categories, picked by key so they stay put
+const CUSTOM_CATEGORY_COLORS = ['#0ca678', '#f08c00', '#ae3ec9', '#3bc9db', '#a61e4d', '#5f3dc4', '#74b816', '#c2255c'];
+
+// chatId -> rows of the categories table; loaded at startup and kept in step by the writers below,
+// so icons and kinds can be looked up without a query wherever an item is rendered
+const chatCategoryRows = new Map();
+// chatId -> the merged list from getChatCategories (keyword patterns compiled once)
+const chatCategoryCache = new Map();
+
+async function loadChatCategories() {
+  chatCategoryRows.clear();
+  chatCategoryCache.clear();
+  for (const row of await db.all('SELECT * FROM categories ORDER BY id')) {
+    const key = String(row.chat_id);
+    if (!chatCategoryRows.has(key)) chatCategoryRows.set(key, []);
+    chatCategoryRows.get(key).push(row);
+  }
+}
+
+async function reloadChatCategories(chatId) {
+  chatCategoryRows.set(String(chatId), await db.all('SELECT * FROM categories WHERE chat_id = ? ORDER BY id', chatId));
+  chatCategoryCache.delete(String(chatId));
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A chat's row -> the same shape as a built-in; its keywords match as whole words
+function categoryFromRow(row, builtin = null) {
+  const keywords = row.keywords_json ? JSON.parse(row.keywords_json) : [];
+  return {
+    key: row.key,
+    name: row.name,
+    icon: row.icon,
+    kind: row.kind,
+    keywords,
+    keywordPattern: keywords.length
+      ? new RegExp(`(^|[^\\p{L}\\p{N}])(${keywords.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'u')
+      : null,
+    pattern: builtin?.pattern || null,
+    builtin: !!builtin,
+    custom: true
   };
-  return icons[type] || '📌';
+}
+
+// Built-ins (with any overrides) in their usual order, then the chat's own
+function getChatCategories(chatId) {
+  const cacheKey = String(chatId);
+  if (chatCategoryCache.has(cacheKey)) return chatCategoryCache.get(cacheKey);
+
+  const rows = chatId == null ? [] : chatCategoryRows.get(cacheKey) || [];
+  const byKey = new Map(rows.map(r => [r.key, r]));
+  const categories = [
+    ...BUILTIN_CATEGORIES.map(b => (byKey.has(b.key) ? categoryFromRow(byKey.get(b.key), b) : { ...b, keywords: [], builtin: true, custom: false })),
+    ...rows.filter(r => !BUILTIN_CATEGORIES.some(b => b.key === r.key)).map(r => categoryFromRow(r))
+  ];
+  chatCategoryCache.set(cacheKey, categories);
+  return categories;
+}
+
+function findCategory(chatId, key) {
+  return key ? getChatCategories(chatId).find(c => c.key === key) || null : null;
+}
+
+// By key or (case-insensitively) by name, for what users type
+function findCategoryByName(chatId, text) {
+  const t = String(text || '').trim().toLowerCase();
+  if (!t) return null;
+  return getChatCategories(chatId).find(c => c.key === t || c.name.toLowerCase() === t) || null;
+}
+
+function getEventIcon(type, chatId = null) {
+  return findCategory(chatId, type)?.icon || '📌';
+}
+
+function formatCategoryLabel(type, chatId = null) {
+  const category = findCategory(chatId, type);
+  return category ? category.name : type;
+}
+
+function categoryColor(type, chatId = null) {
+  const builtin = BUILTIN_CATEGORIES.find(b => b.key === (type || 'other'));
+  if (builtin) return builtin.color;
+  let hash = 0;
+  for (const ch of String(type)) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return findCategory(chatId, type) ? CUSTOM_CATEGORY_COLORS[hash % CUSTOM_CATEGORY_COLORS.length] : BUILTIN_CATEGORIES.at(-1).color;
+}
+
+// Can be ticked off (and go overdue) rather than attended
+function isTaskType(type, chatId = null) {
+  const kind = findCategory(chatId, type)?.kind;
+  return kind === 'deadline' || kind === 'task';
+}
+
+function isDeadlineType(type, chatId = null) {
+  return findCategory(chatId, type)?.kind === 'deadline';
+}
+
+function getTaskTypes(chatId) {
+  return getChatCategories(chatId).filter(c => c.kind !== 'event').map(c => c.key);
+}
+
+// "Hall Events" -> "hall_events"
+function categoryKeyFor(name) {
+  return String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '').slice(0, 24);
+}
+
+// "🎸 Band event: band, jam, gig" -> { icon, name, kind, keywords } or { error }.
+// kind and keywords are null when not given (keep the current ones, or event / none for a new category).
+function parseCategorySpec(text) {
+  const [head, keywordText] = String(text || '').split(/:(.*)/s);
+  const words = head.trim().split(/\s+/).filter(Boolean);
+  const icon = words[0] && /\p{Extended_Pictographic}/u.test(words[0]) ? words.shift() : null;
+  if (!icon) return { error: 'Start with an emoji, e.g. /categories add 🎸 Band event: band, jam' };
+
+  const kind = CATEGORY_KINDS.includes(words[words.length - 1]?.toLowerCase()) ? words.pop().toLowerCase() : null;
+  const name = words.join(' ').trim();
+  if (!name || name.length > 30) return { error: 'Give the category a name of up to 30 characters.' };
+  if (!categoryKeyFor(name)) return { error: 'The name needs at least one letter or digit.' };
+
+  return { icon, name, kind, keywords: keywordText === undefined ? null : parseCategoryKeywords(keywordText) };
+}
+
+// "band, jam" -> ["band", "jam"]; "none" clears them
+function parseCategoryKeywords(text) {
+  if (/^\s*(none|off|-)\s*$/i.test(text)) return [];
+  return [...new Set(String(text || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+}
+
+// Adds or changes a category (a built-in's name stays; its icon, kind and keywords can change).
+// Returns the saved category or { error }.
+async function saveCategory(chatId, spec, op = null) {
+  const builtin = BUILTIN_CATEGORIES.find(b => b.key === categoryKeyFor(spec.name) || b.name.toLowerCase() === spec.name.toLowerCase());
+  const key = builtin ? builtin.key : categoryKeyFor(spec.name);
+  const current = findCategory(chatId, key);
+  const kind = spec.kind || current?.kind || 'event';
+  const keywords = spec.keywords ?? current?.keywords ?? [];
+  const rows = chatCategoryRows.get(String(chatId)) || [];
+  if (!builtin && !rows.some(r => r.key === key) && rows.filter(r => !BUILTIN_CATEGORIES.some(b => b.key === r.key)).length >= MAX_CUSTOM_CATEGORIES) {
+    return { error: `You already have ${MAX_CUSTOM_CATEGORIES} categories of your own. Remove one first.` };
+  }
+
+  const before = await db.get('SELECT * FROM categories WHERE chat_id = ? AND key = ?', chatId, key);
+  await db.run(
+    `INSERT INTO categories (chat_id, key, name, icon, kind, keywords_json, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(chat_id, key) DO UPDATE SET name = excluded.name, icon = excluded.icon, kind = excluded.kind,
+       keywords_json = excluded.keywords_json`,
+    chatId,
+    key,
+    builtin ? builtin.name : spec.name,
+    spec.icon,
+    kind,
+    keywords.length ? JSON.stringify(keywords) : null,
+    new Date().toISOString()
+  );
+  const after = await db.get('SELECT * FROM categories WHERE chat_id = ? AND key = ?', chatId, key);
+  op = op || newAuditOp(chatId, `Saved category "${after.name}"`);
+  await recordChange(op, 'categories', before ? 'update' : 'create', before, after);
+  await reloadChatCategories(chatId);
+  return findCategory(chatId, key);
+}
+
+// Removing an own category moves its items to "other"; removing an override restores the built-in.
+// One audit op covers the row and the moved items, so /undo puts both back. Returns how many items were moved.
+async function removeCategory(chatId, key, op = null) {
+  const before = await db.get('SELECT * FROM categories WHERE chat_id = ? AND key = ?', chatId, key);
+  if (!before) return 0;
+  const ownsOp = !op;
+  op = op || newAuditOp(chatId, `Removed category "${before.name}"`);
+  await db.run('DELETE FROM categories WHERE id = ?', before.id);
+  await recordChange(op, 'categories', 'delete', before, null);
+  await reloadChatCategories(chatId);
+  if (BUILTIN_CATEGORIES.some(b => b.key === key)) return 0;
+
+  const events = await db.all('SELECT id FROM events WHERE chat_id = ? AND type = ?', chatId, key);
+  for (const ev of events) await updateEvent(chatId, ev.id, { type: 'other' }, op);
+  const series = await db.all('SELECT id FROM recurrences WHERE chat_id = ? AND type = ?', chatId, key);
+  for (const rec of series) await updateRecurrence(chatId, rec.id, { type: 'other' }, op);
+  // Former tasks of this category count as busy time now
+  if (ownsOp && events.length + series.length > 0) await rebalanceClashingPlans(chatId, op);
+  return events.length + series.length;
+}
+
+function formatCategoryList(chatId) {
+  const kindLabels = { deadline: 'due', task: 'to-do', event: 'event' };
+  return getChatCategories(chatId)
+    .map(c => {
+      const keywords = c.keywords.length ? ` — ${c.keywords.join(', ')}` : '';
+      const mark = c.custom ? (c.builtin ? ' (edited)' : ' ★') : '';
+      return `${c.icon} ${escapeMarkdown(c.name)}${mark} · ${kindLabels[c.kind]}${escapeMarkdown(keywords)}`;
+    })
+    .join('\n');
+}
+
+function buildCategoriesKeyboard(chatId) {
+  const own = getChatCategories(chatId).filter(c => c.custom);
+  const rows = [];
+  for (let i = 0; i < own.length; i += 2) {
+    rows.push(own.slice(i, i + 2).map(c => ({
+      text: `${c.builtin ? '↩️' : '🗑️'} ${c.icon} ${c.name}`.substring(0, 40),
+      callback_data: `cat_remove:${c.key}`
+    })));
+  }
+  rows.push([{ text: '⬅️ Back to Menu', callback_data: 'menu:home' }]);
+  return { inline_keyboard: rows };
+}
+
+// Categories as the parser prompt lists them: "key" (Name, kind): keywords
+function describeCategoriesForPrompt(chatId) {
+  return getChatCategories(chatId)
+    .map(c => `- "${c.key}" (${c.name}, ${c.kind})${c.keywords.length ? `: ${c.keywords.join(', ')}` : ''}`)
+    .join('\n');
 }
 
 function timeToMinutes(time) {
@@ -234,103 +885,586 @@ function timeToMinutes(time) {
   return h * 60 + m;
 }
 
-// Heuristic fallback for type classification based on raw text
-function heuristicTypeFallback(text, currentType) {
+// Multi-day and overnight items: end_date is the day an event ends (null = the day it starts), and an
+// end time before the start time runs past midnight ("21:00-00:00", "22:00-02:00").
+function eventEndDate(item) {
+  if (item.end_date && item.end_date > item.date) return item.end_date;
+  if (item.start_time && item.end_time && item.end_time < item.start_time) return addDaysIso(item.date, 1);
+  return item.date;
+}
+
+// The last day an item actually covers: ending at 00:00 doesn't touch the next day
+function eventLastDay(item) {
+  const end = eventEndDate(item);
+  return item.start_time && item.end_time === '00:00' && end > item.date ? addDaysIso(end, -1) : end;
+}
+
+// [start, end) in minutes from 00:00 of baseDate; untimed items cover their whole days
+function itemSpanMinutes(item, baseDate) {
+  const dayStart = daysBetweenIso(baseDate, item.date) * 24 * 60;
+  const endDay = daysBetweenIso(baseDate, eventEndDate(item)) * 24 * 60;
+  if (!item.start_time) return [dayStart, endDay + 24 * 60];
+  const start = dayStart + timeToMinutes(item.start_time);
+  if (item.end_time) return [start, endDay + timeToMinutes(item.end_time)];
+  return [start, endDay > dayStart ? endDay + 24 * 60 : start + 60];
+}
+
+// The part of an item that falls on one day, as [start, end) minutes of that day (null if it doesn't)
+function itemMinutesOnDate(item, date) {
+  const [start, end] = itemSpanMinutes(item, date);
+  if (end <= 0 || start >= 24 * 60) return null;
+  return [Math.max(start, 0), Math.min(end, 24 * 60)];
+}
+
+// One copy per day a multi-day item touches within [startDate, endDate]; first_date keeps where it began
+function splitAcrossDays(item, startDate, endDate) {
+  const last = eventLastDay(item);
+  if (last === item.date) return item.date >= startDate && item.date <= endDate ? [item] : [];
+  const copies = [];
+  const from = item.date > startDate ? item.date : startDate;
+  const to = last < endDate ? last : endDate;
+  for (let d = from; d <= to; d = addDaysIso(d, 1)) copies.push(d === item.date ? item : { ...item, date: d, first_date: item.date });
+  return copies;
+}
+
+// "Mon, Jan 5" or "Mon, Jan 5 → Wed, Jan 7" for items that run over several days
+function formatDateSpan(item, tz) {
+  const first = item.first_date || item.date;
+  const last = eventLastDay({ ...item, date: first });
+  const label = formatDate(first, tz);
+  return last > first ? `${label} → ${formatDate(last, tz)}` : label;
+}
+
+// Time label of an item as listed on item.date (a copy from splitAcrossDays says which part of the span it is)
+function formatSpanTime(item, tz) {
+  const plain = item.start_time ? (item.end_time ? `${item.start_time}-${item.end_time}` : item.start_time) : null;
+  const first = item.first_date || item.date;
+  const original = { ...item, date: first };
+  const last = eventLastDay(original);
+  if (last === first) return plain;
+
+  const endDate = eventEndDate(original);
+  const endLabel = item.end_time ? `${formatDate(endDate, tz)} ${item.end_time}` : formatDate(last, tz);
+  if (item.date === first) return item.start_time ? `${item.start_time} → ${endLabel}` : `until ${endLabel}`;
+  const day = `day ${daysBetweenIso(first, item.date) + 1}/${daysBetweenIso(first, last) + 1}`;
+  if (item.date === last && item.end_time) return `until ${item.end_time} (${day})`;
+  return `all day (${day})`;
+}
+
+// Heuristic fallback for type classification based on raw text: the chat's own keywords first,
+// then the built-in rules (graded work, deadlines, sports, generic tasks)
+function heuristicTypeFallback(text, currentType, chatId = null) {
   if (currentType) return currentType;
   const t = String(text || '').toLowerCase();
+  const categories = getChatCategories(chatId);
 
-  // Graded work / assignments
-  if (/(quiz|assignment|homework|\\bhw\\b|lab|submission|submit|project|milestone|report|presentation|worksheet|problem set|write[- ]?up|exam|midterm|test)/.test(t)) {
-    return 'assignment';
-  }
-  // Deadlines (non-assessment)
-  if (/(due|deadline|by\\s+\\d|by\\s+\\d{1,2}\\s*(am|pm)|eod|23:59|2359)/.test(t)) {
-    return 'deadline';
+  for (const c of categories) {
+    if (c.keywordPattern?.test(t)) return c.key;
   }
-  // Sports / events
-  if (/(match|game|vs\\b|versus|semi final|semi-finals?|semis?|finals?|tournament|league|cup|floorball|football|soccer|basketball|badminton|tennis|run|race|marathon|ihg)/.test(t)) {
-    return 'sports';
+  for (const c of categories) {
+    if (c.pattern?.test(t)) return c.key;
   }
-  // Generic tasks
-  if (/(todo|to-do|task|remember to|remind me|revision|study for|practice)/.test(t)) {
-    return 'task';
-  }
-  return currentType || null;
+  if (TASK_KEYWORD_PATTERN.test(t)) return 'task';
+  return null;
 }
 
 // =====================================================
-// DATABASE OPERATIONS
+// GROUP CHATS (shared calendar, RSVP, permissions)
 // =====================================================
-async function addEventToDB(chatId, event) {
-  const result = await db.run(
-    `INSERT INTO events (chat_id, task, date, start_time, end_time, location, type, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    chatId,
-    event.task,
-    event.date,
-    event.start_time || null,
-    event.end_time || null,
-    event.location || null,
-    event.type || null,
-    new Date().toISOString()
-  );
+// A group's events belong to the group chat_id like any private calendar. Drafts and edit prompts
+// are kept per member, RSVPs per user, and changing an existing row needs its creator or an admin.
+const RSVP_OPTIONS = [
+  { status: 'going', label: '✅ Going' },
+  { status: 'maybe', label: '🤔 Maybe' },
+  { status: 'no', label: '❌ No' }
+];
+
+// Telegram group and supergroup ids are negative; a private chat's id is the user's id
+function isGroupChat(chatId) {
+  return Number(chatId) < 0;
+}
 
-  const newEvent = {
-    id: result.lastID,
-    chat_id: chatId,
-    task: event.task,
-    date: event.date,
-    start_time: event.start_time || null,
-    end_time: event.end_time || null,
-    location: event.location || null,
-    type: event.type || null
-  };
+function sessionKey(chatId, userId) {
+  return isGroupChat(chatId) && userId ? `${chatId}:${userId}` : chatId;
+}
 
-  await scheduleReminder(chatId, newEvent);
-  return newEvent;
+async function isGroupAdmin(chatId, userId) {
+  try {
+    const member = await bot.getChatMember(chatId, userId);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (error) {
+    console.error(`Failed to look up member ${userId} of ${chatId}:`, error.message || error);
+    return false;
+  }
 }
 
-async function getEventsInRange(chatId, startDate, endDate) {
-  return db.all(
-    `SELECT * FROM events 
-     WHERE chat_id = ? AND date >= ? AND date <= ?
-     ORDER BY date, start_time`,
+// Rows from before group support have no creator, so only admins may change those
+async function canModifyItem(chatId, userId, table, id) {
+  if (!isGroupChat(chatId)) return true;
+  const row = await db.get(`SELECT created_by FROM ${table} WHERE id = ? AND chat_id = ?`, id, chatId);
+  if (row?.created_by != null && Number(row.created_by) === Number(userId)) return true;
+  return isGroupAdmin(chatId, userId);
+}
+
+// For chat-wide commands (/clear, /undo, ...): replies and returns false for non-admins in a group
+async function requireGroupAdmin(msg) {
+  if (!isGroupChat(msg.chat.id) || await isGroupAdmin(msg.chat.id, msg.from?.id)) return true;
+  await bot.sendMessage(msg.chat.id, '🔒 Only group admins can do that here.');
+  return false;
+}
+
+// Callbacks that change an existing event or series, mapped to the row they touch
+function guardedCallbackTarget(data) {
+  const parts = data.split(':');
+  switch (parts[0]) {
+    case 'edit_select':
+    case 'delete_confirm':
+    case 'delete_yes':
+    case 'task_done':
+    case 'task_undo':
+      return { table: 'events', id: Number(parts[1]) };
+    case 'edit_change':
+      return { table: 'events', id: Number(parts[2]) };
+    case 'occ_edit':
+    case 'occ_delete':
+    case 'series_edit':
+    case 'series_delete':
+    case 'series_delete_yes':
+      return { table: 'recurrences', id: Number(parts[1]) };
+    case 'series_change':
+    case 'occ_change':
+      return { table: 'recurrences', id: Number(parts[2]) };
+    default:
+      return null;
+  }
+}
+
+function displayName(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || String(user.id);
+}
+
+// RSVPs are per event, or per series for recurring events ('e' | 'r')
+function rsvpTargetOf(item) {
+  return item.source === 'recurrence' ? { kind: 'r', id: item.recurrence_id } : { kind: 'e', id: item.id };
+}
+
+async function setRsvp(chatId, kind, itemId, user, status) {
+  await db.run(
+    `INSERT INTO rsvps (chat_id, item_kind, item_id, user_id, user_name, status, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(chat_id, item_kind, item_id, user_id)
+     DO UPDATE SET user_name = excluded.user_name, status = excluded.status, updated_at = excluded.updated_at`,
     chatId,
-    startDate,
-    endDate
+    kind,
+    itemId,
+    user.id,
+    displayName(user),
+    status,
+    new Date().toISOString()
   );
 }
 
-async function getAllUpcomingEvents(chatId) {
-  const today = isoDate(new Date());
+async function getRsvps(chatId, kind, itemId) {
   return db.all(
-    `SELECT * FROM events 
-     WHERE chat_id = ? AND date >= ?
-     ORDER BY date, start_time`,
+    'SELECT * FROM rsvps WHERE chat_id = ? AND item_kind = ? AND item_id = ? ORDER BY updated_at',
     chatId,
-    today
+    kind,
+    itemId
   );
 }
 
-async function deleteEvent(chatId, eventId) {
-  await db.run('DELETE FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
-  cancelReminder(eventId);
+function buildRsvpKeyboard(kind, itemId) {
+  return {
+    inline_keyboard: [RSVP_OPTIONS.map(o => ({ text: o.label, callback_data: `rsvp:${kind}:${itemId}:${o.status}` }))]
+  };
 }
 
-async function updateEvent(chatId, eventId, updates) {
-  const sets = [];
-  const values = [];
+async function formatRsvpCard(chatId, kind, itemId, tz) {
+  const row = await db.get(
+    `SELECT * FROM ${kind === 'r' ? 'recurrences' : 'events'} WHERE id = ? AND chat_id = ?`,
+    itemId,
+    chatId
+  );
+  if (!row) return null;
+
+  const when = kind === 'r'
+    ? `🔁 ${describeRecurrence(JSON.parse(row.rule_json))}`
+    : `📅 ${formatDateSpan(row, tz)}`;
+  const time = row.start_time ? ` ⏰ ${row.end_time ? `${row.start_time}-${row.end_time}` : row.start_time}` : '';
+  let out = `🙋 *${escapeMarkdown(row.task)}*\n${escapeMarkdown(when + time)}\n`;
+  if (row.location) out += `📍 ${escapeMarkdown(row.location)}\n`;
+
+  const rsvps = await getRsvps(chatId, kind, itemId);
+  for (const option of RSVP_OPTIONS) {
+    const names = rsvps.filter(r => r.status === option.status).map(r => escapeMarkdown(r.user_name));
+    out += `\n${option.label} (${names.length})${names.length ? `: ${names.join(', ')}` : ''}`;
+  }
+  return out;
+}
 
-  if (updates.task !== undefined) {
-    sets.push('task = ?');
-    values.push(updates.task);
+// Posted after an event is saved in a group; tasks and deadlines have nobody to RSVP
+async function sendRsvpCard(chatId, saved, tz) {
+  if (!isGroupChat(chatId) || isTaskType(saved.type, chatId)) return;
+  const { kind, id } = rsvpTargetOf(saved);
+  const text = await formatRsvpCard(chatId, kind, id, tz);
+  if (!text) return;
+  await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: buildRsvpKeyboard(kind, id) });
+}
+
+// With /groupreminders dm, a group reminder goes privately to everyone who said Going.
+// Returns how many DMs went out; 0 means the caller should post in the group instead.
+async function deliverReminderByDm(reminder, text) {
+  if (!isGroupChat(reminder.chat_id)) return 0;
+  const setting = await db.get('SELECT group_reminders FROM settings WHERE chat_id = ?', reminder.chat_id);
+  if (setting?.group_reminders !== 'dm') return 0;
+
+  let attendees = [];
+  if (reminder.recurrence_id) {
+    attendees = await getRsvps(reminder.chat_id, 'r', reminder.recurrence_id);
+  } else if (reminder.event_id) {
+    attendees = await getRsvps(reminder.chat_id, 'e', reminder.event_id);
+    // A date split off a series keeps the series' attendees until someone RSVPs to it directly
+    const event = await db.get('SELECT recurrence_id FROM events WHERE id = ?', reminder.event_id);
+    if (attendees.length === 0 && event?.recurrence_id) {
+      attendees = await getRsvps(reminder.chat_id, 'r', event.recurrence_id);
+    }
   }
-  if (updates.date !== undefined) {
-    sets.push('date = ?');
-    values.push(updates.date);
+  attendees = attendees.filter(a => a.status === 'going');
+  if (attendees.length === 0) return 0;
+
+  let title = 'your group';
+  try {
+    title = (await bot.getChat(reminder.chat_id)).title || title;
+  } catch {}
+
+  let sent = 0;
+  for (const a of attendees) {
+    try {
+      await bot.sendMessage(a.user_id, `👥 _${escapeMarkdown(title)}_\n${text}`, { parse_mode: 'Markdown' });
+      sent++;
+    } catch (error) {
+      // Telegram refuses DMs to users who never opened the bot privately
+      console.error(`Failed to DM reminder ${reminder.id} to ${a.user_id}:`, error.message || error);
+    }
   }
-  if (updates.start_time !== undefined) {
-    sets.push('start_time = ?');
+  return sent;
+}
+
+// =====================================================
+// CHANGE HISTORY (audit log)
+// =====================================================
+// Every create/update/delete on events, recurrences and school_timetable is logged with full row
+// snapshots. Rows touched by one user action share an op_id, so /undo and /history restore the
+// whole action (e.g. all of /cleartimetable) at once. Undoing is not logged itself.
+// Categories are logged by /categories and /restore; holidays only by /restore (so undoing a replace brings them back).
+const AUDITED_TABLES = ['events', 'recurrences', 'school_timetable', 'holidays', 'categories'];
+const AUDIT_RETENTION_DAYS = 90;
+const HISTORY_LIMIT = 10;
+
+function newAuditOp(chatId, label) {
+  return { chatId, id: crypto.randomBytes(8).toString('hex'), label };
+}
+
+async function getAuditedRow(table, id) {
+  return db.get(`SELECT * FROM ${table} WHERE id = ?`, id);
+}
+
+async function recordChange(op, table, action, before, after) {
+  const rowId = (after || before)?.id;
+  if (rowId == null) return;
+  await db.run(
+    `INSERT INTO audit_log (chat_id, op_id, label, table_name, row_id, action, before_json, after_json, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    op.chatId,
+    op.id,
+    op.label,
+    table,
+    rowId,
+    action,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    new Date().toISOString()
+  );
+}
+
+// Puts a snapshot back under its original id (re-creating it if it was deleted)
+async function restoreRowSnapshot(table, row) {
+  const columns = (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name).filter(c => c in row);
+  await db.run(
+    `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    ...columns.map(c => row[c])
+  );
+}
+
+async function resyncRowReminders(table, id) {
+  if (table === 'events') {
+    await cancelReminder(id);
+    const event = await getAuditedRow('events', id);
+    if (event) await scheduleReminder(event.chat_id, event);
+  } else if (table === 'recurrences') {
+    await cancelRecurrenceReminders(id);
+    const rec = await getAuditedRow('recurrences', id);
+    if (rec) await scheduleRecurrenceReminders(rec);
+  }
+}
+
+// Reverts the not-yet-undone changes of one op, newest first. Returns how many rows were restored.
+async function undoAuditOp(chatId, opId) {
+  const entries = await db.all(
+    `SELECT * FROM audit_log WHERE chat_id = ? AND op_id = ? AND undone_at IS NULL ORDER BY id DESC`,
+    chatId,
+    opId
+  );
+
+  for (const entry of entries) {
+    if (!AUDITED_TABLES.includes(entry.table_name)) continue;
+    if (entry.action === 'create') {
+      await db.run(`DELETE FROM ${entry.table_name} WHERE id = ? AND chat_id = ?`, entry.row_id, chatId);
+      // An undone legacy import can be imported again (see LEGACY DATA)
+      if (entry.table_name === 'events') {
+        await db.run('DELETE FROM legacy_imports WHERE chat_id = ? AND event_id = ?', chatId, entry.row_id);
+      }
+    } else {
+      await restoreRowSnapshot(entry.table_name, JSON.parse(entry.before_json));
+    }
+    await resyncRowReminders(entry.table_name, entry.row_id);
+  }
+  if (entries.some(e => e.table_name === 'categories')) await reloadChatCategories(chatId);
+
+  await db.run(
+    `UPDATE audit_log SET undone_at = ? WHERE chat_id = ? AND op_id = ? AND undone_at IS NULL`,
+    new Date().toISOString(),
+    chatId,
+    opId
+  );
+  return entries.length;
+}
+
+// Labels of later ops (not undone) that changed rows this op touched. Undoing the op would put its
+// snapshots back over those changes, so /history refuses until they are undone first.
+async function findLaterAuditOps(chatId, opId) {
+  const rows = await db.all(
+    `SELECT later.label, MAX(later.id) AS last_id FROM audit_log mine
+     JOIN audit_log later ON later.chat_id = mine.chat_id AND later.table_name = mine.table_name AND later.row_id = mine.row_id
+     WHERE mine.chat_id = ? AND mine.op_id = ? AND mine.undone_at IS NULL
+       AND later.id > mine.id AND later.op_id != mine.op_id AND later.undone_at IS NULL
+     GROUP BY later.op_id ORDER BY last_id DESC`,
+    chatId,
+    opId
+  );
+  return rows.map(r => r.label || 'Change');
+}
+
+// One row per op, newest first; `pending` counts the changes that have not been undone
+async function getRecentAuditOps(chatId, limit = HISTORY_LIMIT) {
+  return db.all(
+    `SELECT op_id, label, MIN(created_at) AS created_at, COUNT(*) AS changes,
+            SUM(CASE WHEN undone_at IS NULL THEN 1 ELSE 0 END) AS pending, MAX(id) AS last_id
+     FROM audit_log WHERE chat_id = ?
+     GROUP BY op_id ORDER BY last_id DESC LIMIT ?`,
+    chatId,
+    limit
+  );
+}
+
+async function pruneAuditLog() {
+  const cutoff = new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  await db.run('DELETE FROM audit_log WHERE created_at < ?', cutoff);
+}
+
+schedule.scheduleJob('15 0 * * *', pruneAuditLog);
+
+function formatAuditTime(iso, tz) {
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false, timeZone: tz
+  });
+}
+
+function formatHistory(ops, tz) {
+  let out = '🕘 *Recent changes*\n';
+  ops.forEach((op, i) => {
+    const rows = op.changes > 1 ? ` (${op.changes} rows)` : '';
+    const undone = op.pending === 0 ? ' — ↩️ undone' : '';
+    out += `\n${i + 1}. ${escapeMarkdown(op.label || 'Change')}${rows}\n    ${escapeMarkdown(formatAuditTime(op.created_at, tz))}${undone}\n`;
+  });
+  return out;
+}
+
+function buildHistoryKeyboard(ops) {
+  const buttons = ops
+    .map((op, i) => (op.pending > 0 ? { text: `↩️ ${i + 1}`, callback_data: `history_restore:${op.op_id}` } : null))
+    .filter(Boolean);
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) rows.push(buttons.slice(i, i + 5));
+  rows.push(...buildBackToMenuKeyboard().inline_keyboard);
+  return { inline_keyboard: rows };
+}
+
+// =====================================================
+// DATABASE OPERATIONS
+// =====================================================
+async function addEventToDB(chatId, event, op = null) {
+  // Overnight spans are implied by their times; only a real end day is stored
+  const endDate = event.end_date && event.end_date > event.date ? event.end_date : null;
+  const reminderOffsetsJson = Array.isArray(event.reminder_offsets) ? JSON.stringify(event.reminder_offsets) : null;
+
+  const result = await db.run(
+    `INSERT INTO events (chat_id, task, date, end_date, start_time, end_time, location, type, reminder_offsets_json, ics_uid, created_by, effort_minutes, plan_parent_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    chatId,
+    event.task,
+    event.date,
+    endDate,
+    event.start_time || null,
+    event.end_time || null,
+    event.location || null,
+    event.type || null,
+    reminderOffsetsJson,
+    event.ics_uid || null,
+    event.created_by ?? null,
+    event.effort_minutes || null,
+    event.plan_parent_id || null,
+    new Date().toISOString()
+  );
+
+  const newEvent = {
+    id: result.lastID,
+    chat_id: chatId,
+    task: event.task,
+    date: event.date,
+    end_date: endDate,
+    start_time: event.start_time || null,
+    end_time: event.end_time || null,
+    location: event.location || null,
+    type: event.type || null,
+    reminder_offsets_json: reminderOffsetsJson,
+    effort_minutes: event.effort_minutes || null,
+    plan_parent_id: event.plan_parent_id || null
+  };
+
+  const row = await getAuditedRow('events', result.lastID);
+  const ownsOp = !op;
+  op = op || newAuditOp(chatId, `Added "${event.task}"`);
+  await recordChange(op, 'events', 'create', null, row);
+
+  await scheduleReminder(chatId, newEvent);
+  // Study blocks never trigger planning themselves
+  if (!newEvent.plan_parent_id) {
+    if (newEvent.effort_minutes) newEvent.plan = await planStudyBlocks(chatId, newEvent.id, op);
+    if (newEvent.start_time && ownsOp) await rebalanceClashingPlans(chatId, op);
+  }
+  return newEvent;
+}
+
+// Drafts with a recurrence become a series; everything else is a single event
+async function saveDraftEvent(chatId, draft, op = null) {
+  if (draft.recurrence) return addRecurrenceToDB(chatId, draft, op);
+  return addEventToDB(chatId, draft, op);
+}
+
+// Events touching [startDate, endDate], including multi-day ones that began earlier and overnight ones
+// from the evening before (those keep their own date; see splitAcrossDays)
+async function getEventsInRange(chatId, startDate, endDate) {
+  const rows = await db.all(
+    `SELECT * FROM events 
+     WHERE chat_id = ? AND date <= ? AND COALESCE(end_date, date) >= ?
+     ORDER BY date, start_time`,
+    chatId,
+    endDate,
+    addDaysIso(startDate, -1)
+  );
+  return rows.filter(e => e.date >= startDate || eventLastDay(e) >= startDate);
+}
+
+async function getAllUpcomingEvents(chatId) {
+  const today = todayIso(await getChatTimezone(chatId));
+  // Multi-day events still running count as upcoming
+  return db.all(
+    `SELECT * FROM events 
+     WHERE chat_id = ? AND COALESCE(end_date, date) >= ?
+     ORDER BY date, start_time`,
+    chatId,
+    today
+  );
+}
+
+async function setEventCompleted(chatId, eventId, done, op = null) {
+  const before = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+  if (done) {
+    await db.run(`UPDATE events SET status = 'done' WHERE id = ? AND chat_id = ?`, eventId, chatId);
+    await dismissReminders(eventId, 'done');
+  } else {
+    await db.run(`UPDATE events SET status = 'open' WHERE id = ? AND chat_id = ?`, eventId, chatId);
+  }
+
+  const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+  if (before && event) {
+    op = op || newAuditOp(chatId, done ? `Marked "${event.task}" done` : `Reopened "${event.task}"`);
+    await recordChange(op, 'events', 'update', before, event);
+    // Finishing an assignment early frees its remaining study blocks; reopening plans them again
+    if (event.effort_minutes) await planStudyBlocks(chatId, eventId, op);
+  }
+  if (event && !done) {
+    // Reopened: the offsets dismissed by "done" are fair game again
+    await db.run(
+      `DELETE FROM reminders WHERE event_key = ? AND status = 'cancelled' AND last_error = 'done'`,
+      String(eventId)
+    );
+    await scheduleReminder(chatId, event);
+  }
+  return event;
+}
+
+// Open tasks whose due time (or end of day when untimed) has passed
+async function getOverdueTasks(chatId, tz) {
+  const taskTypes = getTaskTypes(chatId);
+  const rows = await db.all(
+    `SELECT * FROM events
+     WHERE chat_id = ? AND status = 'open' AND date <= ? AND type IN (${taskTypes.map(() => '?').join(', ')})
+     ORDER BY date, start_time`,
+    chatId,
+    todayIso(tz),
+    ...taskTypes
+  );
+  const now = new Date();
+  return rows.filter(t => zonedDateTimeToUtc(t.date, t.start_time || '23:59', tz) < now);
+}
+
+async function deleteEvent(chatId, eventId, op = null) {
+  const before = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+  await db.run('DELETE FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+  await cancelReminder(eventId);
+  if (!before) return;
+  op = op || newAuditOp(chatId, `Deleted "${before.task}"`);
+  await recordChange(op, 'events', 'delete', before, null);
+  if (before.effort_minutes) await planStudyBlocks(chatId, eventId, op);
+}
+
+// Returns the new plan ({ blocks, shortMinutes }) when the change re-planned the item's study blocks, else null
+async function updateEvent(chatId, eventId, updates, op = null) {
+  const sets = [];
+  const values = [];
+
+  // Moving a multi-day event keeps its length
+  if (updates.date !== undefined && updates.end_date === undefined) {
+    const current = await db.get('SELECT date, end_date FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+    if (current?.end_date) updates = { ...updates, end_date: addDaysIso(updates.date, daysBetweenIso(current.date, current.end_date)) };
+  }
+
+  if (updates.task !== undefined) {
+    sets.push('task = ?');
+    values.push(updates.task);
+  }
+  if (updates.date !== undefined) {
+    sets.push('date = ?');
+    values.push(updates.date);
+  }
+  if (updates.end_date !== undefined) {
+    sets.push('end_date = ?');
+    values.push(updates.end_date);
+  }
+  if (updates.start_time !== undefined) {
+    sets.push('start_time = ?');
     values.push(updates.start_time);
   }
   if (updates.end_time !== undefined) {
@@ -345,29 +1479,50 @@ async function updateEvent(chatId, eventId, updates) {
     sets.push('type = ?');
     values.push(updates.type);
   }
+  if (updates.reminder_offsets_json !== undefined) {
+    sets.push('reminder_offsets_json = ?');
+    values.push(updates.reminder_offsets_json);
+  }
+  if (updates.effort_minutes !== undefined) {
+    sets.push('effort_minutes = ?');
+    values.push(updates.effort_minutes);
+  }
 
-  if (sets.length === 0) return;
+  if (sets.length === 0) return null;
 
   values.push(eventId, chatId);
 
+  const before = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
   await db.run(
     `UPDATE events SET ${sets.join(', ')} WHERE id = ? AND chat_id = ?`,
     ...values
   );
 
   // Reschedule reminder
-  cancelReminder(eventId);
   const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
-  if (event) await scheduleReminder(chatId, event);
+  if (!before || !event) return null;
+  const ownsOp = !op;
+  op = op || newAuditOp(chatId, `Edited "${event.task}"`);
+  await recordChange(op, 'events', 'update', before, event);
+  await scheduleReminder(chatId, event);
+
+  if (event.plan_parent_id) return null;
+  const moved = before.date !== event.date || before.end_date !== event.end_date ||
+    before.start_time !== event.start_time || before.end_time !== event.end_time;
+  if (event.effort_minutes && (moved || before.effort_minutes !== event.effort_minutes)) {
+    return planStudyBlocks(chatId, eventId, op);
+  }
+  if (moved && event.start_time && ownsOp) await rebalanceClashingPlans(chatId, op);
+  return null;
 }
 
 // =====================================================
 // SCHOOL TIMETABLE OPERATIONS
 // =====================================================
-async function addSchoolTimetableEntry(chatId, entry) {
+async function addSchoolTimetableEntry(chatId, entry, op = null) {
   const result = await db.run(
-    `INSERT INTO school_timetable (chat_id, subject, day_of_week, start_time, end_time, location, weeks_json, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO school_timetable (chat_id, subject, day_of_week, start_time, end_time, location, weeks_json, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     chatId,
     entry.subject,
     entry.day_of_week,
@@ -375,9 +1530,16 @@ async function addSchoolTimetableEntry(chatId, entry) {
     entry.end_time,
     entry.location || null,
     entry.weeks_json || null,
+    entry.created_by ?? null,
     new Date().toISOString()
   );
 
+  const row = await getAuditedRow('school_timetable', result.lastID);
+  const ownsOp = !op;
+  op = op || newAuditOp(chatId, `Added class ${entry.subject}`);
+  await recordChange(op, 'school_timetable', 'create', null, row);
+  if (ownsOp) await rebalanceClashingPlans(chatId, op);
+
   return {
     id: result.lastID,
     chat_id: chatId,
@@ -400,8 +1562,7 @@ async function getSchoolTimetable(chatId) {
 }
 
 async function getSchoolTimetableForDate(chatId, dateStr) {
-  const date = new Date(dateStr);
-  const dayOfWeek = date.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
+  const dayOfWeek = dayOfWeekIso(dateStr); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
   
   const entries = await db.all(
     `SELECT * FROM school_timetable 
@@ -411,24 +1572,27 @@ async function getSchoolTimetableForDate(chatId, dateStr) {
     dayOfWeek
   );
 
-  // Filter by weeks if needed
-  const settings = await db.get('SELECT semester_start_date FROM settings WHERE chat_id = ?', chatId);
-  const semStart = settings?.semester_start_date;
+  if (entries.length === 0) return [];
+
+  // No classes on holidays or outside teaching weeks (recess, reading, exams, vacation)
+  if (await getHoliday(chatId, dateStr)) return [];
+  const { semesterStart, layout } = await getAcadCalendar(chatId);
+  const info = acadWeekInfo(dateStr, semesterStart, layout);
+  if (info && info.type !== 'instructional') return [];
 
   const filtered = [];
   for (const entry of entries) {
     if (!entry.weeks_json) {
-      // Weekly class - always include
+      // Weekly class - every teaching week
       filtered.push(entry);
     } else {
       // Irregular class - check if this week is included
-      if (!semStart) {
+      if (!info) {
         // No semester start date - include as fallback
         filtered.push(entry);
       } else {
         const weeks = JSON.parse(entry.weeks_json);
-        const wk = weekNumber(new Date(dateStr), semStart);
-        if (wk && weeks.includes(wk)) {
+        if (weeks.includes(info.week)) {
           filtered.push(entry);
         }
       }
@@ -438,12 +1602,17 @@ async function getSchoolTimetableForDate(chatId, dateStr) {
   return filtered;
 }
 
-async function deleteSchoolTimetableEntry(chatId, entryId) {
+async function deleteSchoolTimetableEntry(chatId, entryId, op = null) {
+  const before = await db.get('SELECT * FROM school_timetable WHERE id = ? AND chat_id = ?', entryId, chatId);
   await db.run('DELETE FROM school_timetable WHERE id = ? AND chat_id = ?', entryId, chatId);
+  if (before) await recordChange(op || newAuditOp(chatId, `Deleted class ${before.subject}`), 'school_timetable', 'delete', before, null);
 }
 
-async function clearSchoolTimetable(chatId) {
+async function clearSchoolTimetable(chatId, op = null) {
+  const rows = await db.all('SELECT * FROM school_timetable WHERE chat_id = ?', chatId);
   await db.run('DELETE FROM school_timetable WHERE chat_id = ?', chatId);
+  op = op || newAuditOp(chatId, 'Cleared timetable');
+  for (const row of rows) await recordChange(op, 'school_timetable', 'delete', row, null);
 }
 
 function getDayName(dayOfWeek) {
@@ -451,21 +1620,127 @@ function getDayName(dayOfWeek) {
   return days[dayOfWeek];
 }
 
-function mondayOfWeek(d) {
-  const x = new Date(d);
-  const day = x.getDay(); // 0 Sun..6 Sat
-  const diff = (day === 0 ? -6 : 1 - day); // shift to Monday
-  x.setDate(x.getDate() + diff);
-  x.setHours(0, 0, 0, 0);
-  return x;
+// =====================================================
+// ACADEMIC CALENDAR
+// =====================================================
+// A semester is a run of weeks from settings.semester_start_date. The layout says what each week
+// is; weeks_json on school_timetable counts instructional weeks only (1-13, like NUSMods).
+const REGULAR_SEMESTER_LAYOUT = [
+  ...Array(6).fill('instructional'),
+  'recess',
+  ...Array(7).fill('instructional'),
+  'reading',
+  'exam',
+  'exam'
+];
+const SPECIAL_TERM_LAYOUT = Array(6).fill('instructional');
+
+// Public holidays bundled with the bot (JSON or .ics); chats can add their own with /holiday.
+// They are one country's, so they only apply to chats in HOLIDAYS_TIMEZONE (empty: every chat).
+const HOLIDAYS_FILE = process.env.HOLIDAYS_FILE ?? path.join(__dirname, 'data', 'holidays_sg.json');
+const HOLIDAYS_TIMEZONE = process.env.HOLIDAYS_TIMEZONE ?? 'Asia/Singapore';
+const bundledHolidays = new Map(); // date -> name
+
+function loadHolidayFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const out = new Map();
+
+  if (/\.ics$/i.test(file)) {
+    for (const ev of Object.values(ical.parseICS(text))) {
+      if (!ev || ev.type !== 'VEVENT' || !(ev.start instanceof Date)) continue;
+      // All-day holidays can span several days (DTEND is exclusive)
+      const first = allDayDateIso(ev.start);
+      const last = ev.end instanceof Date ? addDaysIso(allDayDateIso(ev.end), -1) : first;
+      for (let d = first; d <= last; d = addDaysIso(d, 1)) out.set(d, String(ev.summary || 'Holiday'));
+    }
+    return out;
+  }
+
+  const data = JSON.parse(text);
+  for (const h of Array.isArray(data) ? data : data.holidays || []) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(h.date)) out.set(h.date, h.name || 'Holiday');
+  }
+  return out;
+}
+
+function loadBundledHolidays() {
+  if (!HOLIDAYS_FILE) return;
+  try {
+    for (const [date, name] of loadHolidayFile(HOLIDAYS_FILE)) bundledHolidays.set(date, name);
+    console.log(`🎌 Loaded ${bundledHolidays.size} holidays from ${path.basename(HOLIDAYS_FILE)}`);
+  } catch (error) {
+    console.error('Failed to load holidays file:', error.message);
+  }
+}
+
+async function getBundledHolidays(chatId) {
+  if (!HOLIDAYS_TIMEZONE || (await getChatTimezone(chatId)) === HOLIDAYS_TIMEZONE) return bundledHolidays;
+  return new Map();
+}
+
+async function getHoliday(chatId, dateStr) {
+  const own = await db.get('SELECT name FROM holidays WHERE chat_id = ? AND date = ?', chatId, dateStr);
+  return own?.name || (await getBundledHolidays(chatId)).get(dateStr) || null;
+}
+
+async function getHolidaysInRange(chatId, startDate, endDate) {
+  const out = new Map();
+  for (const [date, name] of await getBundledHolidays(chatId)) {
+    if (date >= startDate && date <= endDate) out.set(date, name);
+  }
+  const own = await db.all(
+    'SELECT date, name FROM holidays WHERE chat_id = ? AND date >= ? AND date <= ?',
+    chatId,
+    startDate,
+    endDate
+  );
+  for (const h of own) out.set(h.date, h.name);
+  return [...out].map(([date, name]) => ({ date, name })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function setSemester(chatId, semesterStart, layout = REGULAR_SEMESTER_LAYOUT) {
+  await upsertSetting(chatId, 'semester_start_date', semesterStart);
+  const isRegular = JSON.stringify(layout) === JSON.stringify(REGULAR_SEMESTER_LAYOUT);
+  await upsertSetting(chatId, 'semester_layout_json', isRegular ? null : JSON.stringify(layout));
+}
+
+async function getAcadCalendar(chatId) {
+  const row = await db.get('SELECT semester_start_date, semester_layout_json FROM settings WHERE chat_id = ?', chatId);
+  return {
+    semesterStart: row?.semester_start_date || null,
+    layout: row?.semester_layout_json ? JSON.parse(row.semester_layout_json) : REGULAR_SEMESTER_LAYOUT
+  };
+}
+
+// { type: 'instructional' | 'recess' | 'reading' | 'exam' | 'before' | 'vacation', week, label } or null without a semester
+function acadWeekInfo(dateStr, semesterStart, layout = REGULAR_SEMESTER_LAYOUT) {
+  if (!semesterStart) return null;
+
+  const idx = Math.floor(daysBetweenIso(mondayOfWeekIso(semesterStart), mondayOfWeekIso(dateStr)) / 7);
+  if (idx < 0) return { type: 'before', week: null, label: null };
+  if (idx >= layout.length) return { type: 'vacation', week: null, label: null };
+
+  const type = layout[idx];
+  const nth = layout.slice(0, idx + 1).filter(t => t === type).length;
+  const labels = {
+    instructional: `Week ${nth}`,
+    recess: 'Recess Week',
+    reading: 'Reading Week',
+    exam: `Exam Week ${nth}`
+  };
+  return { type, week: type === 'instructional' ? nth : null, label: labels[type] || null };
 }
 
-function weekNumber(dateObj, semesterStartDateStr) {
-  if (!semesterStartDateStr) return null;
-  const start = new Date(`${semesterStartDateStr}T00:00:00`);
-  const dMon = mondayOfWeek(dateObj);
-  const deltaDays = Math.round((dMon - start) / (1000 * 60 * 60 * 24));
-  return Math.floor(deltaDays / 7) + 1;
+// "Week 7" / "Recess Week" / "🎌 National Day" style label for a date, or null
+async function acadLabelForDate(chatId, dateStr) {
+  const { semesterStart, layout } = await getAcadCalendar(chatId);
+  const info = acadWeekInfo(dateStr, semesterStart, layout);
+  const holiday = await getHoliday(chatId, dateStr);
+
+  const parts = [];
+  if (info?.label) parts.push(info.label);
+  if (holiday) parts.push(`🎌 ${holiday}`);
+  return parts.length ? parts.join(' · ') : null;
 }
 
 function parseDayOfWeek(dayStr) {
@@ -482,53 +1757,54 @@ function parseDayOfWeek(dayStr) {
   return dayMap[day] !== undefined ? dayMap[day] : null;
 }
 
-async function checkConflicts(chatId, date, startTime, endTime) {
+// Times are compared as minutes from 00:00 of `date`, so overnight and multi-day spans on either side work.
+// All-day items never clash: an untimed draft has none, and untimed rows are left out.
+async function checkConflicts(chatId, date, startTime, endTime, endDate = null) {
   if (!startTime) return [];
 
-  // Get regular events for the date
-  const events = await db.all(
-    `SELECT * FROM events 
-     WHERE chat_id = ? AND date = ? AND start_time IS NOT NULL`,
-    chatId,
-    date
-  );
+  const [newStart, newEnd] = itemSpanMinutes({ date, end_date: endDate, start_time: startTime, end_time: endTime }, date);
+  const lastDate = addDaysIso(date, Math.max(0, Math.ceil(newEnd / (24 * 60)) - 1));
 
-  // Get school timetable entries for this day of week
-  const schoolEntries = await getSchoolTimetableForDate(chatId, date);
+  // Timed events touching those days (getEventsInRange also brings overnight ones from the evening before)
+  const events = (await getEventsInRange(chatId, date, lastDate)).filter(e => e.start_time);
+
+  // Recurring series occurrences, from the day before in case one runs past midnight
+  const occurrences = await getRecurringOccurrencesInRange(chatId, addDaysIso(date, -1), lastDate);
+  events.push(...occurrences.filter(o => o.start_time));
 
   const conflicts = [];
-  const newStart = timeToMinutes(startTime);
-  const newEnd = endTime ? timeToMinutes(endTime) : newStart + 60;
 
   // Check against regular events
   for (const event of events) {
-    const eventStart = timeToMinutes(event.start_time);
-    const eventEnd = event.end_time ? timeToMinutes(event.end_time) : eventStart + 60;
+    const [eventStart, eventEnd] = itemSpanMinutes(event, date);
 
     if (newStart < eventEnd && eventStart < newEnd) {
       conflicts.push({
         ...event,
-        source: 'event'
+        source: event.source || 'event'
       });
     }
   }
 
-  // Check against school timetable
-  for (const entry of schoolEntries) {
-    const entryStart = timeToMinutes(entry.start_time);
-    const entryEnd = timeToMinutes(entry.end_time);
-
-    if (newStart < entryEnd && entryStart < newEnd) {
-      conflicts.push({
-        id: entry.id,
-        task: entry.subject,
-        date: date,
-        start_time: entry.start_time,
-        end_time: entry.end_time,
-        location: entry.location,
-        type: 'class',
-        source: 'school_timetable'
-      });
+  // Check against school timetable, on every day the new item covers
+  for (let day = date; day <= lastDate; day = addDaysIso(day, 1)) {
+    const offset = daysBetweenIso(date, day) * 24 * 60;
+    for (const entry of await getSchoolTimetableForDate(chatId, day)) {
+      const entryStart = offset + timeToMinutes(entry.start_time);
+      const entryEnd = offset + timeToMinutes(entry.end_time);
+
+      if (newStart < entryEnd && entryStart < newEnd) {
+        conflicts.push({
+          id: entry.id,
+          task: entry.subject,
+          date: day,
+          start_time: entry.start_time,
+          end_time: entry.end_time,
+          location: entry.location,
+          type: 'class',
+          source: 'school_timetable'
+        });
+      }
     }
   }
 
@@ -536,146 +1812,837 @@ async function checkConflicts(chatId, date, startTime, endTime) {
 }
 
 // =====================================================
-// REMINDERS
+// RECURRING EVENTS
 // =====================================================
-async function scheduleReminder(chatId, event) {
-  if (!event.start_time) return;
-
-  const eventDateTime = new Date(`${event.date}T${event.start_time}:00`);
-  const icon = getEventIcon(event.type);
-  const timeLabel = event.end_time ? `${event.start_time}-${event.end_time}` : event.start_time;
+// A series lives in `recurrences`; its occurrences are expanded on the fly (like
+// school_timetable classes). Skipped dates go to exdates_json. Editing a single
+// occurrence "detaches" it into a normal events row with recurrence_id set.
+const RRULE_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function normalizeRecurrence(r) {
+  if (!r || typeof r !== 'object') return null;
+
+  const freq = String(r.freq || '').toLowerCase();
+  if (!['daily', 'weekly', 'monthly'].includes(freq)) return null;
+
+  const interval = Math.max(1, Math.min(52, parseInt(r.interval, 10) || 1));
+
+  // BYDAY accepts "MO", "1MO"/"-1FR" (monthly ordinals) or day names ("Monday")
+  const byday = [];
+  for (const raw of (Array.isArray(r.byday) ? r.byday : [])) {
+    const str = String(raw || '').trim();
+    const m = str.toUpperCase().match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (m) {
+      const ord = m[1] && freq === 'monthly' ? String(Number(m[1])) : '';
+      byday.push(`${ord}${m[2]}`);
+      continue;
+    }
+    const dow = parseDayOfWeek(str);
+    if (dow !== null) byday.push(RRULE_DAY_CODES[dow]);
+  }
 
-  // Schedule 3 reminders: 1 day before, 6 hours before, and 30 minutes before
-  const reminderOffsets = [
-    { minutes: 24 * 60, label: '1 day' },      // 1 day = 1440 minutes
-    { minutes: 6 * 60, label: '6 hours' },     // 6 hours = 360 minutes
-    { minutes: 30, label: '30 minutes' }       // 30 minutes
-  ];
+  const until = r.until && /^\d{4}-\d{2}-\d{2}$/.test(r.until) ? r.until : null;
+  const count = parseInt(r.count, 10) > 0 ? Math.min(parseInt(r.count, 10), 500) : null;
 
-  for (const offset of reminderOffsets) {
-    const reminderTime = new Date(eventDateTime.getTime() - offset.minutes * 60 * 1000);
+  return { freq, interval, byday: [...new Set(byday)], until, count };
+}
 
-    // Only schedule if reminder time is in the future
-    if (reminderTime > new Date()) {
-      const jobKey = `${event.id}-${offset.minutes}`;
-      
-      const job = schedule.scheduleJob(reminderTime, async () => {
-        await bot.sendMessage(
-          chatId,
-          `🔔 *Reminder* (${offset.label} before)\n\n${icon} ${escapeMarkdown(event.task)}\n📅 ${escapeMarkdown(formatDate(event.date))}\n⏰ ${escapeMarkdown(timeLabel)}`,
-          { parse_mode: 'Markdown' }
-        );
+function parseByday(code) {
+  const m = String(code).match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!m) return null;
+  return { ordinal: m[1] ? Number(m[1]) : null, dow: RRULE_DAY_CODES.indexOf(m[2]) };
+}
 
-        reminderJobs.delete(jobKey);
-      });
+function recurrenceMatchesDate(rule, startDate, dateStr) {
+  const interval = rule.interval || 1;
 
-      reminderJobs.set(jobKey, job);
-    }
+  if (rule.freq === 'daily') {
+    return daysBetweenIso(startDate, dateStr) % interval === 0;
   }
-}
 
-function cancelReminder(eventId) {
-  // Cancel all reminders for this event (1 day, 6 hours, 30 minutes)
-  const offsets = [24 * 60, 6 * 60, 30];
-  
-  for (const offset of offsets) {
-    const jobKey = `${eventId}-${offset}`;
-    const job = reminderJobs.get(jobKey);
-    if (job) {
-      job.cancel();
-      reminderJobs.delete(jobKey);
-    }
+  if (rule.freq === 'weekly') {
+    const days = rule.byday?.length
+      ? rule.byday.map(c => parseByday(c)?.dow)
+      : [dayOfWeekIso(startDate)];
+    if (!days.includes(dayOfWeekIso(dateStr))) return false;
+    return Math.floor(daysBetweenIso(mondayOfWeekIso(startDate), dateStr) / 7) % interval === 0;
   }
-}
-
-async function rescheduleAllReminders() {
-  const now = new Date();
-  const events = await db.all(
-    `SELECT * FROM events WHERE date >= ? AND start_time IS NOT NULL`,
-    isoDate(now)
-  );
 
-  for (const event of events) {
-    await scheduleReminder(event.chat_id, event);
+  if (rule.freq === 'monthly') {
+    const [sy, sm, sd] = startDate.split('-').map(Number);
+    const [y, mo, d] = dateStr.split('-').map(Number);
+    const monthsApart = (y - sy) * 12 + (mo - sm);
+    if (monthsApart % interval !== 0) return false;
+
+    if (!rule.byday?.length) return d === sd;
+
+    // "2nd Tuesday" / "last Friday" style rules
+    const dow = dayOfWeekIso(dateStr);
+    const daysInMonth = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+    return rule.byday.some(code => {
+      const b = parseByday(code);
+      if (!b || b.dow !== dow) return false;
+      if (b.ordinal == null) return true;
+      if (b.ordinal > 0) return Math.ceil(d / 7) === b.ordinal;
+      return Math.ceil((daysInMonth - d + 1) / 7) === -b.ordinal;
+    });
   }
 
-  console.log(`✅ Rescheduled ${events.length} reminders`);
+  return false;
 }
 
-// =====================================================
-// FORMATTING
-// =====================================================
-function formatTaskList(tasks) {
-  if (tasks.length === 0) return 'No tasks scheduled.';
-
-  let currentDate = null;
-  let message = '';
-
-  tasks.forEach(task => {
-    if (task.date !== currentDate) {
-      currentDate = task.date;
-      message += `\n📅 *${escapeMarkdown(formatDate(task.date))}*\n`;
-    }
+// Returns the occurrence dates ("YYYY-MM-DD") of a recurrences row within [rangeStart, rangeEnd]
+function expandRecurrenceDates(rec, rangeStart, rangeEnd) {
+  const rule = JSON.parse(rec.rule_json);
+  const startDate = rec.start_date;
+  if (!startDate || startDate > rangeEnd) return [];
+
+  const exdates = new Set(rec.exdates_json ? JSON.parse(rec.exdates_json) : []);
+  const last = rule.until && rule.until < rangeEnd ? rule.until : rangeEnd;
+
+  // COUNT needs to walk from the first occurrence; otherwise jump straight to the window
+  const from = rule.count || startDate > rangeStart ? startDate : rangeStart;
+
+  const out = [];
+  let seen = 0;
+  for (let d = from; d <= last; d = addDaysIso(d, 1)) {
+    if (!recurrenceMatchesDate(rule, startDate, d)) continue;
+    seen++;
+    if (rule.count && seen > rule.count) break;
+    if (d >= rangeStart && !exdates.has(d)) out.push(d);
+  }
+  return out;
+}
 
-    const icon = getEventIcon(task.type);
-    let timeLabel = null;
-    if (task.start_time && task.end_time) timeLabel = `${task.start_time}-${task.end_time}`;
-    else if (task.start_time) timeLabel = task.start_time;
+function firstRecurrenceDateOnOrAfter(rule, fromDate) {
+  if (!rule.byday?.length) return fromDate;
+  for (let i = 0, d = fromDate; i < 400; i++, d = addDaysIso(d, 1)) {
+    // The candidate is its own anchor, so only the BYDAY part of the rule decides
+    if (recurrenceMatchesDate(rule, d, d)) return d;
+  }
+  return fromDate;
+}
 
-    const timeStr = timeLabel ? `⏰ ${escapeMarkdown(timeLabel)} - ` : '• ';
-    const locStr = task.location ? ` 📍 ${escapeMarkdown(task.location)}` : '';
-    message += `${icon} ${timeStr}${escapeMarkdown(task.task)}${locStr}\n`;
+function describeRecurrence(rule) {
+  if (!rule) return '';
+  const n = rule.interval || 1;
+  const dayNames = (rule.byday || []).map(code => {
+    const b = parseByday(code);
+    if (!b) return code;
+    const name = getDayName(b.dow).slice(0, 3);
+    if (b.ordinal == null) return name;
+    const ords = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', '-1': 'last' };
+    return `${ords[b.ordinal] || b.ordinal} ${name}`;
   });
 
-  return message.trim();
-}
-
-// Generic renderer for grouped sections (Assignments, Tasks, Classes)
-function renderItems(items, opts = {}) {
-  let out = '';
-  for (const task of items) {
-    const icon = opts.isSchool ? '📚' : getEventIcon(task.type);
-    let timeLabel = null;
-    if (task.start_time && task.end_time) timeLabel = `${task.start_time}-${task.end_time}`;
-    else if (task.start_time) timeLabel = task.start_time;
+  let label;
+  if (rule.freq === 'daily') label = n === 1 ? 'Daily' : `Every ${n} days`;
+  else if (rule.freq === 'weekly') label = (n === 1 ? 'Weekly' : `Every ${n} weeks`) + (dayNames.length ? ` on ${dayNames.join(', ')}` : '');
+  else label = (n === 1 ? 'Monthly' : `Every ${n} months`) + (dayNames.length ? ` on the ${dayNames.join(', ')}` : '');
 
-    const timeStr = timeLabel ? `⏰ ${escapeMarkdown(timeLabel)} - ` : '• ';
-    const locStr = task.location ? ` 📍 ${escapeMarkdown(task.location)}` : '';
-    out += `${icon} ${timeStr}${escapeMarkdown(task.task)}${locStr}\n`;
-  }
-  return out;
+  if (rule.until) label += ` until ${rule.until}`;
+  if (rule.count) label += ` (${rule.count} times)`;
+  return label;
 }
 
-function makeEmptyDraft() {
+function occurrenceFromRecurrence(rec, dateStr) {
   return {
-    task: null,
-    date: null,
-    start_time: null,
-    end_time: null,
-    location: null,
-    type: null
+    id: `rec_${rec.id}_${dateStr}`,
+    chat_id: rec.chat_id,
+    task: rec.task,
+    date: dateStr,
+    start_time: rec.start_time,
+    end_time: rec.end_time,
+    location: rec.location,
+    type: rec.type,
+    reminder_offsets_json: rec.reminder_offsets_json,
+    recurrence_id: rec.id,
+    source: 'recurrence'
   };
 }
 
-function draftIsCompleteEnough(draft) {
+async function addRecurrenceToDB(chatId, event, op = null) {
+  const rule = normalizeRecurrence(event.recurrence);
+  const startDate = event.date || firstRecurrenceDateOnOrAfter(rule, todayIso(await getChatTimezone(chatId)));
+
+  const result = await db.run(
+    `INSERT INTO recurrences (chat_id, task, rule_json, start_date, start_time, end_time, location, type, exdates_json, reminder_offsets_json, ics_uid, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    chatId,
+    event.task,
+    JSON.stringify(rule),
+    startDate,
+    event.start_time || null,
+    event.end_time || null,
+    event.location || null,
+    event.type || null,
+    event.exdates?.length ? JSON.stringify(event.exdates) : null,
+    Array.isArray(event.reminder_offsets) ? JSON.stringify(event.reminder_offsets) : null,
+    event.ics_uid || null,
+    event.created_by ?? null,
+    new Date().toISOString()
+  );
+
+  const rec = await db.get('SELECT * FROM recurrences WHERE id = ?', result.lastID);
+  const ownsOp = !op;
+  op = op || newAuditOp(chatId, `Added series "${rec.task}"`);
+  await recordChange(op, 'recurrences', 'create', null, rec);
+  await scheduleRecurrenceReminders(rec);
+  if (ownsOp) await rebalanceClashingPlans(chatId, op);
+
+  return { ...occurrenceFromRecurrence(rec, startDate), recurrence: rule };
+}
+
+async function getRecurrences(chatId) {
+  return db.all('SELECT * FROM recurrences WHERE chat_id = ? ORDER BY start_date, start_time', chatId);
+}
+
+async function getRecurringOccurrencesInRange(chatId, startDate, endDate) {
+  const recs = await getRecurrences(chatId);
+  const out = [];
+  for (const rec of recs) {
+    for (const d of expandRecurrenceDates(rec, startDate, endDate)) {
+      out.push(occurrenceFromRecurrence(rec, d));
+    }
+  }
+  return out;
+}
+
+function getNextOccurrenceDates(rec, limit, today) {
+  return expandRecurrenceDates(rec, today, addDaysIso(today, 366)).slice(0, limit);
+}
+
+async function addRecurrenceExdate(chatId, recId, dateStr, op = null) {
+  const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+  if (!rec) return null;
+
+  const exdates = new Set(rec.exdates_json ? JSON.parse(rec.exdates_json) : []);
+  exdates.add(dateStr);
+  await db.run(
+    'UPDATE recurrences SET exdates_json = ? WHERE id = ? AND chat_id = ?',
+    JSON.stringify([...exdates].sort()),
+    recId,
+    chatId
+  );
+  const after = await getAuditedRow('recurrences', recId);
+  await recordChange(op || newAuditOp(chatId, `Skipped ${dateStr} of "${rec.task}"`), 'recurrences', 'update', rec, after);
+  await cancelReminder(`rec_${recId}_${dateStr}`);
+  return rec;
+}
+
+// "This occurrence only": skip the date in the series and store it as a standalone event row
+async function detachOccurrence(chatId, recId, dateStr, op = null) {
+  const series = await db.get('SELECT task FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+  if (!series) return null;
+  op = op || newAuditOp(chatId, `Split ${dateStr} off "${series.task}"`);
+
+  const rec = await addRecurrenceExdate(chatId, recId, dateStr, op);
+  if (!rec) return null;
+
+  const result = await db.run(
+    `INSERT INTO events (chat_id, task, date, start_time, end_time, location, type, recurrence_id, reminder_offsets_json, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    chatId,
+    rec.task,
+    dateStr,
+    rec.start_time,
+    rec.end_time,
+    rec.location,
+    rec.type,
+    rec.id,
+    rec.reminder_offsets_json,
+    rec.created_by,
+    new Date().toISOString()
+  );
+
+  const event = await db.get('SELECT * FROM events WHERE id = ?', result.lastID);
+  await recordChange(op, 'events', 'create', null, event);
+  await scheduleReminder(chatId, event);
+  return event;
+}
+
+async function updateRecurrence(chatId, recId, updates, op = null) {
+  const sets = [];
+  const values = [];
+
+  for (const field of ['task', 'start_date', 'start_time', 'end_time', 'location', 'type', 'reminder_offsets_json', 'exdates_json']) {
+    if (updates[field] !== undefined) {
+      sets.push(`${field} = ?`);
+      values.push(updates[field]);
+    }
+  }
+  if (updates.recurrence !== undefined) {
+    sets.push('rule_json = ?');
+    values.push(JSON.stringify(normalizeRecurrence(updates.recurrence)));
+  }
+
+  if (sets.length === 0) return null;
+
+  values.push(recId, chatId);
+  const before = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+  await db.run(`UPDATE recurrences SET ${sets.join(', ')} WHERE id = ? AND chat_id = ?`, ...values);
+
+  await cancelRecurrenceReminders(recId);
+  const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+  if (!before || !rec) return;
+  const ownsOp = !op;
+  op = op || newAuditOp(chatId, `Edited series "${rec.task}"`);
+  await recordChange(op, 'recurrences', 'update', before, rec);
+  await scheduleRecurrenceReminders(rec);
+  if (ownsOp) await rebalanceClashingPlans(chatId, op);
+}
+
+// Deletes the whole series, including occurrences that were detached and edited
+async function deleteRecurrence(chatId, recId, op = null) {
+  const before = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+  if (!before) return;
+  op = op || newAuditOp(chatId, `Deleted series "${before.task}"`);
+
+  const detached = await db.all('SELECT id FROM events WHERE recurrence_id = ? AND chat_id = ?', recId, chatId);
+  for (const ev of detached) await deleteEvent(chatId, ev.id, op);
+
+  await db.run('DELETE FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+  await cancelRecurrenceReminders(recId);
+  await recordChange(op, 'recurrences', 'delete', before, null);
+}
+
+async function scheduleRecurrenceReminders(rec) {
+  const today = todayIso(await getChatTimezone(rec.chat_id));
+  // Look far enough ahead for the longest offset (plus today's remaining occurrences)
+  const offsets = rec.start_time || rec.reminder_offsets_json != null
+    ? await getEventReminderOffsets(rec.chat_id, rec)
+    : (await getAllDayReminderRules(rec.chat_id)).map(r => r.days * 24 * 60);
+  if (offsets.length === 0) return 0;
+  const horizonDays = Math.ceil(Math.max(...offsets) / (24 * 60)) + 1;
+  const dates = expandRecurrenceDates(rec, today, addDaysIso(today, horizonDays));
+  for (const d of dates) {
+    await scheduleReminder(rec.chat_id, occurrenceFromRecurrence(rec, d));
+  }
+  return dates.length;
+}
+
+async function cancelRecurrenceReminders(recId) {
+  await db.run(`DELETE FROM reminders WHERE recurrence_id = ? AND status = 'pending'`, recId);
+}
+
+// Occurrences are unbounded, so reminders are only kept scheduled for a rolling horizon
+async function rescheduleRecurringReminders() {
+  const recs = await db.all('SELECT * FROM recurrences');
+  let count = 0;
+  for (const rec of recs) count += await scheduleRecurrenceReminders(rec);
+  return count;
+}
+
+schedule.scheduleJob('5 0 * * *', rescheduleRecurringReminders);
+
+// =====================================================
+// REMINDERS
+// =====================================================
+// Reminder profile: offsets in minutes before start. events/recurrences.reminder_offsets_json
+// overrides the chat default (settings.reminder_offsets_json); "[]" means no reminder.
+const DEFAULT_REMINDER_OFFSETS = [24 * 60, 6 * 60, 30]; // 1 day, 6 hours, 30 minutes
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+const MAX_REMINDER_OFFSETS = 5;
+
+function formatReminderOffset(minutes) {
+  if (minutes === 0) return 'at start';
+  const units = [[7 * 24 * 60, 'week'], [24 * 60, 'day'], [60, 'hour'], [1, 'minute']];
+  const parts = [];
+  let rest = minutes;
+  for (const [size, name] of units) {
+    const n = Math.floor(rest / size);
+    if (n > 0) {
+      parts.push(`${n} ${name}${n > 1 ? 's' : ''}`);
+      rest -= n * size;
+    }
+  }
+  return parts.join(' ');
+}
+
+function describeReminderOffsets(offsets) {
+  if (!offsets || offsets.length === 0) return 'No reminder';
+  return offsets.map(m => (m === 0 ? 'at start' : `${formatReminderOffset(m)} before`)).join(', ');
+}
+
+function formatReminderLabel(offsets) {
+  return `${offsets.length ? '🔔' : '🔕'} ${describeReminderOffsets(offsets)}`;
+}
+
+// "2h and 10m before", "1d 30min", "30" (minutes), "no reminder", "default".
+// Returns { offsets: number[] | null } (null = chat default) or null when unparseable.
+function parseReminderOffsets(text) {
+  const t = String(text || '').toLowerCase().trim();
+  if (!t) return null;
+
+  if (/^(default|reset)$/.test(t)) return { offsets: null };
+  if (!/\d/.test(t) && /\b(no|none|off|disable|never|don'?t)\b/.test(t)) return { offsets: [] };
+
+  const unitMinutes = { w: 7 * 24 * 60, d: 24 * 60, h: 60, m: 1 };
+  const offsets = [];
+
+  if (/^\d+$/.test(t)) {
+    offsets.push(Number(t));
+  } else {
+    const re = /(\d+(?:\.\d+)?)\s*(weeks?|w|days?|d|hours?|hrs?|h|minutes?|mins?|m)\b/g;
+    let m;
+    let current = null;
+    while ((m = re.exec(t)) !== null) {
+      const minutes = Math.round(Number(m[1]) * unitMinutes[m[2][0]]);
+      // "1h 30m" is one offset; "2h and 10m" / "2h, 10m" are two
+      const between = current ? t.slice(current.end, m.index) : '';
+      if (current && !/(and|,|&|\/)/.test(between) && minutes < current.lastUnit) {
+        current.minutes += minutes;
+        current.lastUnit = unitMinutes[m[2][0]];
+      } else {
+        if (current) offsets.push(current.minutes);
+        current = { minutes, lastUnit: unitMinutes[m[2][0]] };
+      }
+      current.end = re.lastIndex;
+    }
+    if (current) offsets.push(current.minutes);
+    if (/\b(at start|when it starts|on time)\b/.test(t)) offsets.push(0);
+  }
+
+  const valid = [...new Set(offsets)]
+    .filter(n => Number.isFinite(n) && n >= 0 && n <= MAX_REMINDER_OFFSET_MINUTES)
+    .sort((a, b) => b - a)
+    .slice(0, MAX_REMINDER_OFFSETS);
+
+  return valid.length > 0 ? { offsets: valid } : null;
+}
+
+async function getChatReminderOffsets(chatId) {
+  const row = await db.get('SELECT reminder_offsets_json FROM settings WHERE chat_id = ?', chatId);
+  return row?.reminder_offsets_json ? JSON.parse(row.reminder_offsets_json) : DEFAULT_REMINDER_OFFSETS;
+}
+
+async function getEventReminderOffsets(chatId, event) {
+  if (event.reminder_offsets_json != null) return JSON.parse(event.reminder_offsets_json);
+  return getChatReminderOffsets(chatId);
+}
+
+// All-day (date-only) items have no start to count back from, so the chat sets days-before + time of day
+// rules instead (settings.allday_reminders_json). An item's own offsets count back from ALLDAY_REFERENCE_TIME.
+const DEFAULT_ALLDAY_REMINDERS = [{ days: 3, time: '09:00' }, { days: 1, time: '21:00' }, { days: 0, time: '08:00' }];
+const ALLDAY_REFERENCE_TIME = '09:00';
+const MAX_ALLDAY_REMINDER_DAYS = 7;
+
+async function getAllDayReminderRules(chatId) {
+  const row = await db.get('SELECT allday_reminders_json FROM settings WHERE chat_id = ?', chatId);
+  return row?.allday_reminders_json ? JSON.parse(row.allday_reminders_json) : DEFAULT_ALLDAY_REMINDERS;
+}
+
+function describeAllDayReminderRules(rules) {
+  if (!rules || rules.length === 0) return 'No reminder';
+  const when = days => (days === 0 ? 'on the day' : days === 1 ? 'the day before' : `${days} days before`);
+  return rules.map(r => `${when(r.days)} at ${r.time}`).join(', ');
+}
+
+// "3d 9am, 1d 9pm, 0d 8am", "3 days before, the day before at 9pm, morning of 8am", "off", "default".
+// Returns { rules: [{ days, time }] | null } (null = default) or null when unparseable.
+function parseAllDayReminderRules(text) {
+  const t = String(text || '').toLowerCase().trim();
+  if (!t) return null;
+  if (/^(default|reset)$/.test(t)) return { rules: null };
+  if (/^(off|none|no|never|no reminders?)$/.test(t)) return { rules: [] };
+
+  const rules = [];
+  for (const part of t.split(/\s*(?:,|;|\band\b)\s*/).filter(Boolean)) {
+    const count = part.match(/\b(\d{1,2})\s*(?:d|days?)\b/);
+    let days = null;
+    if (count) days = Number(count[1]);
+    else if (/\b(?:day before|the eve|night before)\b/.test(part)) days = 1;
+    else if (/\b(?:morning of|on the day|same day|day of|that day)\b/.test(part)) days = 0;
+
+    const timeMatch = (count ? part.replace(count[0], ' ') : part).match(new RegExp(`\\b(${OFFLINE_TIME_SRC})`, 'i'));
+    const time = timeMatch ? parseOfflineTime(timeMatch[1]) : ALLDAY_REFERENCE_TIME;
+    if (days == null || days > MAX_ALLDAY_REMINDER_DAYS || !time) return null;
+    rules.push({ days, time });
+  }
+
+  const unique = [...new Map(rules.map(r => [`${r.days}|${r.time}`, r])).values()]
+    .sort((a, b) => b.days - a.days || a.time.localeCompare(b.time))
+    .slice(0, MAX_REMINDER_OFFSETS);
+  return unique.length > 0 ? { rules: unique } : null;
+}
+
+// When each reminder of an item fires, as { minutes, at }. `minutes` tells the offsets apart: before the start,
+// or for all-day items before midnight of the day (so "the morning of" is negative).
+async function getReminderTimes(chatId, event, tz) {
+  if (event.start_time) {
+    const start = zonedDateTimeToUtc(event.date, event.start_time, tz);
+    return (await getEventReminderOffsets(chatId, event)).map(minutes => ({ minutes, at: new Date(start.getTime() - minutes * 60 * 1000) }));
+  }
+
+  if (event.reminder_offsets_json != null) {
+    const reference = zonedDateTimeToUtc(event.date, ALLDAY_REFERENCE_TIME, tz);
+    return JSON.parse(event.reminder_offsets_json).map(minutes => ({
+      minutes: minutes - timeToMinutes(ALLDAY_REFERENCE_TIME),
+      at: new Date(reference.getTime() - minutes * 60 * 1000)
+    }));
+  }
+  return (await getAllDayReminderRules(chatId)).map(r => ({
+    minutes: r.days * 24 * 60 - timeToMinutes(r.time),
+    at: zonedDateTimeToUtc(addDaysIso(event.date, -r.days), r.time, tz)
+  }));
+}
+
+// Reminders are rows in the `reminders` table (one per event key + offset) so they survive
+// restarts. The dispatcher below sends whatever is due; nothing is held only in memory.
+const REMINDER_LATE_AFTER_MS = 2 * 60 * 1000;
+const REMINDER_CATCHUP_MS = (Number(process.env.REMINDER_CATCHUP_MINUTES) || 12 * 60) * 60 * 1000;
+const REMINDER_MAX_ATTEMPTS = 5;
+const SNOOZE_MORNING_TIME = '08:00';
+
+async function scheduleReminder(chatId, event) {
+  const eventKey = String(event.id);
+  const now = new Date();
+
+  // Rebuild only future offset rows; overdue ones stay for the dispatcher's catch-up and snoozes stay as set
+  await db.run(
+    `DELETE FROM reminders WHERE event_key = ? AND status = 'pending' AND fire_at > ? AND snoozed_from IS NULL`,
+    eventKey,
+    now.toISOString()
+  );
+  if (event.status === 'done') return;
+
+  const tz = await getChatTimezone(chatId);
+  // All-day items are due by the end of their (last) day
+  const eventDateTime = event.start_time
+    ? zonedDateTimeToUtc(event.date, event.start_time, tz)
+    : zonedDateTimeToUtc(eventLastDay(event), '23:59', tz);
+  const reminderTimes = await getReminderTimes(chatId, event, tz);
+  const payload = JSON.stringify({
+    task: event.task,
+    date: event.date,
+    end_date: event.end_date || null,
+    start_time: event.start_time,
+    end_time: event.end_time || null,
+    location: event.location || null,
+    type: event.type || null
+  });
+
+  for (const { minutes, at: reminderTime } of reminderTimes) {
+    // Only schedule if reminder time is in the future, and never re-create one that was dismissed
+    if (reminderTime > now) {
+      await db.run(
+        `INSERT INTO reminders (chat_id, event_key, event_id, recurrence_id, offset_minutes, fire_at, event_start_at, payload_json, created_at)
+         SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+         WHERE NOT EXISTS (
+           SELECT 1 FROM reminders WHERE event_key = ? AND offset_minutes = ? AND fire_at = ? AND snoozed_from IS NULL
+         )`,
+        chatId,
+        eventKey,
+        event.source === 'recurrence' ? null : event.id,
+        event.source === 'recurrence' ? event.recurrence_id : null,
+        minutes,
+        reminderTime.toISOString(),
+        eventDateTime.toISOString(),
+        payload,
+        now.toISOString(),
+        eventKey,
+        minutes,
+        reminderTime.toISOString()
+      );
+    }
+  }
+}
+
+// Used when a chat's timezone or default offsets change: every wall-clock reminder moves
+async function rescheduleChatReminders(chatId) {
+  const events = await db.all(
+    `SELECT * FROM events WHERE chat_id = ? AND date >= ?`,
+    chatId,
+    addDaysIso(isoDate(new Date()), -1)
+  );
+
+  for (const event of events) {
+    await scheduleReminder(chatId, event);
+  }
+
+  for (const rec of await getRecurrences(chatId)) {
+    await cancelRecurrenceReminders(rec.id);
+    await scheduleRecurrenceReminders(rec);
+  }
+}
+
+async function cancelReminder(eventId) {
+  // Drop every unsent offset for this event
+  await db.run(`DELETE FROM reminders WHERE event_key = ? AND status = 'pending'`, String(eventId));
+}
+
+// Like cancelReminder, but keeps the rows (as 'cancelled') so a restart doesn't re-create them
+async function dismissReminders(eventKey, reason) {
+  await db.run(
+    `UPDATE reminders SET status = 'cancelled', last_error = ? WHERE event_key = ? AND status = 'pending'`,
+    reason,
+    String(eventKey)
+  );
+}
+
+async function snoozeReminder(reminder, until) {
+  await db.run(
+    `INSERT INTO reminders (chat_id, event_key, event_id, recurrence_id, offset_minutes, fire_at, event_start_at, payload_json, snoozed_from, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    reminder.chat_id,
+    reminder.event_key,
+    reminder.event_id,
+    reminder.recurrence_id,
+    reminder.offset_minutes,
+    until.toISOString(),
+    reminder.event_start_at,
+    reminder.payload_json,
+    reminder.snoozed_from || reminder.id,
+    new Date().toISOString()
+  );
+}
+
+async function rescheduleAllReminders() {
+  // Yesterday (UTC) covers every zone's "today"; scheduleReminder skips anything already past
+  const events = await db.all(
+    `SELECT * FROM events WHERE date >= ?`,
+    addDaysIso(isoDate(new Date()), -1)
+  );
+
+  for (const event of events) {
+    await scheduleReminder(event.chat_id, event);
+  }
+
+  const occurrences = await rescheduleRecurringReminders();
+
+  console.log(`✅ Rescheduled ${events.length} reminders (+${occurrences} recurring occurrences)`);
+}
+
+function formatReminderMessage(reminder, tz, lateSince) {
+  const payload = JSON.parse(reminder.payload_json);
+  const icon = getEventIcon(payload.type, reminder.chat_id);
+  const timeLabel = payload.start_time ? (payload.end_time ? `${payload.start_time}-${payload.end_time}` : payload.start_time) : 'All day';
+  let heading = reminder.offset_minutes === 0 ? 'starting now' : `${formatReminderOffset(reminder.offset_minutes)} before`;
+  if (!payload.start_time) {
+    // All-day offsets aren't "before" anything; say how far off the day is
+    const days = daysBetweenIso(isoDateInTz(new Date(reminder.fire_at), tz), payload.date);
+    const when = days <= 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+    heading = isTaskType(payload.type, reminder.chat_id) ? `due ${when}` : when;
+  }
+  if (reminder.snoozed_from) heading = 'snoozed';
+  const lateLabel = lateSince ? `\n⚠️ _Late: was due at ${zonedParts(lateSince, tz).time}_` : '';
+  const locStr = payload.location ? `\n📍 ${escapeMarkdown(payload.location)}` : '';
+
+  return (
+    `🔔 *Reminder* (${heading})${lateLabel}\n\n` +
+    `${icon} ${escapeMarkdown(payload.task)}\n` +
+    `📅 ${escapeMarkdown(formatDateSpan(payload, tz))}\n` +
+    `⏰ ${escapeMarkdown(timeLabel)}` +
+    locStr
+  );
+}
+
+async function deliverReminder(reminder) {
+  const now = Date.now();
+  const fireAt = new Date(reminder.fire_at);
+  const startAt = new Date(reminder.event_start_at);
+
+  // Past the catch-up window (or the event already began, unless the user snoozed past it): record it, don't send
+  const eventBegan = !reminder.snoozed_from && now > startAt.getTime() + REMINDER_LATE_AFTER_MS;
+  if (now - fireAt.getTime() > REMINDER_CATCHUP_MS || eventBegan) {
+    await db.run(
+      `UPDATE reminders SET status = 'expired', last_error = ? WHERE id = ?`,
+      'missed: outside catch-up window',
+      reminder.id
+    );
+    return;
+  }
+
+  const tz = await getChatTimezone(reminder.chat_id);
+  const isLate = now - fireAt.getTime() > REMINDER_LATE_AFTER_MS;
+  const text = formatReminderMessage(reminder, tz, isLate ? fireAt : null);
+  const attempts = reminder.attempts + 1;
+
+  try {
+    const dmCount = await deliverReminderByDm(reminder, text);
+    if (dmCount === 0) {
+      await bot.sendMessage(reminder.chat_id, text, { parse_mode: 'Markdown', reply_markup: buildReminderKeyboard(reminder.id) });
+    }
+    await db.run(
+      `UPDATE reminders SET status = 'sent', attempts = ?, sent_at = ? WHERE id = ?`,
+      attempts,
+      new Date().toISOString(),
+      reminder.id
+    );
+  } catch (error) {
+    console.error(`Failed to send reminder ${reminder.id} to ${reminder.chat_id}:`, error.message || error);
+
+    // 400/403 (chat gone, bot blocked) won't fix themselves; anything else is retried with backoff
+    const code = error?.response?.body?.error_code;
+    const permanent = code === 400 || code === 403;
+    if (permanent || attempts >= REMINDER_MAX_ATTEMPTS) {
+      await db.run(
+        `UPDATE reminders SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?`,
+        attempts,
+        String(error.message || error),
+        reminder.id
+      );
+    } else {
+      await db.run(
+        `UPDATE reminders SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`,
+        attempts,
+        String(error.message || error),
+        new Date(now + 2 ** attempts * 60 * 1000).toISOString(),
+        reminder.id
+      );
+    }
+  }
+}
+
+let dispatchingReminders = false;
+
+async function dispatchDueReminders() {
+  if (dispatchingReminders || !db) return;
+  dispatchingReminders = true;
+
+  try {
+    const due = await db.all(
+      `SELECT * FROM reminders
+       WHERE status = 'pending' AND COALESCE(next_attempt_at, fire_at) <= ?
+       ORDER BY fire_at`,
+      new Date().toISOString()
+    );
+
+    // After downtime several offsets of one event can be due at once; only the latest is worth sending
+    const latestByEvent = new Map();
+    for (const r of due) latestByEvent.set(r.event_key, r);
+
+    for (const r of due) {
+      if (latestByEvent.get(r.event_key) !== r) {
+        await db.run(`UPDATE reminders SET status = 'expired', last_error = ? WHERE id = ?`, 'superseded by a later reminder', r.id);
+        continue;
+      }
+      await deliverReminder(r);
+    }
+  } catch (error) {
+    console.error('Reminder dispatch error:', error);
+  } finally {
+    dispatchingReminders = false;
+  }
+}
+
+// Keep a month of delivery history
+async function pruneReminderLog() {
+  const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  await db.run(`DELETE FROM reminders WHERE status != 'pending' AND fire_at < ?`, cutoff);
+}
+
+// Every minute on the minute: reminder times are minute-aligned, so this is on time
+schedule.scheduleJob('* * * * *', dispatchDueReminders);
+schedule.scheduleJob('10 0 * * *', pruneReminderLog);
+
+// =====================================================
+// FORMATTING
+// =====================================================
+function formatTaskList(tasks, tz) {
+  if (tasks.length === 0) return 'No tasks scheduled.';
+
+  let currentDate = null;
+  let message = '';
+
+  // All-day items lead each day (the sort is stable, so timed ones keep their order)
+  const ordered = [...tasks].sort((a, b) => a.date.localeCompare(b.date) || !!a.start_time - !!b.start_time);
+
+  ordered.forEach(task => {
+    if (task.date !== currentDate) {
+      currentDate = task.date;
+      message += `\n📅 *${escapeMarkdown(formatDate(task.date, tz))}*\n`;
+    }
+
+    const icon = getEventIcon(task.type, task.chat_id);
+    const timeLabel = formatSpanTime(task, tz);
+
+    const timeStr = timeLabel ? `⏰ ${escapeMarkdown(timeLabel)} - ` : '🗓️ All day - ';
+    const locStr = task.location ? ` 📍 ${escapeMarkdown(task.location)}` : '';
+    const doneStr = task.status === 'done' ? ' ✔️' : '';
+    message += `${icon} ${timeStr}${escapeMarkdown(task.task)}${locStr}${doneStr}\n`;
+  });
+
+  return message.trim();
+}
+
+function formatRecurrenceList(series) {
+  let out = '';
+  for (const rec of series) {
+    const timeLabel = rec.start_time ? (rec.end_time ? `${rec.start_time}-${rec.end_time}` : rec.start_time) : null;
+    const timeStr = timeLabel ? ` ⏰ ${escapeMarkdown(timeLabel)}` : '';
+    const locStr = rec.location ? ` 📍 ${escapeMarkdown(rec.location)}` : '';
+    out += `${getEventIcon(rec.type, rec.chat_id)} ${escapeMarkdown(rec.task)} — ${escapeMarkdown(describeRecurrence(JSON.parse(rec.rule_json)))}${timeStr}${locStr}\n`;
+  }
+  return out.trim();
+}
+
+// Generic renderer for grouped sections (Assignments, Tasks, Classes); opts.showDate prefixes each day
+function renderItems(items, opts = {}) {
+  let out = '';
+  for (const task of items) {
+    const icon = opts.isSchool ? '📚' : getEventIcon(task.type, task.chat_id);
+    const timeLabel = formatSpanTime(task, opts.tz);
+
+    const timeStr = timeLabel ? `⏰ ${escapeMarkdown(timeLabel)} - ` : '• ';
+    const locStr = task.location ? ` 📍 ${escapeMarkdown(task.location)}` : '';
+    const doneStr = task.status === 'done' ? ' ✔️' : '';
+    const dateStr = opts.showDate ? `${escapeMarkdown(formatDate(task.date, opts.tz))} ` : '';
+    out += `${icon} ${dateStr}${timeStr}${escapeMarkdown(task.task)}${locStr}${doneStr}\n`;
+  }
+  return out;
+}
+
+function formatOverdueList(tasks, tz) {
+  let out = '';
+  for (const task of tasks) {
+    const due = task.start_time ? `${formatDate(task.date, tz)} ${task.start_time}` : formatDate(task.date, tz);
+    out += `${getEventIcon(task.type, task.chat_id)} ${escapeMarkdown(task.task)} — due ${escapeMarkdown(due)}\n`;
+  }
+  return out;
+}
+
+function makeEmptyDraft() {
+  return {
+    task: null,
+    date: null,
+    end_date: null,
+    start_time: null,
+    end_time: null,
+    location: null,
+    type: null,
+    recurrence: null,
+    reminder_offsets: null,
+    effort_minutes: null
+  };
+}
+
+function draftIsCompleteEnough(draft) {
   return !!draft.task && !!draft.date;
 }
 
-function formatDraftPreview(draft) {
-  const icon = getEventIcon(draft.type);
-  const dateLabel = draft.date ? formatDate(draft.date) : '(no date)';
+function formatDraftPreview(draft, tz, chatId = null) {
+  const icon = getEventIcon(draft.type, chatId);
+  const dateLabel = draft.date ? formatDateSpan(draft, tz) : '(no date)';
   const timeLabel =
     draft.start_time
       ? (draft.end_time ? `${draft.start_time}-${draft.end_time}` : draft.start_time)
-      : '(no time)';
+      : 'All day';
   const locLabel = draft.location ? `📍 ${draft.location}` : '';
-  const typeLabel = draft.type ? `🏷️ ${draft.type}` : '';
+  const typeLabel = draft.type ? `🏷️ ${formatCategoryLabel(draft.type, chatId)}` : '';
+  const repeatLabel = draft.recurrence ? `🔁 ${describeRecurrence(draft.recurrence)}` : '';
+  // Drafts carry reminder_offsets; saved rows carry reminder_offsets_json (null = chat default)
+  const offsets = draft.reminder_offsets_json != null ? JSON.parse(draft.reminder_offsets_json) : draft.reminder_offsets;
+  const reminderLabel = Array.isArray(offsets) ? formatReminderLabel(offsets) : '';
 
   return (
     `${icon} ${draft.task || '(no title)'}\n` +
-    `📅 ${dateLabel}\n` +
+    `📅 ${repeatLabel ? `Starts ${dateLabel}` : dateLabel}\n` +
     `⏰ ${timeLabel}\n` +
+    (repeatLabel ? `${repeatLabel}\n` : '') +
     (locLabel ? `${locLabel}\n` : '') +
+    (reminderLabel ? `${reminderLabel}\n` : '') +
+    (draft.effort_minutes ? `⏱️ ~${formatReminderOffset(draft.effort_minutes)} of work${draft.plan ? ` (${draft.plan.blocks.length} study block(s) planned, see /plan)` : ''}\n` : '') +
     typeLabel
   );
 }
@@ -711,6 +2678,8 @@ function mergeDraft(draft, updates, overwriteIntent, overwriteNext = false) {
       draft[k] = v;
     }
   }
+  // "all day" drops any time the draft had
+  if (updates.all_day) draft.start_time = draft.end_time = null;
   return draft;
 }
 
@@ -721,6 +2690,22 @@ function buildConfirmKeyboard(draftId) {
         { text: '✅ Confirm', callback_data: `confirm:${draftId}` },
         { text: '✏️ Edit', callback_data: `edit:${draftId}` },
         { text: '🗑️ Discard', callback_data: `discard:${draftId}` }
+      ],
+      [{ text: '🔔 Reminders', callback_data: `draft_remind:${draftId}` }]
+    ]
+  };
+}
+
+function buildDraftReminderKeyboard(draftId) {
+  const presets = [
+    ['10m', '10'], ['30m', '30'], ['1h', '60'], ['1 day', '1440']
+  ];
+  return {
+    inline_keyboard: [
+      presets.map(([text, value]) => ({ text, callback_data: `draft_remind_set:${draftId}:${value}` })),
+      [
+        { text: '↩️ Default', callback_data: `draft_remind_set:${draftId}:default` },
+        { text: '🔕 No reminder', callback_data: `draft_remind_set:${draftId}:none` }
       ]
     ]
   };
@@ -738,10 +2723,110 @@ function buildConflictKeyboard(draftId) {
   };
 }
 
-function buildTimetableImportKeyboard() {
-  return {
-    inline_keyboard: [
-      [
+function buildEditEventKeyboard(eventId) {
+  return buildEditFieldsKeyboard(field => `edit_change:${field}:${eventId}`, `delete_confirm:${eventId}`);
+}
+
+// Same buttons for one occurrence of a series, which stays part of the series until a change is saved
+function buildEditOccurrenceKeyboard(recId, dateStr) {
+  return buildEditFieldsKeyboard(field => `occ_change:${field}:${recId}:${dateStr}`, `occ_delete:${recId}:${dateStr}`);
+}
+
+function buildEditFieldsKeyboard(changeData, deleteData) {
+  return {
+    inline_keyboard: [
+      [
+        { text: 'Change Title', callback_data: changeData('title') },
+        { text: 'Change Date', callback_data: changeData('date') }
+      ],
+      [
+        { text: 'Change Time', callback_data: changeData('time') },
+        { text: 'Change Location', callback_data: changeData('location') }
+      ],
+      [
+        { text: '🔔 Change Reminders', callback_data: changeData('reminders') },
+        { text: '🏷️ Change Category', callback_data: changeData('category') }
+      ],
+      [
+        { text: '🗑️ Delete', callback_data: deleteData },
+        { text: '❌ Cancel', callback_data: 'cancel_edit' }
+      ]
+    ]
+  };
+}
+
+function buildSeriesButtons(series) {
+  return series.map(rec => [
+    {
+      text: `🔁 ${rec.task.substring(0, 26)} (${describeRecurrence(JSON.parse(rec.rule_json)).substring(0, 24)})`,
+      callback_data: `series_select:${rec.id}`
+    }
+  ]);
+}
+
+function buildSeriesKeyboard(rec, tz) {
+  const occurrenceRows = getNextOccurrenceDates(rec, 5, todayIso(tz)).map(d => [
+    { text: `📅 ${formatDate(d, tz)}`, callback_data: `occ_select:${rec.id}:${d}` }
+  ]);
+
+  return {
+    inline_keyboard: [
+      ...occurrenceRows,
+      [
+        { text: '✏️ Edit Whole Series', callback_data: `series_edit:${rec.id}` },
+        { text: '🗑️ Delete Series', callback_data: `series_delete:${rec.id}` }
+      ],
+      [{ text: '❌ Cancel', callback_data: 'cancel_edit' }]
+    ]
+  };
+}
+
+function buildReminderKeyboard(reminderId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '😴 10m', callback_data: `rem_snooze:${reminderId}:10` },
+        { text: '😴 1h', callback_data: `rem_snooze:${reminderId}:60` },
+        { text: '🌅 Tomorrow', callback_data: `rem_snooze:${reminderId}:morning` }
+      ],
+      [
+        { text: '✅ Done', callback_data: `rem_done:${reminderId}` },
+        { text: '⏭️ Skip this one', callback_data: `rem_skip:${reminderId}` }
+      ]
+    ]
+  };
+}
+
+// Replaces a reminder's buttons with a single inert status line
+function buildReminderStatusKeyboard(label) {
+  return { inline_keyboard: [[{ text: label, callback_data: 'noop' }]] };
+}
+
+function buildIcsModeKeyboard() {
+  return {
+    inline_keyboard: [
+      [
+        { text: '📚 Classes', callback_data: 'ics_mode:classes' },
+        { text: '📅 Events', callback_data: 'ics_mode:events' }
+      ],
+      [{ text: '❌ Cancel', callback_data: 'ics_mode:cancel' }]
+    ]
+  };
+}
+
+function buildEventsImportKeyboard() {
+  return {
+    inline_keyboard: [
+      [{ text: '✅ Import', callback_data: 'ics_import:confirm' }],
+      [{ text: '❌ Cancel', callback_data: 'ics_import:cancel' }]
+    ]
+  };
+}
+
+function buildTimetableImportKeyboard() {
+  return {
+    inline_keyboard: [
+      [
         { text: '✅ Replace & Import', callback_data: 'timetable_import:replace' },
         { text: '➕ Merge', callback_data: 'timetable_import:merge' }
       ],
@@ -750,6 +2835,16 @@ function buildTimetableImportKeyboard() {
   };
 }
 
+// One "Mark done" button per open task, then the usual way back
+function buildTaskDoneKeyboard(tasks) {
+  const rows = tasks.slice(0, 8).map(t => {
+    const title = t.task.length > 28 ? `${t.task.slice(0, 27)}…` : t.task;
+    return [{ text: `✅ Mark done: ${title}`, callback_data: `task_done:${t.id}` }];
+  });
+  rows.push([{ text: '⬅️ Back to Menu', callback_data: 'menu:home' }]);
+  return { inline_keyboard: rows };
+}
+
 function buildBackToMenuKeyboard() {
   return {
     inline_keyboard: [
@@ -762,9 +2857,9 @@ function pad2(n) {
   return String(n).padStart(2, '0');
 }
 
-function timeFromDateLocal(d) {
-  // Since your bot runs on your laptop, this uses laptop local timezone (SG).
-  return `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+function timeFromDateLocal(d, tz) {
+  // Wall-clock time in the chat's timezone, independent of the host clock
+  return zonedParts(d, tz).time;
 }
 
 function makeSubjectModulePlusType(summary) {
@@ -839,7 +2934,7 @@ function expandOccurrences(ev, windowStart, windowEnd) {
   return uniq;
 }
 
-function parseNusmodsIcsToTimetableEntries(icsText) {
+function parseNusmodsIcsToTimetableEntries(icsText, tz = DEFAULT_TIMEZONE) {
   const parsed = ical.parseICS(icsText);
 
   // Collect all weekly VEVENTs first
@@ -860,7 +2955,7 @@ function parseNusmodsIcsToTimetableEntries(icsText) {
   let semesterStart = null;
   if (weeklyEvents.length > 0) {
     const earliest = new Date(Math.min(...weeklyEvents.map(ev => ev.start.getTime())));
-    semesterStart = mondayOfWeek(earliest);
+    semesterStart = mondayOfWeekIso(isoDateInTz(earliest, tz));
   }
 
   // Define a safe semester window for expansion (e.g., ~18 weeks)
@@ -868,9 +2963,8 @@ function parseNusmodsIcsToTimetableEntries(icsText) {
   let windowStart = null;
   let windowEnd = null;
   if (semesterStart) {
-    windowStart = new Date(semesterStart);
-    windowEnd = new Date(semesterStart);
-    windowEnd.setDate(windowEnd.getDate() + 7 * 20); // 20 weeks window
+    windowStart = zonedDateTimeToUtc(semesterStart, '00:00', tz);
+    windowEnd = zonedDateTimeToUtc(addDaysIso(semesterStart, 7 * 20), '00:00', tz); // 20 weeks window
   } else {
     // Fallback if semesterStart couldn't be computed
     windowStart = new Date();
@@ -883,9 +2977,9 @@ function parseNusmodsIcsToTimetableEntries(icsText) {
   const entries = [];
 
   for (const ev of weeklyEvents) {
-    const day_of_week = ev.start.getDay(); // 0 Sun ... 6 Sat
-    const start_time = timeFromDateLocal(ev.start);
-    const end_time = timeFromDateLocal(ev.end);
+    const day_of_week = dayOfWeekIso(isoDateInTz(ev.start, tz)); // 0 Sun ... 6 Sat
+    const start_time = timeFromDateLocal(ev.start, tz);
+    const end_time = timeFromDateLocal(ev.end, tz);
 
     const subject = makeSubjectModulePlusType(ev.summary);
     const location = ev.location ? String(ev.location).trim() : null;
@@ -895,38 +2989,41 @@ function parseNusmodsIcsToTimetableEntries(icsText) {
     // Expand occurrences across semester window (THIS is the critical fix)
     const occ = expandOccurrences(ev, windowStart, windowEnd);
 
-    // Compute weeks from occurrences
+    // Compute teaching weeks from occurrences (occurrences in recess/reading/exam weeks don't count)
     let weeks = [];
     if (semesterStart && occ.length > 0) {
-      const semStartStr = isoDate(semesterStart);
-      weeks = [...new Set(occ.map(d => weekNumber(d, semStartStr)))]
+      weeks = [...new Set(occ.map(d => acadWeekInfo(isoDateInTz(d, tz), semesterStart)?.week))]
         .filter(w => w != null && w >= 1 && w <= 30)
         .sort((a, b) => a - b);
     }
 
-    // Decide weekly vs irregular:
-    // - If it hits "most weeks", treat as weekly (weeks_json = null)
-    // - If it only appears in a subset, store weeks_json.
-    //
-    // (You can tune thresholds; these are conservative.)
-    let weeks_json = null;
-    if (weeks.length > 0) {
-      // If it's missing many weeks (e.g., only a handful), mark irregular.
-      // Typical semester weekly count ~12-13; allow a bit of variation.
-      if (weeks.length <= 10) {
-        weeks_json = JSON.stringify(weeks);
-      } else {
-        // likely weekly: keep null
-        weeks_json = null;
-      }
-    } else {
-      // If we couldn't compute, assume weekly (null) to avoid "Weeks 1" artifacts
-      weeks_json = null;
-    }
+    entries.push({ subject, day_of_week, start_time, end_time, location, weeks_json: weeksJsonFor(weeks) });
+  }
 
-    entries.push({ subject, day_of_week, start_time, end_time, location, weeks_json });
+  return { entries: dedupeTimetableEntries(entries), semesterStart };
+}
+
+// Shared by the .ics and share-link imports so both store the same weeks_json
+function weeksJsonFor(weeks) {
+  // Decide weekly vs irregular:
+  // - If it hits "most weeks", treat as weekly (weeks_json = null)
+  // - If it only appears in a subset, store weeks_json.
+  //
+  // (You can tune thresholds; these are conservative.)
+  if (weeks.length > 0) {
+    // If it's missing many weeks (e.g., only a handful), mark irregular.
+    // Typical semester weekly count ~12-13; allow a bit of variation.
+    if (weeks.length <= 10) {
+      return JSON.stringify(weeks);
+    }
+    // likely weekly: keep null
+    return null;
   }
+  // If we couldn't compute, assume weekly (null) to avoid "Weeks 1" artifacts
+  return null;
+}
 
+function dedupeTimetableEntries(entries) {
   // De-dupe
   const seen = new Set();
   const deduped = [];
@@ -939,8 +3036,370 @@ function parseNusmodsIcsToTimetableEntries(icsText) {
 
   // Sort for preview
   deduped.sort((a, b) => (a.day_of_week - b.day_of_week) || a.start_time.localeCompare(b.start_time) || a.subject.localeCompare(b.subject));
+  return deduped;
+}
+
+// -----------------------------------------------------
+// NUSMods share links (nusmods.com/timetable/sem-2/share?CS2113=LEC:1,TUT:03)
+// -----------------------------------------------------
+// Module JSON comes from the NUSMods API and is cached on disk (same layout as the API), so a
+// populated cache works offline.
+const NUSMODS_SEMESTERS = { 'sem-1': 1, 'sem-2': 2, 'st-i': 3, 'st-ii': 4 };
+
+// Abbreviations NUSMods uses in share links
+const NUSMODS_LESSON_TYPE_ABBREV = {
+  'Design Lecture': 'DLEC',
+  Laboratory: 'LAB',
+  Lecture: 'LEC',
+  'Packaged Lecture': 'PLEC',
+  'Packaged Tutorial': 'PTUT',
+  Recitation: 'REC',
+  'Sectional Teaching': 'SEC',
+  'Seminar-Style Module Class': 'SEM',
+  Tutorial: 'TUT',
+  'Tutorial Type 2': 'TUT2',
+  'Tutorial Type 3': 'TUT3',
+  Workshop: 'WS'
+};
+
+const NUSMODS_SHARE_LINK_RE = /https?:\/\/(?:www\.)?nusmods\.com\/timetable\/(sem-1|sem-2|st-i|st-ii)\/share\?(\S+)/i;
+
+// -> { semester, modules: [{ moduleCode, lessons: [{ abbrev, classNo } | { abbrev, indices }] }] } or null
+function parseNusmodsShareLink(text) {
+  const m = String(text || '').match(NUSMODS_SHARE_LINK_RE);
+  if (!m) return null;
+
+  const modules = [];
+  for (const [key, value] of new URLSearchParams(m[2])) {
+    const moduleCode = key.toUpperCase();
+    // Skip non-module params (hidden=..., ta=...)
+    if (!/^[A-Z]{2,4}\d{4}[A-Z]*$/.test(moduleCode) || !value) continue;
+
+    const lessons = [];
+    // Classic "LEC:1,TUT:03" and newer "LEC:(0);TUT:(3,4)" (indices into the semester timetable)
+    for (const part of value.split(/[;,](?![^(]*\))/)) {
+      const [abbrev, ref] = part.split(':');
+      if (!abbrev || !ref) continue;
+      const indexList = ref.match(/^\((.*)\)$/);
+      if (indexList) lessons.push({ abbrev: abbrev.toUpperCase(), indices: indexList[1].split(',').filter(Boolean).map(Number) });
+      else lessons.push({ abbrev: abbrev.toUpperCase(), classNo: ref });
+    }
+    if (lessons.length > 0) modules.push({ moduleCode, lessons });
+  }
+
+  return { semester: NUSMODS_SEMESTERS[m[1].toLowerCase()], modules };
+}
+
+// NUS academic year starts on the first Monday on or after 1 August (orientation week)
+function nusAcadYearStartIso(startYear) {
+  const aug1 = `${startYear}-08-01`;
+  return addDaysIso(aug1, (8 - dayOfWeekIso(aug1)) % 7);
+}
+
+// "2025-2026" for a date; the API names academic years this way
+function nusAcadYearFor(dateStr) {
+  const y = Number(dateStr.slice(0, 4));
+  return dateStr >= nusAcadYearStartIso(y) ? `${y}-${y + 1}` : `${y - 1}-${y}`;
+}
+
+// Monday of instructional week 1 (Sem 1 after orientation, Sem 2 in week 24, special terms in weeks 41/47)
+function nusSemesterStartIso(acadYear, semester) {
+  const weeksIn = { 1: 1, 2: 23, 3: 40, 4: 46 }[semester];
+  return addDaysIso(nusAcadYearStartIso(Number(acadYear.slice(0, 4))), weeksIn * 7);
+}
+
+async function loadNusmodsModule(acadYear, moduleCode) {
+  const file = path.join(NUSMODS_CACHE_DIR, acadYear, 'modules', `${moduleCode}.json`);
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  const res = await fetch(`${NUSMODS_API_BASE}/${acadYear}/modules/${moduleCode}.json`);
+  if (!res.ok) throw new Error(`NUSMods API ${res.status} for ${moduleCode}`);
+  const body = await res.text();
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, body);
+  return JSON.parse(body);
+}
+
+// Teaching weeks a lesson runs in (the numbering weeks_json uses)
+function nusmodsLessonWeeks(lesson, semesterStart, layout) {
+  if (Array.isArray(lesson.weeks)) return lesson.weeks;
+
+  // Non-standard lessons give dates: { start, end, weekInterval?, weeks? }
+  const { start, end, weekInterval = 1, weeks } = lesson.weeks || {};
+  if (!start || !end) return [];
+  const dates = [];
+  if (Array.isArray(weeks)) {
+    for (const w of weeks) dates.push(addDaysIso(start, (w - 1) * 7));
+  } else {
+    for (let d = start; d <= end; d = addDaysIso(d, 7 * weekInterval)) dates.push(d);
+  }
+  return dates.filter(d => d <= end).map(d => acadWeekInfo(d, semesterStart, layout)?.week);
+}
+
+// Share link -> the same { entries, semesterStart } shape as parseNusmodsIcsToTimetableEntries, plus problems found
+async function nusmodsShareLinkToTimetableEntries(share, acadYear) {
+  const semesterStart = nusSemesterStartIso(acadYear, share.semester);
+  const layout = share.semester <= 2 ? REGULAR_SEMESTER_LAYOUT : SPECIAL_TERM_LAYOUT;
+  const entries = [];
+  const problems = [];
+
+  for (const { moduleCode, lessons } of share.modules) {
+    let mod;
+    try {
+      mod = await loadNusmodsModule(acadYear, moduleCode);
+    } catch (error) {
+      console.error(`NUSMods module ${moduleCode} error:`, error.message);
+      problems.push(`${moduleCode}: module data not available`);
+      continue;
+    }
+
+    const timetable = (mod.semesterData || []).find(sd => sd.semester === share.semester)?.timetable || [];
+
+    for (const sel of lessons) {
+      const chosen = sel.indices
+        ? sel.indices.map(i => timetable[i]).filter(Boolean)
+        : timetable.filter(l =>
+          (NUSMODS_LESSON_TYPE_ABBREV[l.lessonType] || l.lessonType.toUpperCase()) === sel.abbrev &&
+          l.classNo === sel.classNo
+        );
+
+      if (chosen.length === 0) {
+        problems.push(`${moduleCode} ${sel.abbrev} ${sel.classNo ?? sel.indices.join(',')}: class not found`);
+        continue;
+      }
+
+      for (const lesson of chosen) {
+        const weeks = [...new Set(nusmodsLessonWeeks(lesson, semesterStart, layout))]
+          .filter(w => w != null && w >= 1 && w <= 30)
+          .sort((a, b) => a - b);
+
+        entries.push({
+          subject: `${moduleCode} ${lesson.lessonType}`,
+          day_of_week: parseDayOfWeek(lesson.day),
+          start_time: `${lesson.startTime.slice(0, 2)}:${lesson.startTime.slice(2, 4)}`,
+          end_time: `${lesson.endTime.slice(0, 2)}:${lesson.endTime.slice(2, 4)}`,
+          location: lesson.venue ? String(lesson.venue).trim() : null,
+          weeks_json: weeksJsonFor(weeks)
+        });
+      }
+    }
+  }
+
+  return { entries: dedupeTimetableEntries(entries.filter(e => e.day_of_week !== null)), semesterStart, layout, problems };
+}
+
+// -----------------------------------------------------
+// Generic .ics import (events mode): any VEVENT -> events / recurrences
+// -----------------------------------------------------
+// One-off occurrences are imported this far ahead when a rule can't be stored as a series
+const ICS_IMPORT_HORIZON_DAYS = 366;
+
+// node-ical hands out all-day (VALUE=DATE) values as host-local midnights
+function allDayDateIso(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// CATEGORIES values naming one of the chat's categories (by key or name), else "other"
+function guessTypeFromCategories(categories, chatId = null) {
+  for (const c of [].concat(categories || [])) {
+    const category = findCategoryByName(chatId, c);
+    if (category) return category.key;
+  }
+  return 'other';
+}
+
+// RRULE text -> our recurrence rule, or null when it uses parts we can't store
+function icsRruleToRecurrence(rruleText, tz, allDay) {
+  const line = String(rruleText).split('\n').find(l => l.startsWith('RRULE:'));
+  if (!line) return null;
+
+  const params = Object.fromEntries(line.slice('RRULE:'.length).split(';').map(p => p.split('=')));
+  if (Object.keys(params).some(k => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'].includes(k))) return null;
+  if (params.WKST && params.WKST !== 'MO') return null;
+
+  let until = null;
+  if (params.UNTIL) {
+    const m = params.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+    if (!m) return null;
+    if (!m[4] || allDay) until = `${m[1]}-${m[2]}-${m[3]}`;
+    else until = isoDateInTz(new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}Z`), tz);
+  }
+
+  return normalizeRecurrence({
+    freq: params.FREQ,
+    interval: params.INTERVAL,
+    byday: params.BYDAY ? params.BYDAY.split(',') : [],
+    until,
+    count: params.COUNT
+  });
+}
+
+// Only keep a series if our expansion lands on exactly the dates (and wall-clock time) the file's rule does;
+// zone shifts across midnight or DST differences fall back to one-off occurrences
+function recurrenceAgreesWithIcs(ev, item, dateOf, tz) {
+  const windowEnd = addDaysIso(item.date, ICS_IMPORT_HORIZON_DAYS);
+  const ours = expandRecurrenceDates(
+    { rule_json: JSON.stringify(item.recurrence), start_date: item.date, exdates_json: null },
+    item.date,
+    windowEnd
+  );
 
-  return { entries: deduped, semesterStart: semesterStart ? isoDate(semesterStart) : null };
+  const occ = ev.rrule.between(ev.start, new Date(Date.parse(`${windowEnd}T00:00:00Z`) + 2 * 24 * 60 * 60 * 1000), true);
+  const theirs = occ.map(dateOf).filter(d => d <= windowEnd);
+  if (item.start_time && occ.some(d => timeFromDateLocal(d, tz) !== item.start_time)) return false;
+
+  return ours.length === theirs.length && ours.every((d, i) => d === theirs[i]);
+}
+
+function parseIcsToEvents(icsText, tz = DEFAULT_TIMEZONE, chatId = null) {
+  const parsed = ical.parseICS(icsText);
+  const today = todayIso(tz);
+  const horizonEnd = addDaysIso(today, ICS_IMPORT_HORIZON_DAYS);
+
+  const items = [];
+  let skippedPast = 0;
+
+  for (const ev of Object.values(parsed)) {
+    if (!ev || ev.type !== 'VEVENT' || !(ev.start instanceof Date)) continue;
+    if (String(ev.status || '').toUpperCase() === 'CANCELLED') continue;
+
+    const allDay = ev.datetype === 'date' || !!ev.start.dateOnly;
+    const dateOf = d => (allDay ? allDayDateIso(d) : isoDateInTz(d, tz));
+    const uid = String(ev.uid || `${ev.summary}|${ev.start.toISOString()}`);
+
+    const base = {
+      uid,
+      task: String(ev.summary || '').trim() || 'Untitled event',
+      date: dateOf(ev.start),
+      start_time: allDay ? null : timeFromDateLocal(ev.start, tz),
+      end_time: null,
+      location: ev.location ? String(ev.location).trim() : null,
+      type: guessTypeFromCategories(ev.categories, chatId)
+    };
+    // Keep end times that fall on the same day; longer spans are only kept for one-off events (below)
+    if (!allDay && ev.end instanceof Date && dateOf(ev.end) === base.date && timeFromDateLocal(ev.end, tz) !== base.start_time) {
+      base.end_time = timeFromDateLocal(ev.end, tz);
+    }
+
+    // Moved or cancelled single occurrences (RECURRENCE-ID), keyed by their original date
+    const overrides = new Map();
+    for (const o of Object.values(ev.recurrences || {})) {
+      if (o.recurrenceid instanceof Date) overrides.set(dateOf(o.recurrenceid), o);
+    }
+
+    const overrideItems = [];
+    for (const [origDate, o] of overrides) {
+      if (String(o.status || '').toUpperCase() === 'CANCELLED' || !(o.start instanceof Date)) continue;
+      const oAllDay = o.datetype === 'date' || !!o.start.dateOnly;
+      const oDate = oAllDay ? allDayDateIso(o.start) : isoDateInTz(o.start, tz);
+      overrideItems.push({
+        ...base,
+        uid: `${uid}#${origDate}`,
+        task: String(o.summary || base.task).trim(),
+        date: oDate,
+        start_time: oAllDay ? null : timeFromDateLocal(o.start, tz),
+        end_time: !oAllDay && o.end instanceof Date && isoDateInTz(o.end, tz) === oDate ? timeFromDateLocal(o.end, tz) : null,
+        location: o.location ? String(o.location).trim() : base.location
+      });
+    }
+
+    if (!ev.rrule) {
+      // All-day DTEND is exclusive; a timed one ends on the day (and at the time) it says
+      const endDate = ev.end instanceof Date ? (allDay ? addDaysIso(dateOf(ev.end), -1) : dateOf(ev.end)) : null;
+      if (endDate && endDate > base.date) {
+        base.end_date = endDate;
+        if (!allDay) base.end_time = timeFromDateLocal(ev.end, tz);
+      }
+      if (eventLastDay(base) < today) skippedPast++;
+      else items.push(base);
+      continue;
+    }
+
+    const exdates = new Set([...collectExdateSet(ev)].map(iso => dateOf(new Date(iso))));
+    for (const d of overrides.keys()) exdates.add(d);
+
+    const recurrence = icsRruleToRecurrence(ev.rrule.toString(), tz, allDay);
+    const series = { ...base, recurrence, exdates: [...exdates].sort() };
+
+    if (recurrence && recurrenceAgreesWithIcs(ev, series, dateOf, tz)) {
+      const upcoming = expandRecurrenceDates(
+        { rule_json: JSON.stringify(recurrence), start_date: series.date, exdates_json: JSON.stringify(series.exdates) },
+        today,
+        horizonEnd
+      );
+      if (upcoming.length === 0) skippedPast++;
+      else items.push(series);
+    } else {
+      // Rules we can't store (yearly, BYSETPOS, other zones...) become one-off occurrences over the next year
+      const windowStart = zonedDateTimeToUtc(today, '00:00', tz);
+      const windowEnd = zonedDateTimeToUtc(horizonEnd, '23:59', tz);
+      for (const d of expandOccurrences(ev, windowStart, windowEnd)) {
+        const date = dateOf(d);
+        if (exdates.has(date)) continue;
+        items.push({ ...base, uid: `${uid}#${date}`, date });
+      }
+    }
+
+    for (const o of overrideItems) {
+      if (o.date < today) skippedPast++;
+      else items.push(o);
+    }
+  }
+
+  // Later duplicates of a UID (e.g. the same calendar exported twice) win
+  const byUid = new Map(items.map(i => [i.uid, i]));
+  const result = [...byUid.values()];
+  result.sort((a, b) => a.date.localeCompare(b.date) || (a.start_time || '23:59').localeCompare(b.start_time || '23:59'));
+
+  return { items: result, skippedPast };
+}
+
+// Where a UID was imported before in this chat: { table: 'events' | 'recurrences', id } or null
+async function findIcsImport(chatId, uid) {
+  const ev = await db.get('SELECT id FROM events WHERE chat_id = ? AND ics_uid = ?', chatId, uid);
+  if (ev) return { table: 'events', id: ev.id };
+  const rec = await db.get('SELECT id FROM recurrences WHERE chat_id = ? AND ics_uid = ?', chatId, uid);
+  if (rec) return { table: 'recurrences', id: rec.id };
+  return null;
+}
+
+// Inserts or updates one parsed item; returns 'added' or 'updated'
+async function saveIcsImportItem(chatId, item, op = null) {
+  const existing = await findIcsImport(chatId, item.uid);
+  const fields = {
+    task: item.task,
+    start_time: item.start_time,
+    end_time: item.end_time,
+    location: item.location,
+    type: item.type
+  };
+
+  // Same kind as before: update in place (keeps completion state and reminder settings)
+  if (existing?.table === 'events' && !item.recurrence) {
+    await updateEvent(chatId, existing.id, { ...fields, date: item.date, end_date: item.end_date || null }, op);
+    return 'updated';
+  }
+  if (existing?.table === 'recurrences' && item.recurrence) {
+    await updateRecurrence(chatId, existing.id, {
+      ...fields,
+      start_date: item.date,
+      recurrence: item.recurrence,
+      exdates_json: item.exdates.length ? JSON.stringify(item.exdates) : null
+    }, op);
+    return 'updated';
+  }
+
+  // Became (or stopped being) recurring in the source calendar: swap the row
+  if (existing?.table === 'events') await deleteEvent(chatId, existing.id, op);
+  if (existing?.table === 'recurrences') await deleteRecurrence(chatId, existing.id, op);
+
+  await saveDraftEvent(chatId, { ...item, ics_uid: item.uid }, op);
+  return existing ? 'updated' : 'added';
 }
 
 function buildMainMenuKeyboard() {
@@ -962,8 +3421,9 @@ function buildMainMenuKeyboard() {
         { text: '📚 Timetable', callback_data: 'menu:timetable' },
         { text: '➕ Add Class', callback_data: 'menu:addclass' }
       ],
+      [{ text: '🖼️ Week as Image', callback_data: 'menu:weekimg' }],
       [
-        { text: '📥 Import Timetable (.ics)', callback_data: 'menu:import_timetable' }
+        { text: '📥 Import Calendar (.ics)', callback_data: 'menu:import_timetable' }
       ],
       [
         { text: '✏️ Edit Events', callback_data: 'menu:edit' },
@@ -975,197 +3435,819 @@ function buildMainMenuKeyboard() {
 }
 
 // =====================================================
-// OPENAI PARSER
+// OFFLINE PARSER
 // =====================================================
-async function parseScheduleMessage(message) {
-  try {
-    const today = isoDate(new Date());
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      temperature: 0,
-      max_tokens: 650,
-      response_format: { type: 'json_object' },
-      messages: [
-        {
-          role: 'system',
-          content:
-            'You extract scheduling information from chat messages.\n' +
-            'Return ONLY valid JSON.\n\n' +
-            'You must decide whether the message is:\n' +
-            'A) a schedule update fragment (date only/time only/title only/location only), or\n' +
-            'B) a multi-event bulletin or date-range (multiple dates), or\n' +
-            'C) not schedule-related.\n\n' +
-            'Output one of these JSON shapes:\n\n' +
-            '1) Fragment update:\n' +
-            '{ "kind":"updates", "success":true, "overwrite_intent": boolean, "updates": {\n' +
-            '   "task": string|null,\n' +
-            '   "date": "YYYY-MM-DD"|null,\n' +
-            '   "start_time": "HH:MM"|null,\n' +
-            '   "end_time": "HH:MM"|null,\n' +
-            '   "location": string|null,\n' +
-            '   "type": one of ["assignment","deadline","task","sports","meeting","class","social","admin","other"]|null\n' +
-            '} }\n\n' +
-            '2) Multi-event output:\n' +
-            '{ "kind":"events", "success":true, "events":[\n' +
-            '  { "task": string, "date":"YYYY-MM-DD", "start_time":"HH:MM"|null, "end_time":"HH:MM"|null, "location":string|null, "type":label|null }\n' +
-            '] }\n\n' +
-            '3) Not schedule-related:\n' +
-            '{ "success":false, "error":"not_schedule" }\n\n' +
-            'Rules:\n' +
-            '- Use Current date for resolving relative dates.\n' +
-            '- Convert times like "930pm" -> 21:30. Convert "9pm-11pm" into start/end.\n' +
-            '- If no time is provided, use start_time=null and end_time=null.\n' +
-            '- Set overwrite_intent=true if the user is correcting (words like "change", "actually", "instead").\n' +
-            '- For bulletins, apply header context (title/location) to each bullet.\n' +
-            '- IMPORTANT: If the user gives a DATE RANGE (e.g., "5 to 6 Jan", "5-6 Jan"), return kind:"events" and create ONE event per date in the range.\n' +
-            '- Classify event types based on keywords: sports (gym, run, game), meeting (call, meeting), class (lecture, class), deadline (due, submit), social (party, dinner), admin (taxes, bills).\n' +
-            '- NEW: Prefer "assignment" for graded school deliverables (quiz, lab, homework, submission, milestone, project).\n' +
-            '- Use "deadline" for due dates that are not clearly graded deliverables.\n' +
-            '- Use "task" for general to-dos.\n' +
-            '- If both "submit" and a date/time appear, classify as "assignment" unless clearly admin.\n'
-        },
-        {
-          role: 'user',
-          content:
-            `Current date: ${today}\n\n` +
-            `Message:\n"""${message}"""\n\n` +
-            `Return ONLY JSON.`
-        }
-      ]
-    });
-
-    const text = response.choices?.[0]?.message?.content?.trim();
-    if (!text) return { success: false, error: 'Empty model response' };
-
-    const parsed = JSON.parse(text);
-    if (!parsed || typeof parsed !== 'object') return { success: false, error: 'Invalid JSON object' };
-
-    if (parsed.kind === 'updates' && parsed.success === true) {
-      const u = parsed.updates || {};
+// Rule-based first pass for the fragments people type most ("18 Jan", "5pm-6pm", "next Fri",
+// "5-6 Jan", "@ COM1"). A message made only of those never reaches OpenAI, nor does a title with a
+// date when no date/time words are left in it. Anything else still goes to the model, and this
+// result is used when that fails.
+const OFFLINE_MONTH_SRC = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const OFFLINE_WEEKDAY_SRC = '(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)';
+const OFFLINE_ORD_SRC = '(?:st|nd|rd|th)?';
+const OFFLINE_YEAR_SRC = '(?:,?\\s+(20\\d{2}))?';
+const OFFLINE_RANGE_SEP_SRC = '\\s*(?:-|–|to|till|until)\\s*';
+const OFFLINE_PREP_SRC = '(?:\\b(?:on|at|from|by|before|due(?:\\s+(?:on|at|by))?)\\s+)?';
+// "930pm", "6.30pm", "18:30", "1830hrs", "noon"
+const OFFLINE_TIME_SRC = '(?:\\d{3,4}\\s*(?:am|pm|hrs?)|\\d{1,2}(?:[:.]\\d{2})?\\s*(?:am|pm)|\\d{1,2}[:.]\\d{2}|noon|midnight)';
+// Any single date phrase parseOfflineDate understands
+const OFFLINE_DATE_SRC = [
+  '\\d{4}-\\d{1,2}-\\d{1,2}',
+  '\\d{1,2}\\/\\d{1,2}(?:\\/(?:\\d{4}|\\d{2}))?',
+  `\\d{1,2}${OFFLINE_ORD_SRC}\\s+(?:of\\s+)?${OFFLINE_MONTH_SRC}(?:,?\\s+20\\d{2})?`,
+  `${OFFLINE_MONTH_SRC}\\s+\\d{1,2}${OFFLINE_ORD_SRC}(?:,?\\s+20\\d{2})?`,
+  '(?:the\\s+)?day\\s+after\\s+(?:tomorrow|tmrw|tmr)',
+  'today|tonight|tdy|tomorrow|tmrw|tmr|tmw',
+  'in\\s+\\d{1,2}\\s+(?:days?|weeks?)',
+  `(?:(?:this|next|coming)\\s+)?${OFFLINE_WEEKDAY_SRC}`
+].join('|');
+const OFFLINE_MAX_RANGE_DAYS = 31;
+// Date/time words still in the title mean the rules missed part of the when ("the thursday after recess week")
+const OFFLINE_LEFTOVER_RE = new RegExp(
+  `\\b(?:${OFFLINE_WEEKDAY_SRC}|${OFFLINE_MONTH_SRC}|\\d{1,2}[:.]\\d{2}|\\d+\\s*(?:am|pm|hrs?)|\\d{3,}|` +
+    'today|tonight|tomorrow|tmrw?|yesterday|next|after|before|week|weekend|morning|afternoon|evening|night|noon|midnight)\\b',
+  'i'
+);
+
+function monthNumber(name) {
+  return ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+    .indexOf(String(name).slice(0, 3).toLowerCase()) + 1;
+}
 
-      // Apply heuristic type fallback based on the raw message text
-      const inferredType = heuristicTypeFallback(message, u.type || null);
+function isoFromParts(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
 
-      const out = {
-        kind: 'updates',
-        success: true,
-        overwrite_intent: !!parsed.overwrite_intent,
-        updates: {
-          task: u.task ? String(u.task).trim() : null,
-          date: u.date || null,
-          start_time: normalizeTime(u.start_time),
-          end_time: normalizeTime(u.end_time),
-          location: u.location ? String(u.location).trim() : null,
-          type: inferredType
-        }
-      };
+// "YYYY-MM-DD" naming a real day; Date.parse would accept 2026-02-30 and roll it into March
+function isValidIsoDate(text) {
+  const m = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return !!m && isoFromParts(Number(m[1]), Number(m[2]), Number(m[3])) === text;
+}
 
-      if (out.updates.date && !/^\d{4}-\d{2}-\d{2}$/.test(out.updates.date)) {
-        out.updates.date = null;
-      }
-      return out;
-    }
+// Day + month with no year means the next such date on or after `fromDate`
+function upcomingIso(month, day, year, fromDate) {
+  if (year) return isoFromParts(Number(year), month, day);
+  const thisYear = Number(fromDate.slice(0, 4));
+  const iso = isoFromParts(thisYear, month, day);
+  if (iso && iso >= fromDate) return iso;
+  return isoFromParts(thisYear + 1, month, day);
+}
 
-    if (parsed.kind === 'events' && parsed.success === true && Array.isArray(parsed.events)) {
-      const cleaned = parsed.events
-        .map(ev => ({
-          task: ev.task ? String(ev.task).trim() : null,
-          date: ev.date || null,
-          start_time: normalizeTime(ev.start_time),
-          end_time: normalizeTime(ev.end_time),
-          location: ev.location ? String(ev.location).trim() : null,
-          // Use heuristic on each event task if type is missing or null
-          type: heuristicTypeFallback(ev.task, ev.type || null)
-        }))
-        .filter(ev => ev.task && ev.date && /^\d{4}-\d{2}-\d{2}$/.test(ev.date));
+// "Fri" / "this Fri" = the next Friday on or after today; "next Fri" = Friday of next week
+function weekdayIso(name, modifier, today) {
+  const dow = parseDayOfWeek(name);
+  if (dow === null) return null;
+  if (modifier === 'next') return addDaysIso(mondayOfWeekIso(today), 7 + (dow + 6) % 7);
+  return addDaysIso(today, (dow - dayOfWeekIso(today) + 7) % 7);
+}
 
-      if (cleaned.length === 0) return { success: false, error: 'No valid events extracted' };
+// One date phrase on its own: "18 Jan", "Jan 18th 2027", "18/1", "2026-01-18", "tmr", "next Fri"
+function parseOfflineDate(text, today) {
+  const s = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  let m;
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) return isoFromParts(+m[1], +m[2], +m[3]);
+  if ((m = s.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?$/))) {
+    const year = m[3] ? (m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : null;
+    return upcomingIso(+m[2], +m[1], year, today);
+  }
+  if ((m = s.match(new RegExp(`^(\\d{1,2})${OFFLINE_ORD_SRC} (?:of )?(${OFFLINE_MONTH_SRC})${OFFLINE_YEAR_SRC}$`)))) {
+    return upcomingIso(monthNumber(m[2]), +m[1], m[3], today);
+  }
+  if ((m = s.match(new RegExp(`^(${OFFLINE_MONTH_SRC}) (\\d{1,2})${OFFLINE_ORD_SRC}${OFFLINE_YEAR_SRC}$`)))) {
+    return upcomingIso(monthNumber(m[1]), +m[2], m[3], today);
+  }
+  if (/^(today|tonight|tdy)$/.test(s)) return today;
+  if (/^(tomorrow|tmrw|tmr|tmw)$/.test(s)) return addDaysIso(today, 1);
+  if (/^(the )?day after (tomorrow|tmrw|tmr)$/.test(s)) return addDaysIso(today, 2);
+  if ((m = s.match(/^in (\d{1,2}) (days?|weeks?)$/))) return addDaysIso(today, Number(m[1]) * (m[2][0] === 'w' ? 7 : 1));
+  if ((m = s.match(new RegExp(`^(?:(this|next|coming) )?(${OFFLINE_WEEKDAY_SRC})$`)))) return weekdayIso(m[2], m[1], today);
+  return null;
+}
 
-      cleaned.sort((a, b) => {
-        const da = new Date(`${a.date}T${a.start_time || '23:59'}:00`);
-        const db = new Date(`${b.date}T${b.start_time || '23:59'}:00`);
-        return da - db;
-      });
+// Clock token -> "HH:MM". A bare hour ("5" in "5-6pm") needs the meridiem of its partner.
+function parseOfflineTime(token, fallbackMeridiem = null) {
+  let s = String(token || '').toLowerCase().replace(/\s+/g, '');
+  if (s === 'noon') return '12:00';
+  if (s === 'midnight') return '00:00';
+
+  // "930pm" / "1830hrs"
+  let m = s.match(/^(\d{1,2})(\d{2})(am|pm|hrs?)?$/);
+  if (m) s = `${m[1]}:${m[2]}${m[3] && !m[3].startsWith('h') ? m[3] : ''}`;
+
+  m = s.match(/^(\d{1,2})(?:[:.](\d{2}))?(am|pm)?$/);
+  if (!m) return null;
+  const meridiem = m[3] || fallbackMeridiem;
+  if (!meridiem && m[2] == null) return null;
+  return normalizeTime(`${m[1]}:${m[2] || '00'}${meridiem || ''}`);
+}
 
-      return { kind: 'events', success: true, events: cleaned };
-    }
+function parseOfflineTimeRange(startToken, endToken) {
+  const end = parseOfflineTime(endToken);
+  if (!end) return null;
 
-    return { success: false, error: parsed.error || 'Failed to parse message' };
-  } catch (error) {
-    console.error('AI parsing error:', error);
-    if (error?.status === 401) return { success: false, error: 'invalid_api_key' };
-    if (error?.status === 429) return { success: false, error: 'quota' };
-    return { success: false, error: 'Failed to parse message' };
+  let start = parseOfflineTime(startToken);
+  const endMeridiem = (String(endToken).toLowerCase().match(/(am|pm)\s*$/) || [])[1];
+  if (!start && endMeridiem) {
+    // "5-6pm" is 5pm, but "11-1pm" is 11am
+    start = parseOfflineTime(startToken, endMeridiem);
+    if (start && start > end) start = parseOfflineTime(startToken, endMeridiem === 'pm' ? 'am' : 'pm');
   }
+  return start ? { start, end } : null;
 }
 
-// =====================================================
-// AI PARSER FOR CLASS/TIMETABLE ENTRIES
-// =====================================================
-async function parseClassMessage(message) {
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      temperature: 0,
-      max_tokens: 800,
-      response_format: { type: 'json_object' },
-      messages: [
-        {
-          role: 'system',
-          content:
-            'You extract class/timetable information from chat messages.\n' +
-            'Return ONLY valid JSON.\n\n' +
-            'Extract information about recurring classes that happen weekly.\n' +
-            'The message may contain ONE or MULTIPLE classes.\n\n' +
-            'Output JSON shape:\n' +
-            '{ "success": true, "classes": [{ "subject": string, "day_of_week": string, "start_time": "HH:MM", "end_time": "HH:MM", "location": string|null }, ...] }\n\n' +
-            'OR if unable to parse:\n' +
-            '{ "success": false, "error": "missing_info" }\n\n' +
-            'IMPORTANT RULES:\n' +
-            '- "day_of_week" must be one of: "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"\n' +
-            '- If a class has MULTIPLE days (e.g., "Every Tuesday and Thursday"), create SEPARATE entries for EACH day\n' +
-            '- Handle "Every [Day]" format - extract just the day name (e.g., "Every Monday" -> "Monday")\n' +
-            '- Convert times to 24-hour format (HH:MM). Examples:\n' +
-            '  * "9am" -> "09:00"\n' +
-            '  * "12pm" -> "12:00"\n' +
-            '  * "2:30pm" -> "14:30"\n' +
-            '  * "6.30pm" -> "18:30" (handle dots as colons)\n' +
-            '  * "6:30pm" -> "18:30"\n' +
-            '- If time range is given (e.g., "12pm-3pm", "6.30pm-9.30pm"), extract start_time and end_time\n' +
-            '- If only one time is given, assume class is 1 hour long\n' +
-            '- "subject" is the class name/course code (e.g., "NM3230", "CS2113LECTURE", "Math 101")\n' +
-            '- "location" is optional - extract if mentioned (e.g., "AS6-0214", "Room 101", "Lab 3")\n' +
-            '- If day is mentioned as abbreviation (Mon, Tue, Wed, etc.), convert to full day name\n' +
-            '- SKIP classes with specific dates (e.g., "10th Feb, 10th March") - only extract weekly recurring classes\n' +
-            '- If the message contains multiple classes (separated by newlines), extract ALL of them\n' +
-            '- If information is incomplete for a class, skip that class but continue parsing others\n' +
-            '- Return success: false only if NO classes could be parsed\n\n' +
-            'Examples:\n' +
-            '- "NM3230 Every Monday 12pm-3pm AS6-0214" -> { "success": true, "classes": [{ "subject": "NM3230", "day_of_week": "Monday", "start_time": "12:00", "end_time": "15:00", "location": "AS6-0214" }] }\n' +
-            '- "MNO2711 Every Monday 6.30pm-9.30pm BIZ2" -> { "success": true, "classes": [{ "subject": "MNO2711", "day_of_week": "Monday", "start_time": "18:30", "end_time": "21:30", "location": "BIZ2" }] }\n' +
-            '- "CG2023LECTURE Every Tuesday and Thursday 4pm-6pm" -> { "success": true, "classes": [{ "subject": "CG2023LECTURE", "day_of_week": "Tuesday", "start_time": "16:00", "end_time": "18:00", "location": null }, { "subject": "CG2023LECTURE", "day_of_week": "Thursday", "start_time": "16:00", "end_time": "18:00", "location": null }] }\n' +
-            '- "CS2113LECTURE Every Friday 4pm-6pm" -> { "success": true, "classes": [{ "subject": "CS2113LECTURE", "day_of_week": "Friday", "start_time": "16:00", "end_time": "18:00", "location": null }] }\n'
-        },
-        {
-          role: 'user',
-          content: `Message:\n"""${message}"""\n\nReturn ONLY JSON.`
-        }
-      ]
-    });
+// Drops the connecting words left behind once dates/times are cut out ("Dinner on  at" -> "Dinner")
+function tidyOfflineText(text) {
+  const edgeWord = '(?:on|at|from|by|due|to|till|until|and|for|every)';
+  let s = String(text || '').replace(/\s+/g, ' ').trim();
+  let prev;
+  do {
+    prev = s;
+    s = s
+      .replace(/^[\s,;:@–-]+|[\s,;:@–-]+$/g, '')
+      .replace(new RegExp(`^${edgeWord}(?:\\s+|$)`, 'i'), '')
+      .replace(new RegExp(`(?:^|\\s+)${edgeWord}$`, 'i'), '');
+  } while (s !== prev);
+  return /[\p{L}\p{N}]/u.test(s) ? s : null;
+}
 
-    const text = response.choices?.[0]?.message?.content?.trim();
-    if (!text) return { success: false, error: 'Empty model response' };
+// Same result shapes as the OpenAI parser, plus `complete: true` when the model would not do better:
+// there is no title, or there is a date and the title has no date/time words left in it.
+function parseScheduleMessageOffline(message, tz = DEFAULT_TIMEZONE, chatId = null) {
+  const original = String(message || '');
+  const today = todayIso(tz);
+  let work = original;
+
+  // Blank out whatever a rule understood; same length, so `work` stays aligned with `original`
+  const consume = (source, handler) => {
+    work = work.replace(new RegExp(source, 'gi'), (match, ...rest) => {
+      const groups = rest.slice(0, -2).map(g => (g == null ? g : g.toLowerCase()));
+      return handler(match.toLowerCase(), ...groups) === false ? match : '\u0001'.repeat(match.length);
+    });
+  };
 
-    const parsed = JSON.parse(text);
-    if (!parsed || typeof parsed !== 'object') return { success: false, error: 'Invalid JSON object' };
+  let overwriteIntent = false;
+  consume('\\b(?:actually|instead|change(?:\\s+it)?(?:\\s+to)?|make\\s+it|move(?:\\s+it)?\\s+to)\\b', () => {
+    overwriteIntent = true;
+  });
 
-    if (parsed.success === true && Array.isArray(parsed.classes)) {
-      const validClasses = [];
+  // Repeats: "every Mon and Wed", "daily", "every 2 weeks", "monthly", "... until 30 Apr", "... for 10 weeks"
+  let recurrence = null;
+  const setRule = (rule) => {
+    if (recurrence) return false;
+    recurrence = rule;
+  };
+  const weekdayList = `${OFFLINE_WEEKDAY_SRC}(?:\\s*(?:,|and|&|\\/)\\s*${OFFLINE_WEEKDAY_SRC})*`;
+  consume(`\\bevery\\s+(?:(other|\\d)\\s+)?${weekdayList}\\b`, (match, every) => setRule({
+    freq: 'weekly',
+    interval: every === 'other' ? 2 : Number(every) || 1,
+    byday: match.match(new RegExp(`\\b${OFFLINE_WEEKDAY_SRC}\\b`, 'g')).map(d => RRULE_DAY_CODES[parseDayOfWeek(d)])
+  }));
+  consume('\\bevery\\s+weekdays?\\b', () => setRule({ freq: 'weekly', interval: 1, byday: ['MO', 'TU', 'WE', 'TH', 'FR'] }));
+  consume('\\b(?:daily|every\\s*day)\\b', () => setRule({ freq: 'daily', interval: 1 }));
+  consume('\\b(?:weekly|fortnightly|every\\s+week|every\\s+(other|\\d{1,2})\\s+weeks?)\\b', (match, every) => setRule({
+    freq: 'weekly',
+    interval: match === 'fortnightly' || every === 'other' ? 2 : Number(every) || 1
+  }));
+  consume('\\b(?:monthly|every\\s+month|every\\s+(other|\\d{1,2})\\s+months?)\\b', (match, every) => setRule({
+    freq: 'monthly',
+    interval: every === 'other' ? 2 : Number(every) || 1
+  }));
+  if (recurrence) {
+    consume(`\\b(?:until|till|through)\\s+(${OFFLINE_DATE_SRC})\\b`, (match, phrase) => {
+      const until = parseOfflineDate(phrase, today);
+      if (!until) return false;
+      recurrence.until = until;
+    });
+    consume('\\bfor\\s+(\\d{1,3})\\s+(weeks?|days?|months?|times|sessions|lessons)\\b', (match, n, unit) => {
+      const perWeek = recurrence.freq === 'weekly' ? Math.max(1, recurrence.byday?.length || 1) : null;
+      if (unit.startsWith('week') && perWeek) recurrence.count = Number(n) * perWeek;
+      else if (unit.startsWith('day') && recurrence.freq === 'daily') recurrence.count = Number(n);
+      else if (unit.startsWith('month') && recurrence.freq === 'monthly') recurrence.count = Number(n);
+      else if (!/^(week|day|month)/.test(unit)) recurrence.count = Number(n);
+      else return false;
+    });
+  }
 
-      for (const cls of parsed.classes) {
-        // Handle multiple days - if day_of_week contains "and" or comma, split it
-        let days = [];
+  // Dates: ranges first ("5 Jan - 7 Feb", "5-6 Jan", "Jan 5-6"), then single phrases.
+  // A range is one multi-day event; separate dates are separate events.
+  const spans = [];
+  const addRange = (from, to) => {
+    if (!from || !to || to < from || daysBetweenIso(from, to) >= OFFLINE_MAX_RANGE_DAYS) return false;
+    spans.push({ date: from, end_date: to > from ? to : null });
+  };
+  const notTime = '(?!\\s*(?:am|pm|[:.]\\d))';
+  consume(
+    `${OFFLINE_PREP_SRC}\\b(\\d{1,2})${OFFLINE_ORD_SRC}\\s+(${OFFLINE_MONTH_SRC})${OFFLINE_RANGE_SEP_SRC}(\\d{1,2})${OFFLINE_ORD_SRC}\\s+(${OFFLINE_MONTH_SRC})${OFFLINE_YEAR_SRC}\\b`,
+    (match, d1, m1, d2, m2, year) => {
+      const startYear = year && monthNumber(m1) > monthNumber(m2) ? Number(year) - 1 : year;
+      const from = upcomingIso(monthNumber(m1), +d1, startYear, today);
+      return addRange(from, from && upcomingIso(monthNumber(m2), +d2, year, from));
+    }
+  );
+  consume(
+    `${OFFLINE_PREP_SRC}\\b(\\d{1,2})${OFFLINE_ORD_SRC}${OFFLINE_RANGE_SEP_SRC}(\\d{1,2})${OFFLINE_ORD_SRC}\\s+(?:of\\s+)?(${OFFLINE_MONTH_SRC})${OFFLINE_YEAR_SRC}\\b`,
+    (match, d1, d2, mon, year) => {
+      const from = upcomingIso(monthNumber(mon), +d1, year, today);
+      return addRange(from, from && isoFromParts(Number(from.slice(0, 4)), monthNumber(mon), +d2));
+    }
+  );
+  consume(
+    `${OFFLINE_PREP_SRC}\\b(${OFFLINE_MONTH_SRC})\\s+(\\d{1,2})${OFFLINE_ORD_SRC}${OFFLINE_RANGE_SEP_SRC}(\\d{1,2})${OFFLINE_ORD_SRC}${notTime}${OFFLINE_YEAR_SRC}\\b`,
+    (match, mon, d1, d2, year) => {
+      const from = upcomingIso(monthNumber(mon), +d1, year, today);
+      return addRange(from, from && isoFromParts(Number(from.slice(0, 4)), monthNumber(mon), +d2));
+    }
+  );
+  consume(`${OFFLINE_PREP_SRC}\\b(${OFFLINE_DATE_SRC})\\b${notTime}`, (match, phrase) => {
+    const iso = parseOfflineDate(phrase, today);
+    if (!iso) return false;
+    spans.push({ date: iso, end_date: null });
+  });
+
+  // "all day" makes it explicitly date-only, whatever times were said
+  let allDay = false;
+  consume('\\b(?:all[-\\s]?day|whole\\s+day|full\\s+day)\\b', () => {
+    allDay = true;
+  });
+
+  // Times: ranges ("6.30pm-9.30pm", "5-6pm", "1800-2000hrs"), then single times ("at 930pm")
+  let startTime = null;
+  let endTime = null;
+  consume(`${OFFLINE_PREP_SRC}\\b(\\d{4})\\s*(?:hrs?)?${OFFLINE_RANGE_SEP_SRC}(\\d{4})\\s*hrs?\\b`, (match, a, b) => {
+    const start = parseOfflineTime(a);
+    const end = parseOfflineTime(b);
+    if (startTime || !start || !end) return false;
+    startTime = start;
+    endTime = end;
+  });
+  consume(
+    `${OFFLINE_PREP_SRC}\\b(\\d{3,4}\\s*(?:am|pm)|\\d{1,2}(?:[:.]\\d{2})?\\s*(?:am|pm)?|noon)${OFFLINE_RANGE_SEP_SRC}(${OFFLINE_TIME_SRC})\\b`,
+    (match, a, b) => {
+      const range = parseOfflineTimeRange(a, b);
+      if (startTime || !range) return false;
+      startTime = range.start;
+      endTime = range.end;
+    }
+  );
+  consume(`${OFFLINE_PREP_SRC}\\b(${OFFLINE_TIME_SRC})\\b`, (match, token) => {
+    const time = parseOfflineTime(token);
+    if (!time) return false;
+    if (!startTime) startTime = time;
+    else if (!endTime && time > startTime) endTime = time;
+    else return false;
+  });
+  // A bare 24-hour "2359" only counts straight after a date or "at/by/due" ("due fri 2359", "by 0900")
+  consume('(?:\\u0001\\s*|\\b(?:at|by|due)\\s+)(\\d{4})\\b', (match, token) => {
+    const time = parseOfflineTime(token);
+    if (startTime || !time) return false;
+    startTime = time;
+  });
+
+  if (allDay) startTime = endTime = null;
+
+  // "@ location" runs to the end of what's left; the title is everything before it
+  const rest = work.replace(/\u0001/g, ' ');
+  const atIndex = rest.indexOf('@');
+  const location = atIndex === -1 ? null : tidyOfflineText(rest.slice(atIndex + 1));
+  const task = tidyOfflineText(atIndex === -1 ? rest : rest.slice(0, atIndex));
+
+  const uniqueSpans = [...new Map(spans.map(sp => [`${sp.date}|${sp.end_date}`, sp])).values()]
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (!task && !location && !startTime && !uniqueSpans.length && !recurrence && !allDay) {
+    return { success: false, error: 'not_schedule' };
+  }
+
+  const type = heuristicTypeFallback(original, null, chatId);
+
+  if (uniqueSpans.length > 1 && !recurrence) {
+    if (!task) return { success: false, error: 'No valid events extracted' };
+    return {
+      kind: 'events',
+      success: true,
+      complete: false,
+      events: uniqueSpans.map(sp => ({
+        task, date: sp.date, end_date: sp.end_date, start_time: startTime, end_time: endTime, location, type, recurrence: null
+      }))
+    };
+  }
+
+  // "daily from 5 to 9 Jan": a range on a repeat bounds the series instead
+  const span = uniqueSpans[0];
+  if (recurrence && span?.end_date && !recurrence.until && !recurrence.count) recurrence.until = span.end_date;
+  const rule = normalizeRecurrence(recurrence);
+  const datedCleanly = Boolean(span || rule) && !OFFLINE_LEFTOVER_RE.test(`${task} ${location || ''}`);
+  return {
+    kind: 'updates',
+    success: true,
+    complete: !task || datedCleanly,
+    overwrite_intent: overwriteIntent,
+    updates: {
+      task,
+      date: span?.date || (rule ? firstRecurrenceDateOnOrAfter(rule, today) : null),
+      end_date: rule ? null : span?.end_date || null,
+      start_time: startTime,
+      end_time: endTime,
+      all_day: allDay || null,
+      location,
+      type,
+      recurrence: rule
+    }
+  };
+}
+
+// =====================================================
+// LLM PROVIDER
+// =====================================================
+// The parsers only see llmJson(). Behind it sits one provider picked by LLM_PROVIDER:
+// "openai" talks to OpenAI or any OpenAI-compatible server (LLM_BASE_URL), "fixtures" replays
+// recorded responses from LLM_FIXTURES_FILE, "none" fails every call so the offline parser is used.
+function createLlmProvider() {
+  if (LLM_PROVIDER === 'fixtures') return createFixtureLlmProvider(LLM_FIXTURES_FILE);
+  if (LLM_PROVIDER === 'none') {
+    return {
+      name: 'none',
+      async complete() {
+        const err = new Error('LLM disabled (LLM_PROVIDER=none)');
+        err.code = 'llm_disabled';
+        throw err;
+      }
+    };
+  }
+
+  // Timeouts and retries (429/5xx/connection errors, with backoff) are handled by the SDK
+  const client = new OpenAI({
+    apiKey: LLM_API_KEY || 'not-needed',
+    baseURL: LLM_BASE_URL || undefined,
+    timeout: LLM_TIMEOUT_MS,
+    maxRetries: LLM_MAX_RETRIES
+  });
+  return {
+    name: LLM_BASE_URL ? `openai-compatible (${LLM_BASE_URL})` : 'openai',
+    async complete({ messages, maxTokens, retry = true }) {
+      const response = await client.chat.completions.create({
+        model: LLM_MODEL,
+        temperature: 0,
+        max_tokens: maxTokens,
+        ...(LLM_JSON_MODE ? { response_format: { type: 'json_object' } } : {}),
+        messages
+      }, retry ? {} : { maxRetries: 0 });
+      return response.choices?.[0]?.message?.content?.trim() || '';
+    }
+  };
+}
+
+// Fixture file: { "<purpose>": { "<prompt key>": { "input": "<raw user message>", "response": <response JSON> } } }.
+// The key covers the whole prompt (instructions, current date, categories), so a recorded response is
+// only replayed for the prompt it answered; "input" is there for people reading the file.
+function llmPromptKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 16);
+}
+
+function readLlmFixtures(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Could not read LLM fixtures ${file}:`, err.message);
+    return {};
+  }
+}
+
+function createFixtureLlmProvider(file) {
+  const fixtures = readLlmFixtures(file);
+  const count = Object.values(fixtures).reduce((n, byInput) => n + Object.keys(byInput || {}).length, 0);
+  console.log(`🧪 Loaded ${count} recorded LLM response(s) from ${path.basename(file)}`);
+
+  return {
+    name: `fixtures (${file})`,
+    async complete({ purpose, input, messages }) {
+      const key = llmPromptKey(messages);
+      const hit = fixtures[purpose]?.[key];
+      if (hit === undefined) {
+        const err = new Error(`No recorded ${purpose} response for prompt ${key} (${JSON.stringify(input)})`);
+        err.code = 'fixture_missing';
+        throw err;
+      }
+      return typeof hit.response === 'string' ? hit.response : JSON.stringify(hit.response);
+    }
+  };
+}
+
+function recordLlmFixture(purpose, messages, input, value) {
+  try {
+    const fixtures = readLlmFixtures(LLM_FIXTURES_FILE);
+    fixtures[purpose] = { ...(fixtures[purpose] || {}), [llmPromptKey(messages)]: { input, response: value } };
+    fs.writeFileSync(LLM_FIXTURES_FILE, JSON.stringify(fixtures, null, 2) + '\n');
+  } catch (err) {
+    console.error('Could not record LLM fixture:', err.message);
+  }
+}
+
+// Checks a value against a small JSON Schema subset (type, const, enum, pattern, required,
+// properties, items, anyOf). Returns the first problem as "<path>: <reason>", or null.
+function validateJsonSchema(value, schema, at = '$') {
+  if (schema.anyOf) {
+    const problems = schema.anyOf.map(branch => validateJsonSchema(value, branch, at));
+    if (problems.includes(null)) return null;
+    // Blame the branch whose discriminators ("kind", "success") match, not whichever came first
+    const picked = schema.anyOf.findIndex(branch => Object.entries(branch.properties || {})
+      .every(([key, sub]) => !('const' in sub) || value?.[key] === sub.const));
+    return picked === -1 ? `${at}: does not match any expected shape` : problems[picked];
+  }
+
+  if ('const' in schema && value !== schema.const) return `${at}: expected ${JSON.stringify(schema.const)}`;
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${at}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (!types.includes(actual)) return `${at}: expected ${types.join(' or ')}, got ${actual}`;
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    return `${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) return `${at}: missing "${key}"`;
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const problem = validateJsonSchema(value[key], sub, `${at}.${key}`);
+      if (problem) return problem;
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const problem = validateJsonSchema(value[i], schema.items, `${at}[${i}]`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+function parseLlmJson(content, schema) {
+  // Local models like to wrap JSON in a ```json fence even when told not to
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+  if (!text) return { error: 'empty response' };
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return { error: `not valid JSON (${err.message})` };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'expected a JSON object' };
+
+  const problem = validateJsonSchema(value, schema);
+  return problem ? { error: problem } : { value };
+}
+
+// One chat completion that must come back as JSON matching `schema`. A malformed reply gets a
+// single repair round (the model sees its own output and the problem); a second failure throws.
+// The repair is already a second paid call, so the SDK does not retry it on top.
+async function llmJson({ purpose, input, system, user, maxTokens, schema }) {
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+
+  const content = await llm.complete({ purpose, input, messages, maxTokens });
+  let result = parseLlmJson(content, schema);
+
+  if (result.error) {
+    console.warn(`LLM ${purpose} response rejected (${result.error}); asking for a repair`);
+    const repaired = await llm.complete({
+      purpose,
+      input,
+      maxTokens,
+      retry: false,
+      messages: [
+        ...messages,
+        { role: 'assistant', content: content || '(empty)' },
+        { role: 'user', content: `That reply is not usable: ${result.error}. Return ONLY the corrected JSON object.` }
+      ]
+    });
+    result = parseLlmJson(repaired, schema);
+    if (result.error) {
+      const err = new Error(`Invalid ${purpose} response after repair: ${result.error}`);
+      err.code = 'invalid_response';
+      throw err;
+    }
+  }
+
+  if (LLM_RECORD_FIXTURES && LLM_PROVIDER !== 'fixtures') recordLlmFixture(purpose, messages, input, result.value);
+  return result.value;
+}
+
+// Response schemas: strict on structure, lenient where the parsers normalise anyway (times)
+const LLM_NULLABLE_STRING = { type: ['string', 'null'] };
+const LLM_ISO_DATE = { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+// A category key; each chat has its own list (given in the prompt), so keys are checked after parsing
+const LLM_EVENT_TYPE = LLM_NULLABLE_STRING;
+const LLM_RECURRENCE = {
+  type: ['object', 'null'],
+  required: ['freq'],
+  properties: {
+    freq: { enum: ['daily', 'weekly', 'monthly'] },
+    interval: { type: ['number', 'null'] },
+    byday: { type: ['array', 'null'], items: { type: 'string' } },
+    until: LLM_ISO_DATE,
+    count: { type: ['number', 'null'] }
+  }
+};
+const LLM_FAILURE = {
+  type: 'object',
+  required: ['success'],
+  properties: { success: { const: false }, error: { type: 'string' } }
+};
+
+const SCHEDULE_RESPONSE_SCHEMA = {
+  anyOf: [
+    {
+      type: 'object',
+      required: ['kind', 'success', 'updates'],
+      properties: {
+        kind: { const: 'updates' },
+        success: { const: true },
+        overwrite_intent: { type: ['boolean', 'null'] },
+        updates: {
+          type: 'object',
+          properties: {
+            task: LLM_NULLABLE_STRING,
+            date: LLM_ISO_DATE,
+            end_date: LLM_ISO_DATE,
+            start_time: LLM_NULLABLE_STRING,
+            end_time: LLM_NULLABLE_STRING,
+            all_day: { type: ['boolean', 'null'] },
+            location: LLM_NULLABLE_STRING,
+            type: LLM_EVENT_TYPE,
+            recurrence: LLM_RECURRENCE
+          }
+        }
+      }
+    },
+    {
+      type: 'object',
+      required: ['kind', 'success', 'events'],
+      properties: {
+        kind: { const: 'events' },
+        success: { const: true },
+        events: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['task', 'date'],
+            properties: {
+              task: { type: 'string' },
+              date: { type: 'string', pattern: LLM_ISO_DATE.pattern },
+              end_date: LLM_ISO_DATE,
+              start_time: LLM_NULLABLE_STRING,
+              end_time: LLM_NULLABLE_STRING,
+              location: LLM_NULLABLE_STRING,
+              type: LLM_EVENT_TYPE,
+              recurrence: LLM_RECURRENCE
+            }
+          }
+        }
+      }
+    },
+    LLM_FAILURE
+  ]
+};
+
+const CLASS_RESPONSE_SCHEMA = {
+  anyOf: [
+    {
+      type: 'object',
+      required: ['success', 'classes'],
+      properties: {
+        success: { const: true },
+        classes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['subject', 'day_of_week', 'start_time'],
+            properties: {
+              subject: { type: 'string' },
+              day_of_week: { type: 'string' },
+              start_time: { type: 'string' },
+              end_time: LLM_NULLABLE_STRING,
+              location: LLM_NULLABLE_STRING
+            }
+          }
+        }
+      }
+    },
+    LLM_FAILURE
+  ]
+};
+
+// =====================================================
+// AI PARSER
+// =====================================================
+const SCHEDULE_PARSER_PROMPT =
+  'You extract scheduling information from chat messages.\n' +
+  'Return ONLY valid JSON.\n\n' +
+  'You must decide whether the message is:\n' +
+  'A) a schedule update fragment (date only/time only/title only/location only), or\n' +
+  'B) a multi-event bulletin or date-range (multiple dates), or\n' +
+  'C) not schedule-related.\n\n' +
+  'Output one of these JSON shapes:\n\n' +
+  '1) Fragment update:\n' +
+  '{ "kind":"updates", "success":true, "overwrite_intent": boolean, "updates": {\n' +
+  '   "task": string|null,\n' +
+  '   "date": "YYYY-MM-DD"|null,\n' +
+  '   "end_date": "YYYY-MM-DD"|null,\n' +
+  '   "start_time": "HH:MM"|null,\n' +
+  '   "end_time": "HH:MM"|null,\n' +
+  '   "all_day": boolean|null,\n' +
+  '   "location": string|null,\n' +
+  '   "type": a category key from the Categories list|null,\n' +
+  '   "recurrence": recurrence|null\n' +
+  '} }\n\n' +
+  '2) Multi-event output:\n' +
+  '{ "kind":"events", "success":true, "events":[\n' +
+  '  { "task": string, "date":"YYYY-MM-DD", "end_date":"YYYY-MM-DD"|null, "start_time":"HH:MM"|null, "end_time":"HH:MM"|null, "location":string|null, "type":label|null, "recurrence":recurrence|null }\n' +
+  '] }\n\n' +
+  'where recurrence is:\n' +
+  '{ "freq":"daily"|"weekly"|"monthly", "interval":number, "byday":["MO","TU","WE","TH","FR","SA","SU"]|null, "until":"YYYY-MM-DD"|null, "count":number|null }\n\n' +
+  '3) Not schedule-related:\n' +
+  '{ "success":false, "error":"not_schedule" }\n\n' +
+  'Rules:\n' +
+  '- Use Current date for resolving relative dates.\n' +
+  '- Convert times like "930pm" -> 21:30. Convert "9pm-11pm" into start/end.\n' +
+  '- If no time is provided, use start_time=null and end_time=null.\n' +
+  '- If the user says "all day" (or asks to drop the time), set all_day=true and start_time=end_time=null.\n' +
+  '- Set overwrite_intent=true if the user is correcting (words like "change", "actually", "instead").\n' +
+  '- For bulletins, apply header context (title/location) to each bullet.\n' +
+  '- IMPORTANT: If the user gives a DATE RANGE (e.g., "5 to 6 Jan", "5-6 Jan") for one event, return ONE event with date = first day and end_date = last day. Only use kind:"events" for separate events.\n' +
+  '- end_date is null for events within one day. A time range that crosses midnight ("9pm-2am", "21:00-00:00") keeps the start date and end_date=null.\n' +
+  '- "type" must be one of the keys in the Categories list. The user\'s own categories (with their keywords) come last; prefer them when they fit.\n' +
+  '- Otherwise classify by keywords: sports (gym, run, game), meeting (call, meeting), class (lecture, class), deadline (due, submit), social (party, dinner), admin (taxes, bills).\n' +
+  '- NEW: Prefer "assignment" for graded school deliverables (quiz, lab, homework, submission, milestone, project).\n' +
+  '- Use "deadline" for due dates that are not clearly graded deliverables.\n' +
+  '- Use "task" for general to-dos.\n' +
+  '- If both "submit" and a date/time appear, classify as "assignment" unless clearly admin.\n' +
+  '- REPEATING events ("every Monday", "daily", "every 2 weeks", "monthly", "every Tue and Thu until 30 Apr", "for 10 weeks") are ONE item with a recurrence, never one event per date.\n' +
+  '  Set date to the first occurrence on/after Current date. Use byday for weekday rules; for monthly "2nd Tuesday" use ["2TU"], "last Friday" ["-1FR"].\n' +
+  '  "for N weeks/times" -> count. Otherwise recurrence=null.\n';
+
+// chatId brings in the chat's own categories (see CATEGORIES)
+async function parseScheduleMessage(message, tz = DEFAULT_TIMEZONE, chatId = null) {
+  const offline = parseScheduleMessageOffline(message, tz, chatId);
+  if (offline.success && offline.complete) return offline;
+
+  const parsed = await parseScheduleMessageWithAI(message, tz, chatId);
+  if (parsed.success || parsed.error === 'not_schedule') return parsed;
+
+  // Bad key, quota, network or unusable output: fall back to what the rules could read
+  if (offline.success) {
+    console.warn(`AI parse failed (${parsed.error}); using offline parse`);
+    return offline;
+  }
+  return parsed;
+}
+
+async function parseScheduleMessageWithAI(message, tz = DEFAULT_TIMEZONE, chatId = null) {
+  try {
+    const today = todayIso(tz);
+
+    const parsed = await llmJson({
+      purpose: 'schedule',
+      input: message,
+      maxTokens: 650,
+      schema: SCHEDULE_RESPONSE_SCHEMA,
+      system: SCHEDULE_PARSER_PROMPT,
+      user:
+        `Current date: ${today} (${getDayName(dayOfWeekIso(today))}, timezone ${tz})\n\n` +
+        `Categories ("key" (name, kind): keywords):\n${describeCategoriesForPrompt(chatId)}\n\n` +
+        `Message:\n"""${message}"""\n\n` +
+        `Return ONLY JSON.`
+    });
+
+    if (parsed.kind === 'updates' && parsed.success === true) {
+      const u = parsed.updates || {};
+
+      // Apply heuristic type fallback based on the raw message text
+      const inferredType = heuristicTypeFallback(message, findCategory(chatId, u.type)?.key || null, chatId);
+
+      const out = {
+        kind: 'updates',
+        success: true,
+        overwrite_intent: !!parsed.overwrite_intent,
+        updates: {
+          task: u.task ? String(u.task).trim() : null,
+          date: u.date || null,
+          end_date: u.end_date && u.date && u.end_date > u.date ? u.end_date : null,
+          start_time: u.all_day ? null : normalizeTime(u.start_time),
+          end_time: u.all_day ? null : normalizeTime(u.end_time),
+          all_day: u.all_day === true || null,
+          location: u.location ? String(u.location).trim() : null,
+          type: inferredType,
+          recurrence: normalizeRecurrence(u.recurrence)
+        }
+      };
+
+      if (out.updates.date && !/^\d{4}-\d{2}-\d{2}$/.test(out.updates.date)) {
+        out.updates.date = null;
+      }
+      if (out.updates.recurrence && !out.updates.date) {
+        out.updates.date = firstRecurrenceDateOnOrAfter(out.updates.recurrence, today);
+      }
+      return out;
+    }
+
+    if (parsed.kind === 'events' && parsed.success === true && Array.isArray(parsed.events)) {
+      const cleaned = parsed.events
+        .map(ev => ({
+          task: ev.task ? String(ev.task).trim() : null,
+          date: ev.date || null,
+          end_date: ev.end_date && ev.date && ev.end_date > ev.date ? ev.end_date : null,
+          start_time: normalizeTime(ev.start_time),
+          end_time: normalizeTime(ev.end_time),
+          location: ev.location ? String(ev.location).trim() : null,
+          // Use heuristic on each event task if type is missing or null
+          type: heuristicTypeFallback(ev.task, findCategory(chatId, ev.type)?.key || null, chatId),
+          recurrence: normalizeRecurrence(ev.recurrence)
+        }))
+        .filter(ev => ev.task && ev.date && /^\d{4}-\d{2}-\d{2}$/.test(ev.date));
+
+      if (cleaned.length === 0) return { success: false, error: 'No valid events extracted' };
+
+      cleaned.sort((a, b) => {
+        const da = new Date(`${a.date}T${a.start_time || '23:59'}:00`);
+        const db = new Date(`${b.date}T${b.start_time || '23:59'}:00`);
+        return da - db;
+      });
+
+      return { kind: 'events', success: true, events: cleaned };
+    }
+
+    return { success: false, error: parsed.error || 'Failed to parse message' };
+  } catch (error) {
+    console.error('AI parsing error:', error);
+    if (error?.status === 401) return { success: false, error: 'invalid_api_key' };
+    if (error?.status === 429) return { success: false, error: 'quota' };
+    return { success: false, error: 'Failed to parse message' };
+  }
+}
+
+// =====================================================
+// AI PARSER FOR CLASS/TIMETABLE ENTRIES
+// =====================================================
+const CLASS_PARSER_PROMPT =
+  'You extract class/timetable information from chat messages.\n' +
+  'Return ONLY valid JSON.\n\n' +
+  'Extract information about recurring classes that happen weekly.\n' +
+  'The message may contain ONE or MULTIPLE classes.\n\n' +
+  'Output JSON shape:\n' +
+  '{ "success": true, "classes": [{ "subject": string, "day_of_week": string, "start_time": "HH:MM", "end_time": "HH:MM", "location": string|null }, ...] }\n\n' +
+  'OR if unable to parse:\n' +
+  '{ "success": false, "error": "missing_info" }\n\n' +
+  'IMPORTANT RULES:\n' +
+  '- "day_of_week" must be one of: "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"\n' +
+  '- If a class has MULTIPLE days (e.g., "Every Tuesday and Thursday"), create SEPARATE entries for EACH day\n' +
+  '- Handle "Every [Day]" format - extract just the day name (e.g., "Every Monday" -> "Monday")\n' +
+  '- Convert times to 24-hour format (HH:MM). Examples:\n' +
+  '  * "9am" -> "09:00"\n' +
+  '  * "12pm" -> "12:00"\n' +
+  '  * "2:30pm" -> "14:30"\n' +
+  '  * "6.30pm" -> "18:30" (handle dots as colons)\n' +
+  '  * "6:30pm" -> "18:30"\n' +
+  '- If time range is given (e.g., "12pm-3pm", "6.30pm-9.30pm"), extract start_time and end_time\n' +
+  '- If only one time is given, assume class is 1 hour long\n' +
+  '- "subject" is the class name/course code (e.g., "NM3230", "CS2113LECTURE", "Math 101")\n' +
+  '- "location" is optional - extract if mentioned (e.g., "AS6-0214", "Room 101", "Lab 3")\n' +
+  '- If day is mentioned as abbreviation (Mon, Tue, Wed, etc.), convert to full day name\n' +
+  '- SKIP classes with specific dates (e.g., "10th Feb, 10th March") - only extract weekly recurring classes\n' +
+  '- If the message contains multiple classes (separated by newlines), extract ALL of them\n' +
+  '- If information is incomplete for a class, skip that class but continue parsing others\n' +
+  '- Return success: false only if NO classes could be parsed\n\n' +
+  'Examples:\n' +
+  '- "NM3230 Every Monday 12pm-3pm AS6-0214" -> { "success": true, "classes": [{ "subject": "NM3230", "day_of_week": "Monday", "start_time": "12:00", "end_time": "15:00", "location": "AS6-0214" }] }\n' +
+  '- "MNO2711 Every Monday 6.30pm-9.30pm BIZ2" -> { "success": true, "classes": [{ "subject": "MNO2711", "day_of_week": "Monday", "start_time": "18:30", "end_time": "21:30", "location": "BIZ2" }] }\n' +
+  '- "CG2023LECTURE Every Tuesday and Thursday 4pm-6pm" -> { "success": true, "classes": [{ "subject": "CG2023LECTURE", "day_of_week": "Tuesday", "start_time": "16:00", "end_time": "18:00", "location": null }, { "subject": "CG2023LECTURE", "day_of_week": "Thursday", "start_time": "16:00", "end_time": "18:00", "location": null }] }\n' +
+  '- "CS2113LECTURE Every Friday 4pm-6pm" -> { "success": true, "classes": [{ "subject": "CS2113LECTURE", "day_of_week": "Friday", "start_time": "16:00", "end_time": "18:00", "location": null }] }\n';
+
+async function parseClassMessage(message) {
+  try {
+    const parsed = await llmJson({
+      purpose: 'class',
+      input: message,
+      maxTokens: 800,
+      schema: CLASS_RESPONSE_SCHEMA,
+      system: CLASS_PARSER_PROMPT,
+      user: `Message:\n"""${message}"""\n\nReturn ONLY JSON.`
+    });
+
+    if (parsed.success === true && Array.isArray(parsed.classes)) {
+      const validClasses = [];
+
+      for (const cls of parsed.classes) {
+        // Handle multiple days - if day_of_week contains "and" or comma, split it
+        let days = [];
         if (cls.day_of_week && (cls.day_of_week.includes(' and ') || cls.day_of_week.includes(','))) {
           // Split by "and" or comma
           const dayParts = cls.day_of_week.split(/ and |,/).map(d => d.trim());
@@ -1239,21 +4321,32 @@ async function parseClassMessage(message) {
 // =====================================================
 // DAILY SUMMARY
 // =====================================================
+const DAILY_SUMMARY_HOUR = 21; // 9 PM in each chat's own timezone
+
 async function sendDailySummary() {
-  const users = await db.all('SELECT DISTINCT chat_id FROM events');
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowStr = isoDate(tomorrow);
+  const users = await db.all('SELECT chat_id FROM events UNION SELECT chat_id FROM recurrences');
+  const now = new Date();
 
   for (const { chat_id } of users) {
-    const tasks = await db.all(
-      `SELECT * FROM events WHERE chat_id = ? AND date = ? ORDER BY start_time`,
-      chat_id,
-      tomorrowStr
-    );
-
-    if (tasks.length > 0) {
-      const message = `🌙 *Tomorrow's Schedule*\n${formatTaskList(tasks)}`;
+    const tz = await getChatTimezone(chat_id);
+    const local = zonedParts(now, tz);
+    if (local.hour !== DAILY_SUMMARY_HOUR) continue;
+
+    // The job runs every 15 minutes, so only the first tick of the local hour sends
+    const settings = await db.get('SELECT last_summary_date FROM settings WHERE chat_id = ?', chat_id);
+    if (settings?.last_summary_date === local.date) continue;
+    await upsertSetting(chat_id, 'last_summary_date', local.date);
+
+    const tomorrowStr = addDaysIso(local.date, 1);
+    const tasks = (await getEventsWithSchoolTimetable(chat_id, tomorrowStr, tomorrowStr))
+      .filter(t => t.source !== 'school_timetable' && t.status !== 'done');
+    tasks.sort((a, b) => (a.start_time || '23:59').localeCompare(b.start_time || '23:59'));
+    const overdue = await getOverdueTasks(chat_id, tz);
+
+    if (tasks.length > 0 || overdue.length > 0) {
+      const label = await acadLabelForDate(chat_id, tomorrowStr);
+      let message = `🌙 *Tomorrow's Schedule*${label ? ` — ${escapeMarkdown(label)}` : ''}\n${formatTaskList(tasks, tz)}`;
+      if (overdue.length > 0) message += `\n\n⚠️ *Overdue*\n${formatOverdueList(overdue, tz).trim()}`;
       try {
         await bot.sendMessage(chat_id, message, { parse_mode: 'Markdown' });
       } catch (error) {
@@ -1263,469 +4356,3253 @@ async function sendDailySummary() {
   }
 }
 
-// Daily at 9 PM server time
-schedule.scheduleJob('0 21 * * *', sendDailySummary);
+// Every 15 minutes so zones with :30/:45 offsets still get their local 9 PM
+schedule.scheduleJob('*/15 * * * *', sendDailySummary);
 
 // =====================================================
-// COMMAND HANDLERS (reused by menu callbacks)
+// LEGACY DATA (schedule_data.json -> SQLite)
 // =====================================================
-async function getEventsWithSchoolTimetable(chatId, startDate, endDate) {
-  const events = await getEventsInRange(chatId, startDate, endDate);
-  const allItems = [...events];
+// The pre-SQLite bot kept { "<chatId>": [{ id, task, date, time, endTime, addedAt }] } in a JSON file.
+// Each record is imported once (legacy_imports remembers it), so running this again changes nothing.
+// One audit op per chat; undoing it also forgets the records it added, so they can be imported again.
+async function migrateLegacyScheduleData(file = LEGACY_DATA_FILE) {
+  if (!fs.existsSync(file)) return null;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const report = new Map();
+
+  for (const [chatKey, records] of Object.entries(data || {})) {
+    const chatId = Number(chatKey);
+    if (!Number.isSafeInteger(chatId) || !Array.isArray(records)) continue;
+    const counts = { added: 0, skipped: 0, invalid: 0 };
+    report.set(chatId, counts);
+    let op = null;
+
+    for (const record of records) {
+      const task = String(record?.task || '').trim();
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(record?.date) ? record.date : null;
+      if (!task || !date) {
+        counts.invalid++;
+        continue;
+      }
 
-  // Add school timetable entries for each date in range
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-    const dateStr = isoDate(d);
-    const schoolEntries = await getSchoolTimetableForDate(chatId, dateStr);
-    
-    for (const entry of schoolEntries) {
-      allItems.push({
-        id: `school_${entry.id}`,
-        chat_id: chatId,
-        task: entry.subject,
-        date: dateStr,
-        start_time: entry.start_time,
-        end_time: entry.end_time,
-        location: entry.location,
-        type: 'class',
-        source: 'school_timetable'
-      });
+      const legacyId = String(record.id ?? `${task}|${date}|${record.time || ''}`);
+      if (await db.get('SELECT 1 FROM legacy_imports WHERE chat_id = ? AND legacy_id = ?', chatId, legacyId)) {
+        counts.skipped++;
+        continue;
+      }
+
+      const startTime = normalizeTime(record.time);
+      // Already there: re-entered by hand since, or a duplicate record in the file
+      const existing = await db.get(
+        'SELECT id FROM events WHERE chat_id = ? AND task = ? AND date = ? AND start_time IS ?',
+        chatId,
+        task,
+        date,
+        startTime
+      );
+
+      let eventId = existing?.id;
+      if (existing) {
+        counts.skipped++;
+      } else {
+        op = op || newAuditOp(chatId, 'Imported old schedule');
+        // addEventToDB schedules reminders for anything still ahead
+        const saved = await addEventToDB(chatId, {
+          task,
+          date,
+          start_time: startTime,
+          end_time: startTime ? normalizeTime(record.endTime) : null,
+          type: heuristicTypeFallback(task, null, chatId)
+        }, op);
+        eventId = saved.id;
+        if (!isNaN(Date.parse(record.addedAt))) {
+          await db.run('UPDATE events SET created_at = ? WHERE id = ?', new Date(record.addedAt).toISOString(), eventId);
+        }
+        counts.added++;
+      }
+
+      await db.run(
+        'INSERT INTO legacy_imports (chat_id, legacy_id, event_id, imported_at) VALUES (?, ?, ?, ?)',
+        chatId,
+        legacyId,
+        eventId ?? null,
+        new Date().toISOString()
+      );
     }
+    if (op) await rebalanceClashingPlans(chatId, op);
   }
+  return report;
+}
 
-  // Sort by date and time
-  allItems.sort((a, b) => {
-    const dateCompare = a.date.localeCompare(b.date);
-    if (dateCompare !== 0) return dateCompare;
-    const aTime = a.start_time || '23:59';
-    const bTime = b.start_time || '23:59';
-    return aTime.localeCompare(bTime);
-  });
-
-  return allItems;
+function formatLegacyReport(report) {
+  if (!report) return 'No legacy data file found.';
+  if (report.size === 0) return 'The legacy data file has no chats.';
+  return [...report]
+    .map(([chatId, c]) => `• ${chatId}: ${c.added} added, ${c.skipped} already there${c.invalid ? `, ${c.invalid} unreadable` : ''}`)
+    .join('\n');
 }
 
-async function handleToday(chatId) {
-  const today = isoDate(new Date());
-  const tasks = await getEventsWithSchoolTimetable(chatId, today, today);
+// =====================================================
+// BACKUP & RESTORE (/backup, /restore)
+// =====================================================
+// A backup is one JSON document with everything stored for a chat. Rows keep their ids so detached
+// occurrences can be pointed at their restored series; study blocks are left to the planner.
+const BACKUP_FORMAT = 'helpmyscheduling-backup';
+const BACKUP_VERSION = 1;
+// feed_token (a secret link) and last_summary_date (bookkeeping) are not part of a backup
+const BACKUP_SETTINGS = [
+  'timezone', 'default_reminder_minutes', 'reminder_offsets_json', 'allday_reminders_json',
+  'semester_start_date', 'semester_layout_json', 'group_reminders', 'waking_hours', 'quiet_hours'
+];
+const BACKUP_CSV_COLUMNS = [
+  'kind', 'id', 'task', 'date', 'end_date', 'start_time', 'end_time', 'location', 'type', 'status',
+  'recurrence_id', 'rule_json', 'exdates_json', 'day_of_week', 'weeks_json', 'reminder_offsets_json', 'effort_minutes',
+  'plan_parent_id'
+];
+
+function stripChatId({ chat_id, ...row }) {
+  return row;
+}
 
-  if (tasks.length === 0) {
-    return bot.sendMessage(
-      chatId,
-      `📅 *Today's Schedule*\n\nNo tasks or classes for today!`,
-      { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
-    );
+async function buildChatBackup(chatId) {
+  const settingsRow = await db.get('SELECT * FROM settings WHERE chat_id = ?', chatId);
+  const settings = {};
+  for (const key of BACKUP_SETTINGS) {
+    if (settingsRow?.[key] != null) settings[key] = settingsRow[key];
   }
 
-  const assignments = [];
-  const otherTasks = [];
-  const classes = [];
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    chat_id: String(chatId),
+    settings,
+    events: (await db.all('SELECT * FROM events WHERE chat_id = ? ORDER BY date, start_time, id', chatId)).map(stripChatId),
+    recurrences: (await db.all('SELECT * FROM recurrences WHERE chat_id = ? ORDER BY id', chatId)).map(stripChatId),
+    school_timetable: (await db.all('SELECT * FROM school_timetable WHERE chat_id = ? ORDER BY day_of_week, start_time, id', chatId)).map(stripChatId),
+    holidays: (await db.all('SELECT date, name FROM holidays WHERE chat_id = ? ORDER BY date', chatId)),
+    categories: (await db.all('SELECT key, name, icon, kind, keywords_json FROM categories WHERE chat_id = ? ORDER BY id', chatId))
+  };
+}
 
-  for (const item of tasks) {
-    if (item.source === 'school_timetable') {
-      classes.push(item);
-    } else if (item.type === 'assignment' || item.type === 'deadline') {
-      assignments.push(item);
+function csvField(value) {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Spreadsheet view of the same data, one row per item (settings only travel in the JSON)
+function backupToCsv(backup) {
+  const rows = [
+    ...backup.events.map(e => ({ kind: 'event', ...e })),
+    ...backup.recurrences.map(r => ({ kind: 'series', ...r, date: r.start_date })),
+    ...backup.school_timetable.map(c => ({ kind: 'class', ...c, task: c.subject })),
+    ...backup.holidays.map(h => ({ kind: 'holiday', task: h.name, date: h.date }))
+  ];
+  return [BACKUP_CSV_COLUMNS, ...rows.map(r => BACKUP_CSV_COLUMNS.map(c => r[c]))]
+    .map(cells => cells.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+      field = '';
     } else {
-      otherTasks.push(item);
+      field += ch;
     }
   }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
 
-  let message = `📅 *Today's Schedule*\n`;
-
-  if (assignments.length > 0) {
-    message += `\n📝 *Assignments & Deadlines*\n`;
-    message += renderItems(assignments);
+// The CSV from /backup csv read back into the JSON layout (without settings)
+function csvToBackup(text) {
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header || !header.includes('kind') || !header.includes('task')) return null;
+
+  const backup = { format: BACKUP_FORMAT, version: BACKUP_VERSION, settings: {}, events: [], recurrences: [], school_timetable: [], holidays: [] };
+  for (const cells of lines) {
+    const r = {};
+    header.forEach((col, i) => { r[col] = cells[i] === '' || cells[i] === undefined ? null : cells[i]; });
+    if (r.kind === 'event') backup.events.push(r);
+    else if (r.kind === 'series') backup.recurrences.push({ ...r, start_date: r.date });
+    else if (r.kind === 'class') backup.school_timetable.push({ ...r, subject: r.task });
+    else if (r.kind === 'holiday') backup.holidays.push({ date: r.date, name: r.task });
   }
+  return backup;
+}
 
-  if (otherTasks.length > 0) {
-    message += `\n✅ *Tasks*\n`;
-    message += renderItems(otherTasks);
-  }
+function isIsoDateString(value) {
+  return typeof value === 'string' && isValidIsoDate(value);
+}
 
-  if (classes.length > 0) {
-    message += `\n📚 *Classes*\n`;
-    message += renderItems(classes, { isSchool: true });
+function parseJsonField(value) {
+  if (value == null || value === '') return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
   }
+}
 
-  return bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+function parseOptionalId(value) {
+  const n = Number(value);
+  return value != null && value !== '' && Number.isInteger(n) ? n : null;
 }
 
-async function handleWeek(chatId) {
-  const start = new Date();
-  const end = new Date(start);
-  end.setDate(end.getDate() + 6);
+// Offsets as stored (minutes before), or null for "use the chat default"; undefined when unreadable
+function validBackupOffsets(value) {
+  const offsets = parseJsonField(value);
+  if (offsets === null) return null;
+  return Array.isArray(offsets) && offsets.every(m => Number.isInteger(m) && m >= 0) ? offsets : undefined;
+}
 
-  const tasks = await getEventsWithSchoolTimetable(chatId, isoDate(start), isoDate(end));
+// Times must read as HH:MM when present; undefined marks an unreadable one
+function validBackupTime(value) {
+  if (value == null || value === '') return null;
+  return normalizeTime(value) || undefined;
+}
 
-  if (tasks.length === 0) {
-    return bot.sendMessage(
-      chatId,
-      `📆 *Next 7 Days*\n\nNo tasks or classes this week!`,
-      { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
-    );
-  }
+function validateBackupEvent(e) {
+  const task = String(e?.task || '').trim();
+  if (!task || !isIsoDateString(e.date)) return null;
+  const startTime = validBackupTime(e.start_time);
+  const endTime = validBackupTime(e.end_time);
+  const offsets = validBackupOffsets(e.reminder_offsets_json);
+  if (startTime === undefined || endTime === undefined || offsets === undefined) return null;
 
-  const assignments = [];
-  const otherTasks = [];
-  const classes = [];
+  return {
+    id: parseOptionalId(e.id),
+    task,
+    date: e.date,
+    end_date: isIsoDateString(e.end_date) && e.end_date > e.date ? e.end_date : null,
+    start_time: startTime,
+    end_time: startTime ? endTime : null,
+    location: e.location || null,
+    type: e.type || null,
+    status: e.status === 'done' ? 'done' : 'open',
+    recurrence_id: parseOptionalId(e.recurrence_id),
+    reminder_offsets: offsets,
+    ics_uid: e.ics_uid || null,
+    created_by: e.created_by ?? null,
+    effort_minutes: Number(e.effort_minutes) > 0 ? Math.round(Number(e.effort_minutes)) : null,
+    is_study_block: parseOptionalId(e.plan_parent_id) != null,
+    created_at: !isNaN(Date.parse(e.created_at)) ? new Date(e.created_at).toISOString() : null
+  };
+}
 
-  for (const item of tasks) {
-    if (item.source === 'school_timetable') {
-      classes.push(item);
-    } else if (item.type === 'assignment' || item.type === 'deadline') {
-      assignments.push(item);
-    } else {
-      otherTasks.push(item);
-    }
-  }
+function validateBackupRecurrence(r) {
+  const task = String(r?.task || '').trim();
+  const rule = normalizeRecurrence(parseJsonField(r?.rule_json));
+  if (!task || !rule || !isIsoDateString(r.start_date)) return null;
+  const startTime = validBackupTime(r.start_time);
+  const endTime = validBackupTime(r.end_time);
+  const offsets = validBackupOffsets(r.reminder_offsets_json);
+  const exdates = parseJsonField(r.exdates_json);
+  if (startTime === undefined || endTime === undefined || offsets === undefined || exdates === undefined) return null;
 
-  let message = `📆 *Next 7 Days*\n`;
+  return {
+    id: parseOptionalId(r.id),
+    task,
+    recurrence: rule,
+    date: r.start_date,
+    start_time: startTime,
+    end_time: startTime ? endTime : null,
+    location: r.location || null,
+    type: r.type || null,
+    exdates: Array.isArray(exdates) ? exdates.filter(isIsoDateString) : [],
+    reminder_offsets: offsets,
+    ics_uid: r.ics_uid || null,
+    created_by: r.created_by ?? null
+  };
+}
 
-  if (assignments.length > 0) {
-    message += `\n📝 *Assignments & Deadlines*\n`;
-    message += renderItems(assignments);
-  }
+function validateBackupClass(c) {
+  const subject = String(c?.subject || '').trim();
+  const day = Number(c?.day_of_week);
+  const startTime = normalizeTime(c?.start_time);
+  const endTime = normalizeTime(c?.end_time);
+  const weeks = parseJsonField(c?.weeks_json);
+  if (!subject || !Number.isInteger(day) || day < 0 || day > 6 || !startTime || !endTime) return null;
+  if (weeks !== null && !(Array.isArray(weeks) && weeks.every(Number.isInteger))) return null;
 
-  if (otherTasks.length > 0) {
-    message += `\n✅ *Tasks*\n`;
-    message += renderItems(otherTasks);
-  }
+  return {
+    subject,
+    day_of_week: day,
+    start_time: startTime,
+    end_time: endTime,
+    location: c.location || null,
+    weeks_json: weeks ? JSON.stringify(weeks) : null,
+    created_by: c.created_by ?? null
+  };
+}
 
-  if (classes.length > 0) {
-    message += `\n📚 *Classes*\n`;
-    message += renderItems(classes, { isSchool: true });
-  }
+function validateBackupCategory(c) {
+  const keywords = parseJsonField(c?.keywords_json);
+  if (!c?.key || categoryKeyFor(c.key) !== c.key || !String(c.name || '').trim() || !String(c.icon || '').trim()) return null;
+  if (!CATEGORY_KINDS.includes(c.kind)) return null;
+  if (keywords !== null && !(Array.isArray(keywords) && keywords.every(k => typeof k === 'string'))) return null;
 
-  return bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+  return {
+    key: c.key,
+    name: String(c.name).trim().slice(0, 30),
+    icon: String(c.icon).trim().slice(0, 16),
+    kind: c.kind,
+    keywords_json: keywords?.length ? JSON.stringify(keywords) : null
+  };
 }
 
-async function handleAll(chatId) {
-  const tasks = await getAllUpcomingEvents(chatId);
+function validateBackupSettings(settings) {
+  const valid = {};
+  for (const key of BACKUP_SETTINGS) {
+    const value = settings?.[key];
+    if (value == null) continue;
+    if (key === 'timezone') {
+      const tz = canonicalTimezone(String(value));
+      if (tz) valid.timezone = tz;
+    } else if (key === 'semester_start_date') {
+      if (isIsoDateString(value)) valid[key] = value;
+    } else if (key.endsWith('_json')) {
+      if (parseJsonField(value) != null) valid[key] = String(value);
+    } else if (key === 'group_reminders') {
+      // Stored as 'dm' or NULL (posted in the group)
+      if (value === 'dm') valid[key] = 'dm';
+    } else if (key === 'default_reminder_minutes') {
+      if (Number.isInteger(Number(value))) valid[key] = Number(value);
+    } else {
+      valid[key] = String(value);
+    }
+  }
+  return valid;
+}
 
-  const message = tasks.length > 0
-    ? `📋 *All Upcoming Tasks*\n${formatTaskList(tasks)}`
-    : `📋 *All Upcoming Tasks*\n\nNo tasks scheduled!`;
+// File text -> { success, backup, dropped } with every row checked, or { success: false, error }
+function parseBackupFile(text, filename) {
+  let raw;
+  if (/\.csv$/i.test(filename)) {
+    raw = csvToBackup(text);
+    if (!raw) return { success: false, error: 'That CSV has no kind/task header. Send the file from /backup csv.' };
+  } else {
+    try {
+      raw = JSON.parse(text);
+    } catch {
+      return { success: false, error: 'That file is not valid JSON.' };
+    }
+    if (raw?.format !== BACKUP_FORMAT) return { success: false, error: 'That file is not a backup from /backup.' };
+  }
+  if (!Number.isInteger(raw.version) || raw.version > BACKUP_VERSION) {
+    return { success: false, error: `That backup is version ${raw.version}; this bot reads up to version ${BACKUP_VERSION}.` };
+  }
 
-  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+  let dropped = 0;
+  const keep = (rows, validate) => (Array.isArray(rows) ? rows : []).map(row => {
+    const valid = validate(row);
+    if (!valid) dropped++;
+    return valid;
+  }).filter(Boolean);
+
+  const backup = {
+    exportedAt: raw.exported_at || null,
+    settings: validateBackupSettings(raw.settings),
+    events: keep(raw.events, validateBackupEvent),
+    recurrences: keep(raw.recurrences, validateBackupRecurrence),
+    classes: keep(raw.school_timetable, validateBackupClass),
+    holidays: keep(raw.holidays, h => (isIsoDateString(h?.date) && String(h.name || '').trim() ? { date: h.date, name: String(h.name).trim() } : null)),
+    categories: keep(raw.categories, validateBackupCategory)
+  };
+  return { success: true, backup, dropped };
 }
 
-async function handleNext(chatId) {
-  const tasks = await getAllUpcomingEvents(chatId);
+// Natural keys: the same item in the backup and in the chat, whatever its id
+const backupKeys = {
+  events: e => `${e.task}|${e.date}|${e.start_time || ''}`,
+  recurrences: r => `${r.task}|${r.date ?? r.start_date}|${r.start_time || ''}|${JSON.stringify(r.recurrence || normalizeRecurrence(JSON.parse(r.rule_json)))}`,
+  classes: c => `${c.subject}|${c.day_of_week}|${c.start_time}|${c.end_time}|${c.location || ''}|${c.weeks_json || ''}`,
+  holidays: h => h.date,
+  categories: c => c.key
+};
 
-  const now = new Date();
-  const upcoming = tasks
-    .map(t => {
-      const startTime = t.start_time || '23:59';
-      const dt = new Date(`${t.date}T${startTime}:00`);
-      return { ...t, _dt: dt };
-    })
-    .filter(t => !isNaN(t._dt) && t._dt >= now)
-    .sort((a, b) => a._dt - b._dt);
+async function loadRestoreTargets(chatId) {
+  return {
+    events: await db.all('SELECT * FROM events WHERE chat_id = ? AND plan_parent_id IS NULL', chatId),
+    recurrences: await getRecurrences(chatId),
+    classes: await getSchoolTimetable(chatId),
+    holidays: await db.all('SELECT date, name FROM holidays WHERE chat_id = ?', chatId),
+    categories: await db.all('SELECT key FROM categories WHERE chat_id = ?', chatId)
+  };
+}
 
-  if (upcoming.length === 0) {
-    return bot.sendMessage(chatId, `✅ You have no upcoming tasks.`);
+// Per kind: how many backup rows are new here, already here, and only here (gone after a replace)
+async function diffBackup(chatId, backup) {
+  const current = await loadRestoreTargets(chatId);
+  const diff = {};
+  for (const kind of Object.keys(backupKeys)) {
+    const rows = kind === 'events' ? backup.events.filter(e => !e.is_study_block) : backup[kind];
+    const incoming = new Set(rows.map(backupKeys[kind]));
+    const existing = new Set(current[kind].map(backupKeys[kind]));
+    diff[kind] = {
+      added: [...incoming].filter(k => !existing.has(k)).length,
+      same: [...incoming].filter(k => existing.has(k)).length,
+      onlyHere: [...existing].filter(k => !incoming.has(k)).length
+    };
   }
 
-  const next = upcoming[0];
-  const icon = getEventIcon(next.type);
-  const dateLabel = formatDate(next.date);
-  const timeLabel = next.start_time
-    ? (next.end_time ? `${next.start_time}-${next.end_time}` : next.start_time)
-    : null;
+  const settingsRow = await db.get('SELECT * FROM settings WHERE chat_id = ?', chatId);
+  diff.settings = Object.entries(backup.settings)
+    .filter(([key, value]) => String(settingsRow?.[key] ?? '') !== String(value))
+    .map(([key, value]) => ({ key, from: settingsRow?.[key] ?? null, to: value }));
+  return diff;
+}
 
-  const locStr = next.location ? `\n📍 ${escapeMarkdown(next.location)}` : '';
+function formatRestorePreview(filename, backup, diff, dropped) {
+  const labels = { events: '📅 Events', recurrences: '🔁 Series', classes: '📚 Classes', holidays: '🎌 Holidays', categories: '🏷️ Categories' };
+  const lines = Object.entries(labels).map(([kind, label]) => {
+    const d = diff[kind];
+    return `${label}: *${d.added}* new, ${d.same} already here${d.onlyHere ? `, ${d.onlyHere} only here` : ''}`;
+  });
 
-  const message =
-    `⏭️ *Next up*\n\n` +
-    `${icon} ${escapeMarkdown(next.task)}\n` +
-    `📅 ${escapeMarkdown(dateLabel)}` +
-    (timeLabel ? ` ⏰ ${escapeMarkdown(timeLabel)}` : '') +
-    locStr;
+  const settingLines = diff.settings.map(s => `• ${s.key}: ${s.from ?? '(unset)'} → ${s.to}`);
+  const exported = backup.exportedAt ? ` (saved ${formatDate(backup.exportedAt.slice(0, 10))})` : '';
 
-  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+  return `♻️ *Restore ${escapeMarkdown(filename)}*${escapeMarkdown(exported)}\n\n` +
+    `${lines.join('\n')}\n` +
+    (settingLines.length > 0 ? `\n⚙️ Settings that differ:\n${escapeMarkdown(settingLines.join('\n'))}\n` : '') +
+    (dropped > 0 ? `\n⚠️ ${dropped} unreadable row(s) will be skipped.\n` : '') +
+    `\n*Replace* swaps everything here for the backup ("only here" items are deleted).\n` +
+    `*Merge* adds the new items and fills settings you have not set.`;
 }
 
-// Show upcoming tasks and deadlines (non-class, non-event)
-async function handleTasks(chatId) {
-  const all = await getAllUpcomingEvents(chatId);
-  const now = new Date();
+function buildRestoreKeyboard() {
+  return {
+    inline_keyboard: [
+      [
+        { text: '♻️ Replace', callback_data: 'restore:replace' },
+        { text: '➕ Merge', callback_data: 'restore:merge' }
+      ],
+      [{ text: '❌ Cancel', callback_data: 'restore:cancel' }]
+    ]
+  };
+}
 
-  const upcoming = all
-    .map(t => {
-      const startTime = t.start_time || '23:59';
-      const dt = new Date(`${t.date}T${startTime}:00`);
-      return { ...t, _dt: dt };
-    })
-    .filter(t => !isNaN(t._dt) && t._dt >= now);
+// Applies a validated backup under one audit op (so /undo takes the items back out).
+// Returns how many rows of each kind were added.
+async function applyBackup(chatId, backup, mode, userId, op) {
+  const counts = { events: 0, recurrences: 0, classes: 0, holidays: 0, categories: 0, settings: 0 };
+  const current = await loadRestoreTargets(chatId);
+
+  if (mode === 'replace') {
+    for (const rec of current.recurrences) await deleteRecurrence(chatId, rec.id, op);
+    const remaining = await db.all('SELECT id FROM events WHERE chat_id = ? AND plan_parent_id IS NULL', chatId);
+    for (const ev of remaining) await deleteEvent(chatId, ev.id, op);
+    await clearSchoolTimetable(chatId, op);
+    for (const table of ['holidays', 'categories']) {
+      for (const row of await db.all(`SELECT * FROM ${table} WHERE chat_id = ?`, chatId)) {
+        await db.run(`DELETE FROM ${table} WHERE id = ?`, row.id);
+        await recordChange(op, table, 'delete', row, null);
+      }
+    }
+    for (const kind of Object.keys(current)) current[kind] = [];
+  }
 
-  const taskItems = upcoming.filter(t =>
-    t.source !== 'school_timetable' &&
-    (t.type === 'assignment' || t.type === 'deadline' || t.type === 'task')
-  );
+  const existing = Object.fromEntries(Object.keys(backupKeys).map(kind => [kind, new Set(current[kind].map(backupKeys[kind]))]));
+  const fresh = (kind, row) => {
+    const key = backupKeys[kind](row);
+    if (existing[kind].has(key)) return false;
+    existing[kind].add(key);
+    return true;
+  };
 
-  let message = '📝 *Upcoming Tasks & Deadlines*\n';
+  // Categories first, so everything below is sorted and shown with them
+  for (const c of backup.categories) {
+    if (!fresh('categories', c)) continue;
+    const result = await db.run(
+      'INSERT INTO categories (chat_id, key, name, icon, kind, keywords_json, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      chatId,
+      c.key,
+      c.name,
+      c.icon,
+      c.kind,
+      c.keywords_json,
+      new Date().toISOString()
+    );
+    await recordChange(op, 'categories', 'create', null, await getAuditedRow('categories', result.lastID));
+    counts.categories++;
+  }
+  await reloadChatCategories(chatId);
+
+  // Series first, so detached occurrences can point at their new (or already present) series
+  const seriesByKey = new Map(current.recurrences.map(r => [backupKeys.recurrences(r), r.id]));
+  const recurrenceIds = new Map();
+  for (const rec of backup.recurrences) {
+    if (!fresh('recurrences', rec)) {
+      if (rec.id != null) recurrenceIds.set(rec.id, seriesByKey.get(backupKeys.recurrences(rec)));
+      continue;
+    }
+    const saved = await addRecurrenceToDB(chatId, { ...rec, created_by: rec.created_by ?? userId }, op);
+    if (rec.id != null) recurrenceIds.set(rec.id, saved.recurrence_id);
+    counts.recurrences++;
+  }
 
-  if (taskItems.length === 0) {
-    message += '\nNo upcoming tasks or deadlines!';
-  } else {
-    message += '\n' + formatTaskList(taskItems);
+  for (const ev of backup.events) {
+    if (ev.is_study_block || !fresh('events', ev)) continue;
+    // addEventToDB schedules reminders (and re-plans study blocks for anything with effort)
+    const saved = await addEventToDB(chatId, { ...ev, created_by: ev.created_by ?? userId }, op);
+    const recurrenceId = ev.recurrence_id != null ? recurrenceIds.get(ev.recurrence_id) ?? null : null;
+    await db.run(
+      'UPDATE events SET recurrence_id = ?, created_at = COALESCE(?, created_at) WHERE id = ?',
+      recurrenceId,
+      ev.created_at,
+      saved.id
+    );
+    if (ev.status === 'done') await setEventCompleted(chatId, saved.id, true, op);
+    counts.events++;
   }
 
-  return bot.sendMessage(
-    chatId,
-    message.trim(),
-    { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
-  );
-}
+  for (const c of backup.classes) {
+    if (!fresh('classes', c)) continue;
+    await addSchoolTimetableEntry(chatId, { ...c, created_by: c.created_by ?? userId }, op);
+    counts.classes++;
+  }
 
-// Show upcoming non-class events (sports, social, meetings, etc.)
-async function handleEvents(chatId) {
-  const all = await getAllUpcomingEvents(chatId);
-  const now = new Date();
+  for (const h of backup.holidays) {
+    if (!fresh('holidays', h)) continue;
+    const result = await db.run(
+      'INSERT OR IGNORE INTO holidays (chat_id, date, name, created_at) VALUES (?, ?, ?, ?)',
+      chatId,
+      h.date,
+      h.name,
+      new Date().toISOString()
+    );
+    if (result.changes === 0) continue;
+    await recordChange(op, 'holidays', 'create', null, await getAuditedRow('holidays', result.lastID));
+    counts.holidays++;
+  }
 
-  const upcoming = all
-    .map(t => {
-      const startTime = t.start_time || '23:59';
-      const dt = new Date(`${t.date}T${startTime}:00`);
-      return { ...t, _dt: dt };
-    })
-    .filter(t => !isNaN(t._dt) && t._dt >= now);
+  // Replace takes the backup's settings; merge only fills what is unset here
+  const settingsRow = await db.get('SELECT * FROM settings WHERE chat_id = ?', chatId);
+  for (const [key, value] of Object.entries(backup.settings)) {
+    if (mode === 'merge' && settingsRow?.[key] != null) continue;
+    if (String(settingsRow?.[key] ?? '') === String(value)) continue;
+    await upsertSetting(chatId, key, value);
+    counts.settings++;
+  }
 
-  const eventItems = upcoming.filter(t =>
-    t.type !== 'assignment' &&
-    t.type !== 'deadline' &&
-    t.type !== 'task' &&
-    t.source !== 'school_timetable'
-  );
+  // Timezone and reminder settings may have changed under everything scheduled above
+  if (counts.settings > 0) await rescheduleChatReminders(chatId);
+  await rebalanceClashingPlans(chatId, op);
+  return counts;
+}
 
-  let message = '🎉 *Upcoming Events*\n';
+// =====================================================
+// SEARCH (/find)
+// =====================================================
+// events_fts and school_timetable_fts share rowids with the rows they index and are kept in sync by
+// triggers (see initDB). Filters narrow the events; classes have no date, so date filters skip them.
+const FIND_PAGE_SIZE = 8;
+
+// "ihg type:sports before:1/2 past:yes" -> { terms, type, before, after, past } or { error }
+function parseFindQuery(text, today) {
+  const query = { text: String(text || '').trim(), terms: [], type: null, before: null, after: null, past: false };
+  for (const token of query.text.split(/\s+/).filter(Boolean)) {
+    const m = token.match(/^(type|before|after|past):(.*)$/i);
+    if (!m) {
+      query.terms.push(token);
+      continue;
+    }
 
-  if (eventItems.length === 0) {
-    message += '\nNo upcoming events!';
-  } else {
-    message += '\n' + formatTaskList(eventItems);
+    const key = m[1].toLowerCase();
+    const value = m[2].trim().toLowerCase();
+    if (!value) return { error: `Missing a value after ${key}: (e.g. type:sports, before:2026-02-01, past:yes)` };
+    if (key === 'type') {
+      query.type = value;
+    } else if (key === 'past') {
+      if (!/^(yes|no|y|n|true|false)$/.test(value)) return { error: 'Use past:yes to include past items (past:no is the default).' };
+      query.past = /^(yes|y|true)$/.test(value);
+    } else {
+      const date = parseOfflineDate(value, today);
+      if (!date) return { error: `I could not read "${m[2]}" as a date. Use YYYY-MM-DD, e.g. ${key}:2026-02-01.` };
+      query[key] = date;
+    }
   }
+  return query;
+}
 
-  return bot.sendMessage(
-    chatId,
-    message.trim(),
-    { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
-  );
+// Words -> an FTS5 prefix query ("ihg bask" finds "IHG Basketball"); punctuation is dropped like the tokenizer does
+function ftsMatchExpression(terms) {
+  const words = terms.flatMap(t => t.split(/[^\p{L}\p{N}]+/u)).filter(Boolean);
+  return words.map(w => `"${w}"*`).join(' ');
 }
 
-async function handleTimetable(chatId) {
-  const entries = await getSchoolTimetable(chatId);
+// Matching events (chronological) followed by matching classes, as { kind, row }
+async function searchChatItems(chatId, query, today) {
+  const match = query.terms.length > 0 ? ftsMatchExpression(query.terms) : null;
+  // Only punctuation was typed: nothing can match
+  if (query.terms.length > 0 && !match) return [];
+
+  const where = ['e.chat_id = ?'];
+  const params = [chatId];
+  if (query.type) {
+    where.push('e.type = ?');
+    params.push(query.type);
+  }
+  if (query.before) {
+    where.push('e.date < ?');
+    params.push(query.before);
+  }
+  if (query.after) {
+    where.push('e.date > ?');
+    params.push(query.after);
+  }
+  if (!query.past) {
+    where.push('COALESCE(e.end_date, e.date) >= ?');
+    params.push(today);
+  }
 
-  if (entries.length === 0) {
-    return bot.sendMessage(
-      chatId,
-      `📚 *School Timetable*\n\nNo timetable entries yet.\n\n` +
-      `Use /addclass to add a class (e.g., "/addclass Math Monday 09:00 10:00 Room 101")`,
-      { parse_mode: 'Markdown' }
+  const events = await db.all(
+    `SELECT e.* FROM events e
+     ${match ? 'JOIN events_fts ON events_fts.rowid = e.id AND events_fts MATCH ?' : ''}
+     WHERE ${where.join(' AND ')}
+     ORDER BY e.date, e.start_time`,
+    ...(match ? [match] : []),
+    ...params
+  );
+
+  // Classes answer text searches (or type:class); a date filter can't apply to a weekly slot
+  let classes = [];
+  const wantsClasses = query.type === 'class' || (!query.type && match);
+  if (wantsClasses && !query.before && !query.after) {
+    classes = await db.all(
+      `SELECT c.* FROM school_timetable c
+       ${match ? 'JOIN school_timetable_fts ON school_timetable_fts.rowid = c.id AND school_timetable_fts MATCH ?' : ''}
+       WHERE c.chat_id = ?
+       ORDER BY c.day_of_week, c.start_time`,
+      ...(match ? [match] : []),
+      chatId
     );
   }
 
-  // Group by day
-  const byDay = {};
-  for (const entry of entries) {
-    const dayName = getDayName(entry.day_of_week);
-    if (!byDay[dayName]) byDay[dayName] = [];
-    byDay[dayName].push(entry);
+  return [
+    ...events.map(row => ({ kind: 'event', row })),
+    ...classes.map(row => ({ kind: 'class', row }))
+  ];
+}
+
+function renderFindResults(find, items, tz) {
+  const total = items.length;
+  const pages = Math.max(1, Math.ceil(total / FIND_PAGE_SIZE));
+  find.page = Math.min(Math.max(0, find.page), pages - 1);
+  const first = find.page * FIND_PAGE_SIZE;
+  const pageItems = items.slice(first, first + FIND_PAGE_SIZE);
+
+  if (total === 0) {
+    const hint = find.query.past ? '' : '\n\nAdd past:yes to search past items too.';
+    return { text: `🔎 No matches for "${escapeMarkdown(find.query.text)}".${hint}`, reply_markup: undefined };
   }
 
-  let message = `📚 *School Timetable*\n\n`;
-  const dayOrder = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-  
-  for (const day of dayOrder) {
-    if (byDay[day]) {
-      message += `*${day}:*\n`;
-      for (const entry of byDay[day]) {
-        const loc = entry.location ? ` @ ${escapeMarkdown(entry.location)}` : '';
-        const weeksLabel = entry.weeks_json
-          ? ` (Weeks **${JSON.parse(entry.weeks_json).join(', ')}**)`
-          : '';
-        message += `  • ${escapeMarkdown(entry.start_time)}-${escapeMarkdown(entry.end_time)} ${escapeMarkdown(entry.subject)}${loc}${weeksLabel}\n`;
-      }
-      message += '\n';
+  let text = `🔎 *${total} match(es)* for "${escapeMarkdown(find.query.text)}"`;
+  if (pages > 1) text += `\nPage ${find.page + 1}/${pages}`;
+  text += '\n';
+
+  pageItems.forEach(({ kind, row }, k) => {
+    const n = first + k + 1;
+    const loc = row.location ? ` 📍 ${row.location}` : '';
+    const time = row.start_time ? (row.end_time ? `${row.start_time}-${row.end_time}` : row.start_time) : '';
+    if (kind === 'class') {
+      text += `\n*${n}.* 📚 ${escapeMarkdown(row.subject)} (class #${row.id})\n`;
+      text += `    🗓️ ${escapeMarkdown(`${getDayName(row.day_of_week)}s ${time}${loc}`)}\n`;
+    } else {
+      const done = row.status === 'done' ? ' ✔️' : '';
+      text += `\n*${n}.* ${getEventIcon(row.type, row.chat_id)} ${escapeMarkdown(row.task)}${done}\n`;
+      text += `    📅 ${escapeMarkdown(`${formatDateSpan(row, tz)}${time ? ` ${time}` : ''}${loc}`)}\n`;
     }
+  });
+
+  const editable = pageItems.map((item, k) => ({ ...item, n: first + k + 1 })).filter(i => i.kind === 'event');
+  if (editable.length > 0) text += `\nTap ✏️ to edit a match.`;
+  if (pageItems.some(i => i.kind === 'class')) text += `\nClasses: /deleteclass <id>.`;
+
+  const rows = [];
+  for (let i = 0; i < editable.length; i += 4) {
+    rows.push(editable.slice(i, i + 4).map(({ row, n }) => ({ text: `✏️ ${n}`, callback_data: `edit_select:${row.id}` })));
+  }
+  if (pages > 1) {
+    const nav = [];
+    if (find.page > 0) nav.push({ text: '◀️ Prev', callback_data: `find_page:${find.id}:${find.page - 1}` });
+    nav.push({ text: `${find.page + 1}/${pages}`, callback_data: 'noop' });
+    if (find.page < pages - 1) nav.push({ text: 'Next ▶️', callback_data: `find_page:${find.id}:${find.page + 1}` });
+    rows.push(nav);
   }
 
-  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+  return { text, reply_markup: rows.length > 0 ? { inline_keyboard: rows } : undefined };
 }
 
 // =====================================================
-// COMMANDS
+// WEEK IMAGE (/weekimg)
 // =====================================================
-bot.onText(/\/start/, (msg) => {
-  const chatId = msg.chat.id;
-  bot.sendMessage(
-    chatId,
-    `👋 Welcome to AI Schedule Bot!\n\n` +
-      `Send messages like:\n` +
-      `• "Meeting with Sarah tomorrow at 3pm"\n` +
-      `• "Dentist appointment next Monday 10am"\n` +
-      `• "Gym every Monday 6am"\n\n` +
-      `Use /menu for quick access to all features!`,
-    { reply_markup: buildMainMenuKeyboard() }
-  );
-});
-
-bot.onText(/\/menu/, (msg) => {
-  const chatId = msg.chat.id;
-  bot.sendMessage(
-    chatId,
-    '📱 *Main Menu*\n\nSelect an option:',
-    { parse_mode: 'Markdown', reply_markup: buildMainMenuKeyboard() }
-  );
-});
+// A Monday-Sunday grid drawn as SVG and rasterized locally with resvg (no external service).
+// Items come from getEventsWithSchoolTimetable, so classes follow weeks_json, recess and holidays.
+const WEEK_IMAGE_DAY_PX = 140;
+const WEEK_IMAGE_TIME_PX = 48;
+const WEEK_IMAGE_HOUR_PX = 40;
+const WEEK_IMAGE_FONT = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+// Rendered at twice the SVG size so text stays sharp on phones
+const WEEK_IMAGE_SCALE = 2;
+// Shortest block drawn, so a deadline at 23:59 still has room for its title
+const WEEK_IMAGE_MIN_BLOCK_MINUTES = 30;
+const WEEK_IMAGE_MAX_ALLDAY_ROWS = 3;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
 
-bot.onText(/\/today/, async (msg) => handleToday(msg.chat.id));
-bot.onText(/\/week/, async (msg) => handleWeek(msg.chat.id));
-bot.onText(/\/all/, async (msg) => handleAll(msg.chat.id));
-bot.onText(/\/next/, async (msg) => handleNext(msg.chat.id));
+// Cut to what fits in widthPx (glyphs average ~0.6em); emoji are dropped since the font has none
+function fitText(text, widthPx, fontPx) {
+  const plain = String(text || '').replace(/[\p{Extended_Pictographic}️]/gu, '').trim();
+  const max = Math.max(1, Math.floor(widthPx / (fontPx * 0.6)));
+  return escapeXml(plain.length > max ? `${plain.slice(0, Math.max(1, max - 1))}…` : plain);
+}
 
-bot.onText(/\/clear/, async (msg) => {
-  const chatId = msg.chat.id;
-  await db.run('DELETE FROM events WHERE chat_id = ?', chatId);
+// Overlapping blocks share their cluster's width: each gets a column and the cluster's column count
+function layoutOverlaps(blocks) {
+  const sorted = [...blocks].sort((a, b) => a.start - b.start || b.end - a.end);
+  let cluster = [];
+  let clusterEnd = -1;
+  const close = () => {
+    const cols = Math.max(...cluster.map(b => b.col)) + 1;
+    for (const b of cluster) b.cols = cols;
+    cluster = [];
+  };
 
-  // Cancel all reminders for this user
-  for (const [eventId, job] of [...reminderJobs.entries()]) {
-    // We can’t reliably know chatId here after deletion; cancel all jobs for this user by reading before delete
-    // But since user cleared their DB, it’s safe to cancel all current jobs and then rescheduleAllReminders.
-    job.cancel();
-    reminderJobs.delete(eventId);
+  for (const block of sorted) {
+    if (cluster.length > 0 && block.start >= clusterEnd) close();
+    const taken = new Set(cluster.filter(b => b.end > block.start).map(b => b.col));
+    let col = 0;
+    while (taken.has(col)) col++;
+    block.col = col;
+    cluster.push(block);
+    clusterEnd = Math.max(clusterEnd, block.end);
   }
+  if (cluster.length > 0) close();
+  return sorted;
+}
 
-  bot.sendMessage(chatId, '🗑️ All tasks cleared!');
-});
-
-bot.onText(/\/reminder (\d+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const minutes = parseInt(match[1], 10);
+function weekImageDayLabel(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return {
+    weekday: date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' }),
+    day: date.toLocaleDateString('en-US', { day: 'numeric', month: 'short', timeZone: 'UTC' })
+  };
+}
 
-  if (Number.isNaN(minutes) || minutes < 0 || minutes > 1440) {
-    bot.sendMessage(chatId, '❌ Please specify minutes between 0 and 1440 (24 hours).');
-    return;
+// The week starting `monday` as an SVG document plus a caption for the photo
+async function buildWeekImage(chatId, monday, tz) {
+  const sunday = addDaysIso(monday, 6);
+  const today = todayIso(tz);
+  const items = await getEventsWithSchoolTimetable(chatId, monday, sunday);
+  const holidays = new Map((await getHolidaysInRange(chatId, monday, sunday)).map(h => [h.date, h.name]));
+  const { semesterStart, layout } = await getAcadCalendar(chatId);
+  const weekLabel = acadWeekInfo(monday, semesterStart, layout)?.label;
+
+  const days = Array.from({ length: 7 }, (_, i) => addDaysIso(monday, i));
+  const allDay = new Map(days.map(d => [d, []]));
+  const timed = new Map(days.map(d => [d, []]));
+  const usedTypes = new Set();
+
+  for (const item of items) {
+    const type = item.source === 'school_timetable' ? 'class' : item.type || 'other';
+    usedTypes.add(type);
+    if (!item.start_time) {
+      allDay.get(item.date)?.push({ item, type });
+      continue;
+    }
+    const minutes = itemMinutesOnDate({ ...item, date: item.first_date || item.date }, item.date);
+    if (!minutes) continue;
+    // Short blocks grow downwards, or upwards when they would run past midnight
+    const end = Math.min(24 * 60, Math.max(minutes[1], minutes[0] + WEEK_IMAGE_MIN_BLOCK_MINUTES));
+    timed.get(item.date)?.push({ item, type, start: Math.min(minutes[0], end - WEEK_IMAGE_MIN_BLOCK_MINUTES), end });
   }
 
-  await db.run(
-    `INSERT INTO settings (chat_id, default_reminder_minutes) 
-     VALUES (?, ?) 
-     ON CONFLICT(chat_id) DO UPDATE SET default_reminder_minutes = ?`,
-    chatId,
-    minutes,
-    minutes
-  );
+  // 08:00-20:00 unless something falls outside it
+  const blocks = [...timed.values()].flat();
+  const firstHour = Math.max(0, Math.min(8, ...blocks.map(b => Math.floor(b.start / 60))));
+  const lastHour = Math.min(24, Math.max(20, ...blocks.map(b => Math.ceil(b.end / 60))));
+
+  const titleH = 40;
+  const headerH = 38;
+  const allDayRows = Math.min(WEEK_IMAGE_MAX_ALLDAY_ROWS, Math.max(0, ...[...allDay.values()].map(list => list.length)));
+  const allDayH = allDayRows > 0 ? allDayRows * 20 + 8 : 0;
+  const gridTop = titleH + headerH + allDayH;
+  const gridH = (lastHour - firstHour) * WEEK_IMAGE_HOUR_PX;
+  const legendTypes = [...usedTypes].sort((a, b) => formatCategoryLabel(a, chatId).localeCompare(formatCategoryLabel(b, chatId)));
+  const legendH = legendTypes.length > 0 ? 34 : 0;
+  const width = WEEK_IMAGE_TIME_PX + 7 * WEEK_IMAGE_DAY_PX;
+  const height = gridTop + gridH + legendH + 8;
+  const dayX = i => WEEK_IMAGE_TIME_PX + i * WEEK_IMAGE_DAY_PX;
+  const minuteY = m => gridTop + ((m - firstHour * 60) / 60) * WEEK_IMAGE_HOUR_PX;
+
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${WEEK_IMAGE_FONT}">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`
+  ];
 
-  bot.sendMessage(chatId, `✅ Default reminder set to ${minutes} minutes before events.`);
-});
+  const title = `${weekImageDayLabel(monday).day} – ${weekImageDayLabel(sunday).day}, ${sunday.slice(0, 4)}${weekLabel ? ` · ${weekLabel}` : ''}`;
+  out.push(`<text x="12" y="26" font-size="17" font-weight="bold" fill="#212529">${fitText(title, width - 24, 17)}</text>`);
 
-bot.onText(/\/timetable/, async (msg) => {
+  // Day headers (today tinted, holidays named)
+  days.forEach((d, i) => {
+    const { weekday, day } = weekImageDayLabel(d);
+    if (d === today) out.push(`<rect x="${dayX(i)}" y="${titleH}" width="${WEEK_IMAGE_DAY_PX}" height="${headerH + allDayH + gridH}" fill="#eef4ff"/>`);
+    out.push(`<text x="${dayX(i) + 8}" y="${titleH + 16}" font-size="13" font-weight="bold" fill="#212529">${weekday} ${escapeXml(day)}</text>`);
+    if (holidays.has(d)) {
+      out.push(`<text x="${dayX(i) + 8}" y="${titleH + 31}" font-size="10" fill="#c92a2a">${fitText(holidays.get(d), WEEK_IMAGE_DAY_PX - 12, 10)}</text>`);
+    }
+  });
+
+  // All-day band
+  if (allDayH > 0) {
+    out.push(`<text x="6" y="${titleH + headerH + 16}" font-size="9" fill="#868e96">all day</text>`);
+    days.forEach((d, i) => {
+      const list = allDay.get(d);
+      const shown = list.length > allDayRows ? list.slice(0, allDayRows - 1) : list;
+      shown.forEach(({ item, type }, row) => {
+        const y = titleH + headerH + 4 + row * 20;
+        const opacity = item.status === 'done' ? 0.45 : 1;
+        out.push(`<rect x="${dayX(i) + 3}" y="${y}" width="${WEEK_IMAGE_DAY_PX - 6}" height="17" rx="3" fill="${categoryColor(type, chatId)}" opacity="${opacity}"/>`);
+        out.push(`<text x="${dayX(i) + 7}" y="${y + 12}" font-size="10" fill="#ffffff">${fitText(item.task, WEEK_IMAGE_DAY_PX - 14, 10)}</text>`);
+      });
+      if (shown.length < list.length) {
+        out.push(`<text x="${dayX(i) + 7}" y="${titleH + headerH + 4 + (allDayRows - 1) * 20 + 12}" font-size="10" fill="#495057">+${list.length - shown.length} more</text>`);
+      }
+    });
+  }
+
+  // Hour lines and labels
+  for (let h = firstHour; h <= lastHour; h++) {
+    const y = minuteY(h * 60);
+    out.push(`<line x1="${WEEK_IMAGE_TIME_PX}" y1="${y}" x2="${width}" y2="${y}" stroke="#dee2e6" stroke-width="1"/>`);
+    if (h < lastHour) out.push(`<text x="6" y="${y + 12}" font-size="10" fill="#868e96">${pad2(h)}:00</text>`);
+  }
+  for (let i = 0; i <= 7; i++) {
+    out.push(`<line x1="${dayX(i)}" y1="${titleH}" x2="${dayX(i)}" y2="${gridTop + gridH}" stroke="#dee2e6" stroke-width="1"/>`);
+  }
+
+  // Timed blocks, overlaps side by side
+  days.forEach((d, i) => {
+    for (const block of layoutOverlaps(timed.get(d))) {
+      const colW = (WEEK_IMAGE_DAY_PX - 4) / block.cols;
+      const x = dayX(i) + 2 + block.col * colW;
+      const y = minuteY(Math.max(block.start, firstHour * 60));
+      const h = Math.max(12, minuteY(Math.min(block.end, lastHour * 60)) - y - 1);
+      const w = colW - 2;
+      const opacity = block.item.status === 'done' ? 0.45 : 0.92;
+      out.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${w.toFixed(1)}" height="${h.toFixed(1)}" rx="4" fill="${categoryColor(block.type, chatId)}" opacity="${opacity}"/>`);
+
+      const lines = [{ text: block.item.task, size: 11, weight: 'bold' }];
+      lines.push({ text: formatSpanTime(block.item, tz), size: 9.5 });
+      if (block.item.location) lines.push({ text: block.item.location, size: 9.5 });
+
+      let textY = y + 13;
+      for (const line of lines) {
+        if (textY > y + h - 2) break;
+        out.push(
+          `<text x="${(x + 4).toFixed(1)}" y="${textY.toFixed(1)}" font-size="${line.size}"${line.weight ? ` font-weight="${line.weight}"` : ''} fill="#ffffff">` +
+            `${fitText(line.text, w - 8, line.size)}</text>`
+        );
+        textY += line.size + 3;
+      }
+    }
+  });
+
+  // Legend: one swatch per category on the image
+  let legendX = 12;
+  const legendY = gridTop + gridH + 14;
+  for (const type of legendTypes) {
+    const label = fitText(formatCategoryLabel(type, chatId) || 'Other', 120, 11);
+    out.push(`<rect x="${legendX}" y="${legendY}" width="12" height="12" rx="2" fill="${categoryColor(type, chatId)}"/>`);
+    out.push(`<text x="${legendX + 17}" y="${legendY + 10}" font-size="11" fill="#495057">${label}</text>`);
+    legendX += 30 + label.length * 7;
+  }
+  out.push('</svg>');
+
+  const caption = `🗓️ ${title}` +
+    (items.length === 0 ? '\nNothing scheduled this week.' : '');
+  return { svg: out.join('\n'), caption };
+}
+
+function renderSvgToPng(svg) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: WEEK_IMAGE_SCALE },
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+  return resvg.render().asPng();
+}
+
+function buildWeekImageKeyboard(monday) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '◀️ Previous week', callback_data: `weekimg:${addDaysIso(monday, -7)}` },
+        { text: 'Next week ▶️', callback_data: `weekimg:${addDaysIso(monday, 7)}` }
+      ],
+      [{ text: '⬅️ Back to Menu', callback_data: 'menu:home' }]
+    ]
+  };
+}
+
+// which: '' (this week), 'next', 'last', or any date /weekimg understands; monday skips the parsing.
+// With messageId (the ◀️/▶️ buttons) that photo is replaced instead of sending a new one.
+async function handleWeekImage(chatId, which = '', monday = null, messageId = null) {
+  const tz = await getChatTimezone(chatId);
+  if (!monday) {
+    const today = todayIso(tz);
+    const arg = String(which || '').trim().toLowerCase();
+    let day = today;
+    if (arg === 'next') day = addDaysIso(today, 7);
+    else if (arg === 'last' || arg === 'prev') day = addDaysIso(today, -7);
+    else if (arg) day = parseOfflineDate(arg, today);
+    if (!day) return bot.sendMessage(chatId, '❌ Use /weekimg, /weekimg next, /weekimg last or /weekimg <date> (e.g. 2026-02-02).');
+    monday = mondayOfWeekIso(day);
+  }
+
+  let png;
+  let caption;
+  try {
+    const image = await buildWeekImage(chatId, monday, tz);
+    caption = image.caption;
+    png = renderSvgToPng(image.svg);
+  } catch (error) {
+    console.error('Week image render failed:', error.message || error);
+    return bot.sendMessage(chatId, '❌ Could not draw that week. /week lists it instead.');
+  }
+
+  if (messageId) return editWeekImage(chatId, messageId, png, caption, monday);
+  return bot.sendPhoto(
+    chatId,
+    png,
+    { caption, reply_markup: buildWeekImageKeyboard(monday) },
+    { filename: `week-${monday}.png`, contentType: 'image/png' }
+  );
+}
+
+// editMessageMedia only uploads from a file path, so the PNG goes through a temp file
+async function editWeekImage(chatId, messageId, png, caption, monday) {
+  const file = path.join(os.tmpdir(), `week-${monday}-${crypto.randomBytes(4).toString('hex')}.png`);
+  await fs.promises.writeFile(file, png);
+  try {
+    return await bot.editMessageMedia(
+      { type: 'photo', media: `attach://${file}`, caption },
+      { chat_id: chatId, message_id: messageId, reply_markup: buildWeekImageKeyboard(monday) }
+    );
+  } finally {
+    await fs.promises.rm(file, { force: true });
+  }
+}
+
+// =====================================================
+// CALENDAR EXPORT (iCalendar, RFC 5545)
+// =====================================================
+const ICS_PRODID = '-//HelpMyScheduling//Schedule Bot//EN';
+// Weeks of school timetable exported when no semester is set (otherwise the semester's own length)
+const CLASS_EXPORT_WEEKS = 17;
+
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are limited to 75 octets; longer ones continue on a line starting with a space
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > 75) {
+      chunks.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n');
+}
+
+function icsDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+function icsLocalDateTime(dateStr, timeStr) {
+  return `${icsDate(dateStr)}T${timeStr.replace(':', '')}00`;
+}
+
+function icsUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsOffset(ms) {
+  const total = Math.round(ms / 60000);
+  const abs = Math.abs(total);
+  return `${total < 0 ? '-' : '+'}${pad2(Math.floor(abs / 60))}${pad2(abs % 60)}`;
+}
+
+// DTSTART/DTEND for a dated item: all-day when untimed, otherwise local time in the chat's zone
+function icsTimeProps(item, tz) {
+  if (!item.start_time) {
+    return [`DTSTART;VALUE=DATE:${icsDate(item.date)}`, `DTEND;VALUE=DATE:${icsDate(addDaysIso(eventEndDate(item), 1))}`];
+  }
+
+  const props = [`DTSTART;TZID=${tz}:${icsLocalDateTime(item.date, item.start_time)}`];
+  if (item.end_time) {
+    props.push(`DTEND;TZID=${tz}:${icsLocalDateTime(eventEndDate(item), item.end_time)}`);
+  } else if (eventEndDate(item) > item.date) {
+    // Multi-day without an end time: runs to the end of its last day
+    props.push(`DTEND;TZID=${tz}:${icsLocalDateTime(addDaysIso(eventEndDate(item), 1), '00:00')}`);
+  }
+  return props;
+}
+
+// VTIMEZONE derived from Intl: scan the years day by day and emit one observance per UTC-offset change
+function buildVTimezone(tz, fromYear, toYear) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const rangeStart = Date.UTC(fromYear, 0, 1);
+  const rangeEnd = Date.UTC(toYear + 1, 0, 1);
+
+  const initialOffset = tzOffsetMs(new Date(rangeStart), tz);
+  const transitions = [];
+  let prev = initialOffset;
+
+  for (let t = rangeStart + DAY_MS; t <= rangeEnd; t += DAY_MS) {
+    const offset = tzOffsetMs(new Date(t), tz);
+    if (offset === prev) continue;
+
+    // Narrow the change down to the minute
+    let lo = t - DAY_MS;
+    let hi = t;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (tzOffsetMs(new Date(mid), tz) === prev) lo = mid;
+      else hi = mid;
+    }
+    transitions.push({ at: hi, from: prev, to: offset });
+    prev = offset;
+  }
+
+  const standardOffset = Math.min(initialOffset, ...transitions.map(tr => tr.to));
+  const localStamp = (utcMs, offset) => icsUtcDateTime(new Date(utcMs + offset)).replace('Z', '');
+  const observance = (from, to, start) => [
+    `BEGIN:${to > standardOffset ? 'DAYLIGHT' : 'STANDARD'}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${icsOffset(from)}`,
+    `TZOFFSETTO:${icsOffset(to)}`,
+    `END:${to > standardOffset ? 'DAYLIGHT' : 'STANDARD'}`
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+  lines.push(...observance(initialOffset, initialOffset, `${fromYear}0101T000000`));
+  for (const tr of transitions) lines.push(...observance(tr.from, tr.to, localStamp(tr.at, tr.from)));
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function recurrenceToRrule(rule, startTime, tz) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byday?.length) parts.push(`BYDAY=${rule.byday.join(',')}`);
+  // Our weekly intervals count Monday-based weeks
+  if (rule.freq === 'weekly' && rule.interval > 1) parts.push('WKST=MO');
+
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  else if (rule.until) {
+    // UNTIL must match DTSTART's type: a UTC date-time for timed series, a date for all-day ones
+    parts.push(startTime ? `UNTIL=${icsUtcDateTime(zonedDateTimeToUtc(rule.until, '23:59', tz))}` : `UNTIL=${icsDate(rule.until)}`);
+  }
+  return `RRULE:${parts.join(';')}`;
+}
+
+// Classes expanded per date (respecting weeks_json, recess and holidays) over the semester, or from this week if no start is known
+async function getSchoolClassOccurrences(chatId, tz) {
+  const entries = await getSchoolTimetable(chatId);
+  if (entries.length === 0) return [];
+
+  const { semesterStart, layout } = await getAcadCalendar(chatId);
+  const start = semesterStart || mondayOfWeekIso(todayIso(tz));
+  const end = addDaysIso(start, (semesterStart ? layout.length : CLASS_EXPORT_WEEKS) * 7 - 1);
+
+  const out = [];
+  for (let dateStr = start; dateStr <= end; dateStr = addDaysIso(dateStr, 1)) {
+    for (const entry of await getSchoolTimetableForDate(chatId, dateStr)) {
+      out.push({ ...entry, date: dateStr });
+    }
+  }
+  return out;
+}
+
+// The whole schedule of a chat as an iCalendar document (CRLF line endings, folded)
+async function buildChatCalendar(chatId) {
+  const tz = await getChatTimezone(chatId);
+  const events = await db.all('SELECT * FROM events WHERE chat_id = ? ORDER BY date, start_time', chatId);
+  const series = await getRecurrences(chatId);
+  const classes = await getSchoolClassOccurrences(chatId, tz);
+  const dtstamp = icsUtcDateTime(new Date());
+
+  const vevents = [];
+  const years = [Number(todayIso(tz).slice(0, 4))];
+
+  for (const ev of events) {
+    years.push(Number(ev.date.slice(0, 4)));
+    vevents.push([
+      'BEGIN:VEVENT',
+      `UID:event-${ev.id}@helpmyscheduling`,
+      `DTSTAMP:${dtstamp}`,
+      ...icsTimeProps(ev, tz),
+      `SUMMARY:${escapeIcsText(ev.task)}`,
+      ...(ev.location ? [`LOCATION:${escapeIcsText(ev.location)}`] : []),
+      ...(ev.type ? [`CATEGORIES:${escapeIcsText(ev.type.toUpperCase())}`] : []),
+      ...(ev.status === 'done' ? ['DESCRIPTION:Completed'] : []),
+      'END:VEVENT'
+    ]);
+  }
+
+  for (const rec of series) {
+    const rule = JSON.parse(rec.rule_json);
+    // DTSTART must itself be an occurrence, so anchor on the first date the rule produces
+    const [first] = expandRecurrenceDates({ ...rec, exdates_json: null }, rec.start_date, addDaysIso(rec.start_date, 400));
+    if (!first) continue;
+    years.push(Number(first.slice(0, 4)));
+
+    const exdates = rec.exdates_json ? JSON.parse(rec.exdates_json) : [];
+    const exdateProps = exdates.map(d => rec.start_time
+      ? `EXDATE;TZID=${tz}:${icsLocalDateTime(d, rec.start_time)}`
+      : `EXDATE;VALUE=DATE:${icsDate(d)}`);
+
+    vevents.push([
+      'BEGIN:VEVENT',
+      `UID:series-${rec.id}@helpmyscheduling`,
+      `DTSTAMP:${dtstamp}`,
+      ...icsTimeProps({ ...rec, date: first }, tz),
+      recurrenceToRrule(rule, rec.start_time, tz),
+      ...exdateProps,
+      `SUMMARY:${escapeIcsText(rec.task)}`,
+      ...(rec.location ? [`LOCATION:${escapeIcsText(rec.location)}`] : []),
+      ...(rec.type ? [`CATEGORIES:${escapeIcsText(rec.type.toUpperCase())}`] : []),
+      'END:VEVENT'
+    ]);
+  }
+
+  for (const cls of classes) {
+    years.push(Number(cls.date.slice(0, 4)));
+    vevents.push([
+      'BEGIN:VEVENT',
+      `UID:class-${cls.id}-${icsDate(cls.date)}@helpmyscheduling`,
+      `DTSTAMP:${dtstamp}`,
+      ...icsTimeProps(cls, tz),
+      `SUMMARY:${escapeIcsText(cls.subject)}`,
+      ...(cls.location ? [`LOCATION:${escapeIcsText(cls.location)}`] : []),
+      'CATEGORIES:CLASS',
+      'END:VEVENT'
+    ]);
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:My Schedule',
+    `X-WR-TIMEZONE:${tz}`,
+    // Recurring series may run on past the last dated item, so cover the following year too
+    ...buildVTimezone(tz, Math.min(...years), Math.max(...years) + 1),
+    ...vevents.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// =====================================================
+// CALENDAR FEED (optional HTTP endpoint for calendar subscriptions)
+// =====================================================
+function getFeedUrl(token) {
+  const base = FEED_BASE_URL || `http://localhost:${FEED_PORT}`;
+  return `${base.replace(/\/+$/, '')}/feed/${token}.ics`;
+}
+
+async function getOrCreateFeedToken(chatId, rotate = false) {
+  if (!rotate) {
+    const row = await db.get('SELECT feed_token FROM settings WHERE chat_id = ?', chatId);
+    if (row?.feed_token) return row.feed_token;
+  }
+  const token = crypto.randomBytes(16).toString('hex');
+  await upsertSetting(chatId, 'feed_token', token);
+  return token;
+}
+
+// Serves GET /feed/<token>.ics; the token is the only credential, so unknown ones get a plain 404
+async function serveCalendarFeed(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    return res.end();
+  }
+
+  // Matched on the raw path (query string dropped): new URL() throws on paths like "//["
+  const match = String(req.url || '').split('?')[0].match(/^\/feed\/([a-f0-9]{32})\.ics$/);
+  const row = match ? await db.get('SELECT chat_id FROM settings WHERE feed_token = ?', match[1]) : null;
+  if (!row) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end('Not found');
+  }
+
+  const body = await buildChatCalendar(row.chat_id);
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="schedule.ics"',
+    'Cache-Control': 'no-cache'
+  });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function startCalendarFeedServer(port, host) {
+  // Anything thrown while serving becomes a 500, never an unhandled rejection
+  const server = http.createServer((req, res) => {
+    serveCalendarFeed(req, res).catch(error => {
+      console.error('Calendar feed error:', error);
+      if (res.headersSent) return res.destroy();
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Internal error');
+    });
+  });
+
+  server.listen(port, host, () => console.log(`📡 Calendar feed listening on http://${host}:${port}`));
+  return server;
+}
+
+// =====================================================
+// COMMAND HANDLERS (reused by menu callbacks)
+// =====================================================
+async function getEventsWithSchoolTimetable(chatId, startDate, endDate) {
+  const events = await getEventsInRange(chatId, startDate, endDate);
+  const occurrences = await getRecurringOccurrencesInRange(chatId, addDaysIso(startDate, -1), endDate);
+  // Overnight and multi-day items are listed on each day they touch
+  const allItems = [...events, ...occurrences].flatMap(item => splitAcrossDays(item, startDate, endDate));
+
+  // Add school timetable entries for each date in range
+  for (let dateStr = startDate; dateStr <= endDate; dateStr = addDaysIso(dateStr, 1)) {
+    const schoolEntries = await getSchoolTimetableForDate(chatId, dateStr);
+    
+    for (const entry of schoolEntries) {
+      allItems.push({
+        id: `school_${entry.id}`,
+        chat_id: chatId,
+        task: entry.subject,
+        date: dateStr,
+        start_time: entry.start_time,
+        end_time: entry.end_time,
+        location: entry.location,
+        type: 'class',
+        source: 'school_timetable'
+      });
+    }
+  }
+
+  // Sort by date and time
+  allItems.sort((a, b) => {
+    const dateCompare = a.date.localeCompare(b.date);
+    if (dateCompare !== 0) return dateCompare;
+    // A span carried over from an earlier day is already going at midnight
+    const aTime = (a.first_date ? '00:00' : a.start_time) || '23:59';
+    const bTime = (b.first_date ? '00:00' : b.start_time) || '23:59';
+    return aTime.localeCompare(bTime);
+  });
+
+  return allItems;
+}
+
+async function handleToday(chatId) {
+  const tz = await getChatTimezone(chatId);
+  const today = todayIso(tz);
+  const overdue = await getOverdueTasks(chatId, tz);
+  const overdueIds = new Set(overdue.map(t => t.id));
+  // Anything overdue is listed once, in its own section
+  const tasks = (await getEventsWithSchoolTimetable(chatId, today, today)).filter(t => !overdueIds.has(t.id));
+
+  const label = await acadLabelForDate(chatId, today);
+  const heading = `📅 *Today's Schedule*${label ? ` — ${escapeMarkdown(label)}` : ''}`;
+
+  if (tasks.length === 0 && overdue.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `${heading}\n\nNo tasks or classes for today!`,
+      { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
+    );
+  }
+
+  const allDay = [];
+  const assignments = [];
+  const otherTasks = [];
+  const classes = [];
+
+  for (const item of tasks) {
+    if (item.source === 'school_timetable') {
+      classes.push(item);
+    } else if (!item.start_time) {
+      allDay.push(item);
+    } else if (isDeadlineType(item.type, chatId)) {
+      assignments.push(item);
+    } else {
+      otherTasks.push(item);
+    }
+  }
+
+  let message = `${heading}\n`;
+
+  if (allDay.length > 0) {
+    message += `\n🗓️ *All day*\n`;
+    message += renderItems(allDay, { tz });
+  }
+
+  if (overdue.length > 0) {
+    message += `\n⚠️ *Overdue*\n`;
+    message += formatOverdueList(overdue, tz);
+  }
+
+  if (assignments.length > 0) {
+    message += `\n📝 *Assignments & Deadlines*\n`;
+    message += renderItems(assignments, { tz });
+  }
+
+  if (otherTasks.length > 0) {
+    message += `\n✅ *Tasks*\n`;
+    message += renderItems(otherTasks, { tz });
+  }
+
+  if (classes.length > 0) {
+    message += `\n📚 *Classes*\n`;
+    message += renderItems(classes, { isSchool: true, tz });
+  }
+
+  const openTasks = [...overdue, ...tasks.filter(t => !t.source && isTaskType(t.type, chatId) && t.status === 'open')];
+  const keyboard = openTasks.length > 0 ? buildTaskDoneKeyboard(openTasks) : buildBackToMenuKeyboard();
+  return bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown', reply_markup: keyboard });
+}
+
+async function handleWeek(chatId) {
+  const start = todayIso(await getChatTimezone(chatId));
+  const end = addDaysIso(start, 6);
+
+  const tasks = await getEventsWithSchoolTimetable(chatId, start, end);
+  const tz = await getChatTimezone(chatId);
+  const { semesterStart, layout } = await getAcadCalendar(chatId);
+  const weekLabel = acadWeekInfo(start, semesterStart, layout)?.label;
+  const heading = `📆 *Next 7 Days*${weekLabel ? ` — ${escapeMarkdown(weekLabel)}` : ''}`;
+
+  // Holidays and the start of a recess/reading/exam week are worth a mention
+  const notes = (await getHolidaysInRange(chatId, start, end))
+    .map(h => `🎌 ${escapeMarkdown(formatDate(h.date, tz))}: ${escapeMarkdown(h.name)}`);
+  for (let d = addDaysIso(start, 1); d <= end; d = addDaysIso(d, 1)) {
+    const info = acadWeekInfo(d, semesterStart, layout);
+    if (dayOfWeekIso(d) === 1 && info?.label) notes.push(`🗓️ ${escapeMarkdown(formatDate(d, tz))}: ${escapeMarkdown(info.label)} starts`);
+  }
+  const notesBlock = notes.length ? `\n${notes.join('\n')}\n` : '';
+
+  if (tasks.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `${heading}\n${notesBlock}\nNo tasks or classes this week!`,
+      { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
+    );
+  }
+
+  const allDay = [];
+  const assignments = [];
+  const otherTasks = [];
+  const classes = [];
+
+  for (const item of tasks) {
+    if (item.source === 'school_timetable') {
+      classes.push(item);
+    } else if (!item.start_time) {
+      allDay.push(item);
+    } else if (isDeadlineType(item.type, chatId)) {
+      assignments.push(item);
+    } else {
+      otherTasks.push(item);
+    }
+  }
+
+  let message = `${heading}\n${notesBlock}`;
+
+  if (allDay.length > 0) {
+    message += `\n🗓️ *All day*\n`;
+    message += renderItems(allDay, { tz, showDate: true });
+  }
+
+  if (assignments.length > 0) {
+    message += `\n📝 *Assignments & Deadlines*\n`;
+    message += renderItems(assignments, { tz, showDate: true });
+  }
+
+  if (otherTasks.length > 0) {
+    message += `\n✅ *Tasks*\n`;
+    message += renderItems(otherTasks, { tz, showDate: true });
+  }
+
+  if (classes.length > 0) {
+    message += `\n📚 *Classes*\n`;
+    message += renderItems(classes, { isSchool: true, tz, showDate: true });
+  }
+
+  return bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+}
+
+// opts.showCompleted includes ticked-off tasks; opts.messageId re-renders an existing /all message in place
+async function handleAll(chatId, opts = {}) {
+  const tz = await getChatTimezone(chatId);
+  const all = await getAllUpcomingEvents(chatId);
+  const series = await getRecurrences(chatId);
+
+  const completedCount = all.filter(t => t.status === 'done').length;
+  const tasks = opts.showCompleted ? all : all.filter(t => t.status !== 'done');
+
+  let message = tasks.length > 0
+    ? `📋 *All Upcoming Tasks*\n${formatTaskList(tasks, tz)}`
+    : `📋 *All Upcoming Tasks*\n\nNo tasks scheduled!`;
+
+  if (series.length > 0) {
+    message += `\n\n🔁 *Recurring*\n${formatRecurrenceList(series)}`;
+  }
+
+  const keyboard = buildBackToMenuKeyboard();
+  if (completedCount > 0) {
+    if (!opts.showCompleted) message += `\n\n_${completedCount} completed hidden_`;
+    keyboard.inline_keyboard.unshift([
+      opts.showCompleted
+        ? { text: '🙈 Hide completed', callback_data: 'all_completed:hide' }
+        : { text: `👁️ Show completed (${completedCount})`, callback_data: 'all_completed:show' }
+    ]);
+  }
+
+  if (opts.messageId) {
+    return bot.editMessageText(message, { chat_id: chatId, message_id: opts.messageId, parse_mode: 'Markdown', reply_markup: keyboard });
+  }
+  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+}
+
+async function handleNext(chatId) {
+  const tz = await getChatTimezone(chatId);
+  const today = todayIso(tz);
+  const tasks = [
+    ...await getAllUpcomingEvents(chatId),
+    ...await getRecurringOccurrencesInRange(chatId, today, addDaysIso(today, 366))
+  ];
+
+  const now = new Date();
+  const upcoming = tasks
+    .map(t => {
+      const startTime = t.start_time || '23:59';
+      const dt = zonedDateTimeToUtc(t.date, startTime, tz);
+      return { ...t, _dt: dt };
+    })
+    .filter(t => !isNaN(t._dt) && t._dt >= now)
+    .sort((a, b) => a._dt - b._dt);
+
+  if (upcoming.length === 0) {
+    return bot.sendMessage(chatId, `✅ You have no upcoming tasks.`);
+  }
+
+  const next = upcoming[0];
+  const icon = getEventIcon(next.type, chatId);
+  const dateLabel = formatDateSpan(next, tz);
+  const timeLabel = next.start_time
+    ? (next.end_time ? `${next.start_time}-${next.end_time}` : next.start_time)
+    : null;
+
+  const locStr = next.location ? `\n📍 ${escapeMarkdown(next.location)}` : '';
+  const repeatStr = next.source === 'recurrence' ? ' 🔁' : '';
+
+  const message =
+    `⏭️ *Next up*\n\n` +
+    `${icon} ${escapeMarkdown(next.task)}${repeatStr}\n` +
+    `📅 ${escapeMarkdown(dateLabel)}` +
+    (timeLabel ? ` ⏰ ${escapeMarkdown(timeLabel)}` : '') +
+    locStr;
+
+  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+}
+
+// Show upcoming tasks and deadlines (non-class, non-event)
+async function handleTasks(chatId) {
+  const tz = await getChatTimezone(chatId);
+  const all = await getAllUpcomingEvents(chatId);
+  const now = new Date();
+
+  const upcoming = all
+    .map(t => {
+      const startTime = t.start_time || '23:59';
+      const dt = zonedDateTimeToUtc(t.date, startTime, tz);
+      return { ...t, _dt: dt };
+    })
+    .filter(t => !isNaN(t._dt) && t._dt >= now);
+
+  const taskItems = upcoming.filter(t =>
+    t.source !== 'school_timetable' &&
+    t.status === 'open' &&
+    isTaskType(t.type, chatId)
+  );
+  const overdue = await getOverdueTasks(chatId, tz);
+
+  let message = '📝 *Upcoming Tasks & Deadlines*\n';
+
+  if (overdue.length > 0) {
+    message += `\n⚠️ *Overdue*\n${formatOverdueList(overdue, tz)}`;
+  }
+
+  if (taskItems.length === 0) {
+    message += '\nNo upcoming tasks or deadlines!';
+  } else {
+    message += '\n' + formatTaskList(taskItems, tz);
+  }
+
+  const openTasks = [...overdue, ...taskItems];
+  return bot.sendMessage(
+    chatId,
+    message.trim(),
+    { parse_mode: 'Markdown', reply_markup: openTasks.length > 0 ? buildTaskDoneKeyboard(openTasks) : buildBackToMenuKeyboard() }
+  );
+}
+
+// Show upcoming non-class events: everything in an 'event' category (sports, social, meetings, ...)
+async function handleEvents(chatId) {
+  const tz = await getChatTimezone(chatId);
+  const all = await getAllUpcomingEvents(chatId);
+  const now = new Date();
+
+  const upcoming = all
+    .map(t => {
+      const startTime = t.start_time || '23:59';
+      const dt = zonedDateTimeToUtc(t.date, startTime, tz);
+      return { ...t, _dt: dt };
+    })
+    .filter(t => !isNaN(t._dt) && t._dt >= now);
+
+  const eventItems = upcoming.filter(t => !isTaskType(t.type, chatId) && t.source !== 'school_timetable');
+
+  let message = '🎉 *Upcoming Events*\n';
+
+  if (eventItems.length === 0) {
+    message += '\nNo upcoming events!';
+  } else {
+    message += '\n' + formatTaskList(eventItems, tz);
+  }
+
+  return bot.sendMessage(
+    chatId,
+    message.trim(),
+    { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
+  );
+}
+
+async function handleHistory(chatId) {
+  const ops = await getRecentAuditOps(chatId);
+  if (ops.length === 0) {
+    return bot.sendMessage(chatId, '🕘 No changes recorded yet.', { reply_markup: buildBackToMenuKeyboard() });
+  }
+
+  const tz = await getChatTimezone(chatId);
+  return bot.sendMessage(
+    chatId,
+    formatHistory(ops, tz) + '\nTap a number to undo that change.',
+    { parse_mode: 'Markdown', reply_markup: buildHistoryKeyboard(ops) }
+  );
+}
+
+async function handleTimetable(chatId) {
+  const entries = await getSchoolTimetable(chatId);
+
+  if (entries.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `📚 *School Timetable*\n\nNo timetable entries yet.\n\n` +
+      `Use /addclass to add a class (e.g., "/addclass Math Monday 09:00 10:00 Room 101")`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  // Group by day
+  const byDay = {};
+  for (const entry of entries) {
+    const dayName = getDayName(entry.day_of_week);
+    if (!byDay[dayName]) byDay[dayName] = [];
+    byDay[dayName].push(entry);
+  }
+
+  const { semesterStart, layout } = await getAcadCalendar(chatId);
+  const info = acadWeekInfo(todayIso(await getChatTimezone(chatId)), semesterStart, layout);
+  let message = `📚 *School Timetable*${info?.label ? ` — ${escapeMarkdown(info.label)}` : ''}\n\n`;
+  if (info && info.type !== 'instructional') message += `_No classes this week._\n\n`;
+  const dayOrder = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+  
+  for (const day of dayOrder) {
+    if (byDay[day]) {
+      message += `*${day}:*\n`;
+      for (const entry of byDay[day]) {
+        const loc = entry.location ? ` @ ${escapeMarkdown(entry.location)}` : '';
+        const weeksLabel = entry.weeks_json
+          ? ` (Weeks **${JSON.parse(entry.weeks_json).join(', ')}**)`
+          : '';
+        message += `  • ${escapeMarkdown(entry.start_time)}-${escapeMarkdown(entry.end_time)} ${escapeMarkdown(entry.subject)}${loc}${weeksLabel}\n`;
+      }
+      message += '\n';
+    }
+  }
+
+  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+}
+
+// =====================================================
+// COMMANDS
+// =====================================================
+bot.onText(/\/start/, (msg) => {
+  const chatId = msg.chat.id;
+  bot.sendMessage(
+    chatId,
+    `👋 Welcome to AI Schedule Bot!\n\n` +
+      `Send messages like:\n` +
+      `• "Meeting with Sarah tomorrow at 3pm"\n` +
+      `• "Dentist appointment next Monday 10am"\n` +
+      `• "Gym every Monday 6am"\n\n` +
+      `Use /menu for quick access to all features!`,
+    { reply_markup: buildMainMenuKeyboard() }
+  );
+});
+
+bot.onText(/\/menu/, (msg) => {
+  const chatId = msg.chat.id;
+  bot.sendMessage(
+    chatId,
+    '📱 *Main Menu*\n\nSelect an option:',
+    { parse_mode: 'Markdown', reply_markup: buildMainMenuKeyboard() }
+  );
+});
+
+bot.onText(/\/today/, async (msg) => handleToday(msg.chat.id));
+// Lookahead so /weekimg doesn't also list the week
+bot.onText(/\/week(?!img)/, async (msg) => handleWeek(msg.chat.id));
+bot.onText(/\/weekimg(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => handleWeekImage(msg.chat.id, match[1] || ''));
+bot.onText(/\/all(?:\s+(\S+))?/, async (msg, match) => {
+  // "/all done" (or "/all completed") includes ticked-off tasks
+  const showCompleted = /^(done|completed)$/i.test(match[1] || '');
+  return handleAll(msg.chat.id, { showCompleted });
+});
+bot.onText(/\/next/, async (msg) => handleNext(msg.chat.id));
+
+// Anchored so /cleartimetable doesn't also wipe events
+bot.onText(/^\/clear(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (!(await requireGroupAdmin(msg))) return;
+  const events = await db.all('SELECT * FROM events WHERE chat_id = ?', chatId);
+  const recurrences = await db.all('SELECT * FROM recurrences WHERE chat_id = ?', chatId);
+  await db.run('DELETE FROM events WHERE chat_id = ?', chatId);
+  await db.run('DELETE FROM recurrences WHERE chat_id = ?', chatId);
+
+  const op = newAuditOp(chatId, 'Cleared all events');
+  for (const row of events) await recordChange(op, 'events', 'delete', row, null);
+  for (const row of recurrences) await recordChange(op, 'recurrences', 'delete', row, null);
+
+  // Cancel all reminders for this user
+  await db.run(`DELETE FROM reminders WHERE chat_id = ? AND status = 'pending'`, chatId);
+
+  bot.sendMessage(chatId, '🗑️ All tasks cleared! Changed your mind? /undo');
+});
+
+bot.onText(/\/done(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const tz = await getChatTimezone(chatId);
+  const today = todayIso(tz);
+  const taskTypes = getTaskTypes(chatId);
+  const openTasks = (await db.all(
+    `SELECT * FROM events
+     WHERE chat_id = ? AND status = 'open' AND type IN (${taskTypes.map(() => '?').join(', ')})
+     ORDER BY date, start_time`,
+    chatId,
+    ...taskTypes
+  ));
+
+  // Overdue first, then upcoming; anything further in the past than that is already overdue
+  const overdueIds = new Set((await getOverdueTasks(chatId, tz)).map(t => t.id));
+  openTasks.sort((a, b) => Number(overdueIds.has(b.id)) - Number(overdueIds.has(a.id)));
+  const candidates = openTasks.filter(t => overdueIds.has(t.id) || t.date >= today);
+
+  if (!match[1]) {
+    if (candidates.length === 0) return bot.sendMessage(chatId, '🎉 Nothing left to do!');
+    return bot.sendMessage(chatId, '✅ *Which one is done?*', { parse_mode: 'Markdown', reply_markup: buildTaskDoneKeyboard(candidates) });
+  }
+
+  const query = match[1].trim();
+  const matches = /^\d+$/.test(query)
+    ? openTasks.filter(t => t.id === Number(query))
+    : candidates.filter(t => t.task.toLowerCase().includes(query.toLowerCase()));
+
+  if (matches.length === 0) {
+    return bot.sendMessage(chatId, `❌ No open task matches "${query}". Send /done to pick from a list.`);
+  }
+  if (matches.length > 1) {
+    return bot.sendMessage(chatId, '🤔 More than one task matches. Which one?', { reply_markup: buildTaskDoneKeyboard(matches) });
+  }
+
+  if (!(await canModifyItem(chatId, msg.from?.id, 'events', matches[0].id))) {
+    return bot.sendMessage(chatId, '🔒 Only its creator or a group admin can change this.');
+  }
+  const task = await setEventCompleted(chatId, matches[0].id, true);
+  return bot.sendMessage(chatId, `✅ *${escapeMarkdown(task.task)}* marked done.`, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: [[{ text: '↩️ Undo', callback_data: `task_undo:${task.id}` }]] }
+  });
+});
+
+bot.onText(/\/semester(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const tz = await getChatTimezone(chatId);
+  const today = todayIso(tz);
+  const args = (match[1] || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (args.length > 0 && !(await requireGroupAdmin(msg))) return;
+
+  if (args[0] === 'off') {
+    await upsertSetting(chatId, 'semester_start_date', null);
+    await upsertSetting(chatId, 'semester_layout_json', null);
+    return bot.sendMessage(chatId, '🗓️ Semester cleared. Classes now show every week (holidays still skipped).');
+  }
+
+  if (args.length > 0) {
+    const nusTerms = { sem1: 1, sem2: 2, st1: 3, st2: 4 };
+    let start;
+    let layout = REGULAR_SEMESTER_LAYOUT;
+
+    if (nusTerms[args[0]]) {
+      start = nusSemesterStartIso(nusAcadYearFor(today), nusTerms[args[0]]);
+      if (nusTerms[args[0]] > 2) layout = SPECIAL_TERM_LAYOUT;
+    } else if (isValidIsoDate(args[0])) {
+      start = mondayOfWeekIso(args[0]);
+      if (['special', 'st'].includes(args[1])) layout = SPECIAL_TERM_LAYOUT;
+    } else {
+      return bot.sendMessage(
+        chatId,
+        '❌ Use /semester YYYY-MM-DD (Monday of week 1), /semester sem1 | sem2 | st1 | st2 (NUS dates), or /semester off.'
+      );
+    }
+
+    await setSemester(chatId, start, layout);
+  }
+
+  const { semesterStart, layout } = await getAcadCalendar(chatId);
+  if (!semesterStart) {
+    return bot.sendMessage(
+      chatId,
+      `🗓️ No semester set, so classes show every week.\n\n` +
+        `Set one with /semester YYYY-MM-DD (Monday of week 1) or /semester sem1 | sem2 for NUS dates.`
+    );
+  }
+
+  // One line per stretch of the layout: "Week 1-6", "Recess Week", ...
+  const lines = [];
+  for (let i = 0; i < layout.length; i++) {
+    const info = acadWeekInfo(addDaysIso(semesterStart, i * 7), semesterStart, layout);
+    const from = formatDate(addDaysIso(mondayOfWeekIso(semesterStart), i * 7), tz);
+    const prev = lines[lines.length - 1];
+    if (info.type === 'instructional' && prev?.type === 'instructional') {
+      prev.text = `Weeks ${prev.firstWeek}-${info.week} (from ${prev.from})`;
+      continue;
+    }
+    lines.push({ type: info.type, firstWeek: info.week, from, text: `${info.label} (from ${from})` });
+  }
+
+  const now = acadWeekInfo(today, semesterStart, layout);
+  return bot.sendMessage(
+    chatId,
+    `🗓️ *Semester*\n\n` +
+      `Now: ${escapeMarkdown(now.label || (now.type === 'before' ? 'Not started yet' : 'Semester over'))}\n\n` +
+      lines.map(l => `• ${escapeMarkdown(l.text)}`).join('\n') +
+      `\n\nClasses are skipped outside teaching weeks and on holidays (/holiday).`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/holiday(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const tz = await getChatTimezone(chatId);
+  const today = todayIso(tz);
+  const [action, date, ...nameParts] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+  if (action === 'add' || action === 'remove') {
+    if (!(await requireGroupAdmin(msg))) return;
+    if (!isValidIsoDate(date)) {
+      return bot.sendMessage(chatId, '❌ Use /holiday add YYYY-MM-DD Name or /holiday remove YYYY-MM-DD (a real date).');
+    }
+
+    if (action === 'add') {
+      const name = nameParts.join(' ') || 'Holiday';
+      await db.run(
+        `INSERT INTO holidays (chat_id, date, name, created_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(chat_id, date) DO UPDATE SET name = excluded.name`,
+        chatId,
+        date,
+        name,
+        new Date().toISOString()
+      );
+      return bot.sendMessage(chatId, `🎌 Added ${formatDate(date, tz)}: ${name}. No classes that day.`);
+    }
+
+    const result = await db.run('DELETE FROM holidays WHERE chat_id = ? AND date = ?', chatId, date);
+    return bot.sendMessage(
+      chatId,
+      result.changes > 0 ? `🗑️ Removed your holiday on ${formatDate(date, tz)}.` : '❌ You have no holiday of your own on that date.'
+    );
+  }
+
+  const upcoming = await getHolidaysInRange(chatId, today, addDaysIso(today, 365));
+  const list = upcoming.length > 0
+    ? upcoming.map(h => `• ${escapeMarkdown(formatDate(h.date, tz))}: ${escapeMarkdown(h.name)}`).join('\n')
+    : 'None in the next year.';
+  return bot.sendMessage(
+    chatId,
+    `🎌 *Upcoming holidays*\n\n${list}\n\n/holiday add YYYY-MM-DD Name\n/holiday remove YYYY-MM-DD`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/categories(?:\s+(.+))?/s, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [, sub, rest] = (match[1] || '').trim().match(/^(\S*)\s*(.*)$/s);
+  const action = sub.toLowerCase();
+
+  if (action === 'add' || action === 'remove') {
+    if (!(await requireGroupAdmin(msg))) return;
+  }
+
+  if (action === 'add') {
+    const spec = parseCategorySpec(rest);
+    if (spec.error) return bot.sendMessage(chatId, `❌ ${spec.error}`);
+    const saved = await saveCategory(chatId, spec);
+    if (saved.error) return bot.sendMessage(chatId, `❌ ${saved.error}`);
+    const keywords = saved.keywords.length ? `\nKeywords: ${saved.keywords.join(', ')}` : '';
+    return bot.sendMessage(chatId, `✅ ${saved.icon} ${saved.name} saved (${saved.kind}).${keywords}`);
+  }
+
+  if (action === 'remove') {
+    const category = findCategoryByName(chatId, rest);
+    if (!category?.custom) {
+      return bot.sendMessage(chatId, `❌ You have no category of your own called "${rest}". Built-in ones can be changed but not removed.`);
+    }
+    const moved = await removeCategory(chatId, category.key);
+    return bot.sendMessage(
+      chatId,
+      category.builtin
+        ? `↩️ ${category.name} is back to its built-in icon and keywords.`
+        : `🗑️ Removed ${category.icon} ${category.name}.${moved ? ` ${moved} item(s) moved to Other.` : ''}`
+    );
+  }
+
+  return bot.sendMessage(
+    chatId,
+    `🏷️ *Categories*\n\n${formatCategoryList(chatId)}\n\n` +
+      `New messages are sorted by these keywords (★ = your own).\n\n` +
+      `/categories add 🎸 Band event: band, jam - Add or change one\n` +
+      `/categories add 🏠 Hall: hall, jcrc - Kinds: event (default), task, deadline\n` +
+      `/categories remove Band - Remove it (its items move to Other)`,
+    { parse_mode: 'Markdown', reply_markup: buildCategoriesKeyboard(chatId) }
+  );
+});
+
+bot.onText(/\/find(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const tz = await getChatTimezone(chatId);
+
+  if (!match[1]) {
+    return bot.sendMessage(
+      chatId,
+      `🔎 *Search events and classes*\n\n` +
+        `/find ihg basketball\n/find lt27 type:class\n/find type:assignment before:2026-02-01\n/find quiz after:1/3 past:yes\n\n` +
+        `Filters: type:<type>, before:<date>, after:<date>, past:yes (include past items).`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const query = parseFindQuery(match[1], todayIso(tz));
+  if (query.error) return bot.sendMessage(chatId, `❌ ${query.error}`);
+  // type: takes a category's name too
+  if (query.type) query.type = findCategoryByName(chatId, query.type)?.key || query.type;
+  if (query.terms.length === 0 && !query.type && !query.before && !query.after) {
+    return bot.sendMessage(chatId, '❌ Tell me what to look for, e.g. /find ihg or /find type:sports past:yes.');
+  }
+
+  const session = getSession(chatId, msg.from?.id);
+  session.pendingFind = { id: String(Date.now()), query, page: 0, updatedAt: nowMs() };
+  const items = await searchChatItems(chatId, query, todayIso(tz));
+  const view = renderFindResults(session.pendingFind, items, tz);
+  return bot.sendMessage(chatId, view.text, { parse_mode: 'Markdown', reply_markup: view.reply_markup });
+});
+
+bot.onText(/\/export(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [sub, action] = (match[1] || '').trim().toLowerCase().split(/\s+/);
+
+  try {
+    if (sub === 'feed') {
+      if (!FEED_PORT) {
+        return bot.sendMessage(chatId, '📡 The calendar feed is not enabled on this bot. Use /export to get an .ics file instead.');
+      }
+      if (action === 'off') {
+        await upsertSetting(chatId, 'feed_token', null);
+        return bot.sendMessage(chatId, '🔒 Feed link revoked. Calendars subscribed to it will stop updating.');
+      }
+
+      const token = await getOrCreateFeedToken(chatId, action === 'reset');
+      return bot.sendMessage(
+        chatId,
+        `📡 *Calendar feed*\n\n${escapeMarkdown(getFeedUrl(token))}\n\n` +
+          `Subscribe to this link in Google Calendar ("From URL") or Apple Calendar ("New Calendar Subscription"). ` +
+          `Anyone with the link can see your schedule.\n\n` +
+          `/export feed reset - New link (old one stops working)\n/export feed off - Turn the link off`,
+        { parse_mode: 'Markdown', disable_web_page_preview: true }
+      );
+    }
+
+    const ics = await buildChatCalendar(chatId);
+    return await bot.sendDocument(
+      chatId,
+      Buffer.from(ics, 'utf8'),
+      { caption: '📤 Your schedule. Open it or import it into Google Calendar, Apple Calendar or Outlook.' },
+      { filename: 'schedule.ics', contentType: 'text/calendar' }
+    );
+  } catch (error) {
+    console.error('Export failed:', error);
+    return bot.sendMessage(chatId, '❌ Could not make the export. Please try again later.');
+  }
+});
+
+// A group's backup is the whole group calendar, so only admins can take one there
+bot.onText(/\/backup(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (!(await requireGroupAdmin(msg))) return;
+
+  try {
+    const backup = await buildChatBackup(chatId);
+    const stamp = todayIso(await getChatTimezone(chatId));
+
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(JSON.stringify(backup, null, 2), 'utf8'),
+      {
+        caption: `💾 Backup of ${backup.events.length} event(s), ${backup.recurrences.length} series, ` +
+          `${backup.school_timetable.length} class(es) and your settings. Send it back with /restore.`
+      },
+      { filename: `schedule-backup-${stamp}.json`, contentType: 'application/json' }
+    );
+
+    if ((match[1] || '').trim().toLowerCase() === 'csv') {
+      await bot.sendDocument(
+        chatId,
+        Buffer.from(backupToCsv(backup), 'utf8'),
+        { caption: '📊 The same items as a spreadsheet (settings are only in the .json).' },
+        { filename: `schedule-backup-${stamp}.csv`, contentType: 'text/csv' }
+      );
+    }
+  } catch (error) {
+    console.error('Backup failed:', error);
+    return bot.sendMessage(chatId, '❌ Could not make the backup. Please try again later.');
+  }
+});
+
+bot.onText(/\/restore/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (!(await requireGroupAdmin(msg))) return;
+
+  const session = getSession(chatId, msg.from?.id);
+  session.awaitingRestore = true;
+  session.pendingRestore = null;
+  session.updatedAt = nowMs();
+  return bot.sendMessage(
+    chatId,
+    '♻️ Send me the backup file from /backup (.json, or the .csv). I will show what changes before anything is restored.\n\n/cancel to stop.'
+  );
+});
+
+bot.onText(/\/reminder(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+
+  if (!match[1]) {
+    const current = await getChatReminderOffsets(chatId);
+    const allDay = await getAllDayReminderRules(chatId);
+    return bot.sendMessage(
+      chatId,
+      `🔔 Default reminders: ${describeReminderOffsets(current)}.\n` +
+        `🗓️ All-day items: ${describeAllDayReminderRules(allDay)}.\n\n` +
+        `Change them with e.g.:\n` +
+        `/reminder 30 (minutes)\n/reminder 1d, 2h, 10m\n/reminder off\n/reminder default\n` +
+        `/reminder allday 3d 9am, 1d 9pm, 0d 8am`
+    );
+  }
+
+  // /reminder allday <rules>: for items with a date but no time
+  const allDayArg = match[1].match(/^all[-\s]?day\b\s*(.*)$/i);
+  if (allDayArg) {
+    if (!allDayArg[1]) {
+      return bot.sendMessage(chatId, `🗓️ All-day reminders: ${describeAllDayReminderRules(await getAllDayReminderRules(chatId))}.`);
+    }
+    if (!(await requireGroupAdmin(msg))) return;
+    const parsedRules = parseAllDayReminderRules(allDayArg[1]);
+    if (!parsedRules) {
+      return bot.sendMessage(
+        chatId,
+        `❌ Give days before and a time, like "3d 9am, 1d 9pm, 0d 8am" (0d = the morning of), up to ${MAX_ALLDAY_REMINDER_DAYS} days before.`
+      );
+    }
+    const rules = parsedRules.rules || DEFAULT_ALLDAY_REMINDERS;
+    await upsertSetting(chatId, 'allday_reminders_json', parsedRules.rules ? JSON.stringify(rules) : null);
+    await rescheduleChatReminders(chatId);
+    return bot.sendMessage(chatId, `✅ All-day reminders: ${describeAllDayReminderRules(rules)}.`);
+  }
+
+  if (!(await requireGroupAdmin(msg))) return;
+  const parsed = parseReminderOffsets(match[1]);
+  if (!parsed) {
+    bot.sendMessage(chatId, '❌ Please give offsets like "30", "1h 30m" or "1d, 2h", up to 7 days before.');
+    return;
+  }
+
+  const offsets = parsed.offsets || DEFAULT_REMINDER_OFFSETS;
+  await upsertSetting(chatId, 'reminder_offsets_json', parsed.offsets ? JSON.stringify(offsets) : null);
+  if (offsets.length > 0) await upsertSetting(chatId, 'default_reminder_minutes', Math.min(...offsets));
+  await rescheduleChatReminders(chatId);
+
+  bot.sendMessage(chatId, `✅ Default reminders: ${describeReminderOffsets(offsets)}.`);
+});
+
+bot.onText(/\/migratelegacy(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (!ADMIN_CHAT_IDS.has(String(msg.from?.id)) && !ADMIN_CHAT_IDS.has(String(chatId))) {
+    return bot.sendMessage(chatId, '🔒 Only the bot admin can run this (see ADMIN_CHAT_IDS).');
+  }
+
+  try {
+    const report = await migrateLegacyScheduleData();
+    return bot.sendMessage(chatId, `📦 Legacy schedule import (${path.basename(LEGACY_DATA_FILE)}):\n${formatLegacyReport(report)}`);
+  } catch (error) {
+    console.error('Legacy schedule migration failed:', error);
+    return bot.sendMessage(chatId, `❌ Import failed: ${error.message || error}`);
+  }
+});
+
+bot.onText(/\/timezone(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+
+  if (!match[1]) {
+    const current = await getChatTimezone(chatId);
+    const local = zonedParts(new Date(), current);
+    return bot.sendMessage(
+      chatId,
+      `🌍 Your timezone: ${current} (local time ${local.time}).\n\n` +
+        `Change it with an IANA zone name, e.g.:\n` +
+        `/timezone Asia/Singapore\n/timezone Europe/London\n/timezone America/New_York`
+    );
+  }
+
+  if (!(await requireGroupAdmin(msg))) return;
+  const tz = canonicalTimezone(match[1]);
+  if (!tz) {
+    return bot.sendMessage(chatId, `❌ Unknown timezone "${match[1]}". Use an IANA name like Asia/Singapore.`);
+  }
+
+  await upsertSetting(chatId, 'timezone', tz);
+  await rescheduleChatReminders(chatId);
+
+  const local = zonedParts(new Date(), tz);
+  await bot.sendMessage(chatId, `✅ Timezone set to ${tz} (local time ${local.time}). Reminders and summaries now follow it.`);
+});
+
+bot.onText(/\/groupreminders(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (!isGroupChat(chatId)) {
+    return bot.sendMessage(chatId, 'ℹ️ /groupreminders only applies in group chats.');
+  }
+
+  const mode = match[1]?.toLowerCase();
+  if (!mode) {
+    const row = await db.get('SELECT group_reminders FROM settings WHERE chat_id = ?', chatId);
+    const current = row?.group_reminders === 'dm' ? 'sent by DM to everyone who said Going' : 'posted in this group';
+    return bot.sendMessage(
+      chatId,
+      `🔔 Reminders are ${current}.\n\n` +
+        `/groupreminders group - post them here\n` +
+        `/groupreminders dm - DM whoever is going (they must have started a chat with me)`
+    );
+  }
+  if (mode !== 'group' && mode !== 'dm') {
+    return bot.sendMessage(chatId, '❌ Use /groupreminders group or /groupreminders dm.');
+  }
+  if (!(await requireGroupAdmin(msg))) return;
+
+  await upsertSetting(chatId, 'group_reminders', mode === 'dm' ? 'dm' : null);
+  await bot.sendMessage(
+    chatId,
+    mode === 'dm'
+      ? '✅ Reminders will be DMed to everyone who tapped Going (posted here when nobody has).'
+      : '✅ Reminders will be posted in this group.'
+  );
+});
+
+bot.onText(/\/free(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const args = (match[1] || '').trim();
+
+  // /free hours 9am-11pm sets the window that slots are searched in
+  const hoursArg = args.match(/^hours(?:\s+(.+))?$/i);
+  if (hoursArg) {
+    const current = await getWakingHours(chatId);
+    const range = hoursArg[1]?.match(/^(\S+?)\s*(?:-|–|to)\s*(\S+)$/i);
+    const parsed = range && parseOfflineTimeRange(range[1], range[2]);
+    if (!hoursArg[1]) {
+      return bot.sendMessage(chatId, `⏰ Waking hours: ${current.start}-${current.end}.\n\nChange them with e.g. /free hours 9am-11pm`);
+    }
+    if (!parsed || parsed.start === parsed.end) {
+      return bot.sendMessage(chatId, '❌ Give a range like /free hours 9am-11pm or /free hours 07:30-22:00.');
+    }
+    await upsertSetting(chatId, 'waking_hours', `${parsed.start}-${parsed.end}`);
+    return bot.sendMessage(chatId, `✅ /free now looks for slots between ${parsed.start} and ${parsed.end}.`);
+  }
+
+  await handleFree(chatId, args);
+});
+
+bot.onText(/\/plan(?:\s+(.+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const args = (match[1] || '').trim();
+  if (!args) return handlePlanList(chatId);
+
+  // /plan quiet 18:00-20:00 | /plan quiet off
+  const quietArg = args.match(/^quiet(?:\s+(.+))?$/i);
+  if (quietArg) {
+    const value = quietArg[1]?.trim();
+    if (!value) {
+      const quiet = await getQuietHours(chatId);
+      return bot.sendMessage(chatId, `🤫 Quiet window: ${quiet ? `${quiet.start}-${quiet.end}` : 'none'}. No study blocks go there.\n\nSet it with /plan quiet 18:00-20:00 (or /plan quiet off).`);
+    }
+    if (!(await requireGroupAdmin(msg))) return;
+    if (/^(off|none)$/i.test(value)) {
+      await upsertSetting(chatId, 'quiet_hours', null);
+      return bot.sendMessage(chatId, '✅ Quiet window removed.');
+    }
+    const range = value.match(/^(\S+?)\s*(?:-|–|to)\s*(\S+)$/i);
+    const parsed = range && parseOfflineTimeRange(range[1], range[2]);
+    if (!parsed || parsed.start === parsed.end) {
+      return bot.sendMessage(chatId, '❌ Give a range like /plan quiet 18:00-20:00 or /plan quiet 10pm-8am.');
+    }
+    await upsertSetting(chatId, 'quiet_hours', `${parsed.start}-${parsed.end}`);
+    return bot.sendMessage(chatId, `✅ Study blocks will stay out of ${parsed.start}-${parsed.end}. Existing plans change the next time they're re-planned.`);
+  }
+
+  // /plan <name or id> <effort>
+  const { minutes, rest } = parseFreeDuration(args.replace(/~/g, ' '));
+  const name = rest.replace(/\s+/g, ' ').trim();
+  if (!minutes || !name) {
+    return bot.sendMessage(chatId, '❌ Usage: /plan <assignment> <effort>, e.g. /plan PS3 6h');
+  }
+
+  const tz = await getChatTimezone(chatId);
+  const taskTypes = getTaskTypes(chatId);
+  const open = await db.all(
+    `SELECT * FROM events WHERE chat_id = ? AND status = 'open' AND date >= ? AND plan_parent_id IS NULL
+       AND type IN (${taskTypes.map(() => '?').join(', ')})
+     ORDER BY date, start_time`,
+    chatId,
+    todayIso(tz),
+    ...taskTypes
+  );
+  const matches = /^\d+$/.test(name)
+    ? open.filter(t => t.id === Number(name))
+    : open.filter(t => t.task.toLowerCase().includes(name.toLowerCase()));
+  if (matches.length !== 1) {
+    return bot.sendMessage(
+      chatId,
+      matches.length === 0
+        ? `❌ No upcoming assignment matches "${name}".`
+        : `🤔 More than one assignment matches: ${matches.map(t => `${t.task} (#${t.id})`).join(', ')}. Use the number, e.g. /plan ${matches[0].id} ${args.match(/\S+$/)[0]}`
+    );
+  }
+
+  const assignment = matches[0];
+  if (!(await canModifyItem(chatId, msg.from?.id, 'events', assignment.id))) {
+    return bot.sendMessage(chatId, '🔒 Only its creator or a group admin can change this.');
+  }
+  const op = newAuditOp(chatId, `Planned study for "${assignment.task}"`);
+  const replanned = await updateEvent(chatId, assignment.id, {
+    effort_minutes: minutes,
+    ...(PLANNABLE_TYPES.includes(assignment.type) ? {} : { type: 'assignment' })
+  }, op);
+  // Re-plan even when the estimate is unchanged, and get the blocks to show
+  const { blocks, shortMinutes } = replanned || await planStudyBlocks(chatId, assignment.id, op);
+  const saved = await db.get('SELECT * FROM events WHERE id = ?', assignment.id);
+  return bot.sendMessage(chatId, formatStudyPlan(saved, blocks, shortMinutes, tz), { parse_mode: 'Markdown' });
+});
+
+bot.onText(/\/meet(?:\s+([\s\S]+))?/, async (msg, match) => {
+  if (!msg.from) return;
+  await handleMeet(msg, match[1] || '', getSession(msg.chat.id, msg.from.id));
+});
+
+bot.onText(/^\/share(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (!msg.from) return;
+  await recordBotUser(msg);
+
+  const mode = match[1]?.toLowerCase();
+  if (mode !== 'on' && mode !== 'off') {
+    const row = await db.get('SELECT share_availability FROM bot_users WHERE user_id = ?', msg.from.id);
+    return bot.sendMessage(
+      chatId,
+      `👀 Availability sharing is ${row?.share_availability ? 'on' : 'off'}.\n\n` +
+        `When it's on, people who /meet with you can find times you're free. They only see open slots, never your events or classes.\n\n` +
+        `/share on · /share off`
+    );
+  }
+
+  await db.run('UPDATE bot_users SET share_availability = ? WHERE user_id = ?', mode === 'on' ? 1 : 0, msg.from.id);
+  await bot.sendMessage(
+    chatId,
+    mode === 'on'
+      ? '✅ Others can now include you in /meet. They see free times only.'
+      : '✅ Sharing is off. /meet will leave you out.'
+  );
+});
+
+bot.onText(/^\/timetable/, async (msg) => {
   await handleTimetable(msg.chat.id);
 });
 
-bot.onText(/\/addclass (.+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const args = match[1].trim().split(/\s+/);
-  
-  if (args.length < 4) {
+bot.onText(/\/addclass (.+)/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const args = match[1].trim().split(/\s+/);
+  
+  if (args.length < 4) {
+    return bot.sendMessage(
+      chatId,
+      `❌ Usage: /addclass <subject> <day> <start_time> <end_time> [location]\n\n` +
+      `Example: /addclass Math Monday 09:00 10:00 Room 101\n` +
+      `Example: /addclass Physics Tuesday 14:00 15:30`
+    );
+  }
+
+  const subject = args[0];
+  const dayStr = args[1];
+  const startTime = normalizeTime(args[2]);
+  const endTime = normalizeTime(args[3]);
+  const location = args.slice(4).join(' ') || null;
+
+  if (!startTime || !endTime) {
+    return bot.sendMessage(chatId, '❌ Invalid time format. Use HH:MM (e.g., 09:00, 14:30)');
+  }
+
+  const dayOfWeek = parseDayOfWeek(dayStr);
+  if (dayOfWeek === null) {
+    return bot.sendMessage(chatId, `❌ Invalid day. Use: Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, or Sunday`);
+  }
+
+  try {
+    const entry = await addSchoolTimetableEntry(chatId, {
+      subject,
+      day_of_week: dayOfWeek,
+      start_time: startTime,
+      end_time: endTime,
+      location,
+      created_by: msg.from?.id
+    });
+
+    const locStr = location ? ` 📍 ${escapeMarkdown(location)}` : '';
+    await bot.sendMessage(
+      chatId,
+      `✅ Added to timetable:\n\n` +
+      `📚 ${escapeMarkdown(subject)}\n` +
+      `📅 ${getDayName(dayOfWeek)}\n` +
+      `⏰ ${escapeMarkdown(startTime)}-${escapeMarkdown(endTime)}${locStr}`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    console.error('Error adding class:', error);
+    await bot.sendMessage(chatId, '❌ Error adding class. Please try again.');
+  }
+});
+
+bot.onText(/\/deleteclass (\d+)/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const entryId = parseInt(match[1], 10);
+
+  const entry = await db.get('SELECT * FROM school_timetable WHERE id = ? AND chat_id = ?', entryId, chatId);
+  if (!entry) {
+    return bot.sendMessage(chatId, '❌ Class not found. Use /timetable to see all classes.');
+  }
+  if (!(await canModifyItem(chatId, msg.from?.id, 'school_timetable', entryId))) {
+    return bot.sendMessage(chatId, '🔒 Only whoever added this class or a group admin can delete it.');
+  }
+
+  await deleteSchoolTimetableEntry(chatId, entryId);
+  await bot.sendMessage(
+    chatId,
+    `✅ Deleted: ${escapeMarkdown(entry.subject)} (${getDayName(entry.day_of_week)})`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/cleartimetable/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (!(await requireGroupAdmin(msg))) return;
+  await clearSchoolTimetable(chatId);
+  await bot.sendMessage(chatId, '🗑️ School timetable cleared! Changed your mind? /undo');
+});
+
+bot.onText(/\/undo/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (!(await requireGroupAdmin(msg))) return;
+  const last = await db.get(
+    `SELECT op_id, label FROM audit_log
+     WHERE chat_id = ? AND undone_at IS NULL
+     ORDER BY id DESC LIMIT 1`,
+    chatId
+  );
+  if (!last) return bot.sendMessage(chatId, '🤷 Nothing to undo.');
+
+  const restored = await undoAuditOp(chatId, last.op_id);
+  return bot.sendMessage(
+    chatId,
+    `↩️ Undid: ${escapeMarkdown(last.label || 'last change')}${restored > 1 ? ` (${restored} rows)` : ''}.\nSend /undo again to go further back, or /history to pick a change.`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.onText(/\/history/, async (msg) => handleHistory(msg.chat.id));
+
+bot.onText(/^\//, async (msg) => {
+  const chatId = msg.chat.id;
+  const text = msg.text.trim();
+
+  if (text === '/') {
+    bot.sendMessage(
+      chatId,
+      `📋 *Available Commands:*\n\n` +
+        `/today - View today's events\n` +
+        `/week - View next 7 days\n` +
+        `/weekimg [next|last|<date>] - This week as a picture (Mon–Sun grid)\n` +
+        `/next - View next upcoming event\n` +
+        `/all - View all upcoming events (/all done includes completed)\n` +
+        `/find <words> [type: before: after: past:yes] - Search events and classes\n` +
+        `/categories - Your categories, icons and keywords\n` +
+        `/done <task> - Mark a task done\n` +
+        `/export - Download your schedule as .ics (/export feed for a live link)\n` +
+        `/backup [csv] - Download everything as a backup file\n` +
+        `/restore - Restore from a backup file (preview first)\n` +
+        `/reminder <offsets> - Set default reminders (e.g. 1d, 30m or off)\n` +
+        `/reminder allday <rules> - Reminders for date-only items (e.g. 3d 9am, 1d 9pm, 0d 8am)\n` +
+        `/timezone <zone> - Set your timezone (e.g. Asia/Singapore)\n` +
+        `/timetable - View school timetable\n` +
+        `/semester - Semester weeks (recess, reading, exams)\n` +
+        `/holiday - Holidays (no classes)\n` +
+        `/addclass - Add a class to timetable\n` +
+        `/deleteclass <id> - Delete a class from timetable\n` +
+        `/cleartimetable - Clear all timetable entries\n` +
+        `/menu - Show main menu\n` +
+        `/clear - Delete all events\n` +
+        `/undo - Undo the last change\n` +
+        `/history - Recent changes (restore any of them)\n` +
+        `/free [days] [duration] - Find free slots (e.g. /free tomorrow 2h, /free hours 9am-11pm)\n` +
+        `/meet <duration> <days> @people - Find a time that suits everyone\n` +
+        `/plan [assignment effort] - Study blocks before deadlines (e.g. /plan PS3 6h)\n` +
+        `/share on|off - Let others include you in /meet (free times only)\n` +
+        `/groupreminders group|dm - In groups: post reminders here or DM whoever is going\n`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+});
+
+// Classes mode: NUSMods-style weekly VEVENTs -> school_timetable preview (replace / merge)
+async function sendTimetableImportPreview(chatId, session, icsText, filename) {
+  const result = parseNusmodsIcsToTimetableEntries(icsText, await getChatTimezone(chatId));
+
+  if (!result.entries || result.entries.length === 0) {
+    session.pendingTimetableImport = null;
+    return bot.sendMessage(chatId, '❌ I could not find any weekly classes in that .ics file. Try importing it as events instead.');
+  }
+
+  return sendTimetableEntriesPreview(chatId, session, result, filename);
+}
+
+// NUSMods share link -> the same preview as an uploaded NUSMods .ics
+async function sendShareLinkImportPreview(chatId, session, share) {
+  const acadYear = nusAcadYearFor(todayIso(await getChatTimezone(chatId)));
+  const processingMsg = await bot.sendMessage(chatId, '🤔 Looking up your NUSMods classes...');
+  let result;
+  try {
+    result = await nusmodsShareLinkToTimetableEntries(share, acadYear);
+  } finally {
+    try { await bot.deleteMessage(chatId, processingMsg.message_id); } catch {}
+  }
+
+  const problemNote = result.problems.length > 0
+    ? `\n\n⚠️ Skipped:\n${result.problems.map(p => `• ${escapeMarkdown(p)}`).join('\n')}`
+    : '';
+
+  if (result.entries.length === 0) {
+    session.pendingTimetableImport = null;
+    return bot.sendMessage(chatId, `❌ I could not find any classes for that NUSMods link.${problemNote}`, { parse_mode: 'Markdown' });
+  }
+
+  const semLabel = share.semester <= 2 ? `Semester ${share.semester}` : `Special Term ${share.semester === 3 ? 'I' : 'II'}`;
+  return sendTimetableEntriesPreview(chatId, session, result, `NUSMods AY${acadYear.slice(0, 4)}/${acadYear.slice(7)} ${semLabel}`, problemNote);
+}
+
+async function sendTimetableEntriesPreview(chatId, session, result, sourceLabel, note = '') {
+  const entries = result.entries;
+  const semesterStart = result.semesterStart;
+  const layout = result.layout || REGULAR_SEMESTER_LAYOUT;
+
+  // Store semester start date if computed
+  if (semesterStart) {
+    await setSemester(chatId, semesterStart, layout);
+  }
+
+  session.pendingTimetableImport = { entries, filename: sourceLabel, semesterStart, layout, createdAt: nowMs() };
+  session.updatedAt = nowMs();
+
+  // Build a small preview (first ~10)
+  const previewLines = entries.slice(0, 10).map(e => {
+    const day = getDayName(e.day_of_week);
+    const loc = e.location ? ` @ ${escapeMarkdown(e.location)}` : '';
+    const weeksLabel = e.weeks_json
+      ? ` (Weeks **${JSON.parse(e.weeks_json).join(', ')}**)`
+      : '';
+    return `• ${escapeMarkdown(e.subject)} — ${day} ${e.start_time}-${e.end_time}${loc}${weeksLabel}`;
+  });
+
+  const more = entries.length > 10 ? `\n…and ${entries.length - 10} more.` : '';
+
+  return bot.sendMessage(
+    chatId,
+    `📥 Parsed *${entries.length}* weekly class entries from *${escapeMarkdown(sourceLabel)}*.\n\n` +
+      `${previewLines.join('\n')}${more}${note}\n\n` +
+      `What do you want to do?`,
+    { parse_mode: 'Markdown', reply_markup: buildTimetableImportKeyboard() }
+  );
+}
+
+// Events mode: every upcoming VEVENT -> events / recurrences preview, marking what a re-import would update
+async function sendEventsImportPreview(chatId, session, icsText, filename) {
+  const tz = await getChatTimezone(chatId);
+  const { items, skippedPast } = parseIcsToEvents(icsText, tz, chatId);
+  const pastNote = skippedPast > 0 ? `\n_Skipped ${skippedPast} past event(s)._` : '';
+
+  if (items.length === 0) {
+    session.pendingEventsImport = null;
+    return bot.sendMessage(chatId, `❌ I could not find any upcoming events in that .ics file.${pastNote}`, { parse_mode: 'Markdown' });
+  }
+
+  let updates = 0;
+  for (const item of items) {
+    item.existing = !!(await findIcsImport(chatId, item.uid));
+    if (item.existing) updates++;
+  }
+
+  session.pendingEventsImport = { items, filename, createdAt: nowMs() };
+  session.updatedAt = nowMs();
+
+  const previewLines = items.slice(0, 10).map(item => {
+    const timeLabel = item.start_time ? ` ${item.end_time ? `${item.start_time}-${item.end_time}` : item.start_time}` : '';
+    const repeat = item.recurrence ? ` 🔁 ${escapeMarkdown(describeRecurrence(item.recurrence))}` : '';
+    const marker = item.existing ? '♻️' : '🆕';
+    return `${marker} ${escapeMarkdown(item.task)} — ${escapeMarkdown(formatDate(item.date, tz))}${escapeMarkdown(timeLabel)}${repeat}`;
+  });
+  const more = items.length > 10 ? `\n…and ${items.length - 10} more.` : '';
+
+  return bot.sendMessage(
+    chatId,
+    `📥 Found *${items.length}* event(s) in *${escapeMarkdown(filename)}*: ${items.length - updates} new, ${updates} already imported (will be updated).\n\n` +
+      `${previewLines.join('\n')}${more}${pastNote}\n\n` +
+      `Import them?`,
+    { parse_mode: 'Markdown', reply_markup: buildEventsImportKeyboard() }
+  );
+}
+
+// =====================================================
+// FREE SLOT FINDER (/free)
+// =====================================================
+// Open gaps between events, recurring occurrences and classes, within the chat's waking hours.
+// Tasks and deadlines don't take up time; an event without an end time blocks an hour (as in checkConflicts).
+const DEFAULT_WAKING_HOURS = { start: '08:00', end: '22:00' };
+const FREE_DEFAULT_MINUTES = 60;
+const FREE_MAX_DAYS = 14;
+const FREE_MAX_SLOTS = 12;
+const FREE_STEP_MINUTES = 15;
+// "when am I free tomorrow for 2h", "free slots this week", "find me a 90 min slot on Friday"
+const FREE_QUERY_RE = /^(?:when (?:am i|are we|'?m i) free|am i free|free (?:slots?|time)|find (?:me )?(?:an? |some )?(?:free )?(?:[\d.]+\s*(?:h|hrs?|hours?|m|mins?|minutes?) )?(?:slot|time))\b/i;
+// The words of such a question that are neither dates nor a duration
+const FREE_FILLER_RE = /\b(?:when|am i|are we|'?m i|free|slots?|time|find|me|an?|some|for|on|during)\b/gi;
+
+function minutesToTime(minutes) {
+  return `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+}
+
+async function getWakingHours(chatId) {
+  const row = await db.get('SELECT waking_hours FROM settings WHERE chat_id = ?', chatId);
+  const [start, end] = String(row?.waking_hours || '').split('-');
+  return start && end ? { start, end } : DEFAULT_WAKING_HOURS;
+}
+
+// "2h", "1.5 hours", "90 min", "1h30m", "an hour" -> minutes, plus the text without it
+function parseFreeDuration(text) {
+  let minutes = null;
+  const rest = String(text || '').replace(
+    /\b(?:(\d+(?:\.\d+)?|an?|half an?)\s*(h|hrs?|hours?)(?:\s*(\d+)\s*(?:m|mins?|minutes?))?|(\d+)\s*(?:m|mins?|minutes?))\b/i,
+    (_, hours, __, extraMinutes, onlyMinutes) => {
+      if (onlyMinutes) {
+        minutes = Number(onlyMinutes);
+      } else {
+        const h = /^half/i.test(hours) ? 0.5 : /^an?$/i.test(hours) ? 1 : Number(hours);
+        minutes = Math.round(h * 60) + Number(extraMinutes || 0);
+      }
+      return ' ';
+    }
+  );
+  return { minutes: minutes > 0 ? minutes : null, rest };
+}
+
+// Date range words -> { start, end }; empty text means today, null means no dates were recognised
+function parseFreeRange(text, today) {
+  const s = String(text || '').toLowerCase().replace(/[?.!,]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!s) return { start: today, end: today };
+
+  const monday = mondayOfWeekIso(today);
+  let m;
+  if (/^(this )?week$/.test(s)) return { start: today, end: addDaysIso(monday, 6) };
+  if (s === 'next week') return { start: addDaysIso(monday, 7), end: addDaysIso(monday, 13) };
+  if (/^(this )?weekend$/.test(s)) {
+    const start = addDaysIso(monday, 5);
+    return { start: start < today ? today : start, end: addDaysIso(monday, 6) };
+  }
+  if (s === 'next weekend') return { start: addDaysIso(monday, 12), end: addDaysIso(monday, 13) };
+  if ((m = s.match(/^(?:in )?(?:the )?next (\d{1,2}) days$/))) return { start: today, end: addDaysIso(today, Number(m[1]) - 1) };
+
+  const parts = s.split(/\s+(?:to|till|until|through|-|–)\s+/);
+  if (parts.length === 2) {
+    const start = parseOfflineDate(parts[0], today);
+    const end = start && parseOfflineDate(parts[1], start);
+    return start && end && end >= start ? { start, end } : null;
+  }
+
+  const date = parseOfflineDate(s, today);
+  return date ? { start: date, end: date } : null;
+}
+
+// "/free tomorrow 2h" or "when am I free this week for 90 min" -> { start, end, minutes } or null
+function parseFreeQuery(text, today) {
+  const { minutes, rest } = parseFreeDuration(text);
+  const range = parseFreeRange(rest.replace(FREE_FILLER_RE, ' '), today);
+  if (!range) return null;
+
+  const end = daysBetweenIso(range.start, range.end) >= FREE_MAX_DAYS ? addDaysIso(range.start, FREE_MAX_DAYS - 1) : range.end;
+  return { start: range.start, end, minutes: minutes || FREE_DEFAULT_MINUTES };
+}
+
+// Busy [start, end] minutes per date. Nothing in these is shown to anyone but the calendar's owner.
+async function getBusyIntervals(chatId, startDate, endDate) {
+  const items = await getEventsWithSchoolTimetable(chatId, startDate, endDate);
+  const byDate = new Map();
+  for (const item of items) {
+    // Deadlines don't take time, but study blocks do
+    if (!item.start_time || (isTaskType(item.type, chatId) && !item.plan_parent_id)) continue;
+    const minutes = itemMinutesOnDate({ ...item, date: item.first_date || item.date }, item.date);
+    if (!minutes) continue;
+    if (!byDate.has(item.date)) byDate.set(item.date, []);
+    byDate.get(item.date).push(minutes);
+  }
+  return byDate;
+}
+
+// Gaps of at least `minutes` between busy intervals, within [from, to) of one day
+function gapsBetween(busy, from, to, minutes) {
+  const gaps = [];
+  let cursor = from;
+  for (const [start, end] of [...busy].sort((a, b) => a[0] - b[0]).concat([[to, to]])) {
+    const gapEnd = Math.min(start, to);
+    if (gapEnd - cursor >= minutes) gaps.push([cursor, gapEnd]);
+    cursor = Math.max(cursor, end);
+    if (cursor >= to) break;
+  }
+  return gaps;
+}
+
+// Waking hours that run past midnight end at midnight; the next day starts fresh
+function wakingWindow(hours) {
+  return [timeToMinutes(hours.start), hours.end > hours.start ? timeToMinutes(hours.end) : 24 * 60];
+}
+
+// Where a day's search starts: nothing in the past, and today from now rounded up to the next quarter hour
+function searchStartOn(date, wakeStart, tz) {
+  const today = todayIso(tz);
+  if (date < today) return null;
+  if (date > today) return wakeStart;
+  const nowMinutes = timeToMinutes(zonedParts(new Date(), tz).time);
+  return Math.max(wakeStart, Math.ceil(nowMinutes / FREE_STEP_MINUTES) * FREE_STEP_MINUTES);
+}
+
+async function findFreeSlots(chatId, startDate, endDate, minutes, tz) {
+  const hours = await getWakingHours(chatId);
+  const [wakeStart, wakeEnd] = wakingWindow(hours);
+  const busyByDate = await getBusyIntervals(chatId, startDate, endDate);
+  const slots = [];
+
+  for (let date = startDate; date <= endDate; date = addDaysIso(date, 1)) {
+    const from = searchStartOn(date, wakeStart, tz);
+    if (from == null) continue;
+    for (const [start, end] of gapsBetween(busyByDate.get(date) || [], from, wakeEnd, minutes)) {
+      slots.push({ date, start: minutesToTime(start), end: minutesToTime(end) });
+    }
+  }
+  return { slots, hours };
+}
+
+function buildFreeSlotsKeyboard(slots, minutes) {
+  const buttons = slots.slice(0, FREE_MAX_SLOTS).map((slot, i) => ({
+    text: `${i + 1}. ${slot.start}`,
+    callback_data: `free_pick:${slot.date}:${slot.start.replace(':', '')}:${minutes}`
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4));
+  rows.push(...buildBackToMenuKeyboard().inline_keyboard);
+  return { inline_keyboard: rows };
+}
+
+async function handleFree(chatId, query) {
+  const tz = await getChatTimezone(chatId);
+  const parsed = parseFreeQuery(query, todayIso(tz));
+  if (!parsed) {
     return bot.sendMessage(
       chatId,
-      `❌ Usage: /addclass <subject> <day> <start_time> <end_time> [location]\n\n` +
-      `Example: /addclass Math Monday 09:00 10:00 Room 101\n` +
-      `Example: /addclass Physics Tuesday 14:00 15:30`
+      `❌ I couldn't tell which days you mean. Try:\n/free tomorrow 2h\n/free this week 90m\n/free 20 Oct to 24 Oct`
     );
   }
 
-  const subject = args[0];
-  const dayStr = args[1];
-  const startTime = normalizeTime(args[2]);
-  const endTime = normalizeTime(args[3]);
-  const location = args.slice(4).join(' ') || null;
+  const { slots, hours } = await findFreeSlots(chatId, parsed.start, parsed.end, parsed.minutes, tz);
+  const rangeLabel = parsed.start === parsed.end
+    ? formatDate(parsed.start, tz)
+    : `${formatDate(parsed.start, tz)} to ${formatDate(parsed.end, tz)}`;
+  let message =
+    `🟢 *Free for ${escapeMarkdown(formatReminderOffset(parsed.minutes))}* — ${escapeMarkdown(rangeLabel)}\n` +
+    `_Waking hours ${hours.start}-${hours.end}_\n`;
+
+  if (slots.length === 0) {
+    message += `\nNo gap that long. Try a shorter duration or more days.`;
+    return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+  }
 
-  if (!startTime || !endTime) {
-    return bot.sendMessage(chatId, '❌ Invalid time format. Use HH:MM (e.g., 09:00, 14:30)');
+  let lastDate = null;
+  slots.slice(0, FREE_MAX_SLOTS).forEach((slot, i) => {
+    if (slot.date !== lastDate) message += `\n*${escapeMarkdown(formatDate(slot.date, tz))}*\n`;
+    lastDate = slot.date;
+    message += `  ${i + 1}. ${slot.start}-${slot.end}\n`;
+  });
+  if (slots.length > FREE_MAX_SLOTS) message += `\n…and ${slots.length - FREE_MAX_SLOTS} more. Narrow the range to see them.\n`;
+  message += `\nTap a number to book the start of that slot.`;
+
+  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: buildFreeSlotsKeyboard(slots, parsed.minutes) });
+}
+
+// =====================================================
+// STUDY PLANNER (effort estimates -> study blocks)
+// =====================================================
+// An assignment/deadline with an effort estimate ("~6h") gets linked `task` events (plan_parent_id)
+// in free time before it's due, avoiding classes, events, other plans and the chat's quiet window.
+// Moving the deadline or adding something on top of a block re-plans the blocks that haven't started.
+const PLANNABLE_TYPES = ['assignment', 'deadline'];
+const PLAN_BLOCK_MIN_MINUTES = 30;
+const PLAN_BLOCK_MAX_MINUTES = 120;
+const PLAN_DAILY_MAX_MINUTES = 240;
+const PLAN_BREAK_MINUTES = 15;
+const EFFORT_RE = /\s*~\s*(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)\b/i;
+
+// Takes "~6h" out of the title (or, if a parser dropped it there, finds it in the raw message)
+function applyEffortEstimate(draft, rawText = '') {
+  const m = (draft.task || '').match(EFFORT_RE) || String(rawText).match(EFFORT_RE);
+  if (!m) return draft;
+  draft.effort_minutes = Math.round(Number(m[1]) * (/^h/i.test(m[2]) ? 60 : 1));
+  if (draft.task) draft.task = draft.task.replace(EFFORT_RE, ' ').replace(/\s+/g, ' ').trim() || draft.task;
+  if (!PLANNABLE_TYPES.includes(draft.type)) draft.type = 'assignment';
+  return draft;
+}
+
+async function getQuietHours(chatId) {
+  const row = await db.get('SELECT quiet_hours FROM settings WHERE chat_id = ?', chatId);
+  const [start, end] = String(row?.quiet_hours || '').split('-');
+  return start && end ? { start, end } : null;
+}
+
+// The quiet window as busy time of one day; "22:30-07:00" wraps past midnight
+function quietIntervals(quiet) {
+  if (!quiet) return [];
+  const start = timeToMinutes(quiet.start);
+  const end = timeToMinutes(quiet.end);
+  return start < end ? [[start, end]] : [[start, 24 * 60], [0, end]];
+}
+
+function blockMinutes(block) {
+  return timeToMinutes(block.end_time) - timeToMinutes(block.start_time);
+}
+
+// Lays out `remaining` minutes over the free gaps of each day: every day first gets an even share, then
+// days with room left take the rest. Returns the blocks plus whatever didn't fit.
+function layoutStudyBlocks(days, remaining) {
+  const placed = [];
+  const share = Math.ceil(remaining / Math.max(days.length, 1) / FREE_STEP_MINUTES) * FREE_STEP_MINUTES;
+
+  for (const cap of [share, PLAN_DAILY_MAX_MINUTES]) {
+    for (const day of days) {
+      for (const gap of day.gaps) {
+        while (remaining > 0) {
+          gap[0] = Math.ceil(gap[0] / FREE_STEP_MINUTES) * FREE_STEP_MINUTES;
+          const room = Math.min(gap[1] - gap[0], Math.min(cap, PLAN_DAILY_MAX_MINUTES) - day.planned, PLAN_BLOCK_MAX_MINUTES);
+          const length = Math.min(room, Math.max(remaining, PLAN_BLOCK_MIN_MINUTES));
+          if (length < PLAN_BLOCK_MIN_MINUTES) break;
+
+          placed.push({ date: day.date, start: gap[0], end: gap[0] + length });
+          gap[0] += length + PLAN_BREAK_MINUTES;
+          day.planned += length;
+          remaining -= length;
+        }
+      }
+    }
   }
+  placed.sort((a, b) => a.date.localeCompare(b.date) || a.start - b.start);
+  return { placed, remaining: Math.max(0, remaining) };
+}
 
-  const dayOfWeek = parseDayOfWeek(dayStr);
-  if (dayOfWeek === null) {
-    return bot.sendMessage(chatId, `❌ Invalid day. Use: Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, or Sunday`);
+// (Re)plans an assignment's blocks from now until it's due. Blocks that are done or already started stay
+// and count towards the effort; the rest are replaced. Returns { blocks, shortMinutes }.
+async function planStudyBlocks(chatId, assignmentId, op = null) {
+  const assignment = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', assignmentId, chatId);
+  const tz = await getChatTimezone(chatId);
+  const today = todayIso(tz);
+  const nowTime = zonedParts(new Date(), tz).time;
+  op = op || newAuditOp(chatId, `Planned study for "${assignment?.task || 'assignment'}"`);
+
+  const existing = await db.all('SELECT * FROM events WHERE chat_id = ? AND plan_parent_id = ?', chatId, assignmentId);
+  const started = b => b.date < today || (b.date === today && b.start_time <= nowTime);
+  const kept = existing.filter(b => b.status === 'done' || started(b));
+  for (const b of existing) if (!kept.includes(b)) await deleteEvent(chatId, b.id, op);
+
+  if (!assignment || !assignment.effort_minutes || assignment.status === 'done') return { blocks: [], shortMinutes: 0 };
+  let remaining = assignment.effort_minutes - kept.filter(b => b.status === 'done').reduce((sum, b) => sum + blockMinutes(b), 0);
+  if (remaining <= 0 || assignment.date < today) return { blocks: [], shortMinutes: Math.max(0, remaining) };
+
+  const [wakeStart, wakeEnd] = wakingWindow(await getWakingHours(chatId));
+  const quiet = quietIntervals(await getQuietHours(chatId));
+  const busyByDate = await getBusyIntervals(chatId, today, assignment.date);
+
+  // Work stops at the due time, or at the end of the waking day when there is none
+  const days = [];
+  for (let date = today; date <= assignment.date; date = addDaysIso(date, 1)) {
+    const from = searchStartOn(date, wakeStart, tz);
+    const dueAt = date === assignment.date && assignment.start_time ? timeToMinutes(assignment.start_time) : wakeEnd;
+    const gaps = gapsBetween([...(busyByDate.get(date) || []), ...quiet], from, Math.min(wakeEnd, dueAt), PLAN_BLOCK_MIN_MINUTES);
+    if (gaps.length > 0) days.push({ date, gaps, planned: 0 });
   }
 
-  try {
-    const entry = await addSchoolTimetableEntry(chatId, {
-      subject,
-      day_of_week: dayOfWeek,
-      start_time: startTime,
-      end_time: endTime,
-      location
-    });
+  const { placed, remaining: shortMinutes } = layoutStudyBlocks(days, remaining);
+  const blocks = [];
+  for (const p of placed) {
+    blocks.push(await addEventToDB(chatId, {
+      task: `Study: ${assignment.task}`,
+      date: p.date,
+      start_time: minutesToTime(p.start),
+      end_time: minutesToTime(p.end),
+      type: 'task',
+      plan_parent_id: assignment.id,
+      created_by: assignment.created_by
+    }, op));
+  }
+  return { blocks, shortMinutes };
+}
 
-    const locStr = location ? ` 📍 ${escapeMarkdown(location)}` : '';
+// Something new landed on top of upcoming blocks: re-plan the assignments they belong to.
+// Runs once per audit op: the write helpers call it for an op they started, and a caller that
+// passes its own op calls it after the whole batch.
+async function rebalanceClashingPlans(chatId, op = null) {
+  const tz = await getChatTimezone(chatId);
+  const blocks = await db.all(
+    `SELECT * FROM events WHERE chat_id = ? AND plan_parent_id IS NOT NULL AND status = 'open' AND date >= ?`,
+    chatId,
+    todayIso(tz)
+  );
+  if (blocks.length === 0) return;
+
+  const parents = new Set();
+  for (const b of blocks) {
+    const clashes = (await checkConflicts(chatId, b.date, b.start_time, b.end_time))
+      .filter(c => c.id !== b.id && !(c.source === 'event' && isTaskType(c.type, chatId) && !c.plan_parent_id));
+    if (clashes.length > 0) parents.add(b.plan_parent_id);
+  }
+
+  for (const parentId of parents) {
+    const { blocks: replanned, shortMinutes } = await planStudyBlocks(chatId, parentId, op);
+    const parent = await db.get('SELECT task FROM events WHERE id = ?', parentId);
+    if (!parent) continue;
+    const short = shortMinutes > 0 ? ` ⚠️ ${formatReminderOffset(shortMinutes)} no longer fits before it's due.` : '';
     await bot.sendMessage(
       chatId,
-      `✅ Added to timetable:\n\n` +
-      `📚 ${escapeMarkdown(subject)}\n` +
-      `📅 ${getDayName(dayOfWeek)}\n` +
-      `⏰ ${escapeMarkdown(startTime)}-${escapeMarkdown(endTime)}${locStr}`,
+      `📚 Something now clashes with your study time for *${escapeMarkdown(parent.task)}*, so I moved it ` +
+        `(${replanned.length} block(s) planned).${escapeMarkdown(short)} See /plan.`,
       { parse_mode: 'Markdown' }
     );
-  } catch (error) {
-    console.error('Error adding class:', error);
-    await bot.sendMessage(chatId, '❌ Error adding class. Please try again.');
   }
-});
+}
 
-bot.onText(/\/deleteclass (\d+)/, async (msg, match) => {
+function formatStudyPlan(assignment, blocks, shortMinutes, tz) {
+  let out = `📚 *${escapeMarkdown(assignment.task)}* — due ${escapeMarkdown(formatDate(assignment.date, tz))}` +
+    `${assignment.start_time ? ` ${assignment.start_time}` : ''}, about ${escapeMarkdown(formatReminderOffset(assignment.effort_minutes))} of work\n`;
+  for (const b of blocks) {
+    const done = b.status === 'done' ? ' ✅' : '';
+    out += `  • ${escapeMarkdown(formatDate(b.date, tz))} ${b.start_time}-${b.end_time}${done}\n`;
+  }
+  if (blocks.length === 0) out += '  _No study blocks._\n';
+  if (shortMinutes > 0) out += `  ⚠️ ${escapeMarkdown(formatReminderOffset(shortMinutes))} didn't fit before the deadline.\n`;
+  return out;
+}
+
+async function handlePlanList(chatId) {
+  const tz = await getChatTimezone(chatId);
+  const assignments = await db.all(
+    `SELECT * FROM events WHERE chat_id = ? AND effort_minutes IS NOT NULL AND status = 'open' AND date >= ?
+     ORDER BY date, start_time`,
+    chatId,
+    todayIso(tz)
+  );
+  if (assignments.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `📚 No study plans yet.\n\nAdd an effort estimate to an assignment, e.g. "CS2040 PS3 due Fri 23:59 ~6h", ` +
+        `or plan an existing one with /plan <name> 6h.\n\nKeep study out of certain hours with /plan quiet 18:00-20:00.`
+    );
+  }
+
+  let message = '';
+  for (const a of assignments) {
+    const blocks = await db.all('SELECT * FROM events WHERE chat_id = ? AND plan_parent_id = ? ORDER BY date, start_time', chatId, a.id);
+    const done = blocks.filter(b => b.status === 'done').reduce((sum, b) => sum + blockMinutes(b), 0);
+    const planned = blocks.filter(b => b.status !== 'done').reduce((sum, b) => sum + blockMinutes(b), 0);
+    message += formatStudyPlan(a, blocks, Math.max(0, a.effort_minutes - done - planned), tz) + '\n';
+  }
+  return bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() });
+}
+
+// =====================================================
+// MEETUPS (/meet)
+// =====================================================
+// Finds a time that suits several bot users by intersecting the busy times of their own (private)
+// calendars. Only people who opted in with /share take part, and nobody sees anything but slot times.
+// Slots are found and shown in the organiser's timezone; each participant's busy times (and waking
+// hours) are moved into it first, and the booked event is written in each participant's own zone.
+const MEET_MAX_SLOTS = 5;
+const MEET_DEFAULT_TITLE = 'Meetup';
+const MEET_STEP_MINUTES = 30;
+// Ranking favours starts inside these hours and slots with room to spare either side
+const MEET_PREFERRED_HOURS = [10 * 60, 18 * 60];
+
+// Everyone who writes to the bot can be invited by @username; group messages also record membership
+async function recordBotUser(msg) {
+  const user = msg.from;
+  if (!user || user.is_bot) return;
+  await db.run(
+    `INSERT INTO bot_users (user_id, username, display_name, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       username = excluded.username, display_name = excluded.display_name, updated_at = excluded.updated_at`,
+    user.id,
+    user.username ? user.username.toLowerCase() : null,
+    displayName(user),
+    new Date().toISOString()
+  );
+  if (isGroupChat(msg.chat.id)) {
+    await db.run('INSERT OR IGNORE INTO group_members (chat_id, user_id) VALUES (?, ?)', msg.chat.id, user.id);
+  }
+}
+
+// Invitees from @mentions (and mentions of users without a username); in a group with none, every known member
+async function resolveMeetInvitees(msg, organizerId) {
+  const text = msg.text || '';
+  const usernames = [];
+  const ids = [];
+  for (const entity of msg.entities || []) {
+    if (entity.type === 'mention') usernames.push(text.slice(entity.offset + 1, entity.offset + entity.length).toLowerCase());
+    if (entity.type === 'text_mention' && entity.user) ids.push(entity.user.id);
+  }
+  // Entities are missing when the text didn't come from Telegram's parser
+  if (!msg.entities) for (const m of text.matchAll(/@(\w{3,32})/g)) usernames.push(m[1].toLowerCase());
+
+  const invitees = [];
+  const unknown = [];
+  for (const username of new Set(usernames)) {
+    const row = await db.get('SELECT * FROM bot_users WHERE username = ?', username);
+    if (row) invitees.push(row);
+    else unknown.push(`@${username}`);
+  }
+  for (const id of ids) {
+    const row = await db.get('SELECT * FROM bot_users WHERE user_id = ?', id);
+    if (row) invitees.push(row);
+  }
+
+  if (invitees.length === 0 && unknown.length === 0 && isGroupChat(msg.chat.id)) {
+    invitees.push(...await db.all(
+      `SELECT u.* FROM group_members g JOIN bot_users u ON u.user_id = g.user_id WHERE g.chat_id = ?`,
+      msg.chat.id
+    ));
+  }
+
+  const seen = new Set([Number(organizerId)]);
+  return {
+    invitees: invitees.filter(u => !seen.has(Number(u.user_id)) && seen.add(Number(u.user_id))),
+    unknown
+  };
+}
+
+function scoreMeetStart(start, minutes, gap, dayIndex) {
+  const [prefStart, prefEnd] = MEET_PREFERRED_HOURS;
+  const outside = Math.max(0, prefStart - start) + Math.max(0, start + minutes - prefEnd);
+  const slack = Math.min(start - gap[0], 30) + Math.min(gap[1] - start - minutes, 30);
+  return slack - outside - dayIndex * 15;
+}
+
+// A wall-clock date and time in one zone as the same instant's { date, time } in another
+function convertWallClock(dateStr, timeStr, fromTz, toTz) {
+  if (fromTz === toTz) return { date: dateStr, time: timeStr };
+  const parts = zonedParts(zonedDateTimeToUtc(dateStr, timeStr, fromTz), toTz);
+  return { date: parts.date, time: parts.time };
+}
+
+// Busy minutes per date of someone in another zone, re-based onto tz's days. Their sleeping hours
+// count as busy too, since a single waking window can't be shared across zones.
+async function getBusyIntervalsInZone(chatId, ownTz, startDate, endDate, tz) {
+  // A day either side of the range covers any offset between the two zones
+  const from = addDaysIso(startDate, -1);
+  const to = addDaysIso(endDate, 1);
+  const own = await getBusyIntervals(chatId, from, to);
+  const [wakeStart, wakeEnd] = wakingWindow(await getWakingHours(chatId));
+  const byDate = new Map();
+
+  for (let date = from; date <= to; date = addDaysIso(date, 1)) {
+    const asleep = [[0, wakeStart], [wakeEnd, 24 * 60]].filter(([a, b]) => b > a);
+    for (const [start, end] of [...(own.get(date) || []), ...asleep]) {
+      const first = convertWallClock(date, minutesToTime(start), ownTz, tz);
+      const last = end >= 24 * 60
+        ? convertWallClock(addDaysIso(date, 1), '00:00', ownTz, tz)
+        : convertWallClock(date, minutesToTime(end), ownTz, tz);
+
+      // Split at tz's midnights, the way getBusyIntervals splits across days
+      for (let day = first.date; day <= last.date; day = addDaysIso(day, 1)) {
+        const dayStart = day === first.date ? timeToMinutes(first.time) : 0;
+        const dayEnd = day === last.date ? timeToMinutes(last.time) : 24 * 60;
+        if (dayEnd <= dayStart || day < startDate || day > endDate) continue;
+        if (!byDate.has(day)) byDate.set(day, []);
+        byDate.get(day).push([dayStart, dayEnd]);
+      }
+    }
+  }
+  return byDate;
+}
+
+// Best start within each common gap, best gaps first (all in the organiser's zone, tz)
+async function findMeetSlots(participants, startDate, endDate, minutes, tz) {
+  let wakeStart = 0;
+  let wakeEnd = 24 * 60;
+  const busyByUser = [];
+  for (const p of participants) {
+    const ownTz = await getChatTimezone(p.user_id);
+    if (ownTz !== tz) {
+      busyByUser.push(await getBusyIntervalsInZone(p.user_id, ownTz, startDate, endDate, tz));
+      continue;
+    }
+    const [start, end] = wakingWindow(await getWakingHours(p.user_id));
+    wakeStart = Math.max(wakeStart, start);
+    wakeEnd = Math.min(wakeEnd, end);
+    busyByUser.push(await getBusyIntervals(p.user_id, startDate, endDate));
+  }
+
+  const candidates = [];
+  for (let date = startDate, dayIndex = 0; date <= endDate; date = addDaysIso(date, 1), dayIndex++) {
+    const from = searchStartOn(date, wakeStart, tz);
+    if (from == null) continue;
+    const busy = busyByUser.flatMap(byDate => byDate.get(date) || []);
+
+    for (const gap of gapsBetween(busy, from, wakeEnd, minutes)) {
+      let best = null;
+      const first = Math.ceil(gap[0] / MEET_STEP_MINUTES) * MEET_STEP_MINUTES;
+      for (let start = first; start + minutes <= gap[1]; start += MEET_STEP_MINUTES) {
+        const score = scoreMeetStart(start, minutes, gap, dayIndex);
+        if (!best || score > best.score) best = { start, score };
+      }
+      // A gap that only fits off the half hour still counts
+      if (!best) best = { start: gap[0], score: scoreMeetStart(gap[0], minutes, gap, dayIndex) };
+      candidates.push({
+        date,
+        start_time: minutesToTime(best.start),
+        end_time: minutesToTime(best.start + minutes),
+        score: best.score
+      });
+    }
+  }
+  return candidates.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date)).slice(0, MEET_MAX_SLOTS);
+}
+
+async function handleMeet(msg, args, session) {
   const chatId = msg.chat.id;
-  const entryId = parseInt(match[1], 10);
+  const organizer = msg.from;
+  if (!args.trim()) {
+    return bot.sendMessage(
+      chatId,
+      `🤝 *Find a time to meet*\n\n` +
+        `/meet 1h this week @alice @bob\n` +
+        `/meet 90m 22 Oct to 24 Oct @alice "Project sync"\n\n` +
+        `In a group, leave out the names to invite everyone I've seen there. ` +
+        `People need to have turned on /share first; I only compare busy times, never event details.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
 
-  const entry = await db.get('SELECT * FROM school_timetable WHERE id = ? AND chat_id = ?', entryId, chatId);
-  if (!entry) {
-    return bot.sendMessage(chatId, '❌ Class not found. Use /timetable to see all classes.');
+  const tz = await getChatTimezone(organizer.id);
+  const title = (args.match(/["“]([^"”]+)["”]/) || [])[1]?.trim() || MEET_DEFAULT_TITLE;
+  const query = parseFreeQuery(args.replace(/["“][^"”]*["”]/g, ' ').replace(/@\w+/g, ' '), todayIso(tz));
+  if (!query) {
+    return bot.sendMessage(chatId, '❌ I couldn\'t tell which days you mean. Try /meet 1h this week @alice');
+  }
+
+  const { invitees, unknown } = await resolveMeetInvitees(msg, organizer.id);
+  const sharing = invitees.filter(u => u.share_availability);
+  const excluded = [
+    ...unknown.map(u => `${u} (hasn't used the bot)`),
+    ...invitees.filter(u => !u.share_availability).map(u => `${u.display_name} (not sharing availability)`)
+  ];
+  const excludedNote = excluded.length ? `\n_Not included: ${escapeMarkdown(excluded.join(', '))}_\n` : '';
+
+  if (sharing.length === 0) {
+    return bot.sendMessage(
+      chatId,
+      `❌ Nobody to meet with yet. Mention people who use the bot and have turned on /share.\n${excludedNote}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  const participants = [{ user_id: organizer.id, display_name: displayName(organizer) }, ...sharing];
+  const slots = await findMeetSlots(participants, query.start, query.end, query.minutes, tz);
+  const rangeLabel = query.start === query.end
+    ? formatDate(query.start, tz)
+    : `${formatDate(query.start, tz)} to ${formatDate(query.end, tz)}`;
+
+  let message =
+    `🤝 *${escapeMarkdown(title)}* — ${escapeMarkdown(formatReminderOffset(query.minutes))}, ${escapeMarkdown(rangeLabel)}\n` +
+    `With: ${escapeMarkdown(participants.map(p => p.display_name).join(', '))}\n` +
+    excludedNote;
+
+  if (slots.length === 0) {
+    message += `\nNo time works for everyone. Try a shorter meeting or more days.`;
+    return bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  }
+
+  const id = String(Date.now());
+  session.pendingMeet = { id, title, participants, slots, tz, updatedAt: nowMs() };
+
+  message += `\nBest times for everyone:\n`;
+  slots.forEach((slot, i) => {
+    message += `  ${i + 1}. ${escapeMarkdown(formatDate(slot.date, tz))} ${slot.start_time}-${slot.end_time}\n`;
+  });
+  message += `\nTap one to add it to everyone's calendar.`;
+
+  const keyboard = {
+    inline_keyboard: [
+      slots.map((slot, i) => ({ text: `${i + 1}`, callback_data: `meet_pick:${id}:${i}` })),
+      [{ text: '❌ Cancel', callback_data: `meet_cancel:${id}` }]
+    ]
+  };
+  return bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+}
+
+// The slot (in the organiser's zone, tz) as each participant's own wall-clock times
+async function meetSlotForParticipant(slot, tz, userId) {
+  const ownTz = await getChatTimezone(userId);
+  const startAt = zonedDateTimeToUtc(slot.date, slot.start_time, tz);
+  const minutes = (timeToMinutes(slot.end_time) - timeToMinutes(slot.start_time) + 24 * 60) % (24 * 60) || 24 * 60;
+  const start = zonedParts(startAt, ownTz);
+  const end = zonedParts(new Date(startAt.getTime() + minutes * 60 * 1000), ownTz);
+  return {
+    tz: ownTz,
+    date: start.date,
+    start_time: start.time,
+    end_time: end.time,
+    // Only a meeting that ends two or more days later needs a stored end day; overnight is implied
+    end_date: daysBetweenIso(start.date, end.date) > 1 ? end.date : null
+  };
+}
+
+// Books the chosen slot into each participant's own calendar, unless someone got busy in the meantime
+async function bookMeetSlot(meet, slot, organizer, tz) {
+  const local = [];
+  for (const p of meet.participants) {
+    const own = await meetSlotForParticipant(slot, tz, p.user_id);
+    const clashes = (await checkConflicts(p.user_id, own.date, own.start_time, own.end_time, own.end_date))
+      .filter(c => !isTaskType(c.type, p.user_id));
+    if (clashes.length > 0) return { ok: false, busy: p.display_name };
+    local.push(own);
+  }
+
+  for (const [i, p] of meet.participants.entries()) {
+    const own = local[i];
+    await addEventToDB(p.user_id, {
+      task: meet.title,
+      date: own.date,
+      end_date: own.end_date,
+      start_time: own.start_time,
+      end_time: own.end_time,
+      type: 'meeting',
+      created_by: organizer.id
+    });
+    if (Number(p.user_id) === Number(organizer.id)) continue;
+
+    try {
+      await bot.sendMessage(
+        p.user_id,
+        `🤝 ${escapeMarkdown(displayName(organizer))} booked *${escapeMarkdown(meet.title)}* with you:\n` +
+          `📅 ${escapeMarkdown(formatDate(own.date, own.tz))} ⏰ ${own.start_time}-${own.end_time}\n\n` +
+          `It's in your calendar. Use /today or /week to see it.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      console.error(`Failed to tell ${p.user_id} about a meetup:`, error.message || error);
+    }
+  }
+  return { ok: true };
+}
+
+// =====================================================
+// BULK DRAFTS (multi-event messages)
+// =====================================================
+// A bulletin that parses into several events is held in session.pendingBulk and reviewed page by
+// page: each item can be excluded or corrected, clashes are flagged, and nothing is written until
+// "Save selected".
+const BULK_DRAFT_PAGE_SIZE = 5;
+
+async function refreshBulkItemConflicts(chatId, item) {
+  item.conflicts = await checkConflicts(chatId, item.date, item.start_time, item.end_time, item.end_date);
+}
+
+async function startBulkDraft(chatId, session, events) {
+  const items = [];
+  for (const ev of events) {
+    const item = { ...makeEmptyDraft(), ...ev, include: true, conflicts: [] };
+    await refreshBulkItemConflicts(chatId, item);
+    items.push(item);
   }
 
-  await deleteSchoolTimetableEntry(chatId, entryId);
-  await bot.sendMessage(
-    chatId,
-    `✅ Deleted: ${escapeMarkdown(entry.subject)} (${getDayName(entry.day_of_week)})`,
-    { parse_mode: 'Markdown' }
-  );
-});
+  session.pendingBulk = { id: String(Date.now()), items, page: 0, updatedAt: nowMs() };
+  session.editingBulkIndex = null;
+  session.updatedAt = nowMs();
+
+  const tz = await getChatTimezone(chatId);
+  const view = renderBulkDraft(session.pendingBulk, tz, chatId);
+  return bot.sendMessage(chatId, view.text, { parse_mode: 'Markdown', reply_markup: view.reply_markup });
+}
 
-bot.onText(/\/cleartimetable/, async (msg) => {
-  const chatId = msg.chat.id;
-  await clearSchoolTimetable(chatId);
-  await bot.sendMessage(chatId, '🗑️ School timetable cleared!');
-});
+function formatBulkConflict(c) {
+  const time = c.end_time ? `${c.start_time}-${c.end_time}` : c.start_time;
+  const source = c.source === 'school_timetable' ? ' (School)' : '';
+  return `${c.task}${source} ${time}`;
+}
 
-bot.onText(/^\//, async (msg) => {
-  const chatId = msg.chat.id;
-  const text = msg.text.trim();
+function renderBulkDraft(bulk, tz, chatId) {
+  const total = bulk.items.length;
+  const pages = Math.max(1, Math.ceil(total / BULK_DRAFT_PAGE_SIZE));
+  bulk.page = Math.min(Math.max(0, bulk.page), pages - 1);
+  const first = bulk.page * BULK_DRAFT_PAGE_SIZE;
+  const pageItems = bulk.items.slice(first, first + BULK_DRAFT_PAGE_SIZE);
+
+  const selected = bulk.items.filter(i => i.include).length;
+  const clashing = bulk.items.filter(i => i.include && i.conflicts.length > 0).length;
+
+  let text = `📋 *Review ${total} event(s)* — ${selected} selected`;
+  if (clashing > 0) text += `, ⚠️ ${clashing} with clashes`;
+  if (pages > 1) text += `\nPage ${bulk.page + 1}/${pages}`;
+  text += '\n';
+
+  pageItems.forEach((item, k) => {
+    const n = first + k + 1;
+    const timeLabel = item.start_time ? ` ${item.end_time ? `${item.start_time}-${item.end_time}` : item.start_time}` : '';
+    const repeat = item.recurrence ? ` 🔁 ${describeRecurrence(item.recurrence)}` : '';
+    const loc = item.location ? ` 📍 ${item.location}` : '';
+    text += `\n${item.include ? '✅' : '⬜'} *${n}.* ${getEventIcon(item.type, chatId)} ${escapeMarkdown(item.task)}\n`;
+    text += `    📅 ${escapeMarkdown(`${formatDateSpan(item, tz)}${timeLabel}${repeat}${loc}`)}\n`;
+    if (item.conflicts.length > 0) {
+      text += `    ⚠️ Clashes with ${escapeMarkdown(item.conflicts.slice(0, 3).map(formatBulkConflict).join(', '))}` +
+        `${item.conflicts.length > 3 ? ` +${item.conflicts.length - 3}` : ''}\n`;
+    }
+  });
 
-  if (text === '/') {
-    bot.sendMessage(
-      chatId,
-      `📋 *Available Commands:*\n\n` +
-        `/today - View today's events\n` +
-        `/week - View next 7 days\n` +
-        `/next - View next upcoming event\n` +
-        `/all - View all upcoming events\n` +
-        `/reminder <minutes> - Set reminder time\n` +
-        `/timetable - View school timetable\n` +
-        `/addclass - Add a class to timetable\n` +
-        `/deleteclass <id> - Delete a class from timetable\n` +
-        `/cleartimetable - Clear all timetable entries\n` +
-        `/menu - Show main menu\n` +
-        `/clear - Delete all events\n`,
-      { parse_mode: 'Markdown' }
-    );
+  text += `\nTap a number to include/exclude it, ✏️ to correct it, then save.`;
+
+  const id = bulk.id;
+  const rows = [
+    pageItems.map((item, k) => ({
+      text: `${item.include ? '✅' : '⬜'} ${first + k + 1}`,
+      callback_data: `bulk_toggle:${id}:${first + k}`
+    })),
+    pageItems.map((item, k) => ({ text: `✏️ ${first + k + 1}`, callback_data: `bulk_edit:${id}:${first + k}` }))
+  ];
+  if (pages > 1) {
+    const nav = [];
+    if (bulk.page > 0) nav.push({ text: '◀️ Prev', callback_data: `bulk_page:${id}:${bulk.page - 1}` });
+    nav.push({ text: `${bulk.page + 1}/${pages}`, callback_data: 'noop' });
+    if (bulk.page < pages - 1) nav.push({ text: 'Next ▶️', callback_data: `bulk_page:${id}:${bulk.page + 1}` });
+    rows.push(nav);
   }
-});
+  rows.push([
+    { text: `💾 Save selected (${selected})`, callback_data: `bulk_save:${id}` },
+    { text: '🗑️ Discard all', callback_data: `bulk_discard:${id}` }
+  ]);
+
+  return { text, reply_markup: { inline_keyboard: rows } };
+}
 
 // =====================================================
 // CALLBACK HANDLERS
@@ -1738,6 +7615,15 @@ bot.on('callback_query', async (query) => {
   if (!chatId || !data) return;
 
   try {
+    const tz = await getChatTimezone(chatId);
+
+    // GROUP PERMISSIONS: changing an existing event or series needs its creator or a group admin
+    const guarded = guardedCallbackTarget(data);
+    if (guarded && !(await canModifyItem(chatId, query.from.id, guarded.table, guarded.id))) {
+      await bot.answerCallbackQuery(query.id, { text: '🔒 Only its creator or a group admin can change this.', show_alert: true });
+      return;
+    }
+
     // MAIN MENU BUTTONS
     if (data.startsWith('menu:')) {
       const action = data.split(':')[1];
@@ -1745,6 +7631,7 @@ bot.on('callback_query', async (query) => {
 
       if (action === 'today') return handleToday(chatId);
       if (action === 'week') return handleWeek(chatId);
+      if (action === 'weekimg') return handleWeekImage(chatId);
       if (action === 'next') return handleNext(chatId);
       if (action === 'all') return handleAll(chatId);
       if (action === 'tasks') return handleTasks(chatId);
@@ -1759,7 +7646,7 @@ bot.on('callback_query', async (query) => {
       }
 
       if (action === 'import_timetable') {
-        const session = getSession(chatId);
+        const session = getSession(chatId, query.from.id);
         session.importingTimetable = true;
         session.pendingTimetableImport = null;
         session.updatedAt = nowMs();
@@ -1767,18 +7654,19 @@ bot.on('callback_query', async (query) => {
         await bot.answerCallbackQuery(query.id);
         return bot.sendMessage(
           chatId,
-          `📥 *Import Timetable (.ics)*\n\n` +
-            `1) Go to NUSMods → Export → Calendar (.ics)\n` +
-            `2) Send the .ics file here as a document\n\n` +
-            `I will extract weekly classes and store them as:\n` +
-            `ModuleCode + ClassType (e.g., "CS2113 Tutorial").\n\n` +
+          `📥 *Import Calendar (.ics)*\n\n` +
+            `Send an .ics file here as a document:\n` +
+            `• NUSMods → Export → Calendar (.ics) for your classes\n` +
+            `  (or just paste your NUSMods share link)\n` +
+            `• Any other calendar export (CCA, exams, Google Calendar) for events\n\n` +
+            `After the upload I'll ask whether to import it as *classes* (weekly timetable) or *events*.\n\n` +
             `Type /cancel to exit.`,
           { parse_mode: 'Markdown' }
         );
       }
 
       if (action === 'addclass') {
-        const session = getSession(chatId);
+        const session = getSession(chatId, query.from.id);
         session.addingClass = true;
         session.updatedAt = nowMs();
         await bot.answerCallbackQuery(query.id);
@@ -1806,15 +7694,19 @@ bot.on('callback_query', async (query) => {
 
       if (action === 'edit') {
         const events = await getAllUpcomingEvents(chatId);
-        if (events.length === 0) return bot.sendMessage(chatId, '📋 No events to edit.');
+        const series = await getRecurrences(chatId);
+        if (events.length === 0 && series.length === 0) return bot.sendMessage(chatId, '📋 No events to edit.');
 
         const keyboard = {
-          inline_keyboard: events.map(ev => [
-            {
-              text: `${getEventIcon(ev.type)} ${ev.task.substring(0, 30)} (${formatDate(ev.date)})`,
-              callback_data: `edit_select:${ev.id}`
-            }
-          ])
+          inline_keyboard: [
+            ...events.map(ev => [
+              {
+                text: `${getEventIcon(ev.type, chatId)} ${ev.task.substring(0, 30)} (${formatDate(ev.date, tz)})`,
+                callback_data: `edit_select:${ev.id}`
+              }
+            ]),
+            ...buildSeriesButtons(series)
+          ]
         };
 
         return bot.sendMessage(
@@ -1826,15 +7718,19 @@ bot.on('callback_query', async (query) => {
 
       if (action === 'delete') {
         const events = await getAllUpcomingEvents(chatId);
-        if (events.length === 0) return bot.sendMessage(chatId, '📋 No events to delete.');
+        const series = await getRecurrences(chatId);
+        if (events.length === 0 && series.length === 0) return bot.sendMessage(chatId, '📋 No events to delete.');
 
         const keyboard = {
-          inline_keyboard: events.map(ev => [
-            {
-              text: `🗑️ ${ev.task.substring(0, 28)} (${formatDate(ev.date)})`,
-              callback_data: `delete_confirm:${ev.id}`
-            }
-          ])
+          inline_keyboard: [
+            ...events.map(ev => [
+              {
+                text: `🗑️ ${ev.task.substring(0, 28)} (${formatDate(ev.date, tz)})`,
+                callback_data: `delete_confirm:${ev.id}`
+              }
+            ]),
+            ...buildSeriesButtons(series)
+          ]
         };
 
         return bot.sendMessage(
@@ -1845,76 +7741,446 @@ bot.on('callback_query', async (query) => {
       }
 
       if (action === 'settings') {
-        return bot.sendMessage(chatId, '⚙️ Settings: use /reminder <minutes> (e.g., /reminder 30).');
+        return bot.sendMessage(
+          chatId,
+          `⚙️ Settings:\n` +
+            `• /reminder <offsets> (e.g., /reminder 1d, 30m or /reminder off)\n` +
+            `• /timezone <zone> (current: ${tz})`
+        );
+      }
+      return;
+    }
+
+    // DRAFT BUTTONS: confirm/edit/discard
+    const session = getSession(chatId, query.from.id);
+
+    const getDraftOrExpire = async (draftId) => {
+      const d = session.drafts.find(x => String(x.id) === String(draftId));
+      if (!d) {
+        // Drafts are per member in a group, so someone else's draft looks the same as an expired one
+        const text = isGroupChat(chatId) ? '❌ Draft expired, or it belongs to someone else.' : '❌ Draft expired.';
+        await bot.answerCallbackQuery(query.id, { text });
+        return null;
+      }
+      return d;
+    };
+
+    if (data.startsWith('confirm:')) {
+      const draftId = data.split(':')[1];
+      const draftObj = await getDraftOrExpire(draftId);
+      if (!draftObj) return;
+
+      if (!draftIsCompleteEnough(draftObj.draft)) {
+        await bot.answerCallbackQuery(query.id, { text: 'Need at least title + date.' });
+        return;
+      }
+
+      const conflicts = await checkConflicts(
+        chatId,
+        draftObj.draft.date,
+        draftObj.draft.start_time,
+        draftObj.draft.end_time,
+        draftObj.draft.end_date
+      );
+
+      if (conflicts.length > 0) {
+        const conflictList = conflicts
+          .map(c => {
+            // Clashes of a multi-day draft can be on a later day
+            const day = c.date !== draftObj.draft.date ? `${formatDate(c.date, tz)} ` : '';
+            const time = day + (c.end_time ? `${c.start_time}-${c.end_time}` : c.start_time);
+            const source = c.source === 'school_timetable' ? '📚 (School)' : '';
+            return `• ${escapeMarkdown(c.task)} (${escapeMarkdown(time)}) ${source}`;
+          })
+          .join('\n');
+
+        const preview = formatDraftPreview(draftObj.draft, tz, chatId);
+
+        await bot.editMessageText(
+          `⚠️ *Time conflict detected*\n\n` +
+            `*New event:*\n${preview}\n\n` +
+            `*Conflicts:*\n${conflictList}\n\n` +
+            `Choose an action:`,
+          {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown',
+            reply_markup: buildConflictKeyboard(draftId)
+          }
+        );
+
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      const saved = await saveDraftEvent(chatId, { ...draftObj.draft, created_by: query.from.id });
+      session.drafts = session.drafts.filter(d => String(d.id) !== String(draftId));
+
+      await bot.answerCallbackQuery(query.id, { text: 'Saved.' });
+      await bot.editMessageText(
+        `✅ Saved!\n\n${formatDraftPreview(saved, tz, chatId)}`,
+        { chat_id: chatId, message_id: messageId }
+      );
+      await sendRsvpCard(chatId, saved, tz);
+      
+      // Show next-action prompt with main menu
+      await bot.sendMessage(
+        chatId,
+        '✨ What would you like to do next?',
+        { reply_markup: buildMainMenuKeyboard() }
+      );
+      return;
+    }
+
+    if (data.startsWith('edit:')) {
+      const draftId = data.split(':')[1];
+      const draftObj = await getDraftOrExpire(draftId);
+      if (!draftObj) return;
+
+      draftObj.overwriteNext = true;
+      draftObj.state = 'collecting';
+      draftObj.updatedAt = nowMs();
+
+      await bot.answerCallbackQuery(query.id, { text: 'Send the corrected info now.' });
+
+      await bot.sendMessage(
+        chatId,
+        `✏️ Send the correction (e.g., "actually 6pm-7pm" or "change date to 19 Jan").\n\nCurrent draft:\n${formatDraftPreview(draftObj.draft, tz, chatId)}`
+      );
+      return;
+    }
+
+    if (data.startsWith('discard:')) {
+      const draftId = data.split(':')[1];
+      const draftObj = await getDraftOrExpire(draftId);
+      if (!draftObj) return;
+
+      session.drafts = session.drafts.filter(d => String(d.id) !== String(draftId));
+
+      await bot.answerCallbackQuery(query.id, { text: 'Discarded.' });
+      await bot.editMessageText(
+        `🗑️ Discarded draft.`,
+        { chat_id: chatId, message_id: messageId }
+      );
+      return;
+    }
+
+    // DRAFT REMINDER PROFILE
+    if (data.startsWith('draft_remind:')) {
+      const draftId = data.split(':')[1];
+      const draftObj = await getDraftOrExpire(draftId);
+      if (!draftObj) return;
+
+      draftObj.updatedAt = nowMs();
+      const current = Array.isArray(draftObj.draft.reminder_offsets)
+        ? draftObj.draft.reminder_offsets
+        : await getChatReminderOffsets(chatId);
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageText(
+        `🔔 Reminders for this event: ${describeReminderOffsets(current)}.\n\n` +
+          `Pick one below, or reply with e.g. "remind me 2h and 10m before".`,
+        { chat_id: chatId, message_id: messageId, reply_markup: buildDraftReminderKeyboard(draftId) }
+      );
+      return;
+    }
+
+    if (data.startsWith('draft_remind_set:')) {
+      const [, draftId, value] = data.split(':'); // draft_remind_set:<draftId>:<minutes|default|none>
+      const draftObj = await getDraftOrExpire(draftId);
+      if (!draftObj) return;
+
+      if (value === 'default') draftObj.draft.reminder_offsets = null;
+      else if (value === 'none') draftObj.draft.reminder_offsets = [];
+      else draftObj.draft.reminder_offsets = [Number(value)];
+      draftObj.updatedAt = nowMs();
+
+      await bot.answerCallbackQuery(query.id, { text: 'Reminders updated.' });
+      await bot.editMessageText(
+        `I've prepared this event. Confirm?\n\n${formatDraftPreview(draftObj.draft, tz, chatId)}`,
+        { chat_id: chatId, message_id: messageId, reply_markup: buildConfirmKeyboard(draftId) }
+      );
+      return;
+    }
+
+    // BULK DRAFT REVIEW: bulk_toggle / bulk_edit / bulk_page / bulk_save / bulk_discard
+    if (data.startsWith('bulk_')) {
+      const [action, bulkId, arg] = data.split(':');
+      const bulk = session.pendingBulk;
+      if (!bulk || bulk.id !== bulkId) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ This preview has expired.' });
+        return;
+      }
+      bulk.updatedAt = nowMs();
+      session.updatedAt = nowMs();
+
+      const redraw = async () => {
+        const view = renderBulkDraft(bulk, tz, chatId);
+        await bot.editMessageText(view.text, {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          reply_markup: view.reply_markup
+        });
+      };
+
+      if (action === 'bulk_toggle') {
+        const item = bulk.items[Number(arg)];
+        if (!item) return bot.answerCallbackQuery(query.id);
+        item.include = !item.include;
+        await bot.answerCallbackQuery(query.id, { text: item.include ? 'Included.' : 'Excluded.' });
+        return redraw();
+      }
+
+      if (action === 'bulk_page') {
+        bulk.page = Number(arg) || 0;
+        await bot.answerCallbackQuery(query.id);
+        return redraw();
+      }
+
+      if (action === 'bulk_edit') {
+        const index = Number(arg);
+        const item = bulk.items[index];
+        if (!item) return bot.answerCallbackQuery(query.id);
+        session.editingBulkIndex = index;
+        await bot.answerCallbackQuery(query.id, { text: 'Send the corrected info now.' });
+        return bot.sendMessage(
+          chatId,
+          `✏️ Send the correction for #${index + 1} (e.g., "6pm-8pm", "19 Jan", "@ MPSH" or a new title).\n\n` +
+            `${formatDraftPreview(item, tz, chatId)}`
+        );
+      }
+
+      if (action === 'bulk_discard') {
+        session.pendingBulk = null;
+        session.editingBulkIndex = null;
+        await bot.answerCallbackQuery(query.id, { text: 'Discarded.' });
+        return bot.editMessageText(`🗑️ Discarded ${bulk.items.length} event(s).`, { chat_id: chatId, message_id: messageId });
+      }
+
+      if (action === 'bulk_save') {
+        const chosen = bulk.items.filter(i => i.include);
+        if (chosen.length === 0) {
+          await bot.answerCallbackQuery(query.id, { text: 'Nothing selected.' });
+          return;
+        }
+        session.pendingBulk = null;
+        session.editingBulkIndex = null;
+
+        const saved = [];
+        const op = newAuditOp(chatId, `Added ${chosen.length} events`);
+        for (const item of chosen) {
+          const { include, conflicts, ...draft } = item;
+          saved.push(await saveDraftEvent(chatId, { ...draft, created_by: query.from.id }, op));
+        }
+        await rebalanceClashingPlans(chatId, op);
+
+        let confirm = `✅ Added *${saved.length}* event(s):\n`;
+        for (const e of saved.slice(0, 8)) {
+          const dateLabel = formatDate(e.date, tz);
+          const timeLabel = e.start_time ? (e.end_time ? `${e.start_time}-${e.end_time}` : e.start_time) : null;
+          const repeatLabel = e.recurrence ? ` 🔁 ${escapeMarkdown(describeRecurrence(e.recurrence))}` : '';
+          confirm += `\n• ${escapeMarkdown(e.task)}\n  📅 ${escapeMarkdown(dateLabel)}${timeLabel ? ` ⏰ ${escapeMarkdown(timeLabel)}` : ''}${repeatLabel}\n`;
+        }
+        if (saved.length > 8) confirm += `\n…and ${saved.length - 8} more.`;
+        const skipped = bulk.items.length - chosen.length;
+        if (skipped > 0) confirm += `\n_Skipped ${skipped} excluded event(s)._`;
+
+        await bot.answerCallbackQuery(query.id, { text: 'Saved.' });
+        await bot.editMessageText(confirm, { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown' });
+        for (const e of saved) await sendRsvpCard(chatId, e, tz);
+        return bot.sendMessage(chatId, '✨ What would you like to do next?', { reply_markup: buildMainMenuKeyboard() });
+      }
+
+      return bot.answerCallbackQuery(query.id);
+    }
+
+    // FREE SLOT PICKED: prefill a draft and ask what it's for
+    if (data.startsWith('free_pick:')) {
+      const [, date, hhmm, minutesStr] = data.split(':'); // free_pick:<date>:<HHMM>:<minutes>
+      const start = timeToMinutes(`${hhmm.slice(0, 2)}:${hhmm.slice(2)}`);
+      const draftObj = {
+        id: String(Date.now()),
+        draft: {
+          ...makeEmptyDraft(),
+          date,
+          start_time: minutesToTime(start),
+          end_time: minutesToTime(Math.min(start + Number(minutesStr), 24 * 60 - 1))
+        },
+        state: 'collecting',
+        awaitingTitle: true,
+        updatedAt: nowMs(),
+        overwriteNext: false
+      };
+      session.drafts.push(draftObj);
+
+      await bot.answerCallbackQuery(query.id);
+      return bot.sendMessage(
+        chatId,
+        `🟢 ${formatDate(date, tz)} ${draftObj.draft.start_time}-${draftObj.draft.end_time}. What's it for?\n\n` +
+          `Send a title (e.g. "Study CS2040 @ library").`
+      );
+    }
+
+    // MEETUP SLOT PICKED (only the organiser's session has the pending meetup)
+    if (data.startsWith('meet_pick:') || data.startsWith('meet_cancel:')) {
+      const [action, meetId, indexStr] = data.split(':'); // meet_pick:<id>:<i> | meet_cancel:<id>
+      const meet = session.pendingMeet;
+      if (!meet || meet.id !== meetId) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ This meetup has expired, or it isn\'t yours.' });
+        return;
+      }
+
+      if (action === 'meet_cancel') {
+        session.pendingMeet = null;
+        await bot.answerCallbackQuery(query.id, { text: 'Cancelled.' });
+        return bot.editMessageText('❌ Meetup cancelled.', { chat_id: chatId, message_id: messageId });
+      }
+
+      const slot = meet.slots[Number(indexStr)];
+      if (!slot) return bot.answerCallbackQuery(query.id);
+      const organizerTz = meet.tz || await getChatTimezone(query.from.id);
+      const result = await bookMeetSlot(meet, slot, query.from, organizerTz);
+      if (!result.ok) {
+        meet.updatedAt = nowMs();
+        await bot.answerCallbackQuery(query.id, {
+          text: `⚠️ ${result.busy} just got busy then. Pick another time or run /meet again.`,
+          show_alert: true
+        });
+        return;
+      }
+
+      session.pendingMeet = null;
+      await bot.answerCallbackQuery(query.id, { text: 'Booked.' });
+      return bot.editMessageText(
+        `✅ *${escapeMarkdown(meet.title)}* booked for ${escapeMarkdown(formatDate(slot.date, organizerTz))} ${slot.start_time}-${slot.end_time}\n` +
+          `Added to the calendars of ${escapeMarkdown(meet.participants.map(p => p.display_name).join(', '))}.`,
+        { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown' }
+      );
+    }
+
+    // GROUP RSVP
+    if (data.startsWith('rsvp:')) {
+      const [, kind, itemIdStr, status] = data.split(':'); // rsvp:<e|r>:<id>:<going|maybe|no>
+      const itemId = Number(itemIdStr);
+      const option = RSVP_OPTIONS.find(o => o.status === status);
+      const table = kind === 'r' ? 'recurrences' : 'events';
+      const exists = option && await db.get(`SELECT id FROM ${table} WHERE id = ? AND chat_id = ?`, itemId, chatId);
+      if (!exists) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ This event no longer exists.' });
+        return;
+      }
+
+      const previous = await db.get(
+        'SELECT status FROM rsvps WHERE chat_id = ? AND item_kind = ? AND item_id = ? AND user_id = ?',
+        chatId,
+        kind,
+        itemId,
+        query.from.id
+      );
+      await setRsvp(chatId, kind, itemId, query.from, status);
+      await bot.answerCallbackQuery(query.id, { text: option.label });
+      if (previous?.status === status) return;
+
+      return bot.editMessageText(await formatRsvpCard(chatId, kind, itemId, tz), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: buildRsvpKeyboard(kind, itemId)
+      });
+    }
+
+    // CHANGE HISTORY
+    if (data.startsWith('history_restore:')) {
+      const opId = data.split(':')[1];
+      if (isGroupChat(chatId) && !(await isGroupAdmin(chatId, query.from.id))) {
+        await bot.answerCallbackQuery(query.id, { text: '🔒 Only group admins can restore changes here.', show_alert: true });
+        return;
+      }
+      const later = await findLaterAuditOps(chatId, opId);
+      if (later.length > 0) {
+        const names = later.slice(0, 2).join('; ') + (later.length > 2 ? ` and ${later.length - 2} more` : '');
+        await bot.answerCallbackQuery(query.id, {
+          text: `⚠️ Later changes touched the same items (${names}). Undo those first.`.slice(0, 200),
+          show_alert: true
+        });
+        return;
       }
+      const restored = await undoAuditOp(chatId, opId);
+      await bot.answerCallbackQuery(query.id, { text: restored ? '↩️ Restored.' : 'Already undone.' });
+
+      const ops = await getRecentAuditOps(chatId);
+      return bot.editMessageText(formatHistory(ops, tz), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: buildHistoryKeyboard(ops)
+      });
+    }
+
+    // CONFLICT FLOW
+    if (data.startsWith('conflict_keep:')) {
+      const draftId = data.split(':')[1];
+      const draftObj = await getDraftOrExpire(draftId);
+      if (!draftObj) return;
+
+      const saved = await saveDraftEvent(chatId, { ...draftObj.draft, created_by: query.from.id });
+      session.drafts = session.drafts.filter(d => String(d.id) !== String(draftId));
+
+      await bot.answerCallbackQuery(query.id, { text: 'Saved (kept both).' });
+      await bot.editMessageText(
+        `✅ Saved (kept both)!\n\n${formatDraftPreview(saved, tz, chatId)}`,
+        { chat_id: chatId, message_id: messageId }
+      );
+      await sendRsvpCard(chatId, saved, tz);
+      
+      // Show next-action prompt with main menu
+      await bot.sendMessage(
+        chatId,
+        '✨ What would you like to do next?',
+        { reply_markup: buildMainMenuKeyboard() }
+      );
       return;
     }
 
-    // DRAFT BUTTONS: confirm/edit/discard
-    const session = getSession(chatId);
-
-    const getDraftOrExpire = async (draftId) => {
-      const d = session.drafts.find(x => String(x.id) === String(draftId));
-      if (!d) {
-        await bot.answerCallbackQuery(query.id, { text: '❌ Draft expired.' });
-        return null;
-      }
-      return d;
-    };
-
-    if (data.startsWith('confirm:')) {
+    if (data.startsWith('conflict_replace:')) {
       const draftId = data.split(':')[1];
       const draftObj = await getDraftOrExpire(draftId);
       if (!draftObj) return;
 
-      if (!draftIsCompleteEnough(draftObj.draft)) {
-        await bot.answerCallbackQuery(query.id, { text: 'Need at least title + date.' });
-        return;
-      }
-
       const conflicts = await checkConflicts(
         chatId,
         draftObj.draft.date,
         draftObj.draft.start_time,
-        draftObj.draft.end_time
+        draftObj.draft.end_time,
+        draftObj.draft.end_date
       );
 
-      if (conflicts.length > 0) {
-        const conflictList = conflicts
-          .map(c => {
-            const time = c.end_time ? `${c.start_time}-${c.end_time}` : c.start_time;
-            const source = c.source === 'school_timetable' ? '📚 (School)' : '';
-            return `• ${escapeMarkdown(c.task)} (${escapeMarkdown(time)}) ${source}`;
-          })
-          .join('\n');
-
-        const preview = formatDraftPreview(draftObj.draft);
-
-        await bot.editMessageText(
-          `⚠️ *Time conflict detected*\n\n` +
-            `*New event:*\n${preview}\n\n` +
-            `*Conflicts:*\n${conflictList}\n\n` +
-            `Choose an action:`,
-          {
-            chat_id: chatId,
-            message_id: messageId,
-            parse_mode: 'Markdown',
-            reply_markup: buildConflictKeyboard(draftId)
-          }
-        );
+      // In a group, replacing deletes other people's events too, so each clash needs the same rights as deleting it
+      for (const c of conflicts) {
+        const target = c.source === 'recurrence' ? ['recurrences', c.recurrence_id] : c.source === 'event' ? ['events', c.id] : null;
+        if (target && !(await canModifyItem(chatId, query.from.id, ...target))) {
+          await bot.answerCallbackQuery(query.id, { text: `🔒 "${c.task}" isn't yours to replace. Keep both, or ask its creator or an admin.`, show_alert: true });
+          return;
+        }
+      }
 
-        await bot.answerCallbackQuery(query.id);
-        return;
+      const op = newAuditOp(chatId, `Replaced clashes with "${draftObj.draft.task}"`);
+      for (const c of conflicts) {
+        if (c.source === 'recurrence') await addRecurrenceExdate(chatId, c.recurrence_id, c.date, op);
+        else if (c.source === 'event') await deleteEvent(chatId, c.id, op);
       }
 
-      const saved = await addEventToDB(chatId, draftObj.draft);
+      const saved = await saveDraftEvent(chatId, { ...draftObj.draft, created_by: query.from.id }, op);
+      await rebalanceClashingPlans(chatId, op);
       session.drafts = session.drafts.filter(d => String(d.id) !== String(draftId));
 
-      await bot.answerCallbackQuery(query.id, { text: 'Saved.' });
+      await bot.answerCallbackQuery(query.id, { text: 'Replaced and saved.' });
       await bot.editMessageText(
-        `✅ Saved!\n\n${formatDraftPreview(saved)}`,
+        `♻️ Replaced ${conflicts.length} conflicting event(s) and saved:\n\n${formatDraftPreview(saved, tz, chatId)}`,
         { chat_id: chatId, message_id: messageId }
       );
+      await sendRsvpCard(chatId, saved, tz);
       
       // Show next-action prompt with main menu
       await bot.sendMessage(
@@ -1925,53 +8191,146 @@ bot.on('callback_query', async (query) => {
       return;
     }
 
-    if (data.startsWith('edit:')) {
+    if (data.startsWith('conflict_cancel:')) {
       const draftId = data.split(':')[1];
       const draftObj = await getDraftOrExpire(draftId);
       if (!draftObj) return;
 
-      draftObj.overwriteNext = true;
-      draftObj.state = 'collecting';
+      draftObj.state = 'awaiting_confirm';
       draftObj.updatedAt = nowMs();
 
-      await bot.answerCallbackQuery(query.id, { text: 'Send the corrected info now.' });
-
-      await bot.sendMessage(
-        chatId,
-        `✏️ Send the correction (e.g., "actually 6pm-7pm" or "change date to 19 Jan").\n\nCurrent draft:\n${formatDraftPreview(draftObj.draft)}`
+      await bot.answerCallbackQuery(query.id, { text: 'Cancelled.' });
+      await bot.editMessageText(
+        `Cancelled. Draft not saved.\n\n${formatDraftPreview(draftObj.draft, tz, chatId)}`,
+        {
+          chat_id: chatId,
+          message_id: messageId,
+          reply_markup: buildConfirmKeyboard(draftId)
+        }
       );
       return;
     }
 
-    if (data.startsWith('discard:')) {
-      const draftId = data.split(':')[1];
-      const draftObj = await getDraftOrExpire(draftId);
-      if (!draftObj) return;
+    // EDIT SELECTION
+    if (data.startsWith('edit_select:')) {
+      const eventId = Number(data.split(':')[1]);
+      const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
 
-      session.drafts = session.drafts.filter(d => String(d.id) !== String(draftId));
+      if (!event) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Event not found.' });
+        return;
+      }
 
-      await bot.answerCallbackQuery(query.id, { text: 'Discarded.' });
+      const preview =
+        `${getEventIcon(event.type, chatId)} ${escapeMarkdown(event.task)}\n` +
+        `📅 ${escapeMarkdown(formatDateSpan(event, tz))}\n` +
+        `⏰ ${event.start_time ? (event.end_time ? `${event.start_time}-${event.end_time}` : event.start_time) : 'All day'}\n` +
+        (event.location ? `📍 ${escapeMarkdown(event.location)}\n` : '') +
+        (event.type ? `🏷️ ${formatCategoryLabel(event.type, chatId)}` : '');
+
+      await bot.answerCallbackQuery(query.id);
       await bot.editMessageText(
-        `🗑️ Discarded draft.`,
-        { chat_id: chatId, message_id: messageId }
+        `*Editing Event:*\n\n${preview}`,
+        {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          reply_markup: buildEditEventKeyboard(eventId)
+        }
       );
       return;
     }
 
-    // CONFLICT FLOW
-    if (data.startsWith('conflict_keep:')) {
-      const draftId = data.split(':')[1];
-      const draftObj = await getDraftOrExpire(draftId);
-      if (!draftObj) return;
+    // EDIT FIELD CHANGE PROMPT (for an event, or for one occurrence of a series)
+    if (data.startsWith('edit_change:') || data.startsWith('occ_change:')) {
+      const parts = data.split(':'); // edit_change:<field>:<id> | occ_change:<field>:<recId>:<date>
+      const field = parts[1];
+      const occurrence = parts[0] === 'occ_change' ? { recId: Number(parts[2]), date: parts[3] } : null;
+      const eventId = occurrence ? null : Number(parts[2]);
+
+      const target = occurrence
+        ? await db.get('SELECT id FROM recurrences WHERE id = ? AND chat_id = ?', occurrence.recId, chatId)
+        : await db.get('SELECT id FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+      if (!target) {
+        await bot.answerCallbackQuery(query.id, { text: occurrence ? '❌ Series not found.' : '❌ Event not found.' });
+        return;
+      }
 
-      const saved = await addEventToDB(chatId, draftObj.draft);
-      session.drafts = session.drafts.filter(d => String(d.id) !== String(draftId));
+      session.editingEventId = eventId;
+      session.editingOccurrence = occurrence;
+      session.editingSeriesId = null;
+      session.editingField = field;
+      session.updatedAt = nowMs();
 
-      await bot.answerCallbackQuery(query.id, { text: 'Saved (kept both).' });
+      const fieldLabels = {
+        title: 'title (e.g., "Squash game")',
+        date: 'date (e.g., "18 Jan" or "2026-01-18")',
+        time: 'time (e.g., "5pm-6pm" or "14:30")',
+        location: 'location (e.g., "Courts 1-3")',
+        reminders: 'reminders (e.g., "2h and 10m before", "no reminder", "default")',
+        category: `category (${getChatCategories(chatId).map(c => c.name).join(', ')})`
+      };
+
+      await bot.answerCallbackQuery(query.id, { text: 'Send the new value now.' });
+      await bot.sendMessage(chatId, `Send the new ${fieldLabels[field] || field}:`);
+      return;
+    }
+
+    if (data === 'cancel_edit') {
+      session.editingEventId = null;
+      session.editingOccurrence = null;
+      session.editingSeriesId = null;
+      session.editingField = null;
+      await bot.answerCallbackQuery(query.id, { text: 'Cancelled.' });
+      await bot.editMessageText('Edit cancelled.', { chat_id: chatId, message_id: messageId });
+      return;
+    }
+
+    // DELETE CONFIRMATION
+    if (data.startsWith('delete_confirm:')) {
+      const eventId = Number(data.split(':')[1]);
+      const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+
+      if (!event) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Event not found.' });
+        return;
+      }
+
+      const preview =
+        `${getEventIcon(event.type, chatId)} ${escapeMarkdown(event.task)}\n` +
+        `📅 ${escapeMarkdown(formatDateSpan(event, tz))}\n` +
+        `⏰ ${event.start_time ? (event.end_time ? `${event.start_time}-${event.end_time}` : event.start_time) : 'All day'}\n` +
+        (event.location ? `📍 ${escapeMarkdown(event.location)}\n` : '') +
+        (event.type ? `🏷️ ${formatCategoryLabel(event.type, chatId)}` : '');
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            { text: '🗑️ Yes, Delete', callback_data: `delete_yes:${eventId}` },
+            { text: '❌ Cancel', callback_data: 'cancel_delete' }
+          ]
+        ]
+      };
+
+      await bot.answerCallbackQuery(query.id);
       await bot.editMessageText(
-        `✅ Saved (kept both)!\n\n${formatDraftPreview(saved)}`,
-        { chat_id: chatId, message_id: messageId }
+        `*Are you sure?*\n\n${preview}`,
+        {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          reply_markup: keyboard
+        }
       );
+      return;
+    }
+
+    if (data.startsWith('delete_yes:')) {
+      const eventId = Number(data.split(':')[1]);
+      await deleteEvent(chatId, eventId);
+
+      await bot.answerCallbackQuery(query.id, { text: '✅ Deleted.' });
+      await bot.editMessageText('🗑️ Event deleted.', { chat_id: chatId, message_id: messageId });
       
       // Show next-action prompt with main menu
       await bot.sendMessage(
@@ -1982,128 +8341,237 @@ bot.on('callback_query', async (query) => {
       return;
     }
 
-    if (data.startsWith('conflict_replace:')) {
-      const draftId = data.split(':')[1];
-      const draftObj = await getDraftOrExpire(draftId);
-      if (!draftObj) return;
+    if (data === 'cancel_delete') {
+      await bot.answerCallbackQuery(query.id, { text: 'Cancelled.' });
+      await bot.editMessageText('Delete cancelled.', { chat_id: chatId, message_id: messageId });
+      return;
+    }
 
-      const conflicts = await checkConflicts(
+    // TASK COMPLETION: mark done / undo
+    if (data.startsWith('task_done:') || data.startsWith('task_undo:')) {
+      const [action, eventIdStr] = data.split(':');
+      const done = action === 'task_done';
+      const task = await setEventCompleted(chatId, Number(eventIdStr), done);
+
+      if (!task) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Task not found.' });
+        return;
+      }
+
+      await bot.answerCallbackQuery(query.id, { text: done ? '✅ Marked done' : '↩️ Reopened' });
+      await bot.sendMessage(
         chatId,
-        draftObj.draft.date,
-        draftObj.draft.start_time,
-        draftObj.draft.end_time
+        done ? `✅ *${escapeMarkdown(task.task)}* marked done.` : `↩️ *${escapeMarkdown(task.task)}* is open again.`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: done ? { inline_keyboard: [[{ text: '↩️ Undo', callback_data: `task_undo:${task.id}` }]] } : undefined
+        }
       );
+      return;
+    }
 
-      for (const c of conflicts) {
-        await deleteEvent(chatId, c.id);
+    // /all: show or hide completed items in place
+    if (data.startsWith('all_completed:')) {
+      await bot.answerCallbackQuery(query.id);
+      return handleAll(chatId, { showCompleted: data.split(':')[1] === 'show', messageId });
+    }
+
+    // REMINDER ACTIONS: snooze / done / skip
+    if (data.startsWith('rem_snooze:') || data.startsWith('rem_done:') || data.startsWith('rem_skip:')) {
+      const [action, reminderIdStr, arg] = data.split(':'); // rem_snooze:<id>:<10|60|morning>
+      const reminder = await db.get('SELECT * FROM reminders WHERE id = ? AND chat_id = ?', Number(reminderIdStr), chatId);
+
+      if (!reminder) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Reminder not found.' });
+        return;
       }
 
-      const saved = await addEventToDB(chatId, draftObj.draft);
-      session.drafts = session.drafts.filter(d => String(d.id) !== String(draftId));
+      // Done and skip change the item for everyone, so they need its creator or an admin; snoozing doesn't
+      const target = reminder.event_id ? { table: 'events', id: reminder.event_id } : { table: 'recurrences', id: reminder.recurrence_id };
+      if (action !== 'rem_snooze' && target.id != null && !(await canModifyItem(chatId, query.from.id, target.table, target.id))) {
+        await bot.answerCallbackQuery(query.id, { text: '🔒 Only its creator or a group admin can change this.', show_alert: true });
+        return;
+      }
 
-      await bot.answerCallbackQuery(query.id, { text: 'Replaced and saved.' });
+      const payload = JSON.parse(reminder.payload_json);
+      let status;
+
+      if (action === 'rem_snooze') {
+        const until = arg === 'morning'
+          ? zonedDateTimeToUtc(addDaysIso(todayIso(tz), 1), SNOOZE_MORNING_TIME, tz)
+          : new Date(Date.now() + Number(arg) * 60 * 1000);
+        await snoozeReminder(reminder, until);
+
+        const local = zonedParts(until, tz);
+        status = `😴 Snoozed until ${local.date === todayIso(tz) ? '' : `${formatDate(local.date, tz)} `}${local.time}`;
+      } else if (action === 'rem_done') {
+        // Done completes a task; for anything else it only stops the reminders (the event stays listed)
+        const isTask = isTaskType(payload.type, chatId);
+        if (isTask && reminder.event_id) await setEventCompleted(chatId, reminder.event_id, true);
+        else await dismissReminders(reminder.event_key, 'done');
+        status = isTask ? '✅ Marked done' : '✅ Marked attended';
+      } else {
+        // Only silences this item's reminders; the item stays in the calendar (delete it from /edit)
+        await dismissReminders(reminder.event_key, 'skipped');
+        status = '⏭️ Skipped';
+      }
+
+      await bot.answerCallbackQuery(query.id, { text: status });
+      await bot.editMessageReplyMarkup(buildReminderStatusKeyboard(status), { chat_id: chatId, message_id: messageId });
+      return;
+    }
+
+    // RECURRING SERIES: this occurrence vs whole series
+    if (data.startsWith('series_select:')) {
+      const recId = Number(data.split(':')[1]);
+      const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+
+      if (!rec) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Series not found.' });
+        return;
+      }
+
+      await bot.answerCallbackQuery(query.id);
       await bot.editMessageText(
-        `♻️ Replaced ${conflicts.length} conflicting event(s) and saved:\n\n${formatDraftPreview(saved)}`,
-        { chat_id: chatId, message_id: messageId }
+        `🔁 *Recurring Event:*\n\n${formatRecurrenceList([rec])}\n\n` +
+          `Pick an occurrence to change just that date, or change the whole series:`,
+        {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          reply_markup: buildSeriesKeyboard(rec, tz)
+        }
       );
-      
-      // Show next-action prompt with main menu
-      await bot.sendMessage(
-        chatId,
-        '✨ What would you like to do next?',
-        { reply_markup: buildMainMenuKeyboard() }
+      return;
+    }
+
+    if (data.startsWith('occ_select:')) {
+      const [, recIdStr, dateStr] = data.split(':'); // occ_select:<recId>:<date>
+      const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', Number(recIdStr), chatId);
+
+      if (!rec) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Series not found.' });
+        return;
+      }
+
+      const keyboard = {
+        inline_keyboard: [
+          [
+            { text: '✏️ Edit This Occurrence', callback_data: `occ_edit:${rec.id}:${dateStr}` },
+            { text: '🗑️ Delete This Occurrence', callback_data: `occ_delete:${rec.id}:${dateStr}` }
+          ],
+          [{ text: '⬅️ Back', callback_data: `series_select:${rec.id}` }]
+        ]
+      };
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageText(
+        `🔁 *${escapeMarkdown(rec.task)}* on ${escapeMarkdown(formatDate(dateStr, tz))}\n\n` +
+          `Changes here only affect this date; the rest of the series stays as is.`,
+        {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          reply_markup: keyboard
+        }
       );
       return;
     }
 
-    if (data.startsWith('conflict_cancel:')) {
-      const draftId = data.split(':')[1];
-      const draftObj = await getDraftOrExpire(draftId);
-      if (!draftObj) return;
+    // Nothing is split off the series yet: that waits until a changed value is saved
+    if (data.startsWith('occ_edit:')) {
+      const [, recIdStr, dateStr] = data.split(':');
+      const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', Number(recIdStr), chatId);
 
-      draftObj.state = 'awaiting_confirm';
-      draftObj.updatedAt = nowMs();
+      if (!rec) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Series not found.' });
+        return;
+      }
+      const event = { ...rec, date: dateStr, end_date: null };
+
+      const preview =
+        `${getEventIcon(event.type, chatId)} ${escapeMarkdown(event.task)}\n` +
+        `📅 ${escapeMarkdown(formatDateSpan(event, tz))}\n` +
+        `⏰ ${event.start_time ? (event.end_time ? `${event.start_time}-${event.end_time}` : event.start_time) : 'All day'}\n` +
+        (event.location ? `📍 ${escapeMarkdown(event.location)}\n` : '') +
+        (event.type ? `🏷️ ${formatCategoryLabel(event.type, chatId)}` : '');
 
-      await bot.answerCallbackQuery(query.id, { text: 'Cancelled.' });
+      await bot.answerCallbackQuery(query.id);
       await bot.editMessageText(
-        `Cancelled. Draft not saved.\n\n${formatDraftPreview(draftObj.draft)}`,
+        `*Editing Occurrence:*\n\n${preview}`,
         {
           chat_id: chatId,
           message_id: messageId,
-          reply_markup: buildConfirmKeyboard(draftId)
+          parse_mode: 'Markdown',
+          reply_markup: buildEditOccurrenceKeyboard(rec.id, dateStr)
         }
       );
       return;
     }
 
-    // EDIT SELECTION
-    if (data.startsWith('edit_select:')) {
-      const eventId = Number(data.split(':')[1]);
-      const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+    if (data.startsWith('occ_delete:')) {
+      const [, recIdStr, dateStr] = data.split(':');
+      const rec = await addRecurrenceExdate(chatId, Number(recIdStr), dateStr);
 
-      if (!event) {
-        await bot.answerCallbackQuery(query.id, { text: '❌ Event not found.' });
+      if (!rec) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Series not found.' });
         return;
       }
 
-      const preview =
-        `${getEventIcon(event.type)} ${escapeMarkdown(event.task)}\n` +
-        `📅 ${escapeMarkdown(formatDate(event.date))}\n` +
-        `⏰ ${event.start_time ? (event.end_time ? `${event.start_time}-${event.end_time}` : event.start_time) : '(no time)'}\n` +
-        (event.location ? `📍 ${escapeMarkdown(event.location)}\n` : '') +
-        (event.type ? `🏷️ ${event.type}` : '');
+      await bot.answerCallbackQuery(query.id, { text: '✅ Deleted.' });
+      await bot.editMessageText(
+        `🗑️ Removed ${rec.task} on ${formatDate(dateStr, tz)}. The rest of the series is unchanged.`,
+        { chat_id: chatId, message_id: messageId }
+      );
+      return;
+    }
+
+    if (data.startsWith('series_edit:')) {
+      const recId = Number(data.split(':')[1]);
 
       const keyboard = {
         inline_keyboard: [
           [
-            { text: 'Change Title', callback_data: `edit_change:title:${eventId}` },
-            { text: 'Change Date', callback_data: `edit_change:date:${eventId}` }
+            { text: 'Change Title', callback_data: `series_change:title:${recId}` },
+            { text: 'Change Repeat', callback_data: `series_change:repeat:${recId}` }
           ],
           [
-            { text: 'Change Time', callback_data: `edit_change:time:${eventId}` },
-            { text: 'Change Location', callback_data: `edit_change:location:${eventId}` }
+            { text: 'Change Time', callback_data: `series_change:time:${recId}` },
+            { text: 'Change Location', callback_data: `series_change:location:${recId}` }
           ],
-          [
-            { text: '🗑️ Delete', callback_data: `delete_confirm:${eventId}` },
-            { text: '❌ Cancel', callback_data: 'cancel_edit' }
-          ]
+          [{ text: '🔔 Change Reminders', callback_data: `series_change:reminders:${recId}` }],
+          [{ text: '❌ Cancel', callback_data: 'cancel_edit' }]
         ]
       };
 
       await bot.answerCallbackQuery(query.id);
-      await bot.editMessageText(
-        `*Editing Event:*\n\n${preview}`,
-        {
-          chat_id: chatId,
-          message_id: messageId,
-          parse_mode: 'Markdown',
-          reply_markup: keyboard
-        }
-      );
+      await bot.editMessageReplyMarkup(keyboard, { chat_id: chatId, message_id: messageId });
       return;
     }
 
-    // EDIT FIELD CHANGE PROMPT
-    if (data.startsWith('edit_change:')) {
-      const parts = data.split(':'); // edit_change:<field>:<id>
+    if (data.startsWith('series_change:')) {
+      const parts = data.split(':'); // series_change:<field>:<id>
       const field = parts[1];
-      const eventId = Number(parts[2]);
+      const recId = Number(parts[2]);
 
-      const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
-      if (!event) {
-        await bot.answerCallbackQuery(query.id, { text: '❌ Event not found.' });
+      const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+      if (!rec) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Series not found.' });
         return;
       }
 
-      session.editingEventId = eventId;
+      session.editingEventId = null;
+      session.editingOccurrence = null;
+      session.editingSeriesId = recId;
       session.editingField = field;
       session.updatedAt = nowMs();
 
       const fieldLabels = {
-        title: 'title (e.g., "Squash game")',
-        date: 'date (e.g., "18 Jan" or "2026-01-18")',
-        time: 'time (e.g., "5pm-6pm" or "14:30")',
-        location: 'location (e.g., "Courts 1-3")'
+        title: 'title for every occurrence (e.g., "Gym")',
+        repeat: 'repeat rule (e.g., "every Tue and Thu", "daily until 30 Apr")',
+        time: 'time for every occurrence (e.g., "6am-7am")',
+        location: 'location for every occurrence (e.g., "UTown Gym")',
+        reminders: 'reminders for every occurrence (e.g., "2h and 10m before", "no reminder", "default")'
       };
 
       await bot.answerCallbackQuery(query.id, { text: 'Send the new value now.' });
@@ -2111,35 +8579,19 @@ bot.on('callback_query', async (query) => {
       return;
     }
 
-    if (data === 'cancel_edit') {
-      session.editingEventId = null;
-      session.editingField = null;
-      await bot.answerCallbackQuery(query.id, { text: 'Cancelled.' });
-      await bot.editMessageText('Edit cancelled.', { chat_id: chatId, message_id: messageId });
-      return;
-    }
-
-    // DELETE CONFIRMATION
-    if (data.startsWith('delete_confirm:')) {
-      const eventId = Number(data.split(':')[1]);
-      const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+    if (data.startsWith('series_delete:')) {
+      const recId = Number(data.split(':')[1]);
+      const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
 
-      if (!event) {
-        await bot.answerCallbackQuery(query.id, { text: '❌ Event not found.' });
+      if (!rec) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Series not found.' });
         return;
       }
 
-      const preview =
-        `${getEventIcon(event.type)} ${escapeMarkdown(event.task)}\n` +
-        `📅 ${escapeMarkdown(formatDate(event.date))}\n` +
-        `⏰ ${event.start_time ? (event.end_time ? `${event.start_time}-${event.end_time}` : event.start_time) : '(no time)'}\n` +
-        (event.location ? `📍 ${escapeMarkdown(event.location)}\n` : '') +
-        (event.type ? `🏷️ ${event.type}` : '');
-
       const keyboard = {
         inline_keyboard: [
           [
-            { text: '🗑️ Yes, Delete', callback_data: `delete_yes:${eventId}` },
+            { text: '🗑️ Yes, Delete Series', callback_data: `series_delete_yes:${recId}` },
             { text: '❌ Cancel', callback_data: 'cancel_delete' }
           ]
         ]
@@ -2147,7 +8599,7 @@ bot.on('callback_query', async (query) => {
 
       await bot.answerCallbackQuery(query.id);
       await bot.editMessageText(
-        `*Are you sure?*\n\n${preview}`,
+        `*Delete every occurrence?*\n\n${formatRecurrenceList([rec])}`,
         {
           chat_id: chatId,
           message_id: messageId,
@@ -2158,13 +8610,13 @@ bot.on('callback_query', async (query) => {
       return;
     }
 
-    if (data.startsWith('delete_yes:')) {
-      const eventId = Number(data.split(':')[1]);
-      await deleteEvent(chatId, eventId);
+    if (data.startsWith('series_delete_yes:')) {
+      const recId = Number(data.split(':')[1]);
+      await deleteRecurrence(chatId, recId);
 
       await bot.answerCallbackQuery(query.id, { text: '✅ Deleted.' });
-      await bot.editMessageText('🗑️ Event deleted.', { chat_id: chatId, message_id: messageId });
-      
+      await bot.editMessageText('🗑️ Recurring event deleted.', { chat_id: chatId, message_id: messageId });
+
       // Show next-action prompt with main menu
       await bot.sendMessage(
         chatId,
@@ -2174,10 +8626,140 @@ bot.on('callback_query', async (query) => {
       return;
     }
 
-    if (data === 'cancel_delete') {
-      await bot.answerCallbackQuery(query.id, { text: 'Cancelled.' });
-      await bot.editMessageText('Delete cancelled.', { chat_id: chatId, message_id: messageId });
-      return;
+    // .ICS UPLOAD: import as classes or events
+    if (data.startsWith('ics_mode:')) {
+      const mode = data.split(':')[1]; // classes | events | cancel
+      await bot.answerCallbackQuery(query.id);
+
+      const upload = session.pendingIcsUpload;
+      session.pendingIcsUpload = null;
+
+      if (mode === 'cancel') return bot.sendMessage(chatId, '❌ Import cancelled.');
+      if (!upload) return bot.sendMessage(chatId, '❌ No pending upload found (it may have expired). Please re-send the .ics file.');
+
+      try {
+        if (mode === 'classes') return await sendTimetableImportPreview(chatId, session, upload.icsText, upload.filename);
+        return await sendEventsImportPreview(chatId, session, upload.icsText, upload.filename);
+      } catch (err) {
+        console.error('ICS import error:', err);
+        return bot.sendMessage(chatId, '❌ Failed to read that .ics file. Try exporting it again and re-uploading.');
+      }
+    }
+
+    if (data.startsWith('ics_import:')) {
+      const mode = data.split(':')[1]; // confirm | cancel
+      await bot.answerCallbackQuery(query.id);
+
+      const pending = session.pendingEventsImport;
+      session.pendingEventsImport = null;
+
+      if (mode === 'cancel') return bot.sendMessage(chatId, '❌ Event import cancelled.');
+      if (!pending) return bot.sendMessage(chatId, '❌ No pending import found (it may have expired). Please re-send the .ics file.');
+
+      const counts = { added: 0, updated: 0 };
+      const op = newAuditOp(chatId, `Imported ${pending.filename}`);
+      for (const item of pending.items) counts[await saveIcsImportItem(chatId, { ...item, created_by: query.from.id }, op)]++;
+      await rebalanceClashingPlans(chatId, op);
+
+      return bot.sendMessage(
+        chatId,
+        `✅ Imported *${counts.added}* new and updated *${counts.updated}* event(s) from *${escapeMarkdown(pending.filename)}*.`,
+        { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
+      );
+    }
+
+    // CATEGORY REMOVAL (from the /categories list)
+    if (data.startsWith('cat_remove:')) {
+      const category = findCategory(chatId, data.split(':')[1]);
+      if (!category?.custom) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Category not found.' });
+        return;
+      }
+      if (isGroupChat(chatId) && !(await isGroupAdmin(chatId, query.from.id))) {
+        await bot.answerCallbackQuery(query.id, { text: '🔒 Only group admins can change categories here.' });
+        return;
+      }
+
+      const moved = await removeCategory(chatId, category.key);
+      await bot.answerCallbackQuery(query.id, {
+        text: category.builtin ? `${category.name} reset.` : `Removed ${category.name}.${moved ? ` ${moved} item(s) moved to Other.` : ''}`
+      });
+      return bot.editMessageText(`🏷️ *Categories*\n\n${formatCategoryList(chatId)}`, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: buildCategoriesKeyboard(chatId)
+      });
+    }
+
+    // WEEK IMAGE NAVIGATION (the photo is swapped for the other week's in place, like find_page)
+    if (data.startsWith('weekimg:')) {
+      const monday = data.split(':')[1];
+      if (!isIsoDateString(monday)) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Unknown week.' });
+        return;
+      }
+      await bot.answerCallbackQuery(query.id);
+      return handleWeekImage(chatId, '', mondayOfWeekIso(monday), messageId);
+    }
+
+    // SEARCH RESULT PAGES (results are re-run, so edits made in between show up)
+    if (data.startsWith('find_page:')) {
+      const [, findId, page] = data.split(':');
+      const find = session.pendingFind;
+      if (!find || find.id !== findId) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ This search has expired. Run /find again.' });
+        return;
+      }
+      find.page = Number(page) || 0;
+      find.updatedAt = nowMs();
+      await bot.answerCallbackQuery(query.id);
+
+      const items = await searchChatItems(chatId, find.query, todayIso(tz));
+      const view = renderFindResults(find, items, tz);
+      return bot.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: view.reply_markup
+      });
+    }
+
+    // RESTORE HANDLERS
+    if (data.startsWith('restore:')) {
+      const mode = data.split(':')[1]; // replace | merge | cancel
+      await bot.answerCallbackQuery(query.id);
+
+      if (mode === 'cancel') {
+        session.awaitingRestore = false;
+        session.pendingRestore = null;
+        return bot.sendMessage(chatId, '❌ Restore cancelled. Nothing was changed.');
+      }
+
+      const pending = session.pendingRestore;
+      if (!pending) {
+        session.awaitingRestore = false;
+        return bot.sendMessage(chatId, '❌ No pending restore found (it may have expired). Please send the backup file again.');
+      }
+
+      if (isGroupChat(chatId) && !(await isGroupAdmin(chatId, query.from.id))) {
+        return bot.sendMessage(chatId, '🔒 Only group admins can restore a backup here.');
+      }
+
+      const op = newAuditOp(chatId, `Restored backup (${pending.filename})`);
+      const counts = await applyBackup(chatId, pending.backup, mode === 'replace' ? 'replace' : 'merge', query.from.id, op);
+      session.awaitingRestore = false;
+      session.pendingRestore = null;
+
+      return bot.sendMessage(
+        chatId,
+        `✅ Restored *${escapeMarkdown(pending.filename)}* (${mode === 'replace' ? 'replaced' : 'merged'}): ` +
+          `${counts.events} event(s), ${counts.recurrences} series, ${counts.classes} class(es), ` +
+          `${counts.holidays} holiday(s), ${counts.categories} categor${counts.categories === 1 ? 'y' : 'ies'}, ${counts.settings} setting(s). ` +
+          `Reminders are set for everything still ahead.\n\n` +
+          `/undo takes the restored items back out${mode === 'replace' ? ' and brings back what was there before (settings stay as restored)' : ''}.`,
+        { parse_mode: 'Markdown', reply_markup: buildBackToMenuKeyboard() }
+      );
     }
 
     // TIMETABLE IMPORT HANDLERS
@@ -2198,22 +8780,21 @@ bot.on('callback_query', async (query) => {
         return bot.sendMessage(chatId, '❌ No pending import found (it may have expired). Please re-send the .ics file.');
       }
 
-      const toInsert = pending.entries;
+      const toInsert = pending.entries.map(e => ({ ...e, created_by: query.from.id }));
+      const op = newAuditOp(chatId, `Imported timetable (${pending.filename})`);
+
+      if (mode === 'replace' && isGroupChat(chatId) && !(await isGroupAdmin(chatId, query.from.id))) {
+        return bot.sendMessage(chatId, '🔒 Only group admins can replace the group timetable. Choose Merge instead.');
+      }
 
       if (mode === 'replace') {
-        await clearSchoolTimetable(chatId);
-        for (const e of toInsert) await addSchoolTimetableEntry(chatId, e);
+        await clearSchoolTimetable(chatId, op);
+        for (const e of toInsert) await addSchoolTimetableEntry(chatId, e, op);
+        await rebalanceClashingPlans(chatId, op);
 
         // Store semester start date if available
         if (pending.semesterStart) {
-          await db.run(
-            `INSERT INTO settings (chat_id, semester_start_date) 
-             VALUES (?, ?) 
-             ON CONFLICT(chat_id) DO UPDATE SET semester_start_date = ?`,
-            chatId,
-            pending.semesterStart,
-            pending.semesterStart
-          );
+          await setSemester(chatId, pending.semesterStart, pending.layout);
         }
 
         session.importingTimetable = false;
@@ -2233,21 +8814,15 @@ bot.on('callback_query', async (query) => {
         for (const e of toInsert) {
           const key = `${e.subject}|${e.day_of_week}|${e.start_time}|${e.end_time}|${e.location || ''}|${e.weeks_json || ''}`;
           if (existSet.has(key)) continue;
-          await addSchoolTimetableEntry(chatId, e);
+          await addSchoolTimetableEntry(chatId, e, op);
           existSet.add(key);
           added++;
         }
+        await rebalanceClashingPlans(chatId, op);
 
         // Store semester start date if available
         if (pending.semesterStart) {
-          await db.run(
-            `INSERT INTO settings (chat_id, semester_start_date) 
-             VALUES (?, ?) 
-             ON CONFLICT(chat_id) DO UPDATE SET semester_start_date = ?`,
-            chatId,
-            pending.semesterStart,
-            pending.semesterStart
-          );
+          await setSemester(chatId, pending.semesterStart, pending.layout);
         }
 
         session.importingTimetable = false;
@@ -2274,78 +8849,80 @@ bot.on('message', async (msg) => {
   const chatId = msg.chat.id;
   const text = msg.text?.trim();
 
-  const session = getSession(chatId);
-  session.updatedAt = nowMs();
+  try {
+    await recordBotUser(msg);
+  } catch (error) {
+    console.error('Failed to record user:', error.message || error);
+  }
 
-  // Handle timetable import via .ics document (check before text check)
-  if (session.importingTimetable && msg.document) {
-    const doc = msg.document;
-    const filename = (doc.file_name || '').toLowerCase();
+  const session = getSession(chatId, msg.from?.id);
+  session.updatedAt = nowMs();
+  const tz = await getChatTimezone(chatId);
 
-    if (!filename.endsWith('.ics')) {
-      return bot.sendMessage(chatId, '❌ Please send a .ics file (NUSMods calendar export).');
+  // Backups: sent after /restore, or a .json dropped into the chat
+  const docName = msg.document?.file_name || '';
+  if (msg.document && (session.awaitingRestore || /\.json$/i.test(docName))) {
+    if (!/\.(json|csv)$/i.test(docName)) {
+      return bot.sendMessage(chatId, '❌ Please send the .json (or .csv) file from /backup, or /cancel.');
     }
 
-    const processingMsg = await bot.sendMessage(chatId, '🤔 Downloading & parsing .ics...');
-
     try {
-      const fileLink = await bot.getFileLink(doc.file_id);
+      const fileLink = await bot.getFileLink(msg.document.file_id);
       const res = await fetch(fileLink);
       if (!res.ok) throw new Error(`Failed to fetch file: ${res.status}`);
-      const icsText = await res.text();
+      const parsed = parseBackupFile(await res.text(), docName);
+      session.awaitingRestore = false;
 
-      const result = parseNusmodsIcsToTimetableEntries(icsText);
-      const entries = result.entries || [];
-      const semesterStart = result.semesterStart;
+      if (!parsed.success) {
+        return bot.sendMessage(chatId, `❌ ${parsed.error}`);
+      }
 
-      try { await bot.deleteMessage(chatId, processingMsg.message_id); } catch {}
+      const diff = await diffBackup(chatId, parsed.backup);
+      session.pendingRestore = { backup: parsed.backup, filename: docName, createdAt: nowMs() };
+      session.updatedAt = nowMs();
+      return bot.sendMessage(chatId, formatRestorePreview(docName, parsed.backup, diff, parsed.dropped), {
+        parse_mode: 'Markdown',
+        reply_markup: buildRestoreKeyboard()
+      });
+    } catch (err) {
+      console.error('Backup download error:', err);
+      session.awaitingRestore = false;
+      return bot.sendMessage(chatId, '❌ Failed to read that file. Please try sending it again.');
+    }
+  }
 
-      if (!entries || entries.length === 0) {
-        session.importingTimetable = false;
-        session.pendingTimetableImport = null;
-        return bot.sendMessage(chatId, '❌ I could not find any weekly classes in that .ics file.');
-      }
+  // .ics documents: sent after "Import Calendar" or simply dropped into the chat (check before text check)
+  if (msg.document && (session.importingTimetable || /\.ics$/i.test(docName))) {
+    if (!/\.ics$/i.test(docName)) {
+      return bot.sendMessage(chatId, '❌ Please send a .ics file (e.g. a NUSMods or Google Calendar export).');
+    }
 
-      // Store semester start date if computed
-      if (semesterStart) {
-        await db.run(
-          `INSERT INTO settings (chat_id, semester_start_date) 
-           VALUES (?, ?) 
-           ON CONFLICT(chat_id) DO UPDATE SET semester_start_date = ?`,
-          chatId,
-          semesterStart,
-          semesterStart
-        );
-      }
+    const processingMsg = await bot.sendMessage(chatId, '🤔 Downloading .ics...');
 
-      session.pendingTimetableImport = { entries, filename: doc.file_name, semesterStart, createdAt: nowMs() };
-      session.updatedAt = nowMs();
+    try {
+      const fileLink = await bot.getFileLink(msg.document.file_id);
+      const res = await fetch(fileLink);
+      if (!res.ok) throw new Error(`Failed to fetch file: ${res.status}`);
+      const icsText = await res.text();
 
-      // Build a small preview (first ~10)
-      const previewLines = entries.slice(0, 10).map(e => {
-        const day = getDayName(e.day_of_week);
-        const loc = e.location ? ` @ ${escapeMarkdown(e.location)}` : '';
-        const weeksLabel = e.weeks_json
-          ? ` (Weeks **${JSON.parse(e.weeks_json).join(', ')}**)`
-          : '';
-        return `• ${escapeMarkdown(e.subject)} — ${day} ${e.start_time}-${e.end_time}${loc}${weeksLabel}`;
-      });
+      try { await bot.deleteMessage(chatId, processingMsg.message_id); } catch {}
 
-      const more = entries.length > 10 ? `\n…and ${entries.length - 10} more.` : '';
+      session.importingTimetable = false;
+      session.pendingIcsUpload = { icsText, filename: docName, createdAt: nowMs() };
+      session.updatedAt = nowMs();
 
       return bot.sendMessage(
         chatId,
-        `📥 Parsed *${entries.length}* weekly class entries from *${escapeMarkdown(doc.file_name)}*.\n\n` +
-          `${previewLines.join('\n')}${more}\n\n` +
-          `What do you want to do?`,
-        { parse_mode: 'Markdown', reply_markup: buildTimetableImportKeyboard() }
+        `📥 Got *${escapeMarkdown(docName)}*. Import it as…\n\n` +
+          `📚 *Classes* - weekly timetable (NUSMods export)\n` +
+          `📅 *Events* - one-off and recurring events (CCA, exams, other calendars)`,
+        { parse_mode: 'Markdown', reply_markup: buildIcsModeKeyboard() }
       );
     } catch (err) {
-      console.error('ICS import error:', err);
+      console.error('ICS download error:', err);
       try { await bot.deleteMessage(chatId, processingMsg.message_id); } catch {}
       session.importingTimetable = false;
-      session.pendingTimetableImport = null;
-      return bot.sendMessage(chatId, '❌ Failed to import timetable. Try exporting again from NUSMods and re-uploading.');
+      return bot.sendMessage(chatId, '❌ Failed to download that file. Please try sending it again.');
     }
   }
 
@@ -2353,14 +8930,27 @@ bot.on('message', async (msg) => {
 
   // Ignore commands here; command handlers already exist
   if (text.startsWith('/')) {
+    const command = text.split(/[\s@]/)[0]; // groups send /cancel@BotName
     // Handle /cancel to exit adding class mode
-    if (text === '/cancel' && session.addingClass) {
+    if (command === '/cancel' && session.addingClass) {
       session.addingClass = false;
       await bot.sendMessage(chatId, '❌ Cancelled adding class.');
       return;
     }
+    // Handle /cancel to stop correcting a bulk draft item
+    if (command === '/cancel' && session.editingBulkIndex != null) {
+      session.editingBulkIndex = null;
+      await bot.sendMessage(chatId, '❌ Correction cancelled. The preview above is unchanged.');
+      return;
+    }
+    // Handle /cancel to stop waiting for a backup file
+    if (command === '/cancel' && session.awaitingRestore) {
+      session.awaitingRestore = false;
+      await bot.sendMessage(chatId, '❌ Restore cancelled.');
+      return;
+    }
     // Handle /cancel to exit import mode
-    if (text === '/cancel' && session.importingTimetable) {
+    if (command === '/cancel' && session.importingTimetable) {
       session.importingTimetable = false;
       session.pendingTimetableImport = null;
       await bot.sendMessage(chatId, '❌ Cancelled timetable import.');
@@ -2414,7 +9004,8 @@ bot.on('message', async (msg) => {
           day_of_week: cls.day_of_week,
           start_time: cls.start_time,
           end_time: cls.end_time,
-          location: cls.location
+          location: cls.location,
+          created_by: msg.from?.id
         });
         added.push(entry);
       }
@@ -2450,16 +9041,91 @@ bot.on('message', async (msg) => {
     return;
   }
 
+  // 2a) If user is editing a whole recurring series
+  if (session.editingSeriesId && session.editingField) {
+    const recId = session.editingSeriesId;
+    const field = session.editingField;
+
+    try {
+      const rec = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+      if (!rec) {
+        await bot.sendMessage(chatId, '❌ Series not found.');
+        session.editingSeriesId = null;
+        session.editingField = null;
+        return;
+      }
+
+      const updates = {};
+
+      if (field === 'title') {
+        updates.task = text;
+      } else if (field === 'location') {
+        updates.location = text;
+      } else if (field === 'reminders') {
+        const parsed = parseReminderOffsets(text);
+        if (!parsed) {
+          await bot.sendMessage(chatId, '❌ Could not parse reminders. Try "2h and 10m before" or "no reminder".');
+          return;
+        }
+        updates.reminder_offsets_json = parsed.offsets ? JSON.stringify(parsed.offsets) : null;
+      } else if (field === 'time') {
+        const parsed = await parseScheduleMessage(text, tz, chatId);
+        if (parsed.success && parsed.kind === 'updates' && (parsed.updates?.start_time || parsed.updates?.all_day)) {
+          updates.start_time = parsed.updates.start_time;
+          updates.end_time = parsed.updates.end_time || null;
+        } else {
+          await bot.sendMessage(chatId, '❌ Could not parse time. Try "6am-7am" or "18:30".');
+          return;
+        }
+      } else if (field === 'repeat') {
+        const parsed = await parseScheduleMessage(text, tz, chatId);
+        if (parsed.success && parsed.kind === 'updates' && parsed.updates?.recurrence) {
+          updates.recurrence = parsed.updates.recurrence;
+          updates.start_date = parsed.updates.date || rec.start_date;
+        } else {
+          await bot.sendMessage(chatId, '❌ Could not parse the repeat rule. Try "every Monday" or "daily until 30 Apr".');
+          return;
+        }
+      }
+
+      await updateRecurrence(chatId, recId, updates);
+
+      const updated = await db.get('SELECT * FROM recurrences WHERE id = ? AND chat_id = ?', recId, chatId);
+      await bot.sendMessage(chatId, `✅ *Series updated!*\n\n${formatRecurrenceList([updated])}`, { parse_mode: 'Markdown' });
+
+      // Show next-action prompt with main menu
+      await bot.sendMessage(
+        chatId,
+        '✨ What would you like to do next?',
+        { reply_markup: buildMainMenuKeyboard() }
+      );
+
+      session.editingSeriesId = null;
+      session.editingField = null;
+      return;
+    } catch (err) {
+      console.error('edit series input error:', err);
+      await bot.sendMessage(chatId, '❌ Error updating series.');
+      session.editingSeriesId = null;
+      session.editingField = null;
+      return;
+    }
+  }
+
   // 2) If user is editing an existing event, intercept next
-  if (session.editingEventId && session.editingField) {
-    const eventId = session.editingEventId;
+  if ((session.editingEventId || session.editingOccurrence) && session.editingField) {
+    let eventId = session.editingEventId;
+    const occurrence = session.editingOccurrence;
     const field = session.editingField;
 
     try {
-      const event = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
-      if (!event) {
-        await bot.sendMessage(chatId, '❌ Event not found.');
+      const exists = occurrence
+        ? await db.get('SELECT id FROM recurrences WHERE id = ? AND chat_id = ?', occurrence.recId, chatId)
+        : await db.get('SELECT id FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
+      if (!exists) {
+        await bot.sendMessage(chatId, occurrence ? '❌ Series not found.' : '❌ Event not found.');
         session.editingEventId = null;
+        session.editingOccurrence = null;
         session.editingField = null;
         return;
       }
@@ -2469,17 +9135,19 @@ bot.on('message', async (msg) => {
       if (field === 'title') {
         updates.task = text;
       } else if (field === 'date') {
-        const parsed = await parseScheduleMessage(text);
+        const parsed = await parseScheduleMessage(text, tz, chatId);
         if (parsed.success && parsed.kind === 'updates' && parsed.updates?.date) {
           updates.date = parsed.updates.date;
+          // "5 to 7 Jan" makes it multi-day; a single date moves it, keeping any length it had
+          if (parsed.updates.end_date) updates.end_date = parsed.updates.end_date;
         } else {
           await bot.sendMessage(chatId, '❌ Could not parse date. Try "18 Jan" or "2026-01-18".');
           return;
         }
       } else if (field === 'time') {
-        const parsed = await parseScheduleMessage(text);
+        const parsed = await parseScheduleMessage(text, tz, chatId);
         if (parsed.success && parsed.kind === 'updates' && parsed.updates) {
-          // Allow clearing time by typing "no time"? Not implemented; keep as-is.
+          if (parsed.updates.all_day) updates.start_time = updates.end_time = null;
           if (parsed.updates.start_time) updates.start_time = parsed.updates.start_time;
           if (parsed.updates.end_time) updates.end_time = parsed.updates.end_time;
         } else {
@@ -2488,18 +9156,43 @@ bot.on('message', async (msg) => {
         }
       } else if (field === 'location') {
         updates.location = text;
+      } else if (field === 'reminders') {
+        const parsed = parseReminderOffsets(text);
+        if (!parsed) {
+          await bot.sendMessage(chatId, '❌ Could not parse reminders. Try "2h and 10m before" or "no reminder".');
+          return;
+        }
+        updates.reminder_offsets_json = parsed.offsets ? JSON.stringify(parsed.offsets) : null;
+      } else if (field === 'category') {
+        const category = findCategoryByName(chatId, text);
+        if (!category) {
+          await bot.sendMessage(chatId, '❌ No category by that name. See /categories for the list.');
+          return;
+        }
+        updates.type = category.key;
       }
 
-      await updateEvent(chatId, eventId, updates);
+      // An occurrence leaves its series only now, in the same op as the change (one /undo reverts both)
+      let op = null;
+      if (occurrence) {
+        const series = await db.get('SELECT task FROM recurrences WHERE id = ?', occurrence.recId);
+        op = newAuditOp(chatId, `Edited "${series.task}" on ${occurrence.date}`);
+        const detached = await detachOccurrence(chatId, occurrence.recId, occurrence.date, op);
+        eventId = detached.id;
+        session.editingOccurrence = null;
+      }
+      await updateEvent(chatId, eventId, updates, op);
+      if (op) await rebalanceClashingPlans(chatId, op);
 
       const updatedEvent = await db.get('SELECT * FROM events WHERE id = ? AND chat_id = ?', eventId, chatId);
       const preview =
         `✅ *Updated!*\n\n` +
-        `${getEventIcon(updatedEvent.type)} ${escapeMarkdown(updatedEvent.task)}\n` +
-        `📅 ${escapeMarkdown(formatDate(updatedEvent.date))}\n` +
-        `⏰ ${updatedEvent.start_time ? (updatedEvent.end_time ? `${updatedEvent.start_time}-${updatedEvent.end_time}` : updatedEvent.start_time) : '(no time)'}\n` +
+        `${getEventIcon(updatedEvent.type, chatId)} ${escapeMarkdown(updatedEvent.task)}\n` +
+        `📅 ${escapeMarkdown(formatDateSpan(updatedEvent, tz))}\n` +
+        `⏰ ${updatedEvent.start_time ? (updatedEvent.end_time ? `${updatedEvent.start_time}-${updatedEvent.end_time}` : updatedEvent.start_time) : 'All day'}\n` +
         (updatedEvent.location ? `📍 ${escapeMarkdown(updatedEvent.location)}\n` : '') +
-        (updatedEvent.type ? `🏷️ ${updatedEvent.type}` : '');
+        (updatedEvent.reminder_offsets_json != null ? `${formatReminderLabel(JSON.parse(updatedEvent.reminder_offsets_json))}\n` : '') +
+        (updatedEvent.type ? `🏷️ ${formatCategoryLabel(updatedEvent.type, chatId)}` : '');
 
       await bot.sendMessage(chatId, preview, { parse_mode: 'Markdown' });
       
@@ -2517,22 +9210,118 @@ bot.on('message', async (msg) => {
       console.error('edit field input error:', err);
       await bot.sendMessage(chatId, '❌ Error updating event.');
       session.editingEventId = null;
+      session.editingOccurrence = null;
       session.editingField = null;
       return;
     }
   }
 
+  // 2b) If user is correcting one item of a bulk draft
+  if (session.editingBulkIndex != null && session.pendingBulk) {
+    const bulk = session.pendingBulk;
+    const index = session.editingBulkIndex;
+    const item = bulk.items[index];
+    if (!item) {
+      session.editingBulkIndex = null;
+      return;
+    }
+
+    const parsed = await parseScheduleMessage(text, tz, chatId);
+    if (!parsed.success || parsed.kind !== 'updates') {
+      await bot.sendMessage(chatId, '❌ Could not read that correction. Try "6pm-8pm", "19 Jan", "@ MPSH" or a new title (/cancel to stop).');
+      return;
+    }
+
+    mergeDraft(item, parsed.updates, true);
+    await refreshBulkItemConflicts(chatId, item);
+    session.editingBulkIndex = null;
+    bulk.page = Math.floor(index / BULK_DRAFT_PAGE_SIZE);
+    bulk.updatedAt = nowMs();
+    session.updatedAt = nowMs();
+
+    const view = renderBulkDraft(bulk, tz, chatId);
+    await bot.sendMessage(chatId, `✏️ Updated #${index + 1}.\n\n${view.text}`, { parse_mode: 'Markdown', reply_markup: view.reply_markup });
+    return;
+  }
+
+  // A NUSMods share link anywhere in the message imports that timetable
+  const share = parseNusmodsShareLink(text);
+  if (share) {
+    session.importingTimetable = false;
+    if (share.modules.length === 0) {
+      return bot.sendMessage(chatId, '❌ That NUSMods link has no classes selected.');
+    }
+    try {
+      await sendShareLinkImportPreview(chatId, session, share);
+    } catch (err) {
+      console.error('share link import error:', err);
+      await bot.sendMessage(chatId, '❌ Could not load that NUSMods timetable. Please try again later.');
+    }
+    return;
+  }
+
+  // 2c) A slot picked from /free only needs a title; anything else in the message may still adjust it
+  const slotDraft = session.drafts.find(d => d.awaitingTitle);
+  if (slotDraft) {
+    const parsed = parseScheduleMessageOffline(text, tz, chatId);
+    const updates = parsed.success && parsed.kind === 'updates' ? parsed.updates : {};
+    mergeDraft(slotDraft.draft, { ...updates, task: updates.task || text }, true);
+    slotDraft.draft.type = heuristicTypeFallback(text, slotDraft.draft.type, chatId);
+    slotDraft.awaitingTitle = false;
+    slotDraft.state = 'awaiting_confirm';
+    slotDraft.updatedAt = nowMs();
+
+    await bot.sendMessage(
+      chatId,
+      `I've prepared this event. Confirm?\n\n${formatDraftPreview(slotDraft.draft, tz, chatId)}`,
+      { reply_markup: buildConfirmKeyboard(slotDraft.id) }
+    );
+    return;
+  }
+
+  // "when am I free tomorrow for 2h" is the same as /free tomorrow 2h
+  if (FREE_QUERY_RE.test(text)) {
+    await handleFree(chatId, text);
+    return;
+  }
+
   // 2) Otherwise, treat it as schedule intake (draft + multi-event)
 
+  // "remind me 2h and 10m before" / "no reminder" applies to the latest draft
+  const latestDraft = session.drafts[session.drafts.length - 1];
+  if (latestDraft && /^(remind me\b|reminders?\b|no reminders?\b|don'?t remind)/i.test(text)) {
+    const parsedReminder = parseReminderOffsets(text.replace(/^(remind me|reminders?:?)/i, ''));
+    if (!parsedReminder) {
+      await bot.sendMessage(chatId, '❌ Could not parse reminders. Try "remind me 2h and 10m before" or "no reminder".');
+      return;
+    }
+
+    latestDraft.draft.reminder_offsets = parsedReminder.offsets;
+    latestDraft.updatedAt = nowMs();
+
+    const preview = formatDraftPreview(latestDraft.draft, tz, chatId);
+    if (latestDraft.state === 'awaiting_confirm') {
+      await bot.sendMessage(
+        chatId,
+        `I've prepared this event. Confirm?\n\n${preview}`,
+        { reply_markup: buildConfirmKeyboard(latestDraft.id) }
+      );
+    } else {
+      await bot.sendMessage(chatId, `Reminders updated.\n\nCurrent draft:\n${preview}`);
+    }
+    return;
+  }
+
   // Heuristic filter (keep your original idea)
   const t = text.toLowerCase();
   const scheduleKeywords = [
     'tomorrow', 'today', 'next', 'on ', 'at ', 'pm', 'am',
     'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
     'jan', 'january', 'feb', 'march', 'apr', 'may', 'jun', 'july', 'aug', 'sep', 'oct', 'nov', 'dec',
-    'meeting', 'call', 'dentist', 'appointment', 'gym', 'schedule', 'softball', 'game', 'deadline', 'due'
+    'meeting', 'call', 'dentist', 'appointment', 'gym', 'schedule', 'softball', 'game', 'deadline', 'due',
+    'every', 'daily', 'weekly', 'monthly'
   ];
-  const looksLikeSchedule = scheduleKeywords.some(k => t.includes(k));
+  const looksLikeSchedule = scheduleKeywords.some(k => t.includes(k)) || parseScheduleMessageOffline(text, tz, chatId).complete;
 
   if (!looksLikeSchedule) {
     await bot.sendMessage(
@@ -2544,7 +9333,7 @@ bot.on('message', async (msg) => {
 
   const processingMsg = await bot.sendMessage(chatId, '🤔 Processing...');
 
-  const parsed = await parseScheduleMessage(text);
+  const parsed = await parseScheduleMessage(text, tz, chatId);
 
   try { await bot.deleteMessage(chatId, processingMsg.message_id); } catch {}
 
@@ -2565,22 +9354,9 @@ bot.on('message', async (msg) => {
     return;
   }
 
-  // Multi-event: save immediately
+  // Multi-event: review as a bulk draft before anything is saved
   if (parsed.kind === 'events') {
-    const saved = [];
-    for (const ev of parsed.events) {
-      saved.push(await addEventToDB(chatId, ev));
-    }
-
-    let confirm = `✅ Added *${saved.length}* event(s):\n`;
-    for (const e of saved.slice(0, 8)) {
-      const dateLabel = formatDate(e.date);
-      const timeLabel = e.start_time ? (e.end_time ? `${e.start_time}-${e.end_time}` : e.start_time) : null;
-      confirm += `\n• ${escapeMarkdown(e.task)}\n  📅 ${escapeMarkdown(dateLabel)}${timeLabel ? ` ⏰ ${escapeMarkdown(timeLabel)}` : ''}\n`;
-    }
-    if (saved.length > 8) confirm += `\n…and ${saved.length - 8} more.`;
-
-    await bot.sendMessage(chatId, confirm, { parse_mode: 'Markdown' });
+    await startBulkDraft(chatId, session, parsed.events);
     return;
   }
 
@@ -2612,6 +9388,7 @@ bot.on('message', async (msg) => {
   }
 
   mergeDraft(draftObj.draft, updates, overwriteIntent, draftObj.overwriteNext);
+  applyEffortEstimate(draftObj.draft, text);
   draftObj.overwriteNext = false;
   draftObj.updatedAt = nowMs();
 
@@ -2619,7 +9396,7 @@ bot.on('message', async (msg) => {
     draftObj.state = 'awaiting_confirm';
     draftObj.updatedAt = nowMs();
 
-    const preview = formatDraftPreview(draftObj.draft);
+    const preview = formatDraftPreview(draftObj.draft, tz, chatId);
     await bot.sendMessage(
       chatId,
       `I've prepared this event. Confirm?\n\n${preview}`,
@@ -2632,7 +9409,7 @@ bot.on('message', async (msg) => {
   if (!draftObj.draft.task) missing.push('title');
   if (!draftObj.draft.date) missing.push('date');
 
-  const preview = formatDraftPreview(draftObj.draft);
+  const preview = formatDraftPreview(draftObj.draft, tz, chatId);
 
   await bot.sendMessage(
     chatId,
@@ -2643,9 +9420,30 @@ bot.on('message', async (msg) => {
 // =====================================================
 // STARTUP
 // =====================================================
-(async () => {
+if (require.main === module) (async () => {
   await initDatabase();
+  await loadChatCategories();
+  loadBundledHolidays();
+  try {
+    const legacy = await migrateLegacyScheduleData();
+    if (legacy) console.log(`📦 Legacy schedule data:\n${formatLegacyReport(legacy)}`);
+  } catch (error) {
+    console.error('Legacy schedule migration failed:', error.message || error);
+  }
+  // Catch up on reminders that came due while the bot was offline, then rebuild future ones
+  await dispatchDueReminders();
   await rescheduleAllReminders();
+  if (FEED_PORT) startCalendarFeedServer(FEED_PORT, FEED_HOST);
   console.log('🤖 Bot is running...');
-  console.log('📅 Daily summaries scheduled for 9 PM');
+  console.log('📅 Daily summaries scheduled for 9 PM (each chat\'s local time)');
 })();
+
+// For the tests (see test/)
+module.exports = {
+  parseScheduleMessage,
+  parseClassMessage,
+  initDatabase,
+  addEventToDB,
+  getOrCreateFeedToken,
+  startCalendarFeedServer
+};
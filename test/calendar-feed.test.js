@@ -0,0 +1,70 @@
+// Serves the /export feed from a scratch database on a random localhost port and fetches it.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-test-'));
+process.env.TELEGRAM_TOKEN = 'test';
+process.env.LLM_PROVIDER = 'none';
+process.env.DATABASE_FILE = path.join(dir, 'schedule.db');
+process.env.DEFAULT_TIMEZONE = 'Asia/Singapore';
+
+const CHAT_ID = 1001;
+let server;
+let token;
+
+// -> { status, type, body } without throwing on error statuses
+function request(method, urlPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: urlPath }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+before(async () => {
+  const bot = require('../bot');
+  await bot.initDatabase();
+  await bot.addEventToDB(CHAT_ID, { task: 'Feed check', date: '2099-03-02', start_time: '10:00', end_time: '11:00', type: 'meeting' });
+  token = await bot.getOrCreateFeedToken(CHAT_ID);
+  server = bot.startCalendarFeedServer(0, '127.0.0.1');
+  await new Promise(resolve => (server.listening ? resolve() : server.once('listening', resolve)));
+});
+
+after(() => {
+  server?.close();
+  require('node-schedule').gracefulShutdown();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the feed link returns the chat calendar', async () => {
+  const res = await request('GET', `/feed/${token}.ics?x=1`);
+  assert.equal(res.status, 200);
+  assert.match(res.type, /^text\/calendar/);
+  assert.match(res.body, /BEGIN:VCALENDAR/);
+  assert.match(res.body, /SUMMARY:Feed check/);
+});
+
+test('HEAD answers without a body', async () => {
+  const res = await request('HEAD', `/feed/${token}.ics`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body, '');
+});
+
+test('unknown tokens and odd paths are a plain 404', async () => {
+  for (const urlPath of [`/feed/${'0'.repeat(32)}.ics`, '/feed/abc.ics', '//[', '/']) {
+    assert.equal((await request('GET', urlPath)).status, 404, urlPath);
+  }
+});
+
+test('other methods are refused', async () => {
+  assert.equal((await request('POST', `/feed/${token}.ics`)).status, 405);
+});
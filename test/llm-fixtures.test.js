@@ -0,0 +1,83 @@
+// Runs the AI parsers against the recorded responses in llm_fixtures.json, with no network.
+// Fixtures are keyed on the whole prompt, which includes the current date, so the clock is pinned
+// to the day they were recorded. Re-record with LLM_RECORD_FIXTURES=1 after changing a prompt.
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.TELEGRAM_TOKEN = 'test';
+process.env.LLM_PROVIDER = 'fixtures';
+process.env.LLM_FIXTURES_FILE = path.join(__dirname, 'llm_fixtures.json');
+process.env.LLM_RECORD_FIXTURES = '0';
+
+const TZ = 'Asia/Singapore';
+const RECORDED_AT = Date.parse('2026-01-05T01:00:00Z'); // Mon 5 Jan 2026, 09:00 in Singapore
+
+let parseScheduleMessage;
+let parseClassMessage;
+
+before(() => {
+  mock.timers.enable({ apis: ['Date'], now: RECORDED_AT });
+  ({ parseScheduleMessage, parseClassMessage } = require('../bot'));
+});
+
+after(() => {
+  mock.timers.reset();
+  require('node-schedule').gracefulShutdown();
+});
+
+test('a bulletin becomes one event per bullet', async () => {
+  const parsed = await parseScheduleMessage(
+    'Orientation camp:\n- Day 1 (12 Jan) 9am-6pm @ UTown\n- Day 2 (13 Jan) 9am-5pm @ MPSH',
+    TZ
+  );
+  assert.equal(parsed.kind, 'events');
+  assert.deepEqual(
+    parsed.events.map(e => [e.date, e.start_time, e.end_time, e.location]),
+    [['2026-01-12', '09:00', '18:00', 'UTown'], ['2026-01-13', '09:00', '17:00', 'MPSH']]
+  );
+});
+
+test('chatter is not schedule-related', async () => {
+  const parsed = await parseScheduleMessage('lol that was so funny', TZ);
+  assert.deepEqual(parsed, { success: false, error: 'not_schedule' });
+});
+
+test('a malformed reply is repaired in one more round', async () => {
+  // The first recorded reply has "21 Feb" as its date; the repair prompt has its own fixture
+  const parsed = await parseScheduleMessage('book club on the first day of recess week 8pm', TZ);
+  assert.equal(parsed.kind, 'updates');
+  assert.equal(parsed.updates.task, 'Book club');
+  assert.equal(parsed.updates.date, '2026-02-21');
+  assert.equal(parsed.updates.start_time, '20:00');
+});
+
+test('a prompt from another day is not replayed', async () => {
+  mock.timers.setTime(RECORDED_AT + 24 * 60 * 60 * 1000);
+  try {
+    // Falls back to the offline parser, which has no date for this
+    const parsed = await parseScheduleMessage('book club on the first day of recess week 8pm', TZ);
+    assert.notEqual(parsed.updates?.date, '2026-02-21');
+  } finally {
+    mock.timers.setTime(RECORDED_AT);
+  }
+});
+
+test('a dated title with no date/time words left over never reaches the model', async () => {
+  // No fixture is recorded for this; `complete` is only set on offline results
+  const parsed = await parseScheduleMessage('submit lab 3 due fri 2359', TZ);
+  assert.equal(parsed.complete, true);
+  assert.deepEqual(
+    [parsed.updates.task, parsed.updates.date, parsed.updates.start_time],
+    ['submit lab 3', '2026-01-09', '23:59']
+  );
+});
+
+test('a class on two days becomes two timetable entries', async () => {
+  const parsed = await parseClassMessage('CS2030S Every Wed and Fri 10am-12pm COM1-0210');
+  assert.equal(parsed.success, true);
+  assert.deepEqual(
+    parsed.classes.map(c => [c.subject, c.day_of_week, c.start_time, c.end_time, c.location]),
+    [['CS2030S', 3, '10:00', '12:00', 'COM1-0210'], ['CS2030S', 5, '10:00', '12:00', 'COM1-0210']]
+  );
+});